@@ -2,6 +2,7 @@ import { getSocket } from '../client/socketClient.js';
 import { getCurrentUser, isWalletConnected } from '../wallet/wallet.js';
 import { requestChatHistory } from '../client/socketClient.js';
 import { loadPfp, getPfpUrl } from '../utils/pfpLoader.js';
+import { openProfile } from '../profile/profile.js';
 
 // UI Elements
 const chatTitle = document.getElementById('chatTitle');
@@ -9,8 +10,8 @@ const chatMessages = document.getElementById('chatMessages');
 const chatInput = document.getElementById('chatInput');
 const chatSendBtn = document.getElementById('chatSendBtn');
 
-let currentChatMode = 'all'; // 'all' or 'lobby'
-let currentLobbyId = null; // Current lobby ID for lobby chat
+let currentChatMode = 'all'; // 'all', 'lobby' or 'spectator'
+let currentLobbyId = null; // Current lobby ID for lobby chat (game ID for spectator chat)
 
 // Chat restrictions
 const MAX_MESSAGE_LENGTH = 300; // Maximum characters per message
@@ -33,6 +34,14 @@ export function initChat() {
         }
     });
     
+    // Clicking a sender's avatar opens their profile
+    chatMessages.addEventListener('click', (e) => {
+        const avatar = e.target.closest('.chat-message-avatar[data-wallet]');
+        if (avatar) {
+            openProfile(avatar.dataset.wallet);
+        }
+    });
+    
     // Update chat input state based on wallet connection
     updateChatInputState();
     
@@ -57,7 +66,7 @@ export function initChat() {
 }
 
 /**
- * Set chat mode (all or lobby)
+ * Set chat mode (all, lobby or spectator)
  */
 export function setChatMode(mode, lobbyId = null) {
     currentChatMode = mode;
@@ -65,6 +74,8 @@ export function setChatMode(mode, lobbyId = null) {
     
     if (mode === 'lobby') {
         chatTitle.textContent = 'LOBBY CHAT';
+    } else if (mode === 'spectator') {
+        chatTitle.textContent = 'SPECTATOR CHAT';
     } else {
         chatTitle.textContent = 'ALL CHAT';
     }
@@ -129,7 +140,7 @@ async function addChatMessageToDOM(data) {
     // Create message structure
     messageDiv.innerHTML = `
         <div class="chat-message-avatar-container">
-            <img class="chat-message-avatar" src="${userPfpUrl}" alt="${escapeHtml(senderName)}'s avatar" onerror="this.src='/pfp/default.jpg'">
+            <img class="chat-message-avatar" src="${userPfpUrl}" alt="${escapeHtml(senderName)}'s avatar"${wallet ? ` data-wallet="${escapeHtml(wallet)}"` : ''} onerror="this.src='/pfp/default.jpg'">
         </div>
         <div class="chat-message-content">
             <div class="chat-message-header">
@@ -240,9 +251,7 @@ function sendMessage() {
     if (socket && socket.connected) {
         socket.emit('chat_message', {
             message: message,
-            mode: currentChatMode,
-            playerName: user.username,
-            wallet: user.wallet
+            mode: currentChatMode
         });
         chatInput.value = '';
     }
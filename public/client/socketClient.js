@@ -3,6 +3,8 @@
  * Handles connection to server and game events
  */
 
+import { getAuthToken } from '../wallet/auth.js';
+
 let socket = null;
 let isConnected = false;
 let currentGameId = null;
@@ -17,7 +19,10 @@ function showMessage(message, type) {
  * Initialize socket connection
  */
 export function initSocket() {
-    socket = io();
+    // Session token is read on every (re)connect so the handshake always carries the latest sign-in
+    socket = io({
+        auth: (cb) => cb({ token: getAuthToken() })
+    });
     
     // Make socket available globally for sidebar
     window.socketInstance = socket;
@@ -75,6 +80,44 @@ export function initSocket() {
         }
     });
     
+    // Private table closed before it filled
+    socket.on('lobby_expired', (data) => {
+        if (onLobbyExpiredCallback) {
+            onLobbyExpiredCallback(data);
+        }
+    });
+    
+    // Matchmaking queue
+    socket.on('queue_status', (data) => {
+        if (onQueueStatusCallback) {
+            onQueueStatusCallback(data);
+        }
+    });
+    
+    socket.on('queue_left', () => {
+        if (onQueueLeftCallback) {
+            onQueueLeftCallback();
+        }
+    });
+    
+    socket.on('queue_error', (error) => {
+        if (onQueueErrorCallback) {
+            onQueueErrorCallback(error);
+        }
+    });
+    
+    socket.on('match_found', (data) => {
+        if (onMatchFoundCallback) {
+            onMatchFoundCallback(data);
+        }
+    });
+    
+    socket.on('match_cancelled', (data) => {
+        if (onMatchCancelledCallback) {
+            onMatchCancelledCallback(data);
+        }
+    });
+    
     // Game events
     socket.on('game_start', (data) => {
         currentGameId = data.gameId;
@@ -109,6 +152,12 @@ export function initSocket() {
         }
     });
     
+    socket.on('draw4_challenged', (data) => {
+        if (onDrawFourChallengedCallback) {
+            onDrawFourChallengedCallback(data);
+        }
+    });
+    
     socket.on('player_disconnected', (data) => {
         if (onPlayerDisconnectedCallback) {
             onPlayerDisconnectedCallback(data);
@@ -119,6 +168,38 @@ export function initSocket() {
         showMessage(`${data.playerName} reconnected`, 'info');
     });
     
+    socket.on('player_eliminated', (data) => {
+        const reason = data.reason === 'disconnect' ? 'disconnected too long' : 'too many timeouts';
+        showMessage(`${data.playerName} forfeited (${reason})`, 'info');
+    });
+    
+    // Spectator events
+    socket.on('spectate_start', (data) => {
+        currentGameId = data.gameId;
+        currentPlayerIndex = null;
+        if (onSpectateStartCallback) {
+            onSpectateStartCallback(data);
+        }
+    });
+    
+    socket.on('spectate_error', (error) => {
+        if (onSpectateErrorCallback) {
+            onSpectateErrorCallback(error);
+        }
+    });
+    
+    socket.on('spectate_ended', (data) => {
+        if (onSpectateEndedCallback) {
+            onSpectateEndedCallback(data);
+        }
+    });
+    
+    socket.on('spectators_update', (data) => {
+        if (onSpectatorsUpdateCallback) {
+            onSpectatorsUpdateCallback(data);
+        }
+    });
+    
     socket.on('reconnection_result', (data) => {
         if (data.reconnected) {
             // Reconnected to active game
@@ -166,6 +247,20 @@ export function initSocket() {
         }
     });
     
+    // Live recent wins feed
+    socket.on('recent_win', (data) => {
+        if (onRecentWinCallback) {
+            onRecentWinCallback(data);
+        }
+    });
+    
+    // Rating after a staked game
+    socket.on('rating_updated', (data) => {
+        if (onRatingUpdatedCallback) {
+            onRatingUpdatedCallback(data);
+        }
+    });
+    
     return socket;
 }
 
@@ -177,11 +272,18 @@ let onLobbyJoinedCallback = null;
 let onPlayerJoinedCallback = null;
 let onPlayerLeftCallback = null;
 let onLobbyErrorCallback = null;
+let onLobbyExpiredCallback = null;
+let onQueueStatusCallback = null;
+let onQueueLeftCallback = null;
+let onQueueErrorCallback = null;
+let onMatchFoundCallback = null;
+let onMatchCancelledCallback = null;
 let onGameStartCallback = null;
 let onGameStateUpdateCallback = null;
 let onGameErrorCallback = null;
 let onTurnStartCallback = null;
 let onTurnTimeoutCallback = null;
+let onDrawFourChallengedCallback = null;
 let onPlayerDisconnectedCallback = null;
 let onChatMessageCallback = null;
 let onChatHistoryCallback = null;
@@ -189,6 +291,12 @@ let onChatErrorCallback = null;
 let onGameCountdownCallback = null;
 let onPaymentRefundedCallback = null;
 let onRefundErrorCallback = null;
+let onRatingUpdatedCallback = null;
+let onRecentWinCallback = null;
+let onSpectateStartCallback = null;
+let onSpectateErrorCallback = null;
+let onSpectateEndedCallback = null;
+let onSpectatorsUpdateCallback = null;
 
 /**
  * Set callbacks
@@ -201,11 +309,18 @@ export function setCallbacks(callbacks) {
     onPlayerJoinedCallback = callbacks.onPlayerJoined;
     onPlayerLeftCallback = callbacks.onPlayerLeft;
     onLobbyErrorCallback = callbacks.onLobbyError;
+    onLobbyExpiredCallback = callbacks.onLobbyExpired;
+    onQueueStatusCallback = callbacks.onQueueStatus;
+    onQueueLeftCallback = callbacks.onQueueLeft;
+    onQueueErrorCallback = callbacks.onQueueError;
+    onMatchFoundCallback = callbacks.onMatchFound;
+    onMatchCancelledCallback = callbacks.onMatchCancelled;
     onGameStartCallback = callbacks.onGameStart;
     onGameStateUpdateCallback = callbacks.onGameStateUpdate;
     onGameErrorCallback = callbacks.onGameError;
     onTurnStartCallback = callbacks.onTurnStart;
     onTurnTimeoutCallback = callbacks.onTurnTimeout;
+    onDrawFourChallengedCallback = callbacks.onDrawFourChallenged;
     onPlayerDisconnectedCallback = callbacks.onPlayerDisconnected;
     onChatMessageCallback = callbacks.onChatMessage;
     onChatHistoryCallback = callbacks.onChatHistory;
@@ -213,6 +328,40 @@ export function setCallbacks(callbacks) {
     onGameCountdownCallback = callbacks.onGameCountdown;
     onPaymentRefundedCallback = callbacks.onPaymentRefunded;
     onRefundErrorCallback = callbacks.onRefundError;
+    onRatingUpdatedCallback = callbacks.onRatingUpdated;
+    onRecentWinCallback = callbacks.onRecentWin;
+    onSpectateStartCallback = callbacks.onSpectateStart;
+    onSpectateErrorCallback = callbacks.onSpectateError;
+    onSpectateEndedCallback = callbacks.onSpectateEnded;
+    onSpectatorsUpdateCallback = callbacks.onSpectatorsUpdate;
+}
+
+/**
+ * Bind a session token to the current socket connection
+ * @param {string} token - Session token
+ * @returns {Promise<boolean>} True if the server accepted the session
+ */
+export function authenticateSocket(token) {
+    // Not connected yet - the handshake will carry the token
+    if (!socket || !isConnected || !token) {
+        return Promise.resolve(false);
+    }
+    
+    return new Promise((resolve) => {
+        socket.emit('authenticate', { token }, (response) => {
+            resolve(!!(response && response.success));
+        });
+    });
+}
+
+/**
+ * Drop the session from the current socket connection
+ */
+export function deauthenticateSocket() {
+    if (!socket || !isConnected) {
+        return;
+    }
+    socket.emit('deauthenticate');
 }
 
 /**
@@ -246,6 +395,56 @@ export function leaveLobby() {
     socket.emit('leave_lobby');
 }
 
+/**
+ * Join the matchmaking queue for a player count and stake
+ */
+export function joinQueue(playerName, gameMode, solStake) {
+    if (!socket || !isConnected) {
+        return;
+    }
+    socket.emit('queue_join', { playerName, gameMode, solStake });
+}
+
+/**
+ * Leave the matchmaking queue
+ */
+export function leaveQueue() {
+    if (!socket || !isConnected) {
+        return;
+    }
+    socket.emit('queue_leave');
+}
+
+/**
+ * Turn down a found match
+ */
+export function declineMatch() {
+    if (!socket || !isConnected) {
+        return;
+    }
+    socket.emit('match_decline');
+}
+
+/**
+ * Watch a live game
+ */
+export function spectateGame(gameId) {
+    if (!socket || !isConnected) {
+        return;
+    }
+    socket.emit('spectate_game', { gameId });
+}
+
+/**
+ * Stop watching the current game
+ */
+export function leaveSpectate() {
+    if (!socket || !isConnected) {
+        return;
+    }
+    socket.emit('leave_spectate');
+}
+
 /**
  * Play a card
  */
@@ -286,6 +485,26 @@ export function callUno() {
     socket.emit('call_uno');
 }
 
+/**
+ * Accept a Wild Draw 4 (draw the penalty without challenging)
+ */
+export function acceptDrawFour() {
+    if (!socket || !isConnected) {
+        return;
+    }
+    socket.emit('accept_draw4');
+}
+
+/**
+ * Challenge a Wild Draw 4
+ */
+export function challengeDrawFour() {
+    if (!socket || !isConnected) {
+        return;
+    }
+    socket.emit('challenge_draw4');
+}
+
 /**
  * Get current game ID
  */
@@ -4,16 +4,17 @@
  */
 
 // All game logic is now server-authoritative (see server/gameLogic.js)
-import { setGameState, render as renderGame, getAnimationImages, getColorImages, triggerUnoCallAnimation } from './renderer.js';
+import { setGameState, setSpectatorMode, render as renderGame, getAnimationImages, getColorImages, triggerUnoCallAnimation, triggerChallengeResult } from './renderer.js';
 import { setGameRenderFunction, getCanvasContext, getCardScale, getCardSpacing } from './canvas.js';
 import { initInput, updateGameState as updateInputState, hideColorPicker } from './input.js';
-import { animateCardDraw, animateCardPlay, animateCardFlip, animateCardMove, getCardHandPosition, getDrawDeckPosition, getDiscardPilePosition, startDealAnimation, isDealingCards, ANIMATION_DURATION, animateSkipCard, animateReverseCard, animateColorChange } from './cardAnimation.js';
+import { animateCardDraw, animateCardPlay, animateCardFlip, animateCardMove, getCardHandPosition, getDrawDeckPosition, getDiscardPilePosition, startDealAnimation, isDealingCards, clearAnimations, ANIMATION_DURATION, animateSkipCard, animateReverseCard, animateColorChange } from './cardAnimation.js';
 import { getCardDimensions } from './cards.js';
-import { playCard as socketPlayCard, drawCard as socketDrawCard, callUno as socketCallUno, endTurn as socketEndTurn } from '../client/socketClient.js';
+import { playCard as socketPlayCard, drawCard as socketDrawCard, callUno as socketCallUno, endTurn as socketEndTurn, acceptDrawFour as socketAcceptDrawFour, challengeDrawFour as socketChallengeDrawFour } from '../client/socketClient.js';
 
 let currentGameState = null;
 let localPlayerIndex = 0;
 let isGameActive = false;
+let isSpectating = false; // Watching someone else's game (read-only, every hand face down)
 let previousGameState = null; // Track previous state to detect changes
 let isReconnecting = false; // Track if we're in the middle of reconnecting
 let pendingDrawAnimation = null; // Track pending draw animation to update card when server responds
@@ -52,7 +53,7 @@ export function getCurrentGameState() {
  * Check if it's local player's turn
  */
 export function isMyTurn() {
-    if (!currentGameState || !isGameActive) return false;
+    if (!currentGameState || !isGameActive || isSpectating) return false;
     
     return currentGameState.currentPlayerIndex === localPlayerIndex;
 }
@@ -71,12 +72,37 @@ export function canPlayOrDraw() {
     return true;
 }
 
+/**
+ * Check if local player can jump in out of turn with a card (jump-in house rule)
+ * The card must be identical to the top card (same color and value, never a wild)
+ * @param {number} cardIndex - Index of card in hand
+ */
+export function canJumpIn(cardIndex) {
+    if (!currentGameState || !isGameActive || isSpectating || isMyTurn()) return false;
+    if (!currentGameState.rules || !currentGameState.rules.jumpIn) return false;
+    if (currentGameState.waitingForUno || currentGameState.pendingDraw > 0) return false;
+    
+    const player = currentGameState.players[localPlayerIndex];
+    const card = player && player.hand[cardIndex];
+    const topCard = currentGameState.topCard;
+    if (!card || !topCard || player.eliminated) return false;
+    
+    return card.color !== 'wild' && card.color === topCard.color && card.value === topCard.value;
+}
+
 /**
  * Play a card from local player's hand
  * @param {number} cardIndex - Index of card in hand
  * @param {string} chosenColor - Color for wild card (optional)
  */
 export function playCardFromHand(cardIndex, chosenColor = null) {
+    // Jumping in out of turn - another player may jump in first, so wait for the server
+    // instead of updating optimistically
+    if (canJumpIn(cardIndex)) {
+        socketPlayCard(cardIndex, chosenColor);
+        return { success: true, message: 'Jumping in...' };
+    }
+    
     if (!canPlayOrDraw()) {
         return { success: false, message: 'Cannot play - call UNO first' };
     }
@@ -113,11 +139,14 @@ export function playCardFromHand(cardIndex, chosenColor = null) {
     // Check if this is an action card in 2-player mode that gives the same player another turn
     // In 2-player mode: Skip, Reverse, Draw 2, and Draw 4 all give the same player another turn
     const isTwoPlayerMode = currentGameState && currentGameState.players.length === 2;
+    // With stacking, the opponent may stack a draw card instead of losing their turn,
+    // and with Draw 4 challenges they get to accept or challenge a Wild Draw 4
+    const rules = currentGameState.rules || {};
     const isActionCardGivingAnotherTurn = isTwoPlayerMode && (
         playedCard.value === 'skip' ||
         playedCard.value === 'reverse' ||
-        playedCard.value === 'draw2' ||
-        playedCard.value === 'draw4'
+        (playedCard.value === 'draw2' && !rules.stacking) ||
+        (playedCard.value === 'draw4' && !rules.stacking && !rules.wildDraw4Challenge)
     );
     
     // Clear timer optimistically if:
@@ -336,6 +365,62 @@ export function callUnoForPlayer() {
     return { success: true, message: 'UNO called' };
 }
 
+/**
+ * Check if local player is facing a Wild Draw 4 they can accept or challenge
+ */
+export function canAnswerDrawFour() {
+    return isMyTurn() && !actionsBlocked && !!currentGameState.pendingChallenge;
+}
+
+/**
+ * Accept a Wild Draw 4 for local player (draws the penalty, turn ends)
+ */
+export function acceptDrawFourForPlayer() {
+    if (!canAnswerDrawFour()) {
+        return { success: false, message: 'No Wild Draw 4 to accept' };
+    }
+    
+    // Send action to server (server-authoritative)
+    socketAcceptDrawFour();
+    clearTurnTimerOptimistically();
+    
+    return { success: true, message: 'Accepting Wild Draw 4...' };
+}
+
+/**
+ * Challenge a Wild Draw 4 for local player
+ */
+export function challengeDrawFourForPlayer() {
+    if (!canAnswerDrawFour()) {
+        return { success: false, message: 'No Wild Draw 4 to challenge' };
+    }
+    
+    // Send action to server (server-authoritative)
+    socketChallengeDrawFour();
+    clearTurnTimerOptimistically();
+    
+    return { success: true, message: 'Challenging Wild Draw 4...' };
+}
+
+/**
+ * Clear the turn timer right away after an action that ends the current wait
+ * This prevents old timer from showing while waiting for server response
+ */
+function clearTurnTimerOptimistically() {
+    if (turnTimerInterval) {
+        clearInterval(turnTimerInterval);
+        turnTimerInterval = null;
+    }
+    turnExpiresAt = null;
+    turnTimerPlayerIndex = null;
+    if (currentGameState) {
+        currentGameState.turnTimeRemaining = null;
+        // Hide the prompt until the server answers
+        currentGameState.pendingChallenge = null;
+        setGameState(currentGameState, localPlayerIndex);
+    }
+}
+
 /**
  * Render the game (called from canvas render loop)
  */
@@ -355,12 +440,22 @@ export function startGameFromServer(serverState, playerIndex, isReconnection = f
     try {
         localPlayerIndex = playerIndex;
         isGameActive = true;
+        isSpectating = false;
+        setSpectatorMode(false);
         
         if (isReconnection) {
             // For reconnection, skip animations and set state directly
             // Reconnecting to game, skipping animations
             isReconnecting = true;
             
+            // Animations still in flight belong to the state being replaced
+            clearAnimations();
+            pendingDrawAnimation = null;
+            pendingDiscardPileCard = null;
+            pendingPlayAnimation = null;
+            pendingOpponentPlayAnimation = null;
+            animatedCardIndices = {};
+            
             // Convert server state to client format directly
             const clientState = {
                 players: serverState.players.map((p, idx) => ({
@@ -370,17 +465,24 @@ export function startGameFromServer(serverState, playerIndex, isReconnection = f
                           (p.handSize ? new Array(p.handSize).fill({ color: 'wild', value: 'back' }) : []),
                     handSize: p.handSize || (p.hand ? p.hand.length : 0),
                     name: p.name,
-                    hasUno: p.hasUno || false
+                    hasUno: p.hasUno || false,
+                    eliminated: p.eliminated || false
                 })),
                 deck: new Array(serverState.deck.count || 0).fill(null),
-                discardPile: serverState.discardPile || [],
+                discardPile: serverState.topCard ? [serverState.topCard] : [], // Server only sends the top card
                 topCard: serverState.topCard,
                 currentPlayerIndex: serverState.currentPlayerIndex,
                 direction: serverState.direction,
                 status: serverState.status,
                 winner: serverState.winner,
                 currentColor: serverState.currentColor,
-                waitingForUno: serverState.waitingForUno || false
+                waitingForUno: serverState.waitingForUno || false,
+                pendingDraw: serverState.pendingDraw || 0,
+                pendingChallenge: serverState.pendingChallenge || null,
+                round: serverState.round || 1,
+                scores: serverState.scores || [],
+                lastHand: serverState.lastHand || null,
+                rules: serverState.rules || null
             };
             
             currentGameState = clientState;
@@ -417,7 +519,8 @@ export function startGameFromServer(serverState, playerIndex, isReconnection = f
                 hand: [], // Start with empty hands for animation
                 handSize: 0, // Start with 0 for comparison
                 name: p.name,
-                hasUno: p.hasUno || false
+                hasUno: p.hasUno || false,
+                eliminated: p.eliminated || false
             })),
             deck: new Array(serverState.deck.count || 0).fill(null), // Just for count
             discardPile: [], // Start empty - will be set after animation
@@ -426,7 +529,13 @@ export function startGameFromServer(serverState, playerIndex, isReconnection = f
             direction: serverState.direction,
             status: serverState.status,
             winner: serverState.winner,
-            currentColor: null // Will be set after first discard pile card is drawn
+            currentColor: null, // Will be set after first discard pile card is drawn
+            pendingDraw: 0,
+            pendingChallenge: null,
+            round: serverState.round || 1,
+            scores: serverState.scores || [],
+            lastHand: serverState.lastHand || null,
+            rules: serverState.rules || null
         };
         
         currentGameState = initialClientState;
@@ -452,6 +561,21 @@ export function startGameFromServer(serverState, playerIndex, isReconnection = f
     }
 }
 
+/**
+ * Start watching a game from a spectator view (no hand contents)
+ * The bottom seat is drawn face down, and every seat's plays and draws are animated like an opponent's.
+ * Replays also use this to jump to any point of a game, with the bottom seat's cards showing.
+ * @param {Object} serverState - Spectator view of the game from server
+ * @param {number} [seatIndex] - Seat drawn at the bottom
+ */
+export function startSpectatingFromServer(serverState, seatIndex = 0) {
+    // Joining mid-game - set state directly like a reconnection (no deal animation)
+    const state = startGameFromServer(serverState, seatIndex, true);
+    isSpectating = true;
+    setSpectatorMode(true);
+    return state;
+}
+
 /**
  * Start deal animation from server state
  */
@@ -459,7 +583,7 @@ function startDealAnimationFromServer(serverState, playerIndex) {
     // Starting deal animation from server state
     
     const playerCount = serverState.players.length;
-    const cardsPerPlayer = 7;
+    const cardsPerPlayer = serverState.rules?.handSize || 7;
     
     // Get local player's hand (cards are already dealt by server)
     const localPlayer = serverState.players[playerIndex];
@@ -596,8 +720,18 @@ function startDealAnimationFromServer(serverState, playerIndex) {
 export function updateGameStateFromServer(serverState) {
     if (!isGameActive) return;
     
-    // Skip animations during reconnection
-    if (isReconnecting) {
+    // Match mode: a new hand was dealt - every hand and the discard pile start over
+    const isNewHand = currentGameState && serverState.round && serverState.round !== currentGameState.round;
+    if (isNewHand) {
+        pendingDrawAnimation = null;
+        pendingPlayAnimation = null;
+        pendingOpponentPlayAnimation = null;
+        animatedCardIndices = {};
+        actionsBlocked = false;
+    }
+    
+    // Skip animations during reconnection (and when a new hand replaces the old one)
+    if (isReconnecting || isNewHand) {
         // Just update state directly without animations
         const clientState = {
             players: serverState.players.map((p, idx) => ({
@@ -606,17 +740,24 @@ export function updateGameStateFromServer(serverState) {
                       (p.handSize ? new Array(p.handSize).fill({ color: 'wild', value: 'back' }) : []),
                 handSize: p.handSize || (p.hand ? p.hand.length : 0),
                 name: p.name,
-                hasUno: p.hasUno || false
+                hasUno: p.hasUno || false,
+                eliminated: p.eliminated || false
             })),
             deck: new Array(serverState.deck.count || 0).fill(null),
-            discardPile: serverState.discardPile || [],
+            discardPile: serverState.topCard ? [serverState.topCard] : [], // Server only sends the top card
             topCard: serverState.topCard,
             currentPlayerIndex: serverState.currentPlayerIndex,
             direction: serverState.direction,
             status: serverState.status,
             winner: serverState.winner,
             currentColor: serverState.currentColor,
-            waitingForUno: serverState.waitingForUno || false
+            waitingForUno: serverState.waitingForUno || false,
+            pendingDraw: serverState.pendingDraw || 0,
+            pendingChallenge: serverState.pendingChallenge || null,
+            round: serverState.round || 1,
+            scores: serverState.scores || [],
+            lastHand: serverState.lastHand || null,
+            rules: serverState.rules || null
         };
         
         currentGameState = clientState;
@@ -635,17 +776,24 @@ export function updateGameStateFromServer(serverState) {
                   (p.handSize ? new Array(p.handSize).fill({ color: 'wild', value: 'back' }) : []),
             handSize: p.handSize || (p.hand ? p.hand.length : 0), // Store handSize for comparison
             name: p.name,
-            hasUno: p.hasUno || false
+            hasUno: p.hasUno || false,
+            eliminated: p.eliminated || false
         })),
         deck: new Array(serverState.deck.count || 0).fill(null),
-        discardPile: serverState.discardPile || [],
+        discardPile: serverState.topCard ? [serverState.topCard] : [], // Server only sends the top card
         topCard: serverState.topCard,
         currentPlayerIndex: serverState.currentPlayerIndex,
         direction: serverState.direction,
         status: serverState.status,
             winner: serverState.winner,
             currentColor: serverState.currentColor,
-            waitingForUno: serverState.waitingForUno || false // Include UNO waiting flag
+            waitingForUno: serverState.waitingForUno || false, // Include UNO waiting flag
+            pendingDraw: serverState.pendingDraw || 0, // Stacked Draw 2/4 penalty facing the current player
+            pendingChallenge: serverState.pendingChallenge || null, // Wild Draw 4 the current player may challenge
+            round: serverState.round || 1, // Hand number (match mode)
+            scores: serverState.scores || [], // Match score per player (match mode)
+            lastHand: serverState.lastHand || null, // Result of the last finished hand (match mode)
+            rules: serverState.rules || null
         };
     
     // Save previous state BEFORE updating (for comparison)
@@ -676,7 +824,8 @@ export function updateGameStateFromServer(serverState) {
     }
     
     // Handle local player card draws (both manual and automatic from Draw 2/4)
-    if (clientState.players[localPlayerIndex]) {
+    // Spectators have no hand of their own - the bottom seat is animated with the opponents below
+    if (!isSpectating && clientState.players[localPlayerIndex]) {
         const localPlayer = clientState.players[localPlayerIndex];
         const newHandSize = localPlayer.hand ? localPlayer.hand.length : 0;
         const oldLocalPlayer = currentGameState ? currentGameState.players[localPlayerIndex] : null;
@@ -800,8 +949,8 @@ export function updateGameStateFromServer(serverState) {
         if (!isDealingCards()) {
             // First pass: detect plays and start animations immediately
             clientState.players.forEach((newPlayer, playerIndex) => {
-                // Skip local player (they handle their own animations)
-                if (playerIndex === localPlayerIndex) return;
+                // Skip local player (they handle their own animations) - spectators animate every seat
+                if (playerIndex === localPlayerIndex && !isSpectating) return;
                 
                 const oldPlayer = oldStateForComparison.players[playerIndex];
                 if (!oldPlayer) return;
@@ -872,8 +1021,8 @@ export function updateGameStateFromServer(serverState) {
             
             // Second pass: detect draws (now pendingOpponentPlayAnimation is set if a play happened)
             clientState.players.forEach((newPlayer, playerIndex) => {
-                // Skip local player (they handle their own animations)
-                if (playerIndex === localPlayerIndex) return;
+                // Skip local player (they handle their own animations) - spectators animate every seat
+                if (playerIndex === localPlayerIndex && !isSpectating) return;
                 
                 const oldPlayer = oldStateForComparison.players[playerIndex];
                 if (!oldPlayer) return;
@@ -1139,6 +1288,23 @@ export function handlePlayerDisconnected(data) {
     // The server will send a game_state_update with the updated player names
 }
 
+/**
+ * Handle the outcome of a Wild Draw 4 challenge
+ * @param {Object} data - { challengerIndex, challengedIndex, successful, drawnBy, cardsDrawn }
+ */
+export function handleDrawFourChallenged(data) {
+    if (!currentGameState) return;
+    
+    const challenger = currentGameState.players[data.challengerIndex];
+    const challenged = currentGameState.players[data.challengedIndex];
+    if (!challenger || !challenged) return;
+    
+    const text = data.successful
+        ? `${challenged.name} was bluffing! +${data.cardsDrawn}`
+        : `${challenger.name}'s challenge failed! +${data.cardsDrawn}`;
+    triggerChallengeResult(text, data.successful);
+}
+
 /**
  * Calculate opponent hand position for card animation
  */
@@ -1151,6 +1317,12 @@ function calculateOpponentHandPosition(playerIndex, cardIndex, handSize, width,
     const playerCount = currentGameState ? currentGameState.players.length : 2;
     const relativeIndex = playerIndex < localPlayerIndex ? playerIndex : playerIndex - 1;
     
+    // Spectating: the bottom seat is face down but laid out like a local hand
+    if (playerIndex === localPlayerIndex) {
+        const handPos = getCardHandPosition(cardIndex, handSize, width, height);
+        return { x: handPos.x, y: handPos.y, rotation: 0 };
+    }
+    
     if (playerCount === 2) {
         // Only one opponent (top)
         const totalWidth = (handSize * cardWidth) + ((handSize - 1) * cardSpacing);
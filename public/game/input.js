@@ -5,8 +5,9 @@
 
 import { getCanvasContext, getCardScale, getButtonSize, getCardSpacing } from './canvas.js';
 import { getCardDimensions } from './cards.js';
-import { playCardFromHand, drawCardForPlayer, callUnoForPlayer, endTurnForPlayer, isMyTurn, canPlayOrDraw, getCurrentGameState } from './gameManager.js';
-import { getGameState as getRendererState } from './renderer.js';
+import { playCardFromHand, drawCardForPlayer, callUnoForPlayer, endTurnForPlayer, acceptDrawFourForPlayer, challengeDrawFourForPlayer, isMyTurn, canPlayOrDraw, canJumpIn, canAnswerDrawFour, getCurrentGameState } from './gameManager.js';
+import { getGameState as getRendererState, getPlayerLabelAt } from './renderer.js';
+import { openProfile } from '../profile/profile.js';
 
 // Constants
 // CARD_SCALE is now calculated dynamically via getCardScale() based on canvas size
@@ -183,6 +184,14 @@ function handleCanvasClick(event) {
     // Get current game state
     const currentGameState = getCurrentGameState();
     
+    // Clicking a player's name opens their profile
+    const labelIndex = getPlayerLabelAt(scaledX, scaledY);
+    const labelPlayer = labelIndex !== null && currentGameState ? currentGameState.players[labelIndex] : null;
+    if (labelPlayer && labelPlayer.wallet) {
+        openProfile(labelPlayer.wallet);
+        return;
+    }
+    
     // Debug: Log all clicks when game is finished
     if (currentGameState && currentGameState.status === 'finished') {
         // Canvas clicked when game finished
@@ -211,6 +220,18 @@ function handleCanvasClick(event) {
     // Update local gameState reference
     updateGameState();
     
+    // Jump-in house rule: an identical card can be played out of turn
+    if (gameState && !isMyTurn()) {
+        const cardIndex = checkPlayerCardClick(scaledX, scaledY);
+        if (cardIndex !== null && canJumpIn(cardIndex)) {
+            const result = playCardFromHand(cardIndex);
+            if (result.success) {
+                updateGameState();
+            }
+        }
+        return;
+    }
+    
     // For all other interactions, require game to be playing and player's turn
     if (!gameState || !isMyTurn()) {
         return;
@@ -260,12 +281,32 @@ function handleCanvasClick(event) {
         return;
     }
     
+    // Wild Draw 4 prompt: accept the penalty or challenge it
+    // (stacking a draw card or clicking the draw deck still works as usual)
+    if (canAnswerDrawFour()) {
+        if (checkChallengeButtonClick(scaledX, scaledY, ACCEPT_BUTTON_OFFSET_Y)) {
+            const result = acceptDrawFourForPlayer();
+            if (result.success) {
+                updateGameState();
+            }
+            return;
+        }
+        if (checkChallengeButtonClick(scaledX, scaledY, CHALLENGE_BUTTON_OFFSET_Y)) {
+            const result = challengeDrawFourForPlayer();
+            if (result.success) {
+                updateGameState();
+            }
+            return;
+        }
+    }
+    
     // Check draw deck click (only if can play or draw)
     if (canPlayOrDraw() && checkDrawDeckClick(scaledX, scaledY)) {
         // Check if player has playable cards - they can only draw if they don't
+        // (a player facing a stacked penalty may always take it instead of stacking)
         const player = gameState.players[localPlayerIndex];
-        if (player && player.hand && player.hand.length > 0) {
-            const hasPlayable = hasPlayableCard(player.hand, gameState.topCard, gameState.currentColor);
+        if (player && player.hand && player.hand.length > 0 && !(gameState.pendingDraw > 0)) {
+            const hasPlayable = hasPlayableCard(player.hand, gameState.topCard, gameState.currentColor, gameState.rules);
             if (hasPlayable && !gameState.hasDrawnPlayableCard) {
                 // You have a playable card. You must play a card before drawing.
                 return;
@@ -359,6 +400,28 @@ function checkEndTurnButtonClick(x, y) {
            y >= buttonY && y <= buttonY + BUTTON_SIZE;
 }
 
+// Wild Draw 4 accept / challenge button positions (from renderer constants)
+const CHALLENGE_BUTTON_OFFSET_X = -180;
+const ACCEPT_BUTTON_OFFSET_Y = -35;
+const CHALLENGE_BUTTON_OFFSET_Y = 35;
+
+/**
+ * Check if a Wild Draw 4 accept / challenge button was clicked
+ * @param {number} offsetY - Button's Y offset from center
+ */
+function checkChallengeButtonClick(x, y, offsetY) {
+    const { width, height } = getCanvasContext();
+    const centerX = width / 2;
+    const centerY = height / 2;
+    
+    const BUTTON_SIZE = getButtonSize();
+    const buttonX = centerX + CHALLENGE_BUTTON_OFFSET_X - BUTTON_SIZE / 2;
+    const buttonY = centerY + offsetY - BUTTON_SIZE / 2;
+    
+    return x >= buttonX && x <= buttonX + BUTTON_SIZE &&
+           y >= buttonY && y <= buttonY + BUTTON_SIZE;
+}
+
 /**
  * Check if UNO button was clicked
  */
@@ -483,7 +546,7 @@ function handleCardClick(cardIndex) {
     if (!card) return;
     
     // Check if card can be played (pass player hand for Wild Draw 4 validation)
-    const canPlay = canPlayCard(card, gameState.topCard, gameState.currentColor, player.hand);
+    const canPlay = canPlayCard(card, gameState.topCard, gameState.currentColor, player.hand, gameState.rules, gameState.pendingDraw);
     
     if (!canPlay) {
         // Provide specific error messages
@@ -512,15 +575,17 @@ function handleCardClick(cardIndex) {
  * @param {Array} playerHand - Player's hand
  * @param {Object} topCard - Top card on discard pile
  * @param {string} currentColor - Current color in play
+ * @param {Object} [rules] - House rules in play (from server state)
+ * @param {number} [pendingDraw] - Stacked draw penalty the player is facing
  * @returns {boolean} True if player has at least one playable card
  */
-export function hasPlayableCard(playerHand, topCard, currentColor) {
+export function hasPlayableCard(playerHand, topCard, currentColor, rules = null, pendingDraw = 0) {
     if (!playerHand || playerHand.length === 0) {
         return false;
     }
     
     return playerHand.some(card => 
-        canPlayCard(card, topCard, currentColor, playerHand)
+        canPlayCard(card, topCard, currentColor, playerHand, rules, pendingDraw)
     );
 }
 
@@ -530,16 +595,25 @@ export function hasPlayableCard(playerHand, topCard, currentColor) {
  * @param {Object} topCard - Top card on discard pile
  * @param {string} currentColor - Current color in play
  * @param {Array} playerHand - Player's hand (optional, required for Wild Draw 4 validation)
+ * @param {Object} [rules] - House rules in play (from server state)
+ * @param {number} [pendingDraw] - Stacked draw penalty the player is facing
  * @returns {boolean} True if card can be played
  */
-function canPlayCard(card, topCard, currentColor, playerHand = null) {
-    // Official UNO rules: Stacking is not allowed - you cannot play a Draw 2/4 to avoid drawing cards yourself.
-    // However, if it's your turn again (after opponent drew and skipped), you CAN play draw cards.
-    // Since the server immediately makes the next player draw, there's no "pending penalty" state.
-    // The validation here only checks if the card matches by color or value.
+function canPlayCard(card, topCard, currentColor, playerHand = null, rules = null, pendingDraw = 0) {
+    // Official UNO rules: Stacking is not allowed - the server makes the next player draw immediately.
+    // With the stacking house rule, a pending Draw 2/4 can only be answered by stacking another draw card:
+    // Draw 2 stacks on Draw 2, Wild Draw 4 stacks on either.
+    if (pendingDraw > 0) {
+        return card.value === 'draw4' || (card.value === 'draw2' && topCard.value === 'draw2');
+    }
     
     // Special validation for Wild Draw 4
     if (card.color === 'wild' && card.value === 'draw4') {
+        // With challenges on, a Wild Draw 4 may be played as a bluff - the server checks it if challenged
+        if (rules && rules.wildDraw4Challenge) {
+            return true;
+        }
+        
         // Wild Draw 4 can only be played if player has no card matching the current color
         // They can have: matching numbers, matching action cards, ANY wild cards
         // Only color matters
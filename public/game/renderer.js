@@ -7,10 +7,11 @@ import { drawCard, getCardDimensions, isSpritesheetLoaded } from './cards.js';
 import { getCanvasContext, getCardScale, getButtonSize, getCardSpacing } from './canvas.js';
 import { getColorPickerState, getHoveredCardIndex, getHoveredColorIndex, hasPlayableCard } from './input.js';
 import { updateAnimations, renderAnimations, hasActiveAnimations, isDealingCards, isCardFlipping, isCardDrawing } from './cardAnimation.js';
-import { hasPendingDrawAnimation, getPendingDrawHandSize, hasPendingDiscardPileCard, hasPendingPlayAnimation, hasPendingOpponentPlayAnimation, isMyTurn, isCardIndexAnimating } from './gameManager.js';
+import { hasPendingDrawAnimation, getPendingDrawHandSize, hasPendingDiscardPileCard, hasPendingPlayAnimation, hasPendingOpponentPlayAnimation, isMyTurn, isCardIndexAnimating, canAnswerDrawFour } from './gameManager.js';
 
 let gameState = null;
 let localPlayerIndex = 0; // Which player is the local player (0-3)
+let spectatorMode = false; // Read-only view: localPlayerIndex is only the seat drawn at the bottom (face down outside replays)
 let gameFinishedAt = null; // Timestamp when game finished (for delayed win message)
 
 // Hover animation state - track offset for each card index
@@ -66,6 +67,14 @@ const UNO_CALL_FADE_DURATION = 500; // 500ms fade out
 let unoCallAnimations = []; // Array of { playerIndex, startTime } for active UNO calls
 let lastUnoCallTimes = {}; // Track last time each player called UNO (to detect every call)
 
+// Wild Draw 4 challenge result banner
+const CHALLENGE_RESULT_DURATION = 3000; // 3 seconds to show the result
+let challengeResult = null; // { text, successful, startTime }
+
+// Where each player's name was drawn this frame (clicking a name opens the player's profile)
+const NAME_LABEL_HEIGHT = 20;
+let playerLabelAreas = []; // Array of { playerIndex, x, y, width, height }
+
 // Rendering constants
 // CARD_SCALE is now calculated dynamically via getCardScale() based on canvas size
 // CARD_SPACING is now calculated dynamically via getCardSpacing(handSize) based on hand size
@@ -89,6 +98,11 @@ const UNO_BUTTON_OFFSET_Y = 35; // Y offset from center (positive = down, below
 const END_TURN_BUTTON_OFFSET_X = 120; // X offset from center (positive = right)
 const END_TURN_BUTTON_OFFSET_Y = 100; // Y offset from center (positive = down, below UNO button)
 
+// Wild Draw 4 accept / challenge buttons (left of the draw deck)
+const CHALLENGE_BUTTON_OFFSET_X = -180; // X offset from center (negative = left)
+const ACCEPT_BUTTON_OFFSET_Y = -35; // Y offset from center for the accept button
+const CHALLENGE_BUTTON_OFFSET_Y = 35; // Y offset from center for the challenge button
+
 /**
  * Load color indicator images
  */
@@ -285,6 +299,35 @@ export function setGameState(state, playerIndex = 0) {
     localPlayerIndex = playerIndex;
 }
 
+/**
+ * Switch the read-only spectator view on or off
+ * Spectators have no hand of their own - every seat is drawn face down and no controls are shown
+ * @param {boolean} enabled - True while watching someone else's game
+ */
+export function setSpectatorMode(enabled) {
+    spectatorMode = enabled;
+}
+
+/**
+ * Player whose name label is at a canvas position
+ * @param {number} x - Canvas X
+ * @param {number} y - Canvas Y
+ * @returns {number|null} Player index, or null if no name is there
+ */
+export function getPlayerLabelAt(x, y) {
+    const area = playerLabelAreas.find(a => x >= a.x && x <= a.x + a.width && y >= a.y && y <= a.y + a.height);
+    return area ? area.playerIndex : null;
+}
+
+/**
+ * Remember where a player's name label was drawn (centered on the given point)
+ */
+function recordPlayerLabel(playerIndex, centerX, centerY, textWidth, vertical = false) {
+    const width = vertical ? NAME_LABEL_HEIGHT : textWidth;
+    const height = vertical ? textWidth : NAME_LABEL_HEIGHT;
+    playerLabelAreas.push({ playerIndex, x: centerX - width / 2, y: centerY - height / 2, width, height });
+}
+
 /**
  * Get current game state (for input handler)
  */
@@ -309,6 +352,19 @@ export function triggerUnoCallAnimation(playerIndex) {
     }
 }
 
+/**
+ * Show the outcome of a Wild Draw 4 challenge
+ * @param {string} text - Message to show
+ * @param {boolean} successful - True if the challenge caught a bluff
+ */
+export function triggerChallengeResult(text, successful) {
+    challengeResult = {
+        text: text,
+        successful: successful,
+        startTime: Date.now()
+    };
+}
+
 /**
  * Get animation images (for card animations)
  */
@@ -538,7 +594,7 @@ function renderFingerAnimation(ctx, deckX, deckY, cardWidth, cardHeight) {
     }
     
     // Basic checks
-    if (!gameState || gameState.status !== 'playing') {
+    if (!gameState || gameState.status !== 'playing' || spectatorMode) {
         shouldDrawConditionMetAt = null;
         return;
     }
@@ -571,7 +627,7 @@ function renderFingerAnimation(ctx, deckX, deckY, cardWidth, cardHeight) {
     }
     
     // Check if player has any playable cards
-    const hasPlayable = hasPlayableCard(localPlayer.hand, gameState.topCard, gameState.currentColor);
+    const hasPlayable = hasPlayableCard(localPlayer.hand, gameState.topCard, gameState.currentColor, gameState.rules, gameState.pendingDraw);
     
     if (hasPlayable) {
         shouldDrawConditionMetAt = null;
@@ -637,6 +693,8 @@ export function render() {
     const cardScale = getCardScale();
     const cardWidth = cardDims.width * cardScale;
     const cardHeight = cardDims.height * cardScale;
+    
+    playerLabelAreas = [];
 
     // Render based on player count (hands will show as cards are added during dealing)
     const playerCount = gameState.players.length;
@@ -649,6 +707,12 @@ export function render() {
         render4Players(ctx, width, height, cardWidth, cardHeight);
     }
     
+    // Wild Draw 4 challenge prompt and result
+    if (canAnswerDrawFour()) {
+        renderChallengePrompt(ctx, width / 2, height / 2);
+    }
+    renderChallengeResult(ctx, width, height);
+    
     // Render animations on top of everything
     if (hasActiveAnimations()) {
         renderAnimations(ctx);
@@ -846,11 +910,14 @@ function renderPlayerHand(ctx, player, canvasWidth, y, cardWidth, cardHeight, pl
     const totalWidth = (handSize * cardWidth) + ((handSize - 1) * cardSpacing);
     let startX = (canvasWidth - totalWidth) / 2;
 
+    // Only the local player's own hand reacts to the mouse (spectators just watch)
+    const isInteractive = playerIndex === localPlayerIndex && !spectatorMode;
+    
     // Get hovered card index and update hover animation (only for local player)
-    const hoveredIndex = (playerIndex === localPlayerIndex) ? getHoveredCardIndex() : null;
+    const hoveredIndex = isInteractive ? getHoveredCardIndex() : null;
     
     // Update hover animation for all cards (only for local player)
-    if (playerIndex === localPlayerIndex) {
+    if (isInteractive) {
         // Initialize offsets for all cards if not already set
         player.hand.forEach((card, index) => {
             if (cardHoverOffsets[index] === undefined) {
@@ -897,7 +964,7 @@ function renderPlayerHand(ctx, player, canvasWidth, y, cardWidth, cardHeight, pl
         
         const cardX = startX + (index * (cardWidth + cardSpacing));
         // Apply hover offset for this specific card
-        const cardOffset = (playerIndex === localPlayerIndex && cardHoverOffsets[index] !== undefined) 
+        const cardOffset = (isInteractive && cardHoverOffsets[index] !== undefined)
             ? cardHoverOffsets[index] 
             : 0;
         const cardY = y + cardOffset;
@@ -946,8 +1013,10 @@ function renderPlayerHand(ctx, player, canvasWidth, y, cardWidth, cardHeight, pl
         ctx.fillText(timerPart, startX + nameWidth, y - 10);
     } else {
         ctx.textAlign = 'center';
-        ctx.fillText(`${player.name} (${handSize} cards)`, canvasWidth / 2, y - 10);
+        ctx.fillText(player.eliminated ? `${player.name} (Forfeited)` : `${player.name} (${handSize} cards)`, canvasWidth / 2, y - 10);
     }
+    
+    recordPlayerLabel(playerIndex, canvasWidth / 2, y - 16, ctx.measureText(`${player.name} (${handSize} cards)`).width);
 }
 
 /**
@@ -1015,8 +1084,10 @@ function renderOpponentHand(ctx, player, canvasWidth, y, cardWidth, cardHeight,
         ctx.fillText(timerPart, startX + nameWidth, y + cardHeight + 20);
     } else {
         ctx.textAlign = 'center';
-        ctx.fillText(`${player.name} (${handSize} cards)`, canvasWidth / 2, y + cardHeight + 20);
+        ctx.fillText(player.eliminated ? `${player.name} (Forfeited)` : `${player.name} (${handSize} cards)`, canvasWidth / 2, y + cardHeight + 20);
     }
+    
+    recordPlayerLabel(playerIndex, canvasWidth / 2, y + cardHeight + 14, ctx.measureText(`${player.name} (${handSize} cards)`).width);
 }
 
 /**
@@ -1110,9 +1181,12 @@ function renderOpponentHandVertical(ctx, player, x, centerY, cardWidth, cardHeig
         ctx.fillText(timerPart, startX + nameWidth, 0);
     } else {
         ctx.textAlign = 'center';
-        ctx.fillText(`${player.name} (${handSize} cards)`, 0, 0);
+        ctx.fillText(player.eliminated ? `${player.name} (Forfeited)` : `${player.name} (${handSize} cards)`, 0, 0);
     }
     
+    const labelX = isLeftSide ? x + cardWidth + VERTICAL_NAME_SPACING : x - VERTICAL_NAME_SPACING;
+    recordPlayerLabel(playerIndex, labelX, centerY, ctx.measureText(`${player.name} (${handSize} cards)`).width, true);
+    
     ctx.restore();
 }
 
@@ -1156,6 +1230,21 @@ function renderCenterArea(ctx, centerX, centerY, cardWidth, cardHeight) {
             drawCard(ctx, gameState.topCard.color, gameState.topCard.value, discardPileX, y, cardWidth, cardHeight);
         }
     }
+    
+    // Stacked Draw 2/4 penalty waiting for the current player (stacking house rule)
+    if (gameState.pendingDraw > 0 && gameState.topCard) {
+        const fontSize = Math.max(14, Math.round(cardWidth * 0.3));
+        ctx.save();
+        ctx.fillStyle = '#ff5252';
+        ctx.strokeStyle = '#000000';
+        ctx.lineWidth = 3;
+        ctx.font = `bold ${fontSize}px Arial`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'bottom';
+        ctx.strokeText(`+${gameState.pendingDraw}`, discardPileX + cardWidth / 2, y - 6);
+        ctx.fillText(`+${gameState.pendingDraw}`, discardPileX + cardWidth / 2, y - 6);
+        ctx.restore();
+    }
 }
 
 /**
@@ -1183,6 +1272,10 @@ function renderColorIndicator(ctx, centerX, centerY) {
  * Render UNO button (positioned independently, below color indicator)
  */
 function renderUnoButton(ctx, centerX, centerY) {
+    if (spectatorMode) {
+        return;
+    }
+    
     if (unoButtonLoaded && unoButtonImage) {
         const buttonSize = getButtonSize();
         const unoButtonX = centerX + UNO_BUTTON_OFFSET_X - buttonSize / 2;
@@ -1242,6 +1335,69 @@ function renderEndTurnButton(ctx, centerX, centerY) {
     ctx.fillText('TURN', centerX + END_TURN_BUTTON_OFFSET_X, centerY + END_TURN_BUTTON_OFFSET_Y + fontSize / 2);
 }
 
+/**
+ * Render Wild Draw 4 accept / challenge buttons (shown to the player facing a challengeable Wild Draw 4)
+ */
+function renderChallengePrompt(ctx, centerX, centerY) {
+    const buttonSize = getButtonSize();
+    const fontSize = Math.max(9, Math.round(buttonSize * 0.17));
+    const buttons = [
+        { offsetY: ACCEPT_BUTTON_OFFSET_Y, fill: '#607D8B', stroke: '#37474F', lines: ['ACCEPT', `+${gameState.pendingDraw}`] },
+        { offsetY: CHALLENGE_BUTTON_OFFSET_Y, fill: '#E53935', stroke: '#B71C1C', lines: ['CHAL-', 'LENGE'] }
+    ];
+    
+    buttons.forEach(button => {
+        const buttonCenterX = centerX + CHALLENGE_BUTTON_OFFSET_X;
+        const buttonCenterY = centerY + button.offsetY;
+        const buttonX = buttonCenterX - buttonSize / 2;
+        const buttonY = buttonCenterY - buttonSize / 2;
+        
+        ctx.fillStyle = button.fill;
+        ctx.fillRect(buttonX, buttonY, buttonSize, buttonSize);
+        ctx.strokeStyle = button.stroke;
+        ctx.lineWidth = 2;
+        ctx.strokeRect(buttonX, buttonY, buttonSize, buttonSize);
+        
+        ctx.fillStyle = '#FFFFFF';
+        ctx.font = `bold ${fontSize}px Arial`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(button.lines[0], buttonCenterX, buttonCenterY - fontSize / 2);
+        ctx.fillText(button.lines[1], buttonCenterX, buttonCenterY + fontSize / 2);
+    });
+}
+
+/**
+ * Render the Wild Draw 4 challenge result banner (fades out)
+ */
+function renderChallengeResult(ctx, width, height) {
+    if (!challengeResult) {
+        return;
+    }
+    
+    const elapsed = Date.now() - challengeResult.startTime;
+    if (elapsed >= CHALLENGE_RESULT_DURATION) {
+        challengeResult = null;
+        return;
+    }
+    
+    const fadeStart = CHALLENGE_RESULT_DURATION - UNO_CALL_FADE_DURATION;
+    const alpha = elapsed > fadeStart ? 1 - (elapsed - fadeStart) / UNO_CALL_FADE_DURATION : 1;
+    const fontSize = Math.max(16, Math.round(width / 50));
+    
+    ctx.save();
+    ctx.globalAlpha = alpha;
+    ctx.font = `bold ${fontSize}px sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.strokeStyle = '#000000';
+    ctx.lineWidth = 4;
+    ctx.fillStyle = challengeResult.successful ? '#4CAF50' : '#ff5252';
+    ctx.strokeText(challengeResult.text, width / 2, height * 0.32);
+    ctx.fillText(challengeResult.text, width / 2, height * 0.32);
+    ctx.restore();
+}
+
 /**
  * Render return to lobby button (shown inside win message box)
  */
@@ -1283,7 +1439,8 @@ function renderGameInfo(ctx, width, height, cardWidth, cardHeight) {
     // Game status - show win message 2 seconds after game finishes
     if (gameState.status === 'finished' && gameState.winner !== null) {
         const winner = gameState.players[gameState.winner];
-        const isLocalPlayerWinner = gameState.winner === localPlayerIndex;
+        // Spectators see every seat's plays as opponent plays
+        const isLocalPlayerWinner = !spectatorMode && gameState.winner === localPlayerIndex;
         
         // Don't show win message if:
         // - Local player won and their play animation is still pending
@@ -1322,6 +1479,11 @@ function renderGameInfo(ctx, width, height, cardWidth, cardHeight) {
         }
     }
 
+    // Match mode: running scores and the result of the hand that just ended
+    if (gameState.rules && gameState.rules.targetScore > 0) {
+        renderMatchScores(ctx, width, height);
+    }
+    
     // Deck count
     ctx.fillStyle = '#ffffff';
     ctx.font = '12px sans-serif';
@@ -1331,6 +1493,49 @@ function renderGameInfo(ctx, width, height, cardWidth, cardHeight) {
     renderColorPicker(ctx);
 }
 
+/**
+ * Render match scores (top left) and the hand result between hands (match mode)
+ */
+function renderMatchScores(ctx, width, height) {
+    const scores = gameState.scores || [];
+    
+    ctx.save();
+    ctx.fillStyle = '#ffffff';
+    ctx.font = 'bold 14px sans-serif';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillText(`Hand ${gameState.round} · First to ${gameState.rules.targetScore}`, 20, 20);
+    
+    ctx.font = '13px sans-serif';
+    gameState.players.forEach((player, index) => {
+        const label = index === localPlayerIndex && !spectatorMode ? 'You' : player.name;
+        ctx.fillStyle = player.eliminated ? '#888888' : '#ffffff';
+        ctx.fillText(`${label}: ${scores[index] || 0}`, 20, 40 + index * 18);
+    });
+    
+    // Between hands: who won the hand and how many points it was worth
+    if (gameState.status === 'handFinished' && gameState.lastHand) {
+        const handWinner = gameState.players[gameState.lastHand.winnerIndex];
+        const fontSize = Math.max(18, Math.round(width / 45));
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.font = `bold ${fontSize}px sans-serif`;
+        ctx.strokeStyle = '#000000';
+        ctx.lineWidth = 4;
+        ctx.fillStyle = '#ffd54f';
+        const text = `${handWinner ? handWinner.name : 'Player'} wins hand ${gameState.lastHand.round} (+${gameState.lastHand.points})`;
+        ctx.strokeText(text, width / 2, height * 0.32);
+        ctx.fillText(text, width / 2, height * 0.32);
+        
+        ctx.font = `${Math.round(fontSize * 0.6)}px sans-serif`;
+        ctx.lineWidth = 3;
+        ctx.fillStyle = '#ffffff';
+        ctx.strokeText('Next hand starting soon...', width / 2, height * 0.32 + fontSize);
+        ctx.fillText('Next hand starting soon...', width / 2, height * 0.32 + fontSize);
+    }
+    ctx.restore();
+}
+
 /**
  * Render color picker for wild card selection
  */
@@ -0,0 +1,79 @@
+/**
+ * Spectator Panel
+ * Lists who is watching the current game, and lets spectators stop watching
+ */
+
+// UI Elements
+const spectatorPanel = document.getElementById('spectatorPanel');
+const spectatorCount = document.getElementById('spectatorCount');
+const spectatorDelay = document.getElementById('spectatorDelay');
+const spectatorList = document.getElementById('spectatorList');
+const leaveSpectateBtn = document.getElementById('leaveSpectateBtn');
+
+let isSpectator = false;
+let spectators = [];
+
+/**
+ * Initialize the panel
+ * @param {Function} onLeave - Called when a spectator clicks "Stop watching"
+ */
+export function initSpectatorPanel(onLeave) {
+    leaveSpectateBtn.addEventListener('click', onLeave);
+}
+
+/**
+ * Reset the panel for a new game
+ * @param {boolean} spectating - True if the local user is watching rather than playing
+ * @param {number} delay - Seconds the spectator broadcast runs behind the game (0 = live)
+ */
+export function resetSpectatorPanel(spectating, delay = 0) {
+    isSpectator = spectating;
+    spectators = [];
+    leaveSpectateBtn.style.display = spectating ? 'block' : 'none';
+    spectatorDelay.textContent = `Broadcast delayed ${delay}s`;
+    spectatorDelay.style.display = spectating && delay > 0 ? 'block' : 'none';
+    renderSpectatorPanel();
+}
+
+/**
+ * Update the spectator list
+ * @param {Array<Object>} list - [{ name }]
+ */
+export function updateSpectatorList(list) {
+    spectators = Array.isArray(list) ? list : [];
+    renderSpectatorPanel();
+}
+
+/**
+ * Hide the panel (back to the lobby)
+ */
+export function hideSpectatorPanel() {
+    isSpectator = false;
+    spectators = [];
+    spectatorPanel.style.display = 'none';
+}
+
+/**
+ * Render the panel - players only see it while someone is watching
+ */
+function renderSpectatorPanel() {
+    if (!isSpectator && spectators.length === 0) {
+        spectatorPanel.style.display = 'none';
+        return;
+    }
+    
+    spectatorCount.textContent = `${spectators.length} watching`;
+    spectatorList.innerHTML = spectators
+        .map(spectator => `<div class="spectator-list-item">${escapeHtml(spectator.name)}</div>`)
+        .join('');
+    spectatorPanel.style.display = 'block';
+}
+
+/**
+ * Escape HTML to prevent XSS
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
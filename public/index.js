@@ -1,11 +1,16 @@
 import { initCanvas } from './game/canvas.js';
 import { loadCardSpritesheet } from './game/cards.js';
 import { loadColorImages, loadUnoButton, loadAnimationImages, loadWinMessageBox } from './game/renderer.js';
-import { startGameFromServer, handleTurnStart, handleTurnTimeout, handlePlayerDisconnected } from './game/gameManager.js';
-import { initSocket, setCallbacks, leaveLobby } from './client/socketClient.js';
-import { initLobby, getLobbyCallbacks, hideLobby, showLobby } from './lobby/lobby.js';
-import { initRecentWins, hideRecentWins, showRecentWins } from './lobby/recentWins.js';
+import { startGameFromServer, startSpectatingFromServer, stopGame, handleTurnStart, handleTurnTimeout, handlePlayerDisconnected, handleDrawFourChallenged } from './game/gameManager.js';
+import { initSpectatorPanel, resetSpectatorPanel, updateSpectatorList, hideSpectatorPanel } from './game/spectatorPanel.js';
+import { initSocket, setCallbacks, leaveLobby, leaveSpectate } from './client/socketClient.js';
+import { initLobby, getLobbyCallbacks, hideLobby, showLobby, showMessage } from './lobby/lobby.js';
+import { initRecentWins, getRecentWinsCallbacks, hideRecentWins, showRecentWins } from './lobby/recentWins.js';
+import { initPrivateTables } from './lobby/privateTable.js';
+import { initLeaderboard } from './lobby/leaderboard.js';
+import { initMatchmaking, getMatchmakingCallbacks } from './lobby/matchmaking.js';
 import { initChat, getChatCallbacks, setChatMode } from './chat/chat.js';
+import { initProfile } from './profile/profile.js';
 import { initWallet, connectWallet, disconnectWallet, showUsernameModalPublic, getCurrentUser, isWalletConnected } from './wallet/wallet.js';
 
 // UI Elements
@@ -16,6 +21,7 @@ const loadingText = document.getElementById('loadingText');
 
 let assetsLoaded = false;
 let gameStarted = false;
+let spectating = false; // Watching a game rather than playing in it
 
 // Initialize when page loads
 window.addEventListener('DOMContentLoaded', async () => {
@@ -49,15 +55,32 @@ window.addEventListener('DOMContentLoaded', async () => {
     // Initialize chat
     initChat();
     
+    // Initialize player profiles (opened from avatars and in-game names)
+    initProfile();
+    
     // Initialize lobby
     initLobby();
     
-    // Initialize recent wins
+    // Initialize recent wins (first page - new wins are pushed over the socket)
     initRecentWins();
     
+    // Initialize private tables (accepts an invite link the page was opened with)
+    initPrivateTables();
+    
+    // Initialize quick match (matchmaking queue)
+    initMatchmaking();
+    
+    // Initialize leaderboards (sidebar)
+    initLeaderboard();
+    
+    // Initialize spectator panel ("Stop watching" goes back to the lobby)
+    initSpectatorPanel(() => window.returnToLobby());
+    
     // Get lobby and chat callbacks BEFORE initializing socket
     const lobbyCallbacks = getLobbyCallbacks();
     const chatCallbacks = getChatCallbacks();
+    const matchmakingCallbacks = getMatchmakingCallbacks();
+    const recentWinsCallbacks = getRecentWinsCallbacks();
     
     // Set up socket callbacks BEFORE initializing socket
     // This ensures callbacks are ready when socket connects
@@ -65,40 +88,25 @@ window.addEventListener('DOMContentLoaded', async () => {
         onLobbyList: lobbyCallbacks.onLobbyList,
         ...lobbyCallbacks,
         ...chatCallbacks,
+        ...matchmakingCallbacks,
+        ...recentWinsCallbacks,
         onChatHistory: chatCallbacks.onChatHistory,
         onGameCountdown: lobbyCallbacks.onGameCountdown,
         onPaymentRefunded: lobbyCallbacks.onPaymentRefunded,
         onRefundError: lobbyCallbacks.onRefundError,
+        onRatingUpdated: lobbyCallbacks.onRatingUpdated,
         onGameStart: async (data) => {
             lobbyCallbacks.onGameStart();
             
-            // Wait for assets if not loaded
-            if (!assetsLoaded) {
-                await loadGameAssets();
-            }
-            
-            // Switch to game view
-            hideLobby();
-            hideRecentWins();
-            gameContainer.style.display = 'flex';
-            
-            // Initialize canvas if not already done
-            if (!gameStarted) {
-                initCanvas();
-                gameStarted = true;
-            }
+            await showGameView();
+            spectating = false;
+            resetSpectatorPanel(false);
             
             // Start game with server state
             // Check if this is a reconnection (skip animations if so)
             const isReconnection = data.reconnected === true;
             startGameFromServer(data.gameState, data.playerIndex, isReconnection);
             
-            // Store player name for reconnection (if reconnected, data.reconnected will be true)
-            if (data.gameState && data.gameState.players && data.gameState.players[data.playerIndex]) {
-                const playerName = data.gameState.players[data.playerIndex].name;
-                localStorage.setItem('unoPlayerName', playerName);
-            }
-            
             // Switch to lobby chat when game starts
             const lobbyId = data.gameState?.lobbyId || null;
             setChatMode('lobby', lobbyId);
@@ -118,8 +126,34 @@ window.addEventListener('DOMContentLoaded', async () => {
         onTurnTimeout: (data) => {
             handleTurnTimeout(data);
         },
+        onDrawFourChallenged: (data) => {
+            handleDrawFourChallenged(data);
+        },
         onPlayerDisconnected: (data) => {
             handlePlayerDisconnected(data);
+        },
+        onSpectateStart: async (data) => {
+            await showGameView();
+            spectating = true;
+            resetSpectatorPanel(true, data.delay || 0);
+            updateSpectatorList(data.spectators);
+            
+            // Read-only view of the game, with its own chat channel
+            startSpectatingFromServer(data.gameState);
+            setChatMode('spectator', data.gameId);
+        },
+        onSpectateError: (error) => {
+            showMessage(error.message || 'Unable to watch this game', 'error');
+        },
+        onSpectateEnded: (data) => {
+            // Finished games keep the win message up - spectators leave with its button
+            if (spectating && data.status !== 'finished') {
+                window.returnToLobby();
+                showMessage('The game you were watching has ended', 'info');
+            }
+        },
+        onSpectatorsUpdate: (data) => {
+            updateSpectatorList(data.spectators);
         }
     });
     
@@ -139,11 +173,15 @@ window.addEventListener('DOMContentLoaded', async () => {
     
     // Make returnToLobby function globally accessible for game input handler
     window.returnToLobby = () => {
-        // Leave the current game/lobby
-        leaveLobby();
-        
-        // Clear stored player name (no longer in game)
-        localStorage.removeItem('unoPlayerName');
+        // Leave the current game/lobby (or stop watching)
+        if (spectating) {
+            leaveSpectate();
+            stopGame();
+            spectating = false;
+        } else {
+            leaveLobby();
+        }
+        hideSpectatorPanel();
         
         // Switch back to all chat
         setChatMode('all');
@@ -155,6 +193,27 @@ window.addEventListener('DOMContentLoaded', async () => {
     };
 });
 
+/**
+ * Switch from the lobby to the game canvas (playing or spectating)
+ */
+async function showGameView() {
+    // Wait for assets if not loaded
+    if (!assetsLoaded) {
+        await loadGameAssets();
+    }
+    
+    // Switch to game view
+    hideLobby();
+    hideRecentWins();
+    gameContainer.style.display = 'flex';
+    
+    // Initialize canvas if not already done
+    if (!gameStarted) {
+        initCanvas();
+        gameStarted = true;
+    }
+}
+
 /**
  * Initialize wallet UI
  */
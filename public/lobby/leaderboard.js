@@ -0,0 +1,157 @@
+/**
+ * Leaderboards
+ * Top players by net profit, wins or win rate, over a time window and optionally one game mode
+ * and stake tier. Opened from the sidebar; clicking a player opens their profile.
+ */
+
+import { getPfpUrl } from '../utils/pfpLoader.js';
+import { openProfile } from '../profile/profile.js';
+
+// UI Elements
+const leaderboardBtn = document.getElementById('leaderboardBtn');
+const leaderboardModal = document.getElementById('leaderboardModal');
+const closeLeaderboard = document.getElementById('closeLeaderboard');
+const leaderboardTabs = document.getElementById('leaderboardTabs');
+const leaderboardWindow = document.getElementById('leaderboardWindow');
+const leaderboardMode = document.getElementById('leaderboardMode');
+const leaderboardStakeTier = document.getElementById('leaderboardStakeTier');
+const leaderboardNote = document.getElementById('leaderboardNote');
+const leaderboardList = document.getElementById('leaderboardList');
+const leaderboardError = document.getElementById('leaderboardError');
+
+let currentBoard = 'profit';
+let requestId = 0; // Ignore responses for filters that were changed while loading
+
+/**
+ * Value shown for an entry on the current board
+ */
+function formatValue(entry) {
+    if (currentBoard === 'wins') {
+        return `${entry.wins} ${entry.wins === 1 ? 'win' : 'wins'}`;
+    }
+    if (currentBoard === 'winrate') {
+        return `${entry.winRate.toFixed(1)}%`;
+    }
+    const sign = entry.profit > 0 ? '+' : '';
+    return `${sign}${entry.profit.toFixed(4)} SOL`;
+}
+
+/**
+ * Create a row for one player
+ */
+function createRow(entry) {
+    const row = document.createElement('li');
+    row.className = 'leaderboard-row';
+    row.dataset.wallet = entry.wallet;
+    
+    const rank = document.createElement('span');
+    rank.className = `leaderboard-rank${entry.rank <= 3 ? ` top-${entry.rank}` : ''}`;
+    rank.textContent = entry.rank;
+    
+    const avatar = document.createElement('img');
+    avatar.className = 'leaderboard-avatar';
+    avatar.src = getPfpUrl({ pfpUrl: entry.pfpUrl });
+    avatar.alt = '';
+    avatar.onerror = () => { avatar.src = '/pfp/default.jpg'; };
+    
+    const name = document.createElement('span');
+    name.className = 'leaderboard-name';
+    name.textContent = entry.username;
+    
+    const rating = document.createElement('span');
+    rating.className = 'leaderboard-rating';
+    rating.textContent = entry.rating;
+    rating.title = 'Rating';
+    
+    const games = document.createElement('span');
+    games.className = 'leaderboard-games';
+    games.textContent = `${entry.wins}/${entry.games}`;
+    games.title = `${entry.wins} wins in ${entry.games} games`;
+    
+    const value = document.createElement('span');
+    value.className = 'leaderboard-value';
+    if (currentBoard === 'profit') {
+        value.classList.add(entry.profit >= 0 ? 'positive' : 'negative');
+    }
+    value.textContent = formatValue(entry);
+    
+    row.append(rank, avatar, name, rating, games, value);
+    return row;
+}
+
+/**
+ * Load the selected board
+ */
+async function loadLeaderboard() {
+    const id = ++requestId;
+    const params = new URLSearchParams({ board: currentBoard, window: leaderboardWindow.value });
+    if (leaderboardMode.value) params.set('gameMode', leaderboardMode.value);
+    if (leaderboardStakeTier.value) params.set('stakeTier', leaderboardStakeTier.value);
+    
+    leaderboardError.textContent = '';
+    leaderboardList.innerHTML = '<li class="leaderboard-empty">Loading...</li>';
+    
+    try {
+        const response = await fetch(`/api/leaderboards?${params}`);
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to load leaderboard');
+        }
+        
+        if (id !== requestId) {
+            return;
+        }
+        
+        leaderboardNote.textContent = data.minGames > 1 ? `Minimum ${data.minGames} games` : '';
+        leaderboardList.innerHTML = '';
+        if (data.entries.length === 0) {
+            leaderboardList.innerHTML = '<li class="leaderboard-empty">No staked matches in this period</li>';
+        }
+        data.entries.forEach(entry => leaderboardList.appendChild(createRow(entry)));
+    } catch (error) {
+        if (id === requestId) {
+            leaderboardList.innerHTML = '';
+            leaderboardError.textContent = error.message || 'Failed to load leaderboard';
+        }
+    }
+}
+
+/**
+ * Initialize the leaderboard view
+ */
+export function initLeaderboard() {
+    leaderboardBtn.addEventListener('click', () => {
+        leaderboardModal.style.display = 'block';
+        loadLeaderboard();
+    });
+    
+    closeLeaderboard.addEventListener('click', () => {
+        leaderboardModal.style.display = 'none';
+    });
+    leaderboardModal.addEventListener('click', (event) => {
+        if (event.target === leaderboardModal) {
+            leaderboardModal.style.display = 'none';
+        }
+    });
+    
+    leaderboardTabs.addEventListener('click', (event) => {
+        const tab = event.target.closest('.leaderboard-tab');
+        if (!tab || tab.dataset.board === currentBoard) {
+            return;
+        }
+        leaderboardTabs.querySelectorAll('.leaderboard-tab').forEach(el => el.classList.toggle('active', el === tab));
+        currentBoard = tab.dataset.board;
+        loadLeaderboard();
+    });
+    
+    [leaderboardWindow, leaderboardMode, leaderboardStakeTier].forEach(select => {
+        select.addEventListener('change', loadLeaderboard);
+    });
+    
+    leaderboardList.addEventListener('click', (event) => {
+        const row = event.target.closest('.leaderboard-row');
+        if (row) {
+            openProfile(row.dataset.wallet);
+        }
+    });
+}
@@ -1,9 +1,11 @@
-import { joinLobby, leaveLobby, getSocket } from '../client/socketClient.js';
+import { joinLobby, leaveLobby, getSocket, spectateGame } from '../client/socketClient.js';
 import { setChatMode } from '../chat/chat.js';
 import { getCurrentUser, isWalletConnected } from '../wallet/wallet.js';
 import { requestChatHistory } from '../client/socketClient.js';
 import { processPayment } from '../payment/paymentService.js';
 import { getPfpUrl, loadPfp } from '../utils/pfpLoader.js';
+import { createClientSeed } from '../utils/clientSeed.js';
+import { openProfile } from '../profile/profile.js';
 
 // UI Elements
 const lobbyContainer = document.getElementById('lobbyContainer');
@@ -12,6 +14,11 @@ const lobbyTableBody = document.getElementById('lobbyTableBody');
 const currentLobbyView = document.getElementById('currentLobbyView');
 const currentLobbyName = document.getElementById('currentLobbyName');
 const currentLobbyStake = document.getElementById('currentLobbyStake');
+const currentLobbyRules = document.getElementById('currentLobbyRules');
+const currentLobbySeedHash = document.getElementById('currentLobbySeedHash');
+const currentLobbyInviteItem = document.getElementById('currentLobbyInviteItem');
+const currentLobbyInvite = document.getElementById('currentLobbyInvite');
+const copyLobbyInviteBtn = document.getElementById('copyLobbyInviteBtn');
 const currentLobbyCount = document.getElementById('currentLobbyCount');
 const currentLobbyStatus = document.getElementById('currentLobbyStatus');
 const lobbyPlayers = document.getElementById('lobbyPlayers');
@@ -34,7 +41,7 @@ function updateLobbyForWalletConnection() {
         }
     } else {
         if (lobbyStatusText) {
-            lobbyStatusText.textContent = 'Please connect your wallet to join lobbies.';
+            lobbyStatusText.textContent = 'Connect your wallet to play for SOL, or join a free practice lobby.';
         }
     }
     
@@ -62,6 +69,24 @@ export function initLobby() {
         }
     });
     
+    // Clicking a seated player's avatar opens their profile
+    lobbyPlayers.addEventListener('click', (e) => {
+        const avatar = e.target.closest('.player-card-avatar[data-wallet]');
+        if (avatar) {
+            openProfile(avatar.dataset.wallet);
+        }
+    });
+    
+    // Copy the current private table's invite link
+    copyLobbyInviteBtn.addEventListener('click', () => {
+        const lobby = allLobbies.find(l => l.id === currentLobbyId);
+        if (lobby && lobby.inviteCode) {
+            navigator.clipboard.writeText(`${window.location.origin}/?invite=${lobby.inviteCode}`)
+                .then(() => showMessage('Invite link copied', 'success'))
+                .catch(() => showMessage(`Invite code: ${lobby.inviteCode}`, 'info'));
+        }
+    });
+    
     // Initialize lobby table display
     lobbyTableBody.innerHTML = '<tr><td colspan="6" style="text-align: center; color: #888; padding: 20px;">Loading lobbies...</td></tr>';
     
@@ -91,22 +116,9 @@ function checkForReconnection() {
         return;
     }
     
-    // Check for reconnection to active game (using wallet if available)
+    // Check for reconnection to active game (server matches the socket's signed-in wallet)
     if (isWalletConnected()) {
-        const user = getCurrentUser();
-        if (user && user.username) {
-            socket.emit('check_reconnection', { 
-                playerName: user.username,
-                wallet: user.wallet 
-            });
-            return;
-        }
-    }
-    
-    // Fallback to old localStorage method for backward compatibility
-    const storedPlayerName = localStorage.getItem('unoPlayerName');
-    if (storedPlayerName) {
-        socket.emit('check_reconnection', { playerName: storedPlayerName });
+        socket.emit('check_reconnection');
     }
 }
 
@@ -132,7 +144,7 @@ export function getLobbyCallbacks() {
                 // Request chat history when connected
                 requestChatHistory('all', null);
             } else {
-                lobbyStatusText.textContent = 'Please connect your wallet to join lobbies.';
+                lobbyStatusText.textContent = 'Connect your wallet to play for SOL, or join a free practice lobby.';
                 showMessage('Connect your wallet to play', 'info');
             }
         },
@@ -147,13 +159,19 @@ export function getLobbyCallbacks() {
             } else {
                 // Update lobby list but keep current lobby view
                 renderLobbyList(lobbies);
+                
+                // Refresh seat statuses (e.g. a player reconnecting)
+                const currentLobby = lobbies.find(l => l.id === currentLobbyId);
+                if (currentLobby && currentLobby.status !== 'in-game') {
+                    updateCurrentLobby(currentLobby);
+                }
             }
         },
         onLobbyJoined: (lobby) => {
             currentLobbyId = lobby.id;
             showCurrentLobby(lobby);
             setChatMode('lobby', lobby.id);
-            showMessage(`Joined ${lobby.name}`, 'success');
+            showMessage(lobby.reconnected ? `Reconnected to ${lobby.name}` : `Joined ${lobby.name}`, 'success');
         },
         onPlayerJoined: (lobby) => {
             if (currentLobbyId === lobby.id) {
@@ -187,10 +205,31 @@ export function getLobbyCallbacks() {
             showMessage('Game starting!', 'success');
         },
         onPaymentRefunded: (data) => {
-            showMessage(`Refunded ${data.amount.toFixed(2)} SOL. Transaction: ${data.signature.substring(0, 8)}...`, 'success');
+            if (data.reason === 'game_abandoned') {
+                // Every remaining player left the game
+                showMessage(`Your game was abandoned by all players. Refunded ${data.amount.toFixed(4)} SOL. Transaction: ${data.signature.substring(0, 8)}...`, 'success');
+            } else if (data.reason === 'seat_expired') {
+                // Seat expired while the player was disconnected
+                showMessage(`Your lobby seat expired while you were away. Refunded ${data.amount.toFixed(2)} SOL. Transaction: ${data.signature.substring(0, 8)}...`, 'success');
+            } else {
+                showMessage(`Refunded ${data.amount.toFixed(2)} SOL. Transaction: ${data.signature.substring(0, 8)}...`, 'success');
+            }
         },
         onRefundError: (data) => {
-            showMessage(`Refund error: ${data.error}`, 'error');
+            if (data.willRetry) {
+                showMessage('Your refund is delayed and will be retried automatically.', 'info');
+            } else {
+                showMessage(`Refund error: ${data.error}`, 'error');
+            }
+        },
+        onRatingUpdated: (data) => {
+            showMessage(`Rating ${data.rating} (${data.change >= 0 ? '+' : ''}${data.change})`, 'info');
+        },
+        onLobbyExpired: (data) => {
+            if (currentLobbyId === data.lobbyId) {
+                showLobbyList();
+                showMessage('Your private table closed before it filled. Your stake is being refunded.', 'info');
+            }
         }
     };
 }
@@ -206,7 +245,9 @@ function renderLobbyList(lobbies) {
         return;
     }
     
-    lobbies.forEach(lobby => {
+    // Private tables the player was invited to go first
+    const sortedLobbies = [...lobbies].sort((a, b) => (b.private ? 1 : 0) - (a.private ? 1 : 0));
+    sortedLobbies.forEach(lobby => {
         const row = createLobbyTableRow(lobby);
         lobbyTableBody.appendChild(row);
     });
@@ -216,8 +257,11 @@ function renderLobbyList(lobbies) {
  * Create a lobby table row element
  */
 function createLobbyTableRow(lobby) {
+    // Games in progress can be watched by anyone (no wallet needed)
+    const canWatch = lobby.status === 'in-game' && !!lobby.gameId;
+    
     const row = document.createElement('tr');
-    row.className = `lobby-row ${lobby.status === 'full' ? 'full' : lobby.status === 'in-game' ? 'in-game' : ''}`;
+    row.className = `lobby-row ${lobby.status === 'full' ? 'full' : lobby.status === 'in-game' ? 'in-game' : ''}${canWatch ? ' watchable' : ''}`;
     row.dataset.lobbyId = lobby.id; // Store lobby ID for reference
     
     const statusText = lobby.status === 'full' ? 'Full' : 
@@ -225,15 +269,43 @@ function createLobbyTableRow(lobby) {
                       'Waiting';
     
     const isJoinable = lobby.status === 'waiting' && lobby.playerCount < lobby.maxPlayers;
-    const walletConnected = isWalletConnected();
-    const canJoin = isJoinable && walletConnected;
+    // Practice lobbies are free - no wallet needed
+    const needsWallet = !lobby.practice && !isWalletConnected();
+    const canJoin = isJoinable && !needsWallet;
+    
+    // House-rule lobbies get a badge listing the rules that differ from official UNO
+    const ruleSet = lobby.ruleSet;
+    const ruleSetBadge = ruleSet && ruleSet.id !== 'official'
+        ? `<span class="lobby-rules-badge" title="${ruleSet.labels.join(', ')}">${ruleSet.name}</span>`
+        : '';
+    
+    // Staked games are broadcast to spectators on a delay
+    const delayBadge = lobby.spectatorDelay > 0
+        ? `<span class="lobby-delay-badge" title="Spectators watch this game ${lobby.spectatorDelay} seconds behind"><i class="fas fa-clock"></i> ${lobby.spectatorDelay}s</span>`
+        : '';
+    
+    // Private tables close if they don't fill in time
+    const privateBadge = lobby.private
+        ? `<span class="lobby-private-badge" title="Invite-only - closes at ${new Date(lobby.expiresAt).toLocaleTimeString()} if not full"><i class="fas fa-lock"></i> ${lobby.inviteCode}</span>`
+        : '';
+    
+    // Practice lobbies say who you play against
+    const practiceBadge = lobby.practice
+        ? `<span class="lobby-practice-badge">${lobby.botDifficulty ? `vs ${lobby.botDifficulty} bots` : 'Practice'}</span>`
+        : '';
     
     row.innerHTML = `
         <td class="lobby-name-cell">
             <span class="lobby-name">${lobby.name}</span>
+            ${privateBadge}
+            ${practiceBadge}
+            ${ruleSetBadge}
+            ${delayBadge}
         </td>
         <td class="lobby-stake-cell">
-            <span class="lobby-stake">${lobby.solStake.toFixed(2)} <span class="sol-symbol">SOL</span></span>
+            ${lobby.practice
+                ? '<span class="lobby-stake free">Free</span>'
+                : `<span class="lobby-stake">${lobby.solStake.toFixed(2)} <span class="sol-symbol">SOL</span></span>`}
         </td>
         <td class="lobby-mode-cell">
             <span class="lobby-mode">
@@ -248,8 +320,9 @@ function createLobbyTableRow(lobby) {
             <span class="lobby-status-badge ${lobby.status}">${statusText}</span>
         </td>
         <td class="lobby-action-cell">
-            <button class="lobby-join-btn" ${!canJoin ? 'disabled' : ''}>
-                ${!walletConnected ? 'Connect Wallet' : 
+            <button class="lobby-join-btn${canWatch ? ' watch' : ''}" ${!canJoin && !canWatch ? 'disabled' : ''}>
+                ${canWatch ? '<i class="fas fa-eye"></i> Watch' :
+                  needsWallet ? 'Connect Wallet' :
                   isJoinable ? 'Join' : 
                   (lobby.status === 'in-game' ? 'Watching' : statusText)}
             </button>
@@ -263,7 +336,16 @@ function createLobbyTableRow(lobby) {
             e.stopPropagation();
             joinLobbyById(lobby.id);
         });
-    } else if (isJoinable && !walletConnected) {
+    } else if (canWatch) {
+        joinBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (currentLobbyId) {
+                showMessage('Leave your lobby before watching a game', 'error');
+                return;
+            }
+            spectateGame(lobby.gameId);
+        });
+    } else if (isJoinable && needsWallet) {
         // If joinable but wallet not connected, trigger wallet connection
         joinBtn.addEventListener('click', (e) => {
             e.stopPropagation();
@@ -290,8 +372,27 @@ function createLobbyTableRow(lobby) {
 
 /**
  * Join a lobby by ID
+ * @param {string} lobbyId - Lobby ID
+ * @param {Object} [lobbyInfo] - Lobby details for a lobby that isn't listed (a found match)
  */
-async function joinLobbyById(lobbyId) {
+export async function joinLobbyById(lobbyId, lobbyInfo = null) {
+    const lobby = lobbyInfo || allLobbies.find(l => l.id === lobbyId);
+    
+    // Practice lobbies skip the payment (guests get a name from the server)
+    if (lobby && lobby.practice) {
+        const socket = getSocket();
+        if (socket) {
+            const user = getCurrentUser();
+            showMessage('Joining practice lobby...', 'info');
+            socket.emit('join_lobby', {
+                playerName: user ? user.username : null,
+                lobbyId,
+                clientSeed: createClientSeed()
+            });
+        }
+        return;
+    }
+    
     // Check if wallet is connected
     if (!isWalletConnected()) {
         showMessage('Please connect your wallet to join a lobby', 'error');
@@ -310,8 +411,7 @@ async function joinLobbyById(lobbyId) {
         return;
     }
     
-    // Find the lobby to get SOL amount for display
-    const lobby = allLobbies.find(l => l.id === lobbyId);
+    // SOL amount for display
     const solAmount = lobby ? lobby.solStake : 0;
     
     // Show loading state
@@ -344,11 +444,12 @@ async function joinLobbyById(lobbyId) {
         
         const socket = getSocket();
         if (socket) {
+            // Our contribution to the provably fair shuffle (the lobby already committed to its seed hash)
             socket.emit('join_lobby', { 
                 playerName: user.username,
-                wallet: connectedWallet,
                 lobbyId,
-                paymentSignature
+                paymentSignature,
+                clientSeed: createClientSeed()
             });
         }
     } catch (error) {
@@ -399,13 +500,37 @@ export function showLobbyList() {
     }
 }
 
+/**
+ * Go back to the lobby list if the player is in a lobby the server closed
+ * @param {string} lobbyId - Closed lobby ID
+ */
+export function closeLobbyView(lobbyId) {
+    if (currentLobbyId === lobbyId) {
+        showLobbyList();
+    }
+}
+
 /**
  * Update current lobby display
  */
 function updateCurrentLobby(lobby) {
     currentLobbyName.textContent = lobby.name;
-    currentLobbyStake.textContent = `${lobby.solStake.toFixed(2)} SOL`;
+    currentLobbyStake.textContent = lobby.practice ? 'Free' : `${lobby.solStake.toFixed(2)} SOL`;
     currentLobbyCount.textContent = `${lobby.playerCount}/${lobby.maxPlayers}`;
+    if (currentLobbyRules) {
+        const ruleSet = lobby.ruleSet;
+        currentLobbyRules.textContent = ruleSet ? ruleSet.name : 'Official';
+        currentLobbyRules.title = ruleSet && ruleSet.labels.length > 0 ? ruleSet.labels.join(', ') : '';
+    }
+    if (currentLobbySeedHash) {
+        currentLobbySeedHash.textContent = lobby.serverSeedHash ? `${lobby.serverSeedHash.substring(0, 12)}...` : '-';
+        currentLobbySeedHash.title = lobby.serverSeedHash ? `SHA-256 of the server seed, revealed when the game ends: ${lobby.serverSeedHash}` : '';
+    }
+    
+    if (currentLobbyInviteItem) {
+        currentLobbyInviteItem.style.display = lobby.private ? '' : 'none';
+        currentLobbyInvite.textContent = lobby.inviteCode || '-';
+    }
     
     // Update player slots
     updatePlayerSlots(lobby.maxPlayers);
@@ -427,7 +552,7 @@ function updateCurrentLobby(lobby) {
                 // Replace placeholder with actual avatar image
                 if (avatarContainer) {
                     avatarContainer.innerHTML = `
-                        <img class="player-card-avatar" src="${pfpUrl}" alt="${playerName}'s avatar" onerror="this.src='/pfp/default.jpg'">
+                        <img class="player-card-avatar" src="${pfpUrl}" alt="${playerName}'s avatar"${player.wallet ? ` data-wallet="${player.wallet}"` : ''} onerror="this.src='/pfp/default.jpg'">
                     `;
                 }
                 
@@ -435,13 +560,29 @@ function updateCurrentLobby(lobby) {
                 const nameElement = cardElement.querySelector('.player-card-name');
                 if (nameElement) {
                     nameElement.textContent = playerName;
+                    if (typeof player.rating === 'number') {
+                        const ratingElement = document.createElement('span');
+                        ratingElement.className = 'player-card-rating';
+                        ratingElement.textContent = player.rating;
+                        ratingElement.title = 'Rating';
+                        nameElement.appendChild(ratingElement);
+                    }
                 }
                 
                 // Update status
                 const statusElement = cardElement.querySelector('.player-card-status');
                 if (statusElement) {
-                    statusElement.textContent = 'Ready';
-                    statusElement.className = 'player-card-status ready';
+                    if (player.disconnected) {
+                        // Seat is held while the player reconnects
+                        statusElement.textContent = 'Reconnecting...';
+                        statusElement.className = 'player-card-status disconnected';
+                    } else if (player.bot) {
+                        statusElement.textContent = 'Bot';
+                        statusElement.className = 'player-card-status ready';
+                    } else {
+                        statusElement.textContent = 'Ready';
+                        statusElement.className = 'player-card-status ready';
+                    }
                 }
                 
                 // Load and cache pfp in background
@@ -481,7 +622,8 @@ function updateCurrentLobby(lobby) {
         if (lobby.playerCount === lobby.maxPlayers) {
             currentLobbyStatus.textContent = 'Lobby full! Game starting soon...';
         } else if (lobby.playerCount > 0) {
-            currentLobbyStatus.textContent = `Waiting for ${lobby.maxPlayers - lobby.playerCount} more player${lobby.maxPlayers - lobby.playerCount > 1 ? 's' : ''}...`;
+            // Matchmaking lobbies wait for the other matched players to pay
+            currentLobbyStatus.textContent = `Waiting for ${lobby.maxPlayers - lobby.playerCount} more player${lobby.maxPlayers - lobby.playerCount > 1 ? 's' : ''}${lobby.matchmaking ? ' to confirm' : ''}...`;
         } else {
             currentLobbyStatus.textContent = 'Waiting for players...';
         }
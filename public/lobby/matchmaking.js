@@ -0,0 +1,183 @@
+/**
+ * Quick Match
+ * Queue for a player count and stake instead of picking a lobby. The server pairs players of a
+ * similar rating (widening the search the longer they wait) and asks everyone to confirm - confirming
+ * pays for the seat. If someone doesn't confirm, everyone who paid is refunded and put back in the queue.
+ */
+
+import { joinQueue, leaveQueue, declineMatch } from '../client/socketClient.js';
+import { getCurrentUser, isWalletConnected } from '../wallet/wallet.js';
+import { showMessage, joinLobbyById, closeLobbyView } from './lobby.js';
+
+// UI Elements
+const quickMatchForm = document.getElementById('quickMatchForm');
+const quickMatchMode = document.getElementById('quickMatchMode');
+const quickMatchStake = document.getElementById('quickMatchStake');
+const findMatchBtn = document.getElementById('findMatchBtn');
+const quickMatchSearching = document.getElementById('quickMatchSearching');
+const quickMatchStatus = document.getElementById('quickMatchStatus');
+const cancelMatchSearchBtn = document.getElementById('cancelMatchSearchBtn');
+const matchFoundModal = document.getElementById('matchFoundModal');
+const matchFoundSummary = document.getElementById('matchFoundSummary');
+const matchFoundPlayers = document.getElementById('matchFoundPlayers');
+const matchFoundCountdown = document.getElementById('matchFoundCountdown');
+const confirmMatchBtn = document.getElementById('confirmMatchBtn');
+const declineMatchBtn = document.getElementById('declineMatchBtn');
+
+let foundMatch = null; // { lobbyId, gameMode, solStake, players, confirmBy } while waiting for confirmation
+let countdownTimer = null;
+
+/**
+ * Format milliseconds as m:ss
+ */
+function formatDuration(ms) {
+    const totalSeconds = Math.max(0, Math.round(ms / 1000));
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Switch between the queue form and the searching status
+ */
+function showSearching(searching) {
+    quickMatchForm.style.display = searching ? 'none' : 'flex';
+    quickMatchSearching.style.display = searching ? 'flex' : 'none';
+    findMatchBtn.disabled = false;
+}
+
+/**
+ * Join the queue with the chosen player count and stake
+ */
+function findMatch() {
+    if (!isWalletConnected()) {
+        showMessage('Please connect your wallet to find a match', 'error');
+        const walletBtn = document.getElementById('connectWalletBtn');
+        if (walletBtn) {
+            walletBtn.click();
+        }
+        return;
+    }
+    
+    const user = getCurrentUser();
+    findMatchBtn.disabled = true;
+    joinQueue(user ? user.username : null, parseInt(quickMatchMode.value, 10), parseFloat(quickMatchStake.value));
+}
+
+/**
+ * Show the queue status (time waited, search range and estimated wait)
+ */
+function updateQueueStatus(status) {
+    showSearching(true);
+    
+    const estimate = status.estimatedWait !== null ? `~${formatDuration(status.estimatedWait)}` : 'estimating...';
+    quickMatchStatus.textContent = `Searching ${status.gameMode}P · ${status.solStake.toFixed(2)} SOL - ${formatDuration(status.waited)} (est. ${estimate}) · rating ${status.rating} ±${status.searchRange} · ${status.playersSearching} searching`;
+}
+
+/**
+ * Show the found match and count down to the confirmation deadline
+ */
+function showMatchFound(match) {
+    foundMatch = match;
+    showSearching(false);
+    
+    matchFoundSummary.textContent = `${match.gameMode} players · ${match.solStake.toFixed(2)} SOL each. Confirm to pay your stake - the game starts once everyone has confirmed.`;
+    matchFoundPlayers.innerHTML = '';
+    match.players.forEach(player => {
+        const item = document.createElement('li');
+        const name = document.createElement('span');
+        name.textContent = player.name;
+        const rating = document.createElement('span');
+        rating.className = 'match-found-rating';
+        rating.textContent = player.rating;
+        item.append(name, rating);
+        matchFoundPlayers.appendChild(item);
+    });
+    
+    confirmMatchBtn.disabled = false;
+    declineMatchBtn.disabled = false;
+    matchFoundModal.style.display = 'block';
+    
+    const tick = () => {
+        matchFoundCountdown.textContent = `${formatDuration(match.confirmBy - Date.now())} left to confirm`;
+    };
+    tick();
+    clearInterval(countdownTimer);
+    countdownTimer = setInterval(tick, 1000);
+}
+
+/**
+ * Close the found match dialog
+ */
+function hideMatchFound() {
+    clearInterval(countdownTimer);
+    countdownTimer = null;
+    matchFoundModal.style.display = 'none';
+}
+
+/**
+ * Confirm the found match by paying for the seat
+ */
+function confirmMatch() {
+    if (!foundMatch) {
+        return;
+    }
+    
+    const match = foundMatch;
+    foundMatch = null;
+    hideMatchFound();
+    joinLobbyById(match.lobbyId, { solStake: match.solStake });
+}
+
+/**
+ * Initialize the quick match controls
+ */
+export function initMatchmaking() {
+    findMatchBtn.addEventListener('click', findMatch);
+    cancelMatchSearchBtn.addEventListener('click', leaveQueue);
+    confirmMatchBtn.addEventListener('click', confirmMatch);
+    
+    declineMatchBtn.addEventListener('click', () => {
+        foundMatch = null;
+        hideMatchFound();
+        declineMatch();
+    });
+    
+    // Queued players are taken out of the queue when their wallet disconnects
+    window.addEventListener('walletConnectionChanged', () => {
+        if (!isWalletConnected()) {
+            showSearching(false);
+        }
+    });
+}
+
+/**
+ * Get matchmaking callbacks for socket events
+ */
+export function getMatchmakingCallbacks() {
+    return {
+        onQueueStatus: (status) => {
+            updateQueueStatus(status);
+        },
+        onQueueLeft: () => {
+            showSearching(false);
+        },
+        onQueueError: (error) => {
+            showSearching(false);
+            showMessage(error.message || 'Matchmaking error', 'error');
+        },
+        onMatchFound: (match) => {
+            showMatchFound(match);
+        },
+        onMatchCancelled: (data) => {
+            foundMatch = null;
+            hideMatchFound();
+            closeLobbyView(data.lobbyId);
+            showSearching(data.requeued);
+            if (data.requeued) {
+                quickMatchStatus.textContent = 'Back in the queue...';
+            }
+            showMessage(data.requeued ? `${data.reason} - you're back in the queue` : `Match cancelled: ${data.reason}`, 'info');
+        }
+    };
+}
@@ -0,0 +1,184 @@
+/**
+ * Private Tables
+ * Opening invite-only tables and accepting invites (from a shared link or a typed code).
+ * A table is only listed for its host and the wallets that accepted its invite.
+ */
+
+import { authHeaders } from '../wallet/auth.js';
+import { isWalletConnected } from '../wallet/wallet.js';
+import { showMessage, joinLobbyById } from './lobby.js';
+
+// UI Elements
+const createPrivateTableBtn = document.getElementById('createPrivateTableBtn');
+const inviteCodeForm = document.getElementById('inviteCodeForm');
+const inviteCodeInput = document.getElementById('inviteCodeInput');
+const privateTableModal = document.getElementById('privateTableModal');
+const closePrivateTable = document.getElementById('closePrivateTable');
+const privateTableForm = document.getElementById('privateTableForm');
+const privateTableMode = document.getElementById('privateTableMode');
+const privateTableStake = document.getElementById('privateTableStake');
+const privateTableRules = document.getElementById('privateTableRules');
+const privateTableError = document.getElementById('privateTableError');
+const createPrivateTableSubmit = document.getElementById('createPrivateTableSubmit');
+const privateTableCreated = document.getElementById('privateTableCreated');
+const privateTableLink = document.getElementById('privateTableLink');
+const copyPrivateTableLink = document.getElementById('copyPrivateTableLink');
+const joinPrivateTableBtn = document.getElementById('joinPrivateTableBtn');
+
+let pendingInviteCode = null; // Invite from the page link, accepted once the wallet is signed in
+let createdLobbyId = null;
+
+/**
+ * Full invite link for a code
+ */
+function inviteUrl(inviteCode) {
+    return `${window.location.origin}/?invite=${inviteCode}`;
+}
+
+/**
+ * Ask the player to connect their wallet (private tables are always staked)
+ */
+function requireWallet(message) {
+    showMessage(message, 'error');
+    const walletBtn = document.getElementById('connectWalletBtn');
+    if (walletBtn) {
+        walletBtn.click();
+    }
+}
+
+/**
+ * Show the create form (reset from any earlier table)
+ */
+function openModal() {
+    if (!isWalletConnected()) {
+        requireWallet('Please connect your wallet to open a private table');
+        return;
+    }
+    
+    privateTableForm.style.display = 'block';
+    privateTableCreated.style.display = 'none';
+    privateTableError.textContent = '';
+    createPrivateTableSubmit.disabled = false;
+    privateTableModal.style.display = 'block';
+}
+
+/**
+ * Open a private table with the chosen settings
+ */
+async function createPrivateTable() {
+    privateTableError.textContent = '';
+    createPrivateTableSubmit.disabled = true;
+    
+    try {
+        const response = await fetch('/api/lobbies/private', {
+            method: 'POST',
+            headers: authHeaders({
+                'Content-Type': 'application/json'
+            }),
+            body: JSON.stringify({
+                gameMode: parseInt(privateTableMode.value, 10),
+                solStake: parseFloat(privateTableStake.value),
+                ruleSetId: privateTableRules.value
+            })
+        });
+        
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to create private table');
+        }
+        
+        createdLobbyId = data.lobbyId;
+        privateTableLink.value = inviteUrl(data.inviteCode);
+        privateTableForm.style.display = 'none';
+        privateTableCreated.style.display = 'block';
+    } catch (error) {
+        privateTableError.textContent = error.message || 'Failed to create private table';
+        createPrivateTableSubmit.disabled = false;
+    }
+}
+
+/**
+ * Accept an invite - the table then shows up at the top of the lobby list
+ * @param {string} inviteCode - Invite code
+ */
+async function acceptInvite(inviteCode) {
+    if (!isWalletConnected()) {
+        pendingInviteCode = inviteCode;
+        requireWallet('Connect your wallet to join the private table you were invited to');
+        return;
+    }
+    pendingInviteCode = null;
+    
+    try {
+        const response = await fetch('/api/lobbies/invite', {
+            method: 'POST',
+            headers: authHeaders({
+                'Content-Type': 'application/json'
+            }),
+            body: JSON.stringify({ inviteCode })
+        });
+        
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to open invite');
+        }
+        
+        showMessage(`You're invited to a private ${data.gameMode}P table (${data.solStake} SOL) - it's at the top of the list`, 'success');
+    } catch (error) {
+        showMessage(error.message || 'Failed to open invite', 'error');
+    }
+}
+
+/**
+ * Initialize private table controls (and accept an invite link the page was opened with)
+ */
+export function initPrivateTables() {
+    createPrivateTableBtn.addEventListener('click', openModal);
+    createPrivateTableSubmit.addEventListener('click', createPrivateTable);
+    
+    closePrivateTable.addEventListener('click', () => {
+        privateTableModal.style.display = 'none';
+    });
+    privateTableModal.addEventListener('click', (event) => {
+        if (event.target === privateTableModal) {
+            privateTableModal.style.display = 'none';
+        }
+    });
+    
+    copyPrivateTableLink.addEventListener('click', () => {
+        navigator.clipboard.writeText(privateTableLink.value)
+            .then(() => showMessage('Invite link copied', 'success'))
+            .catch(() => privateTableLink.select());
+    });
+    
+    joinPrivateTableBtn.addEventListener('click', () => {
+        privateTableModal.style.display = 'none';
+        if (createdLobbyId) {
+            joinLobbyById(createdLobbyId);
+        }
+    });
+    
+    inviteCodeForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        const code = inviteCodeInput.value.trim();
+        if (code) {
+            inviteCodeInput.value = '';
+            acceptInvite(code);
+        }
+    });
+    
+    // Invite link (/?invite=CODE) - drop it from the address bar so a reload doesn't reuse it
+    const params = new URLSearchParams(window.location.search);
+    const linkCode = params.get('invite');
+    if (linkCode) {
+        window.history.replaceState(null, '', window.location.pathname);
+        // Give the wallet a moment to restore its session
+        setTimeout(() => acceptInvite(linkCode), 500);
+    }
+    
+    window.addEventListener('walletConnectionChanged', () => {
+        if (pendingInviteCode && isWalletConnected()) {
+            acceptInvite(pendingInviteCode);
+        }
+    });
+}
@@ -1,6 +1,7 @@
 /**
  * Recent Wins Component
- * Displays recent game wins in a table
+ * Displays recent game wins in a table. The first page is loaded over REST, new wins (and their
+ * payout tx once it lands) are pushed by the server as they happen, and older wins load on scroll.
  */
 
 import { getPfpUrl } from '../utils/pfpLoader.js';
@@ -8,7 +9,13 @@ import { getPfpUrl } from '../utils/pfpLoader.js';
 // UI Elements
 const recentWinsTableBody = document.getElementById('recentWinsTableBody');
 const recentWinsContainer = document.querySelector('.recent-wins-container');
-let refreshInterval = null;
+let refreshInterval = null; // Keeps the relative times ("5m ago") current
+
+let recentWins = []; // Shown wins, newest first
+let nextCursor = null; // Cursor for the next page of older wins (null = no more)
+let loadingMore = false;
+const newWinIds = new Set(); // Pushed wins that are still animating in
+const NEW_WIN_ANIMATION = 1500;
 
 /**
  * Format time for display
@@ -73,6 +80,16 @@ function renderRecentWins(wins) {
                 </button>
             </div>`
             : '<span style="color: #666;">Pending</span>';
+        const verifyLink = win.gameId
+            ? `<a href="/verify/?gameId=${encodeURIComponent(win.gameId)}" target="_blank" rel="noopener noreferrer" class="verify-link" title="Verify shuffle">
+                <i class="fas fa-shield-halved"></i>
+            </a>`
+            : '';
+        const replayLink = win.gameId
+            ? `<a href="/replay/${encodeURIComponent(win.gameId)}" target="_blank" rel="noopener noreferrer" class="verify-link" title="Watch replay">
+                <i class="fas fa-clapperboard"></i>
+            </a>`
+            : '';
         
         // Extract player count from gameMode (e.g., '2p' -> 2)
         const playerCount = win.gameMode ? parseInt(win.gameMode.replace('p', '').replace('P', '')) : 2;
@@ -82,8 +99,9 @@ function renderRecentWins(wins) {
         const pfpUrl = getPfpUrl({ pfpUrl: win.pfpUrl });
         const escapedUsername = escapeHtml(win.username || 'Unknown');
         
+        const isNew = newWinIds.has(win.gameId);
         return `
-            <tr>
+            <tr${isNew ? ' class="recent-win-new"' : ''}>
                 <td>
                     <div class="winner-cell">
                         <img src="${pfpUrl}" alt="${escapedUsername}'s avatar" class="winner-avatar" onerror="this.src='/pfp/default.jpg'">
@@ -99,7 +117,7 @@ function renderRecentWins(wins) {
                 </td>
                 <td><span class="win-stake">${formatSOL(win.stake)} SOL</span></td>
                 <td><span class="win-amount">${formatSOL(win.winAmount)} SOL</span></td>
-                <td>${txLink}</td>
+                <td><div class="tx-link-container">${txLink}${verifyLink}${replayLink}</div></td>
             </tr>
         `;
     }).join('');
@@ -152,33 +170,95 @@ function renderRecentWins(wins) {
 }
 
 /**
- * Fetch recent wins from API
+ * Fetch recent wins from API (first page, or the page after the cursor)
  */
-async function fetchRecentWins() {
+async function fetchRecentWins(cursor = null) {
+    const response = await fetch(cursor ? `/api/recent-wins?cursor=${encodeURIComponent(cursor)}` : '/api/recent-wins');
+    if (!response.ok) {
+        throw new Error('Failed to fetch recent wins');
+    }
+    return await response.json();
+}
+
+/**
+ * Load the next page of older wins (when the table is scrolled to the bottom)
+ */
+async function loadMoreRecentWins() {
+    if (!nextCursor || loadingMore) {
+        return;
+    }
+    
+    loadingMore = true;
     try {
-        const response = await fetch('/api/recent-wins');
-        if (!response.ok) {
-            throw new Error('Failed to fetch recent wins');
-        }
-        const wins = await response.json();
-        handleRecentWins(wins);
+        const data = await fetchRecentWins(nextCursor);
+        const shown = new Set(recentWins.map(win => win.gameId));
+        recentWins = recentWins.concat(data.wins.filter(win => !shown.has(win.gameId)));
+        nextCursor = data.nextCursor;
+        renderRecentWins(recentWins);
     } catch (error) {
-        console.error('Error fetching recent wins:', error);
-        handleRecentWinsError(error);
+        console.error('Error loading more recent wins:', error);
+    } finally {
+        loadingMore = false;
     }
 }
 
+/**
+ * Add a win pushed by the server - new wins slide in at the top, a known win (its payout landed) is updated in place
+ * @param {Object} win - Recent win row
+ */
+function addRecentWin(win) {
+    const index = recentWins.findIndex(shown => shown.gameId === win.gameId);
+    if (index !== -1) {
+        recentWins[index] = win;
+    } else {
+        recentWins.unshift(win);
+        newWinIds.add(win.gameId);
+        setTimeout(() => newWinIds.delete(win.gameId), NEW_WIN_ANIMATION);
+    }
+    renderRecentWins(recentWins);
+}
+
 /**
  * Initialize recent wins component
  */
-export function initRecentWins() {
-    // Request initial data
-    fetchRecentWins();
+export async function initRecentWins() {
+    if (recentWinsTableBody) {
+        recentWinsTableBody.addEventListener('scroll', () => {
+            const { scrollTop, scrollHeight, clientHeight } = recentWinsTableBody;
+            if (scrollTop + clientHeight >= scrollHeight - 40) {
+                loadMoreRecentWins();
+            }
+        });
+    }
     
-    // Set up auto-refresh every 30 seconds
+    // Relative times go stale between wins
     refreshInterval = setInterval(() => {
-        fetchRecentWins();
-    }, 30000);
+        renderRecentWins(recentWins);
+    }, 60000);
+    
+    // Initial data (later wins are pushed over the socket)
+    try {
+        const data = await fetchRecentWins();
+        // Keep wins that were pushed while the first page loaded
+        const loaded = new Set(data.wins.map(win => win.gameId));
+        recentWins = recentWins.filter(win => !loaded.has(win.gameId)).concat(data.wins);
+        nextCursor = data.nextCursor;
+        handleRecentWins(recentWins);
+    } catch (error) {
+        console.error('Error fetching recent wins:', error);
+        handleRecentWinsError(error);
+    }
+}
+
+/**
+ * Get recent wins callbacks for socket events
+ */
+export function getRecentWinsCallbacks() {
+    return {
+        onRecentWin: (win) => {
+            addRecentWin(win);
+        }
+    };
 }
 
 /**
@@ -217,7 +297,7 @@ export function showRecentWins() {
 }
 
 /**
- * Cleanup (stop refresh interval)
+ * Cleanup (stop refreshing the relative times)
  */
 export function cleanupRecentWins() {
     if (refreshInterval) {
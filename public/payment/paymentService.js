@@ -6,6 +6,7 @@
 
 // Import Solana web3.js from CDN as ES module
 import { Connection, PublicKey, SystemProgram, Transaction, LAMPORTS_PER_SOL } from 'https://esm.sh/@solana/web3.js@1.87.6';
+import { authHeaders } from '../wallet/auth.js';
 
 // Solana connection - RPC URL fetched from server
 let cachedRpcUrl = null;
@@ -52,19 +53,18 @@ function solToLamports(sol) {
 }
 
 /**
- * Request payment info from server
- * @param {string} wallet - User's wallet address
+ * Request payment info from server (wallet is taken from the signed-in session)
  * @param {string} lobbyId - Lobby ID
  * @returns {Promise<Object>} Payment info with escrow wallet and amount
  */
-export async function requestPaymentInfo(wallet, lobbyId) {
+export async function requestPaymentInfo(lobbyId) {
     try {
         const response = await fetch('/api/payment/request', {
             method: 'POST',
-            headers: {
+            headers: authHeaders({
                 'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({ wallet, lobbyId })
+            }),
+            body: JSON.stringify({ lobbyId })
         });
 
         if (!response.ok) {
@@ -256,20 +256,19 @@ export async function createAndSignPayment(userWallet, escrowWallet, solAmount)
 }
 
 /**
- * Verify payment with server
+ * Verify payment with server (wallet is taken from the signed-in session)
  * @param {string} signature - Transaction signature
- * @param {string} wallet - User's wallet address
  * @param {string} lobbyId - Lobby ID
  * @returns {Promise<Object>} Verification result
  */
-export async function verifyPayment(signature, wallet, lobbyId) {
+export async function verifyPayment(signature, lobbyId) {
     try {
         const response = await fetch('/api/payment/verify', {
             method: 'POST',
-            headers: {
+            headers: authHeaders({
                 'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({ signature, wallet, lobbyId })
+            }),
+            body: JSON.stringify({ signature, lobbyId })
         });
 
         if (!response.ok) {
@@ -292,7 +291,7 @@ export async function verifyPayment(signature, wallet, lobbyId) {
 export async function processPayment(wallet, lobbyId) {
     try {
         // Step 1: Request payment info
-        const paymentInfo = await requestPaymentInfo(wallet, lobbyId);
+        const paymentInfo = await requestPaymentInfo(lobbyId);
         
         if (!paymentInfo.escrowWallet || !paymentInfo.solAmount) {
             throw new Error('Invalid payment info received');
@@ -306,7 +305,7 @@ export async function processPayment(wallet, lobbyId) {
         );
 
         // Step 3: Verify payment with server
-        const verification = await verifyPayment(signature, wallet, lobbyId);
+        const verification = await verifyPayment(signature, lobbyId);
 
         if (!verification.success) {
             throw new Error('Payment verification failed');
@@ -0,0 +1,230 @@
+/**
+ * Player Profile
+ * Shows a player's account, rating, stats and staked match history. Opened by clicking a player's
+ * avatar in the lobby or chat, or their name on the game canvas.
+ */
+
+import { getPfpUrl } from '../utils/pfpLoader.js';
+
+// UI Elements
+const profileModal = document.getElementById('profileModal');
+const closeProfile = document.getElementById('closeProfile');
+const profileAvatar = document.getElementById('profileAvatar');
+const profileUsername = document.getElementById('profileUsername');
+const profileWallet = document.getElementById('profileWallet');
+const profileJoined = document.getElementById('profileJoined');
+const profileRating = document.getElementById('profileRating');
+const profileRatedGames = document.getElementById('profileRatedGames');
+const profileRatingChart = document.getElementById('profileRatingChart');
+const profileRatingLine = document.getElementById('profileRatingLine');
+const profileWinRate = document.getElementById('profileWinRate');
+const profileRecord = document.getElementById('profileRecord');
+const profileWagered = document.getElementById('profileWagered');
+const profileWon = document.getElementById('profileWon');
+const profileNet = document.getElementById('profileNet');
+const profilePlayStats = document.getElementById('profilePlayStats');
+const profileMatches = document.getElementById('profileMatches');
+const profileMoreMatches = document.getElementById('profileMoreMatches');
+const profileError = document.getElementById('profileError');
+
+let profileWalletAddress = null; // Wallet of the profile being shown
+let matchesLoaded = 0;
+
+/**
+ * Format a SOL amount for display
+ */
+function formatSol(amount, signed = false) {
+    const sign = signed && amount > 0 ? '+' : '';
+    return `${sign}${amount.toFixed(4)} SOL`;
+}
+
+/**
+ * Shorten a wallet address for display
+ */
+function shortWallet(wallet) {
+    return `${wallet.substring(0, 4)}...${wallet.substring(wallet.length - 4)}`;
+}
+
+/**
+ * Clear the profile while a new one loads
+ */
+function resetProfile(wallet) {
+    profileAvatar.src = getPfpUrl({ pfpUrl: null });
+    profileUsername.textContent = 'Loading...';
+    profileWallet.textContent = shortWallet(wallet);
+    profileWallet.title = wallet;
+    profileJoined.textContent = '';
+    [profileRating, profileRatedGames, profileWinRate, profileRecord, profileWagered, profileWon, profileNet].forEach(el => {
+        el.textContent = '-';
+    });
+    profileRatingChart.style.display = 'none';
+    profileNet.className = 'profile-stat-value';
+    profilePlayStats.textContent = '';
+    profileMatches.innerHTML = '';
+    profileMoreMatches.style.display = 'none';
+    profileError.textContent = '';
+}
+
+/**
+ * Draw the rating over the player's recent rated matches
+ */
+function renderRatingChart(rating) {
+    const ratings = [rating.history.length > 0 ? rating.history[0].rating - rating.history[0].change : rating.rating]
+        .concat(rating.history.map(entry => entry.rating));
+    if (ratings.length < 3) {
+        profileRatingChart.style.display = 'none';
+        return;
+    }
+    
+    const min = Math.min(...ratings);
+    const range = Math.max(Math.max(...ratings) - min, 1);
+    const step = 300 / (ratings.length - 1);
+    profileRatingLine.setAttribute('points', ratings
+        .map((value, index) => `${(index * step).toFixed(1)},${(44 - (value - min) / range * 40).toFixed(1)}`)
+        .join(' '));
+    profileRatingChart.style.display = 'block';
+}
+
+/**
+ * Show the account details and stats
+ */
+function renderProfile(profile) {
+    const stats = profile.stats;
+    
+    profileAvatar.src = getPfpUrl({ pfpUrl: profile.pfpUrl });
+    profileUsername.textContent = profile.username;
+    profileJoined.textContent = profile.joinedAt ? `Joined ${new Date(profile.joinedAt).toLocaleDateString()}` : '';
+    profileRating.textContent = profile.rating.rating;
+    profileRatedGames.textContent = `${profile.rating.ratedGames} rated`;
+    renderRatingChart(profile.rating);
+    profileWinRate.textContent = `${Number(stats.winRate).toFixed(1)}%`;
+    profileRecord.textContent = `${stats.wins}W - ${stats.losses}L`;
+    profileWagered.textContent = formatSol(stats.totalWagered);
+    profileWon.textContent = formatSol(stats.totalWon);
+    profileNet.textContent = formatSol(stats.netSol, true);
+    profileNet.className = `profile-stat-value ${stats.netSol >= 0 ? 'positive' : 'negative'}`;
+    
+    // Per-player counters (older matches were recorded without them)
+    if (stats.play) {
+        const play = stats.play;
+        profilePlayStats.textContent = `Avg place ${play.averagePlace.toFixed(1)} · ${play.cardsPlayed} cards played · ${play.unoCalls} UNO calls · ${play.unoPenalties} missed UNO · ${play.timeouts} timeouts`;
+        profilePlayStats.title = `Across ${play.matches} matches with detailed stats`;
+    }
+}
+
+/**
+ * Create a row for one match
+ */
+function createMatchRow(match) {
+    const row = document.createElement('li');
+    row.className = `profile-match ${match.won ? 'won' : 'lost'}`;
+    
+    const result = document.createElement('span');
+    result.className = 'profile-match-result';
+    result.textContent = match.won ? 'WON' : 'LOST';
+    
+    const details = document.createElement('span');
+    details.className = 'profile-match-details';
+    const opponents = match.players.filter(p => p.wallet !== profileWalletAddress).map(p => p.username);
+    details.textContent = `${match.gameMode.toUpperCase()} · ${match.stake.toFixed(2)} SOL · vs ${opponents.join(', ') || '-'}`;
+    details.title = new Date(match.time).toLocaleString();
+    
+    const amount = document.createElement('span');
+    amount.className = 'profile-match-amount';
+    amount.textContent = match.won ? formatSol(match.winAmount - match.stake, true) : formatSol(-match.stake);
+    
+    row.append(result, details, amount);
+    
+    // Settlement transaction (only won matches are paid out on-chain)
+    if (match.txHash) {
+        const link = document.createElement('a');
+        link.href = `https://solscan.io/tx/${match.txHash}`;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        link.className = 'tx-link';
+        link.textContent = `tx ${match.txHash.substring(0, 6)}...`;
+        row.appendChild(link);
+    }
+    
+    return row;
+}
+
+/**
+ * Load the next page of matches
+ */
+async function loadMatches() {
+    const wallet = profileWalletAddress;
+    profileMoreMatches.disabled = true;
+    
+    try {
+        const response = await fetch(`/api/users/${encodeURIComponent(wallet)}/matches?skip=${matchesLoaded}`);
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to load matches');
+        }
+        
+        // Another profile was opened while this page loaded
+        if (wallet !== profileWalletAddress) {
+            return;
+        }
+        
+        if (matchesLoaded === 0 && data.matches.length === 0) {
+            profileMatches.innerHTML = '<li class="profile-match-empty">No staked matches yet</li>';
+        }
+        data.matches.forEach(match => profileMatches.appendChild(createMatchRow(match)));
+        matchesLoaded += data.matches.length;
+        profileMoreMatches.style.display = data.hasMore ? 'block' : 'none';
+    } catch (error) {
+        profileError.textContent = error.message || 'Failed to load matches';
+    } finally {
+        profileMoreMatches.disabled = false;
+    }
+}
+
+/**
+ * Open a player's profile
+ * @param {string} wallet - Player's wallet address
+ */
+export async function openProfile(wallet) {
+    if (!wallet) {
+        return;
+    }
+    
+    profileWalletAddress = wallet;
+    matchesLoaded = 0;
+    resetProfile(wallet);
+    profileModal.style.display = 'block';
+    
+    try {
+        const response = await fetch(`/api/users/${encodeURIComponent(wallet)}/profile`);
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to load profile');
+        }
+        
+        if (wallet !== profileWalletAddress) {
+            return;
+        }
+        
+        renderProfile(data);
+        await loadMatches();
+    } catch (error) {
+        profileUsername.textContent = 'Unknown player';
+        profileError.textContent = error.message || 'Failed to load profile';
+    }
+}
+
+/**
+ * Initialize the profile view
+ */
+export function initProfile() {
+    closeProfile.addEventListener('click', () => {
+        profileModal.style.display = 'none';
+    });
+    profileModal.addEventListener('click', (event) => {
+        if (event.target === profileModal) {
+            profileModal.style.display = 'none';
+        }
+    });
+    profileMoreMatches.addEventListener('click', loadMatches);
+}
@@ -0,0 +1,359 @@
+/**
+ * Game Replay Viewer
+ * Plays back a finished game from the server's re-simulation of its event log (/api/games/:gameId/replay).
+ * Stepping forward feeds the next state through the game's normal state updates, so plays and draws
+ * animate like a live game. Stepping back and scrubbing jump straight to a state.
+ */
+
+import { initCanvas } from '../game/canvas.js';
+import { loadCardSpritesheet } from '../game/cards.js';
+import { loadColorImages, loadUnoButton, loadAnimationImages, loadWinMessageBox } from '../game/renderer.js';
+import { startSpectatingFromServer, updateGameStateFromServer, handleDrawFourChallenged } from '../game/gameManager.js';
+import { hasActiveAnimations } from '../game/cardAnimation.js';
+
+const STEP_DELAY = 1200; // Milliseconds between events at 1x (matches the server's animation delay)
+
+// UI Elements
+const replayForm = document.getElementById('replayForm');
+const replayGameId = document.getElementById('replayGameId');
+const replayMessage = document.getElementById('replayMessage');
+const replayVerifyLink = document.getElementById('replayVerifyLink');
+const gameContainer = document.getElementById('gameContainer');
+const replayControls = document.getElementById('replayControls');
+const replayEvent = document.getElementById('replayEvent');
+const stepBackBtn = document.getElementById('replayStepBack');
+const playBtn = document.getElementById('replayPlay');
+const stepForwardBtn = document.getElementById('replayStepForward');
+const scrubInput = document.getElementById('replayScrub');
+const positionLabel = document.getElementById('replayPosition');
+const speedSelect = document.getElementById('replaySpeed');
+const seatSelect = document.getElementById('replaySeat');
+
+let gameId = null;
+let replay = null; // { players, seat, complete, frames }
+let frameIndex = 0;
+let playing = false;
+let playTimer = null;
+let canvasReady = false;
+
+const CARD_LABELS = { skip: 'Skip', reverse: 'Reverse', draw2: 'Draw 2', wild: 'Wild', draw4: 'Wild Draw 4' };
+
+/**
+ * Show a status line under the header
+ */
+function showMessage(text, isError = false) {
+    replayMessage.textContent = text;
+    replayMessage.className = isError ? 'replay-message error' : 'replay-message';
+}
+
+/**
+ * Capitalize a color name
+ */
+function colorName(color) {
+    return color ? color.charAt(0).toUpperCase() + color.slice(1) : '';
+}
+
+/**
+ * Readable card name (e.g. "Red 7", "Wild Draw 4")
+ */
+function cardName(card) {
+    if (!card) return 'a card';
+    const label = CARD_LABELS[card.value] || card.value;
+    return card.color === 'wild' ? label : `${colorName(card.color)} ${label}`;
+}
+
+/**
+ * Player name for a seat (as it was when the game started)
+ */
+function playerName(index) {
+    const player = replay.players.find(p => p.playerIndex === index);
+    return player ? player.username : `Player ${index + 1}`;
+}
+
+/**
+ * One line describing what happened in a frame
+ */
+function describeFrame(frame) {
+    const data = frame.data || {};
+    const name = data.playerIndex !== undefined ? playerName(data.playerIndex) : '';
+    
+    switch (frame.type) {
+        case 'deal':
+            return frame.round > 1 ? `Hand ${frame.round} dealt` : 'Cards dealt';
+        case 'firstCard':
+            return data.card && data.card.color === 'wild'
+                ? `First card: ${cardName(data.card)} (${colorName(data.color)})`
+                : `First card: ${cardName(data.card)}`;
+        case 'play': {
+            let text = `${name} played ${cardName(data.card)}`;
+            if (data.chosenColor) text += ` and picked ${colorName(data.chosenColor)}`;
+            if (data.jumpIn) text += ' (jump-in)';
+            return text;
+        }
+        case 'draw':
+            if (data.penalty) return `${name} drew ${data.count} penalty cards`;
+            return data.count === 1 ? `${name} drew a card` : `${name} drew ${data.count} cards`;
+        case 'endTurn':
+            return `${name} kept the drawn card and ended their turn`;
+        case 'callUno':
+            return `${name} called UNO!`;
+        case 'challengeDraw4':
+            return data.successful
+                ? `${name} challenged ${playerName(data.challengedIndex)}'s Wild Draw 4 - bluff caught`
+                : `${name} challenged ${playerName(data.challengedIndex)}'s Wild Draw 4 - challenge failed`;
+        case 'timeout':
+            return `${name} ran out of time`;
+        case 'disconnect':
+            return `${name} disconnected`;
+        case 'reconnect':
+            return `${name} reconnected`;
+        case 'forfeit':
+            return `${name} was away too long`;
+        case 'eliminated':
+            return `${name} is out of the game`;
+        case 'reshuffle':
+            return `Discard pile reshuffled into the deck (${data.cardCount} cards)`;
+        case 'handEnd':
+            return `${playerName(data.winnerIndex)} won hand ${frame.round} (+${data.points} points)`;
+        case 'gameEnd':
+            return `${playerName(data.winner)} won the game!`;
+        case 'abandoned':
+            return 'Every remaining player left - game abandoned';
+        default:
+            return frame.type;
+    }
+}
+
+/**
+ * Sync the controls with the current frame
+ */
+function updateControls() {
+    const lastIndex = replay.frames.length - 1;
+    const frame = replay.frames[frameIndex];
+    
+    scrubInput.max = lastIndex;
+    scrubInput.value = frameIndex;
+    positionLabel.textContent = `${frameIndex + 1} / ${replay.frames.length}`;
+    replayEvent.textContent = describeFrame(frame);
+    stepBackBtn.disabled = frameIndex === 0;
+    stepForwardBtn.disabled = frameIndex === lastIndex;
+    playBtn.innerHTML = playing ? '<i class="fas fa-pause"></i>' : '<i class="fas fa-play"></i>';
+}
+
+/**
+ * Show a frame
+ * @param {number} index - Frame index
+ * @param {boolean} animate - Animate from the current frame (only when moving one frame forward)
+ */
+function showFrame(index, animate = false) {
+    frameIndex = Math.max(0, Math.min(index, replay.frames.length - 1));
+    const frame = replay.frames[frameIndex];
+    
+    if (animate) {
+        updateGameStateFromServer(frame.state);
+        if (frame.type === 'challengeDraw4') {
+            handleDrawFourChallenged({
+                challengerIndex: frame.data.playerIndex,
+                challengedIndex: frame.data.challengedIndex,
+                successful: frame.data.successful,
+                cardsDrawn: frame.data.cardsDrawn
+            });
+        }
+    } else {
+        startSpectatingFromServer(frame.state, replay.seat);
+    }
+    
+    updateControls();
+}
+
+/**
+ * Pause playback
+ */
+function pause() {
+    playing = false;
+    clearTimeout(playTimer);
+    playTimer = null;
+    if (replay) {
+        updateControls();
+    }
+}
+
+/**
+ * Play the next frame once the current animations are done
+ */
+function scheduleNextFrame() {
+    const delay = STEP_DELAY / parseFloat(speedSelect.value);
+    playTimer = setTimeout(() => {
+        if (!playing) return;
+        
+        if (hasActiveAnimations()) {
+            scheduleNextFrame();
+            return;
+        }
+        
+        showFrame(frameIndex + 1, true);
+        if (frameIndex === replay.frames.length - 1) {
+            pause();
+        } else {
+            scheduleNextFrame();
+        }
+    }, delay);
+}
+
+/**
+ * Start or pause playback
+ */
+function togglePlay() {
+    if (playing) {
+        pause();
+        return;
+    }
+    
+    // Play from the start again once the end was reached
+    if (frameIndex === replay.frames.length - 1) {
+        showFrame(0);
+    }
+    
+    playing = true;
+    updateControls();
+    scheduleNextFrame();
+}
+
+/**
+ * Load the game assets the canvas renderer needs
+ */
+async function loadAssets() {
+    await Promise.all([
+        loadCardSpritesheet(),
+        loadColorImages(),
+        loadUnoButton(),
+        loadAnimationImages(),
+        loadWinMessageBox()
+    ]);
+}
+
+/**
+ * Fetch a game's replay from one seat's point of view
+ * @param {number} seat - Seat whose cards are shown
+ * @returns {Promise<Object|null>} Replay, or null if it couldn't be loaded (message shown)
+ */
+async function fetchReplay(seat) {
+    try {
+        const response = await fetch(`/api/games/${encodeURIComponent(gameId)}/replay?seat=${seat}`);
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to load replay');
+        }
+        return data;
+    } catch (error) {
+        showMessage(error.message || 'Failed to load replay', true);
+        return null;
+    }
+}
+
+/**
+ * Load a game's replay and show its first frame
+ * @param {number} seat - Seat whose cards are shown
+ * @param {number} [startIndex] - Frame to open at
+ */
+async function loadReplay(seat, startIndex = 0) {
+    pause();
+    showMessage('Loading replay...');
+    
+    const data = await fetchReplay(seat);
+    if (!data) return;
+    if (data.frames.length === 0) {
+        showMessage('This game has no recorded moves', true);
+        return;
+    }
+    
+    replay = data;
+    seatSelect.innerHTML = replay.players
+        .map(p => `<option value="${p.playerIndex}">${escapeHtml(p.username)}'s cards</option>`)
+        .join('');
+    seatSelect.value = String(replay.seat);
+    
+    showMessage(replay.complete
+        ? ''
+        : `The recorded moves stop matching the game after move ${replay.frames.length} - the replay ends there.`, !replay.complete);
+    
+    gameContainer.style.display = 'flex';
+    replayControls.style.display = 'block';
+    if (!canvasReady) {
+        await loadAssets();
+        initCanvas();
+        canvasReady = true;
+    }
+    
+    showFrame(startIndex);
+}
+
+/**
+ * Escape HTML to prevent XSS
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+replayForm.addEventListener('submit', (event) => {
+    event.preventDefault();
+    const id = replayGameId.value.trim();
+    if (id) {
+        window.location.href = `/replay/${encodeURIComponent(id)}`;
+    }
+});
+
+playBtn.addEventListener('click', togglePlay);
+
+stepForwardBtn.addEventListener('click', () => {
+    pause();
+    showFrame(frameIndex + 1, true);
+});
+
+stepBackBtn.addEventListener('click', () => {
+    pause();
+    showFrame(frameIndex - 1);
+});
+
+scrubInput.addEventListener('input', () => {
+    pause();
+    showFrame(parseInt(scrubInput.value, 10));
+});
+
+seatSelect.addEventListener('change', () => {
+    loadReplay(parseInt(seatSelect.value, 10), frameIndex);
+});
+
+document.addEventListener('keydown', (event) => {
+    if (!replay || event.target.tagName === 'INPUT' || event.target.tagName === 'SELECT') return;
+    
+    if (event.code === 'Space') {
+        event.preventDefault();
+        togglePlay();
+    } else if (event.code === 'ArrowRight' && frameIndex < replay.frames.length - 1) {
+        pause();
+        showFrame(frameIndex + 1, true);
+    } else if (event.code === 'ArrowLeft' && frameIndex > 0) {
+        pause();
+        showFrame(frameIndex - 1);
+    }
+});
+
+// The win message's button leads back to the lobbies
+window.returnToLobby = () => {
+    window.location.href = '/';
+};
+
+// Game ID comes from the path (/replay/:gameId)
+const pathGameId = window.location.pathname.split('/').filter(Boolean)[1];
+if (pathGameId) {
+    gameId = decodeURIComponent(pathGameId);
+    replayGameId.value = gameId;
+    replayVerifyLink.href = `/verify/?gameId=${encodeURIComponent(gameId)}`;
+    replayVerifyLink.style.display = 'inline';
+    loadReplay(0);
+} else {
+    showMessage('Enter a game ID to watch its replay.');
+}
@@ -0,0 +1,41 @@
+/**
+ * Client seeds for the provably fair shuffle
+ * A fresh seed is sent with every lobby join. The last few are kept so the
+ * verifier page can point out which seed was yours.
+ */
+
+const CLIENT_SEEDS_KEY = 'clientSeeds';
+const MAX_SAVED_SEEDS = 20;
+
+/**
+ * Create a random client seed and remember it
+ * @returns {string} Hex seed (32 characters)
+ */
+export function createClientSeed() {
+    const bytes = new Uint8Array(16);
+    crypto.getRandomValues(bytes);
+    const seed = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    
+    const saved = getSavedClientSeeds();
+    saved.unshift(seed);
+    try {
+        localStorage.setItem(CLIENT_SEEDS_KEY, JSON.stringify(saved.slice(0, MAX_SAVED_SEEDS)));
+    } catch (error) {
+        // Storage full or disabled - the seed still works, it just isn't remembered
+    }
+    
+    return seed;
+}
+
+/**
+ * Seeds this browser has sent (newest first)
+ * @returns {Array<string>} Client seeds
+ */
+export function getSavedClientSeeds() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(CLIENT_SEEDS_KEY));
+        return Array.isArray(saved) ? saved : [];
+    } catch (error) {
+        return [];
+    }
+}
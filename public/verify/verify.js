@@ -0,0 +1,304 @@
+/**
+ * Shuffle Verifier
+ * Recomputes every shuffle of a finished game in the browser from its revealed seeds.
+ * Same algorithm as server/provablyFair.js: Fisher-Yates driven by
+ * HMAC-SHA256(serverSeed, "<clientSeeds joined by ':'>:<nonce>:<counter>").
+ * A wild first card's color comes from the same HMAC under the nonce "<deal nonce>:firstCard".
+ */
+
+import { getSavedClientSeeds } from '../utils/clientSeed.js';
+
+const UINT32_RANGE = 0x100000000;
+const FIRST_CARD_COLORS = ['red', 'green', 'blue', 'yellow'];
+
+// UI Elements
+const verifyForm = document.getElementById('verifyForm');
+const verifyGameId = document.getElementById('verifyGameId');
+const verifyMessage = document.getElementById('verifyMessage');
+const verifyResult = document.getElementById('verifyResult');
+const verifyServerSeedHash = document.getElementById('verifyServerSeedHash');
+const verifyServerSeed = document.getElementById('verifyServerSeed');
+const verifyCommitment = document.getElementById('verifyCommitment');
+const verifyClientSeeds = document.getElementById('verifyClientSeeds');
+const verifyShuffles = document.getElementById('verifyShuffles');
+
+const encoder = new TextEncoder();
+
+/**
+ * Unshuffled deck every deal starts from (must match createDeck in server/gameLogic.js)
+ */
+function createDeck() {
+    const deck = [];
+    const colors = ['red', 'green', 'blue', 'yellow'];
+    const values = ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9', 'skip', 'reverse', 'draw2'];
+    
+    colors.forEach(color => {
+        values.forEach(value => {
+            const count = value === '0' ? 1 : 2;
+            for (let i = 0; i < count; i++) {
+                deck.push({ color, value });
+            }
+        });
+    });
+    
+    for (let i = 0; i < 4; i++) {
+        deck.push({ color: 'wild', value: 'wild' });
+        deck.push({ color: 'wild', value: 'draw4' });
+    }
+    
+    return deck;
+}
+
+/**
+ * SHA-256 of a string as hex
+ */
+async function sha256Hex(text) {
+    const digest = await crypto.subtle.digest('SHA-256', encoder.encode(text));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Deterministic random integers for one shuffle
+ * @returns {Promise<Function>} async randomInt(max) - uniform integer in [0, max)
+ */
+async function createSeededRandom(serverSeed, clientSeeds, nonce) {
+    const key = await crypto.subtle.importKey('raw', encoder.encode(serverSeed), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    const message = `${clientSeeds.join(':')}:${nonce}`;
+    let counter = 0;
+    let block = null;
+    let offset = 0;
+    
+    const nextUint32 = async () => {
+        if (!block || offset >= block.byteLength) {
+            block = new DataView(await crypto.subtle.sign('HMAC', key, encoder.encode(`${message}:${counter}`)));
+            counter++;
+            offset = 0;
+        }
+        const value = block.getUint32(offset);
+        offset += 4;
+        return value;
+    };
+    
+    return async (max) => {
+        const limit = UINT32_RANGE - (UINT32_RANGE % max);
+        let value = await nextUint32();
+        while (value >= limit) {
+            value = await nextUint32();
+        }
+        return value % max;
+    };
+}
+
+/**
+ * Shuffle a deck with the game's seeds
+ */
+async function fairShuffle(deck, serverSeed, clientSeeds, nonce) {
+    const randomInt = await createSeededRandom(serverSeed, clientSeeds, nonce);
+    const shuffled = [...deck];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = await randomInt(i + 1);
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+/**
+ * Color a wild first card was given, from the seeds of its deal
+ */
+async function fairFirstCardColor(serverSeed, clientSeeds, dealNonce) {
+    const randomInt = await createSeededRandom(serverSeed, clientSeeds, `${dealNonce}:firstCard`);
+    return FIRST_CARD_COLORS[await randomInt(FIRST_CARD_COLORS.length)];
+}
+
+/**
+ * Deal a shuffled deck the way the server does (one card per seat in turn, from the top)
+ * @returns {Object} { hands: Map(seat -> cards), firstCard }
+ */
+function dealFromDeck(deck, seats, handSize) {
+    const remaining = [...deck];
+    const hands = new Map(seats.map(seat => [seat, []]));
+    for (let cardIndex = 0; cardIndex < handSize; cardIndex++) {
+        seats.forEach(seat => {
+            if (remaining.length > 0) {
+                hands.get(seat).push(remaining.pop());
+            }
+        });
+    }
+    return { hands, firstCard: remaining.pop() || null };
+}
+
+/**
+ * Escape HTML to prevent XSS
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+/**
+ * Card chip HTML
+ */
+function renderCard(card) {
+    const labels = { skip: 'Skip', reverse: 'Reverse', draw2: '+2', wild: 'Wild', draw4: 'Wild +4' };
+    const label = labels[card.value] || card.value;
+    const color = ['red', 'green', 'blue', 'yellow'].includes(card.color) && card.value !== 'wild' && card.value !== 'draw4'
+        ? card.color
+        : 'wild';
+    return `<span class="verify-card ${color}">${escapeHtml(label)}</span>`;
+}
+
+/**
+ * Show a status line under the form
+ */
+function showMessage(text, isError = false) {
+    verifyMessage.textContent = text;
+    verifyMessage.className = isError ? 'verify-message error' : 'verify-message';
+}
+
+/**
+ * Compare two decks card by card
+ */
+function sameDeck(a, b) {
+    return !!a && !!b && a.length === b.length && a.every((card, index) => card.color === b[index].color && card.value === b[index].value);
+}
+
+/**
+ * Fetch a game's fairness record and verify it
+ * @param {string} gameId - Game ID
+ */
+async function verifyGame(gameId) {
+    verifyResult.style.display = 'none';
+    showMessage('Loading game...');
+    
+    let data;
+    try {
+        const response = await fetch(`/api/games/${encodeURIComponent(gameId)}/fairness`);
+        data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to load game');
+        }
+    } catch (error) {
+        showMessage(error.message || 'Failed to load game', true);
+        return;
+    }
+    
+    verifyServerSeedHash.textContent = data.serverSeedHash;
+    verifyServerSeed.textContent = data.serverSeed || 'Revealed when the game ends';
+    
+    // Seeds the server filled in for a seat (bots, clients that sent none) carry no player input
+    const savedSeeds = getSavedClientSeeds();
+    const generatedSeats = data.generatedSeats || [];
+    const seedRows = data.clientSeeds.map((seed, index) => {
+        const player = data.players.find(p => p.playerIndex === index);
+        const isYours = savedSeeds.includes(seed);
+        const isGenerated = generatedSeats.includes(index);
+        return `
+            <div class="verify-row">
+                <span class="verify-label">${escapeHtml(player ? player.username : `Player ${index + 1}`)}:</span>
+                <code>${escapeHtml(seed)}</code>
+                ${isYours ? '<span class="you">(your seed)</span>' : ''}
+                ${isGenerated ? '<span class="generated">(generated by the server - not player input)</span>' : ''}
+            </div>
+        `;
+    });
+    if (generatedSeats.length >= data.clientSeeds.length) {
+        seedRows.push('<div class="verify-row verify-status fail">No player supplied a seed - these shuffles were not influenced by any player.</div>');
+    } else if (generatedSeats.length > 0) {
+        seedRows.push('<div class="verify-row verify-status">Only the seeds not generated by the server count as player input.</div>');
+    }
+    verifyClientSeeds.innerHTML = seedRows.join('');
+    
+    if (!data.serverSeed) {
+        verifyCommitment.textContent = 'Game is still in progress';
+        verifyCommitment.className = 'verify-status';
+        verifyShuffles.innerHTML = '';
+        verifyResult.style.display = 'block';
+        showMessage('The server seed is revealed when the game ends. Come back afterwards to verify the shuffle.');
+        return;
+    }
+    
+    showMessage('Recomputing shuffles...');
+    
+    const commitmentValid = (await sha256Hex(data.serverSeed)) === data.serverSeedHash;
+    verifyCommitment.textContent = commitmentValid
+        ? 'SHA-256 of the server seed matches the published hash'
+        : 'SHA-256 of the server seed does NOT match the published hash';
+    verifyCommitment.className = commitmentValid ? 'verify-status ok' : 'verify-status fail';
+    
+    const standardDeck = createDeck();
+    const sections = [];
+    let allMatch = commitmentValid;
+    
+    for (const shuffle of data.shuffles) {
+        const input = shuffle.reason === 'deal' ? standardDeck : shuffle.cards;
+        const deck = await fairShuffle(input, data.serverSeed, data.clientSeeds, shuffle.nonce);
+        const serverShuffle = data.verification?.decks.find(d => d.nonce === shuffle.nonce);
+        let matches = sameDeck(deck, serverShuffle?.deck);
+        
+        // Games from before the color came from the seeds have no recorded color to check
+        let firstCardColor = null;
+        if (shuffle.reason === 'deal' && shuffle.firstCardColor) {
+            firstCardColor = await fairFirstCardColor(data.serverSeed, data.clientSeeds, shuffle.nonce);
+            matches = matches && firstCardColor === shuffle.firstCardColor && firstCardColor === serverShuffle?.firstCardColor;
+        }
+        allMatch = allMatch && matches;
+        
+        const status = matches
+            ? '<span class="verify-status ok"><i class="fas fa-check"></i> matches the server replay</span>'
+            : '<span class="verify-status fail"><i class="fas fa-xmark"></i> does not match the server replay</span>';
+        
+        if (shuffle.reason === 'deal') {
+            const { hands, firstCard } = dealFromDeck(deck, shuffle.seats, data.handSize);
+            const handRows = [...hands.entries()].map(([seat, cards]) => {
+                const player = data.players.find(p => p.playerIndex === seat);
+                return `
+                    <div class="verify-hand">
+                        <span class="verify-hand-name">${escapeHtml(player ? player.username : `Player ${seat + 1}`)}</span>
+                        ${cards.map(renderCard).join('')}
+                    </div>
+                `;
+            }).join('');
+            sections.push(`
+                <h3>Hand ${shuffle.round} deal (shuffle #${shuffle.nonce}) ${status}</h3>
+                ${handRows}
+                <div class="verify-hand">
+                    <span class="verify-hand-name">First card</span>
+                    ${firstCard ? renderCard(firstCard) : ''}
+                    ${firstCardColor ? `<span class="verify-card ${firstCardColor}">${escapeHtml(firstCardColor)}</span>` : ''}
+                </div>
+            `);
+        } else {
+            // Cards are drawn from the end of the deck
+            sections.push(`
+                <h3>Hand ${shuffle.round} discard pile reshuffle (shuffle #${shuffle.nonce}) ${status}</h3>
+                <div class="verify-hand">
+                    <span class="verify-hand-name">Draw order</span>
+                    ${[...deck].reverse().map(renderCard).join('')}
+                </div>
+            `);
+        }
+    }
+    
+    verifyShuffles.innerHTML = sections.join('') || '<p class="verify-intro">No shuffles were recorded for this game.</p>';
+    verifyResult.style.display = 'block';
+    showMessage(allMatch
+        ? `Verified ${data.shuffles.length} shuffle(s) for game ${gameId}.`
+        : 'Verification failed - see the details below.', !allMatch);
+}
+
+verifyForm.addEventListener('submit', (event) => {
+    event.preventDefault();
+    const gameId = verifyGameId.value.trim();
+    if (gameId) {
+        history.replaceState(null, '', `?gameId=${encodeURIComponent(gameId)}`);
+        verifyGame(gameId);
+    }
+});
+
+// Verify straight away when linked with ?gameId=
+const initialGameId = new URLSearchParams(window.location.search).get('gameId');
+if (initialGameId) {
+    verifyGameId.value = initialGameId;
+    verifyGame(initialGameId);
+}
@@ -0,0 +1,135 @@
+/**
+ * Sign-In With Solana (client)
+ * Signs a server-issued challenge with the connected wallet and stores the
+ * resulting session token for REST requests and the socket handshake
+ */
+
+const TOKEN_KEY = 'authToken';
+const TOKEN_WALLET_KEY = 'authWallet';
+
+/**
+ * Get stored session token
+ * @returns {string|null} Session token
+ */
+export function getAuthToken() {
+    return localStorage.getItem(TOKEN_KEY);
+}
+
+/**
+ * Check if we hold a session token for a wallet
+ * @param {string} wallet - Wallet public key
+ * @returns {boolean}
+ */
+export function hasSessionFor(wallet) {
+    return !!getAuthToken() && localStorage.getItem(TOKEN_WALLET_KEY) === wallet;
+}
+
+/**
+ * Clear stored session token
+ */
+export function clearAuthToken() {
+    localStorage.removeItem(TOKEN_KEY);
+    localStorage.removeItem(TOKEN_WALLET_KEY);
+}
+
+/**
+ * Build request headers with the session token
+ * @param {Object} [headers] - Extra headers
+ * @returns {Object} Headers object
+ */
+export function authHeaders(headers = {}) {
+    const token = getAuthToken();
+    if (token) {
+        return { ...headers, Authorization: `Bearer ${token}` };
+    }
+    return headers;
+}
+
+/**
+ * Convert signature bytes to base64
+ */
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary);
+}
+
+/**
+ * Sign in with the connected wallet
+ * Requests a challenge, signs it with window.solana.signMessage and exchanges the signature for a session token
+ * @param {string} wallet - Wallet public key
+ * @returns {Promise<string>} Session token
+ */
+export async function signIn(wallet) {
+    if (!window.solana || !window.solana.signMessage) {
+        throw new Error('Your wallet does not support message signing. Please use Phantom, Solflare, or Backpack.');
+    }
+    
+    // Step 1: Request challenge
+    const nonceResponse = await fetch('/api/auth/nonce', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ wallet })
+    });
+    
+    if (!nonceResponse.ok) {
+        const error = await nonceResponse.json();
+        throw new Error(error.error || 'Failed to request sign-in challenge');
+    }
+    
+    const { message } = await nonceResponse.json();
+    
+    // Step 2: Sign challenge (no transaction, no fees)
+    const encodedMessage = new TextEncoder().encode(message);
+    const signed = await window.solana.signMessage(encodedMessage, 'utf8');
+    const signatureBytes = signed.signature || signed;
+    
+    // Step 3: Exchange signature for session token
+    const verifyResponse = await fetch('/api/auth/verify', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            wallet,
+            message, // Its nonce tells the server which challenge was signed
+            signature: bytesToBase64(signatureBytes)
+        })
+    });
+    
+    if (!verifyResponse.ok) {
+        const error = await verifyResponse.json();
+        throw new Error(error.error || 'Sign-in failed');
+    }
+    
+    const session = await verifyResponse.json();
+    localStorage.setItem(TOKEN_KEY, session.token);
+    localStorage.setItem(TOKEN_WALLET_KEY, wallet);
+    
+    return session.token;
+}
+
+/**
+ * Sign out (invalidate session on server and clear local token)
+ */
+export async function signOut() {
+    const token = getAuthToken();
+    clearAuthToken();
+    
+    if (!token) return;
+    
+    try {
+        await fetch('/api/auth/logout', {
+            method: 'POST',
+            headers: {
+                Authorization: `Bearer ${token}`
+            }
+        });
+    } catch (error) {
+        console.error('Error signing out:', error);
+    }
+}
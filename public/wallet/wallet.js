@@ -5,6 +5,8 @@
 
 import { getWalletBalance } from '../payment/paymentService.js';
 import { getPfpUrl } from '../utils/pfpLoader.js';
+import { signIn, signOut, hasSessionFor, getAuthToken, clearAuthToken, authHeaders } from './auth.js';
+import { authenticateSocket, deauthenticateSocket } from '../client/socketClient.js';
 
 let connectedWallet = null;
 let currentUser = null;
@@ -119,8 +121,20 @@ export async function connectWallet(publicKey = null) {
         connectedWallet = publicKey;
         localStorage.setItem('connectedWallet', publicKey);
         
+        // Prove wallet ownership by signing a server challenge (no transaction, no fees)
+        // Auto-restore never pops a signature request - it only reuses an existing session
+        if (!hasSessionFor(publicKey)) {
+            if (isAutoRestoring) {
+                throw new Error('Session expired');
+            }
+            await signIn(publicKey);
+        }
+        
         // Get or create user from server
         const user = await fetchOrCreateUser(publicKey);
+        
+        // Bind the session to the socket before other modules react to the connection
+        await authenticateSocket(getAuthToken());
         currentUser = user;
         
         // Update UI
@@ -140,8 +154,13 @@ export async function connectWallet(publicKey = null) {
         return user;
     } catch (error) {
         console.error('Error connecting wallet:', error);
-        if (error.code === 4001) {
-            // User rejected connection
+        
+        // A wallet without a session can't do anything, so drop it
+        const wasAutoRestoring = isAutoRestoring;
+        handleWalletDisconnect();
+        
+        if (error.code === 4001 || wasAutoRestoring) {
+            // User rejected connection/signature, or saved session is no longer valid
             return null;
         }
         alert('Failed to connect wallet. Please try again.');
@@ -153,6 +172,8 @@ export async function connectWallet(publicKey = null) {
  * Disconnect wallet
  */
 export async function disconnectWallet() {
+    await signOut();
+    
     try {
         if (window.solana && window.solana.isConnected) {
             await window.solana.disconnect();
@@ -171,6 +192,8 @@ function handleWalletDisconnect() {
     connectedWallet = null;
     currentUser = null;
     localStorage.removeItem('connectedWallet');
+    clearAuthToken();
+    deauthenticateSocket();
     
     // Stop balance refresh
     stopBalanceRefresh();
@@ -195,12 +218,18 @@ async function fetchOrCreateUser(wallet) {
     try {
         const response = await fetch('/api/user/connect', {
             method: 'POST',
-            headers: {
+            headers: authHeaders({
                 'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({ wallet })
+            })
         });
         
+        if (response.status === 401) {
+            // Session rejected by server - let caller handle it
+            const error = new Error('Session expired');
+            error.unauthorized = true;
+            throw error;
+        }
+        
         if (!response.ok) {
             throw new Error('Failed to fetch/create user');
         }
@@ -209,6 +238,9 @@ async function fetchOrCreateUser(wallet) {
         return user;
     } catch (error) {
         console.error('Error fetching/creating user:', error);
+        if (error.unauthorized) {
+            throw error;
+        }
         // Return a default user object if server fails
         return {
             wallet,
@@ -230,11 +262,10 @@ export async function updateUsername(newUsername) {
     try {
         const response = await fetch('/api/user/update-username', {
             method: 'POST',
-            headers: {
+            headers: authHeaders({
                 'Content-Type': 'application/json'
-            },
+            }),
             body: JSON.stringify({
-                wallet: connectedWallet,
                 username: newUsername
             })
         });
@@ -494,10 +525,10 @@ function showUsernameModal(user) {
                 
                 const formData = new FormData();
                 formData.append('pfp', file);
-                formData.append('wallet', user.wallet);
                 
                 const response = await fetch('/api/user/upload-pfp', {
                     method: 'POST',
+                    headers: authHeaders(),
                     body: formData
                 });
                 
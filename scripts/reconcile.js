@@ -0,0 +1,72 @@
+import clientPromise from '../server/db.js';
+import { runReconciliation } from '../server/reconciliationService.js';
+
+/**
+ * Escrow reconciliation CLI
+ * Prints the reconciliation report and exits non-zero when something needs attention.
+ *
+ * Usage: npm run reconcile [-- --json]
+ */
+
+const asJson = process.argv.includes('--json');
+
+function printSection(title, items, format) {
+    if (items.length === 0) return;
+    console.log(`\n${title} (${items.length}):`);
+    for (const item of items) {
+        console.log(`  - ${format(item)}`);
+    }
+}
+
+async function main() {
+    const report = await runReconciliation();
+    
+    if (asJson) {
+        console.log(JSON.stringify(report, null, 2));
+        return report;
+    }
+    
+    console.log(`Escrow reconciliation - ${report.generatedAt.toISOString()}`);
+    console.log(`Escrow wallet:       ${report.escrowWallet || 'not configured'}`);
+    console.log(`Escrow balance:      ${report.escrowBalance} SOL`);
+    console.log(`Unseated deposits:   ${report.liabilities.unseatedDeposits} SOL`);
+    console.log(`Seated deposits:     ${report.liabilities.seatedDeposits} SOL`);
+    console.log(`Active game pots:    ${report.liabilities.activeGamePots} SOL`);
+    console.log(`Unpaid game pots:    ${report.liabilities.unpaidGamePots} SOL`);
+    console.log(`Queued refunds:      ${report.liabilities.queuedRefunds} SOL`);
+    console.log(`Total owed:          ${report.liabilities.total} SOL (+ ${report.rentReserve} SOL rent reserve)`);
+    console.log(`Difference:          ${report.difference} SOL`);
+    
+    if (report.shortfall) {
+        console.log(`\n❌ SHORTFALL: escrow is ${report.shortfall.amount} SOL short of the ${report.shortfall.required} SOL it needs`);
+    }
+    
+    printSection('❌ Orphaned deposits', report.orphanedDeposits,
+        d => `${d.signature} ${d.wallet} ${d.solAmount} SOL [${d.status}] - ${d.reason}`);
+    printSection('❌ Double payouts', report.doublePayouts,
+        d => `${d.gameId} ${d.wallet} refund ${d.refundSignature} + winnings ${d.winningsTxHash}`);
+    printSection('⚠️ Unconfirmed refunds', report.unconfirmedRefunds,
+        r => `${r.signature} ${r.wallet} ${r.solAmount} SOL`);
+    printSection('⚠️ Failed settlements', report.failedSettlements,
+        j => `${j.gameId} ${j.winnerWallet} ${j.totalStake} SOL after ${j.attempts} attempts - ${j.lastError}`);
+    printSection('⚠️ Failed refunds', report.failedRefunds,
+        j => `${j.gameId} ${j.wallet} ${j.amount} SOL after ${j.attempts} attempts - ${j.lastError}`);
+    
+    console.log(report.ok ? '\n✅ Escrow reconciles' : '\n❌ Escrow does not reconcile');
+    return report;
+}
+
+main()
+    .then(async (report) => {
+        (await clientPromise).close();
+        process.exit(report.ok ? 0 : 1);
+    })
+    .catch(async (error) => {
+        console.error('Error running reconciliation:', error);
+        try {
+            (await clientPromise).close();
+        } catch (closeError) {
+            // Connection may never have opened
+        }
+        process.exit(2);
+    });
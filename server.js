@@ -8,13 +8,31 @@ import sharp from 'sharp';
 import { existsSync, mkdirSync, statSync } from 'fs';
 import { stat } from 'fs/promises';
 import { Game } from './server/gameLogic.js';
+import { VIEWS, gameStartPayload, emitGameStateUpdates } from './server/gameView.js';
 import { LobbyManager } from './server/lobbyManager.js';
+import { RuleSet } from './server/ruleSet.js';
 import { testConnection, getDatabase } from './server/db.js';
 import { initializeIndexes } from './server/models/initIndexes.js';
 import { createOrUpdateUser, updateUsername as updateUserUsername, getUserByWallet, getUserByUsername, updatePfp } from './server/models/User.js';
-import { getEscrowWallet, verifyPayment, refundPayment, distributeWinnings } from './server/paymentService.js';
-import { createGame, getGameByGameId, updateGameOnEnd, updateGameTransactions } from './server/models/Game.js';
-import { createMatchHistory, getRecentWins, updateMatchHistoryTxHash } from './server/models/MatchHistory.js';
+import { getEscrowWallet, verifyPayment } from './server/paymentService.js';
+import { enqueueSettlement, processSettlement, startSettlementWorker } from './server/settlementService.js';
+import { enqueueRefund, processRefund, startRefundWorker } from './server/refundService.js';
+import { createSignInChallenge, verifySignIn, getSessionWallet, endSession, getRequestToken, requireAuth, requireAdmin, cleanupExpiredNonces, NONCE_TTL } from './server/authService.js';
+import { runReconciliation } from './server/reconciliationService.js';
+import { buildAuditBundle } from './server/auditService.js';
+import { getLeaderboardBoard, LEADERBOARD_BOARDS, LEADERBOARD_WINDOWS, LEADERBOARD_STAKE_TIERS, LEADERBOARD_GAME_MODES } from './server/leaderboardService.js';
+import { normalizeClientSeed } from './server/provablyFair.js';
+import { SpectatorStream, getSpectatorDelay } from './server/spectatorStream.js';
+import { replayGame } from './server/gameReplay.js';
+import { BotDriver } from './server/botPlayer.js';
+import { MatchmakingQueue } from './server/matchmaking.js';
+import { rateMatch, ratingOf, getPlacements } from './server/rating.js';
+import { createGame, getGameByGameId, updateGameOnEnd, updateGameOnAbandon, saveGameSnapshot, getRestorableGames } from './server/models/Game.js';
+import { createMatchHistory, getRecentWins, getMatchHistoryByWallet, getMatchHistoryByGameId, getUserMatchStats } from './server/models/MatchHistory.js';
+import { createPracticeMatch } from './server/models/PracticeMatch.js';
+import { appendGameEvent, getGameEvents, deleteGameEventsFrom } from './server/models/GameEvent.js';
+import { createChatMessage } from './server/models/ChatMessage.js';
+import { PAYMENT_STATUS, createPayment, getPaymentBySignature, getPaymentsByStatus, getPaymentsByGameId, transitionPayment, getUnnotifiedRefunds, markRefundNotified } from './server/models/Payment.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -60,15 +78,59 @@ const upload = multer({
 });
 
 // API Routes
-// Connect wallet and get/create user
-app.post('/api/user/connect', async (req, res) => {
+// Request a sign-in challenge for a wallet
+app.post('/api/auth/nonce', (req, res) => {
+    const { wallet } = req.body;
+    
+    const challenge = createSignInChallenge(wallet, req.get('host'));
+    if (!challenge.success) {
+        return res.status(400).json({ error: challenge.error });
+    }
+    
+    res.json({
+        message: challenge.message,
+        nonce: challenge.nonce,
+        expiresAt: challenge.expiresAt
+    });
+});
+
+// Verify signed challenge and issue a session token
+app.post('/api/auth/verify', async (req, res) => {
     try {
-        const { wallet } = req.body;
+        const { wallet, message, signature } = req.body;
         
-        if (!wallet || typeof wallet !== 'string') {
-            return res.status(400).json({ error: 'Wallet address is required' });
+        const result = await verifySignIn(wallet, message, signature);
+        if (!result.success) {
+            return res.status(401).json({ error: result.error });
         }
         
+        res.json({
+            token: result.token,
+            wallet: result.wallet,
+            expiresAt: result.expiresAt
+        });
+    } catch (error) {
+        console.error('Error in /api/auth/verify:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// End the current session
+app.post('/api/auth/logout', async (req, res) => {
+    try {
+        await endSession(getRequestToken(req));
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error in /api/auth/logout:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Connect wallet and get/create user (wallet comes from the authenticated session)
+app.post('/api/user/connect', requireAuth, async (req, res) => {
+    try {
+        const wallet = req.wallet;
+        
         // Check if user exists
         let user = await getUserByWallet(wallet);
         
@@ -92,13 +154,9 @@ app.post('/api/user/connect', async (req, res) => {
 });
 
 // Upload profile picture
-app.post('/api/user/upload-pfp', upload.single('pfp'), async (req, res) => {
+app.post('/api/user/upload-pfp', requireAuth, upload.single('pfp'), async (req, res) => {
     try {
-        const { wallet } = req.body;
-        
-        if (!wallet || typeof wallet !== 'string') {
-            return res.status(400).json({ error: 'Wallet address is required' });
-        }
+        const wallet = req.wallet;
         
         if (!req.file) {
             return res.status(400).json({ error: 'No file uploaded' });
@@ -170,13 +228,10 @@ app.post('/api/user/upload-pfp', upload.single('pfp'), async (req, res) => {
 });
 
 // Update username
-app.post('/api/user/update-username', async (req, res) => {
+app.post('/api/user/update-username', requireAuth, async (req, res) => {
     try {
-        const { wallet, username } = req.body;
-        
-        if (!wallet || typeof wallet !== 'string') {
-            return res.status(400).json({ error: 'Wallet address is required' });
-        }
+        const wallet = req.wallet;
+        const { username } = req.body;
         
         if (!username || typeof username !== 'string') {
             return res.status(400).json({ error: 'Username is required' });
@@ -228,72 +283,147 @@ app.get('/api/config/rpc-url', (req, res) => {
     res.json({ rpcUrl: rpcUrl });
 });
 
-// Recent Wins API endpoint (simple GET, cached)
+// Recent wins, newest first (?limit=10&cursor=... - cursor is nextCursor of the previous page)
+// New wins are pushed to every client as they happen (recent_win), so this is only for the first load and older pages
 app.get('/api/recent-wins', async (req, res) => {
     try {
-        const now = Date.now();
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || RECENT_WINS_PAGE_SIZE, 1), RECENT_WINS_MAX_PAGE_SIZE);
+        const cursor = req.query.cursor ? parseRecentWinsCursor(req.query.cursor) : null;
+        if (req.query.cursor && !cursor) {
+            return res.status(400).json({ error: 'Invalid cursor' });
+        }
         
-        // Check if cache is valid
-        if (recentWinsCache && recentWinsCacheTime && (now - recentWinsCacheTime) < RECENT_WINS_CACHE_TTL) {
+        // First page is cached until the next win or payout
+        const firstPage = !cursor && limit === RECENT_WINS_PAGE_SIZE;
+        if (firstPage && recentWinsCache) {
             return res.json(recentWinsCache);
         }
         
-        // Fetch fresh data
-        const recentWins = await getRecentWins(10);
+        // One extra win tells us whether there is another page
+        const version = recentWinsVersion;
+        const recentWins = await getRecentWins(limit + 1, cursor);
+        const page = recentWins.slice(0, limit);
+        const last = page[page.length - 1];
         
-        // Format data for frontend and fetch pfpUrl for winners
-        const formattedWins = await Promise.all(recentWins.map(async (win) => {
-            // Format gameId for display (truncate to show first part)
-            let gameIdDisplay = win.gameId || 'unknown';
-            if (gameIdDisplay.length > 20) {
-                gameIdDisplay = gameIdDisplay.substring(0, 16) + '...';
-            }
-            
-            // Get winner's pfpUrl from database
-            let pfpUrl = '/pfp/default.jpg';
-            if (win.winner?.wallet) {
-                try {
-                    const dbUser = await getUserByWallet(win.winner.wallet);
-                    if (dbUser && dbUser.pfpUrl) {
-                        pfpUrl = dbUser.pfpUrl;
-                    }
-                } catch (error) {
-                    console.error('Error fetching pfpUrl for recent win:', error);
-                }
-            }
-            
-            return {
-                username: win.winner?.username || 'Unknown',
-                wallet: win.winner?.wallet || null,
-                pfpUrl: pfpUrl,
-                time: win.createdAt,
-                gameMode: win.gameMode || '2p',
-                stake: win.stake || 0,
-                winAmount: win.winAmount || 0,
-                txHash: win.txHash || null,
-                gameId: win.gameId || null,
-                gameIdDisplay: `game_id:${gameIdDisplay}`
-            };
-        }));
+        const result = {
+            wins: await Promise.all(page.map(formatRecentWin)),
+            nextCursor: recentWins.length > limit ? `${last.createdAt.getTime()}:${last.gameId}` : null
+        };
         
-        // Update cache
-        recentWinsCache = formattedWins;
-        recentWinsCacheTime = now;
+        // Don't cache a page that a win pushed while it loaded has already made stale
+        if (firstPage && version === recentWinsVersion) {
+            recentWinsCache = result;
+        }
         
-        res.json(formattedWins);
+        res.json(result);
     } catch (error) {
         console.error('Error fetching recent wins:', error);
         res.status(500).json({ error: 'Failed to fetch recent wins' });
     }
 });
 
+// Leaderboards (?board=profit|wins|winrate&window=daily|weekly|monthly|all&gameMode=2p&stakeTier=low)
+app.get('/api/leaderboards', async (req, res) => {
+    try {
+        const board = req.query.board || 'profit';
+        const window = req.query.window || 'weekly';
+        const gameMode = req.query.gameMode || null;
+        const stakeTier = req.query.stakeTier || null;
+        
+        if (!Object.hasOwn(LEADERBOARD_BOARDS, board)) {
+            return res.status(400).json({ error: 'Unknown leaderboard' });
+        }
+        if (!Object.hasOwn(LEADERBOARD_WINDOWS, window)) {
+            return res.status(400).json({ error: 'Unknown time window' });
+        }
+        if (gameMode && !LEADERBOARD_GAME_MODES.includes(gameMode)) {
+            return res.status(400).json({ error: 'Unknown game mode' });
+        }
+        if (stakeTier && !Object.hasOwn(LEADERBOARD_STAKE_TIERS, stakeTier)) {
+            return res.status(400).json({ error: 'Unknown stake tier' });
+        }
+        
+        res.json(await getLeaderboardBoard(board, window, gameMode, stakeTier));
+    } catch (error) {
+        console.error('Error fetching leaderboard:', error);
+        res.status(500).json({ error: 'Failed to fetch leaderboard' });
+    }
+});
+
+// Player profile - account details and stats from the staked match history
+app.get('/api/users/:wallet/profile', async (req, res) => {
+    try {
+        const user = await getUserByWallet(req.params.wallet);
+        if (!user) {
+            return res.status(404).json({ error: 'Player not found' });
+        }
+        
+        const stats = await getUserMatchStats(user.wallet);
+        
+        res.json({
+            wallet: user.wallet,
+            username: user.username,
+            pfpUrl: user.pfpUrl || '/pfp/default.jpg',
+            joinedAt: user.createdAt || null,
+            rating: {
+                rating: ratingOf(user),
+                ratedGames: user.ratedGames || 0,
+                history: (user.ratingHistory || []).slice(-PROFILE_RATING_HISTORY_SIZE).map(entry => ({
+                    gameId: entry.gameId,
+                    rating: entry.rating,
+                    change: entry.change,
+                    place: entry.place,
+                    players: entry.players,
+                    time: entry.createdAt
+                }))
+            },
+            stats: stats
+        });
+    } catch (error) {
+        console.error('Error fetching player profile:', error);
+        res.status(500).json({ error: 'Failed to fetch profile' });
+    }
+});
+
+// A player's staked matches, newest first (?limit=20&skip=0)
+app.get('/api/users/:wallet/matches', async (req, res) => {
+    try {
+        const wallet = req.params.wallet;
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || PROFILE_MATCHES_PAGE_SIZE, 1), PROFILE_MATCHES_MAX_PAGE_SIZE);
+        const skip = Math.max(parseInt(req.query.skip, 10) || 0, 0);
+        
+        // One extra match tells us whether there is another page
+        const matches = await getMatchHistoryByWallet(wallet, limit + 1, skip);
+        
+        res.json({
+            matches: matches.slice(0, limit).map(match => ({
+                gameId: match.gameId,
+                gameMode: match.gameMode || '2p',
+                players: match.players.map(p => ({ username: p.username, wallet: p.wallet })),
+                winner: match.winner ? { username: match.winner.username, wallet: match.winner.wallet } : null,
+                won: !!match.winner && match.winner.wallet === wallet,
+                stake: match.stake || 0,
+                winAmount: match.winAmount || 0,
+                txHash: match.txHash || null,
+                time: match.createdAt
+            })),
+            limit: limit,
+            skip: skip,
+            hasMore: matches.length > limit
+        });
+    } catch (error) {
+        console.error('Error fetching player matches:', error);
+        res.status(500).json({ error: 'Failed to fetch matches' });
+    }
+});
+
 // Payment API endpoints
-app.post('/api/payment/request', async (req, res) => {
+app.post('/api/payment/request', requireAuth, async (req, res) => {
     try {
-        const { wallet, lobbyId } = req.body;
+        const { lobbyId } = req.body;
         
-        if (!wallet || !lobbyId) {
-            return res.status(400).json({ error: 'Wallet and lobby ID are required' });
+        if (!lobbyId) {
+            return res.status(400).json({ error: 'Lobby ID is required' });
         }
         
         // Get lobby to get SOL stake amount
@@ -307,6 +437,16 @@ app.post('/api/payment/request', async (req, res) => {
             return res.status(400).json({ error: 'Lobby is not available' });
         }
         
+        // Practice lobbies never touch escrow
+        if (lobby.solStake === 0) {
+            return res.status(400).json({ error: 'Practice lobbies are free - no payment needed' });
+        }
+        
+        // Only invitees can pay into a private table
+        if (!lobbyManager.canJoinLobby(lobbyId, req.wallet)) {
+            return res.status(403).json({ error: 'This table is invite-only' });
+        }
+        
         // Get escrow wallet address
         const result = await getEscrowWallet();
         
@@ -324,12 +464,13 @@ app.post('/api/payment/request', async (req, res) => {
     }
 });
 
-app.post('/api/payment/verify', async (req, res) => {
+app.post('/api/payment/verify', requireAuth, async (req, res) => {
     try {
-        const { signature, wallet, lobbyId } = req.body;
+        const wallet = req.wallet;
+        const { signature, lobbyId } = req.body;
         
-        if (!signature || !wallet || !lobbyId) {
-            return res.status(400).json({ error: 'Signature, wallet, and lobby ID are required' });
+        if (!signature || !lobbyId) {
+            return res.status(400).json({ error: 'Signature and lobby ID are required' });
         }
         
         // Get lobby to verify amount
@@ -338,6 +479,20 @@ app.post('/api/payment/verify', async (req, res) => {
             return res.status(404).json({ error: 'Lobby not found' });
         }
         
+        if (lobby.solStake === 0) {
+            return res.status(400).json({ error: 'Practice lobbies are free - no payment needed' });
+        }
+        
+        if (!lobbyManager.canJoinLobby(lobbyId, wallet)) {
+            return res.status(403).json({ error: 'This table is invite-only' });
+        }
+        
+        // Reject signatures that were already used for a deposit
+        const existingPayment = await getPaymentBySignature(signature);
+        if (existingPayment) {
+            return res.status(409).json({ error: 'This payment has already been used' });
+        }
+        
         // Verify payment
         const verification = await verifyPayment(signature, wallet, lobby.solStake);
         
@@ -345,14 +500,18 @@ app.post('/api/payment/verify', async (req, res) => {
             return res.status(400).json({ error: verification.error || 'Payment verification failed' });
         }
         
-        // Store payment record
-        playerPayments.set(wallet, {
-            lobbyId: lobbyId,
-            solAmount: lobby.solStake,
+        // Store payment record (unique index on signature guards against concurrent replays)
+        const payment = await createPayment({
             signature: signature,
-            timestamp: Date.now()
+            wallet: wallet,
+            lobbyId: lobbyId,
+            solAmount: lobby.solStake
         });
         
+        if (!payment) {
+            return res.status(409).json({ error: 'This payment has already been used' });
+        }
+        
         res.json({
             success: true,
             signature: verification.signature,
@@ -364,10 +523,177 @@ app.post('/api/payment/verify', async (req, res) => {
     }
 });
 
+// Private table API endpoints
+app.post('/api/lobbies/private', requireAuth, (req, res) => {
+    try {
+        const { gameMode, solStake, ruleSetId } = req.body || {};
+        
+        const result = lobbyManager.createPrivateLobby(req.wallet, Number(gameMode), Number(solStake), ruleSetId || undefined);
+        if (!result.success) {
+            return res.status(400).json({ error: result.message });
+        }
+        
+        const lobby = result.lobby;
+        console.log(`Private table ${lobby.id} opened by ${req.wallet} (${lobby.gameMode}P, ${lobby.solStake} SOL)`);
+        broadcastLobbyList();
+        
+        res.json({
+            lobbyId: lobby.id,
+            inviteCode: lobby.inviteCode,
+            inviteUrl: `/?invite=${lobby.inviteCode}`,
+            expiresAt: lobby.expiresAt
+        });
+    } catch (error) {
+        console.error('Error creating private table:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Open an invite - the signed-in wallet can now see, pay for and join the table
+app.post('/api/lobbies/invite', requireAuth, (req, res) => {
+    try {
+        const { inviteCode } = req.body || {};
+        
+        const lobby = lobbyManager.acceptInvite(inviteCode, req.wallet);
+        if (!lobby) {
+            return res.status(404).json({ error: 'This invite has expired or does not exist' });
+        }
+        
+        broadcastLobbyList();
+        
+        res.json({
+            lobbyId: lobby.id,
+            gameMode: lobby.gameMode,
+            solStake: lobby.solStake,
+            status: lobby.status,
+            expiresAt: lobby.expiresAt
+        });
+    } catch (error) {
+        console.error('Error accepting invite:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Provably fair shuffle verification - the server seed is only returned once the game is over.
+// verification.decks has the server's recomputed deck for every shuffle, and for every deal the color
+// a wild first card was given (HMAC of the seeds under the nonce "<deal nonce>:firstCard").
+app.get('/api/games/:gameId/fairness', async (req, res) => {
+    try {
+        const gameData = await getGameByGameId(req.params.gameId);
+        if (!gameData || !gameData.fairness) {
+            return res.status(404).json({ error: 'Game not found' });
+        }
+        
+        const fairness = gameData.fairness;
+        const response = {
+            gameId: gameData.gameId,
+            status: gameData.status,
+            ruleSet: gameData.ruleSet,
+            handSize: RuleSet.fromPreset(gameData.ruleSet).handSize,
+            players: gameData.players.map(p => ({ username: p.username, wallet: p.wallet, playerIndex: p.playerIndex })),
+            serverSeedHash: fairness.serverSeedHash,
+            clientSeeds: fairness.clientSeeds,
+            generatedSeats: fairness.generatedSeats || [], // Seats whose seed came from the server, not the player
+            serverSeed: null,
+            shuffles: null,
+            verification: null
+        };
+        
+        if (gameData.status !== 'active' && fairness.serverSeed) {
+            const verification = Game.verifyFairness(fairness);
+            response.serverSeed = fairness.serverSeed;
+            response.shuffles = fairness.shuffles;
+            response.verification = {
+                commitmentValid: verification.commitmentValid,
+                decks: verification.shuffles
+            };
+        }
+        
+        res.json(response);
+    } catch (error) {
+        console.error('Error fetching game fairness:', error);
+        res.status(500).json({ error: 'Failed to fetch game fairness' });
+    }
+});
+
+// Game replay - re-simulated from the event log once the game is over (the seeds give away every hand)
+app.get('/api/games/:gameId/replay', async (req, res) => {
+    try {
+        const gameData = await getGameByGameId(req.params.gameId);
+        if (!gameData || !gameData.fairness) {
+            return res.status(404).json({ error: 'Game not found' });
+        }
+        
+        if (gameData.status === 'active' || !gameData.fairness.serverSeed) {
+            return res.status(409).json({ error: 'Replays are available once the game is over' });
+        }
+        
+        const events = await getGameEvents(gameData.gameId);
+        if (events.length === 0) {
+            return res.status(404).json({ error: 'No replay was recorded for this game' });
+        }
+        
+        const seat = parseInt(req.query.seat, 10) || 0;
+        if (seat < 0 || seat >= gameData.players.length) {
+            return res.status(400).json({ error: 'Invalid seat' });
+        }
+        
+        const { frames, error } = replayGame(gameData, events, seat);
+        if (error) {
+            console.error(`Replay of game ${gameData.gameId} stopped early: ${error}`);
+        }
+        
+        res.json({
+            gameId: gameData.gameId,
+            status: gameData.status,
+            ruleSet: gameData.ruleSet,
+            players: gameData.players.map(p => ({ username: p.username, playerIndex: p.playerIndex })),
+            seat: seat,
+            complete: !error,
+            frames: frames
+        });
+    } catch (error) {
+        console.error('Error building game replay:', error);
+        res.status(500).json({ error: 'Failed to build replay' });
+    }
+});
+
+// Replay viewer (public/replay) - the page reads the game ID from its path
+app.get('/replay/:gameId', (req, res) => {
+    res.sendFile(join(__dirname, 'public', 'replay', 'index.html'));
+});
+
+// Admin API endpoints
+app.get('/api/admin/reconciliation', requireAdmin, async (req, res) => {
+    try {
+        const report = await runReconciliation();
+        res.json(report);
+    } catch (error) {
+        console.error('Error running escrow reconciliation:', error);
+        res.status(500).json({ error: 'Failed to run reconciliation' });
+    }
+});
+
+// Dispute audit trail - everything recorded about one game
+app.get('/api/admin/games/:gameId/audit', requireAdmin, async (req, res) => {
+    try {
+        const bundle = await buildAuditBundle(req.params.gameId);
+        if (!bundle) {
+            return res.status(404).json({ error: 'Game not found' });
+        }
+        
+        res.json(bundle);
+    } catch (error) {
+        console.error('Error building game audit bundle:', error);
+        res.status(500).json({ error: 'Failed to build audit bundle' });
+    }
+});
+
 // Chat history storage (in-memory, cleaned up after 24h)
 const chatHistory = {
     all: [], // All chat messages
-    lobbies: new Map() // lobbyId -> Array of messages
+    lobbies: new Map(), // lobbyId -> Array of messages
+    spectators: new Map() // gameId -> Array of messages (spectator chat, separate from the players' lobby chat)
 };
 const CHAT_HISTORY_EXPIRY = 24 * 60 * 60 * 1000; // 24 hours
 const MAX_MESSAGES_PER_CHAT = 200; // Limit to prevent memory issues
@@ -393,6 +719,11 @@ function addToChatHistory(mode, lobbyId, messageData) {
             chatHistory.lobbies.set(lobbyId, []);
         }
         historyArray = chatHistory.lobbies.get(lobbyId);
+    } else if (mode === 'spectator' && lobbyId) {
+        if (!chatHistory.spectators.has(lobbyId)) {
+            chatHistory.spectators.set(lobbyId, []);
+        }
+        historyArray = chatHistory.spectators.get(lobbyId);
     } else {
         historyArray = chatHistory.all;
     }
@@ -406,6 +737,23 @@ function addToChatHistory(mode, lobbyId, messageData) {
     }
 }
 
+/**
+ * Keep a lobby or spectator chat message for audits (failures never hold up the chat)
+ */
+function storeChatMessage(mode, lobbyId, gameId, messageData) {
+    createChatMessage({
+        mode: mode,
+        lobbyId: lobbyId,
+        gameId: gameId,
+        wallet: messageData.wallet,
+        playerName: messageData.playerName,
+        message: messageData.message,
+        timestamp: messageData.timestamp
+    }).catch(error => {
+        console.error('Error storing chat message:', error);
+    });
+}
+
 /**
  * Get chat history
  */
@@ -415,6 +763,8 @@ function getChatHistory(mode, lobbyId) {
     
     if (mode === 'lobby' && lobbyId) {
         historyArray = chatHistory.lobbies.get(lobbyId) || [];
+    } else if (mode === 'spectator' && lobbyId) {
+        historyArray = chatHistory.spectators.get(lobbyId) || [];
     } else {
         historyArray = chatHistory.all;
     }
@@ -438,19 +788,21 @@ function cleanupChatHistory() {
         return (now - msgTime) < CHAT_HISTORY_EXPIRY;
     });
     
-    // Clean lobby chats
-    for (const [lobbyId, messages] of chatHistory.lobbies.entries()) {
-        const validMessages = messages.filter(msg => {
-            const msgTime = msg.timestamp || 0;
-            return (now - msgTime) < CHAT_HISTORY_EXPIRY;
-        });
-        
-        if (validMessages.length === 0) {
-            chatHistory.lobbies.delete(lobbyId);
-        } else {
-            chatHistory.lobbies.set(lobbyId, validMessages);
+    // Clean lobby and spectator chats
+    [chatHistory.lobbies, chatHistory.spectators].forEach(histories => {
+        for (const [id, messages] of histories.entries()) {
+            const validMessages = messages.filter(msg => {
+                const msgTime = msg.timestamp || 0;
+                return (now - msgTime) < CHAT_HISTORY_EXPIRY;
+            });
+            
+            if (validMessages.length === 0) {
+                histories.delete(id);
+            } else {
+                histories.set(id, validMessages);
+            }
         }
-    }
+    });
 }
 
 /**
@@ -479,96 +831,167 @@ setInterval(() => {
     cleanupRateLimits();
 }, 60 * 60 * 1000);
 
+// Sign-in challenges expire after a few minutes - sweep them on the same schedule
+setInterval(cleanupExpiredNonces, NONCE_TTL);
+
 // Game and lobby management
 const lobbyManager = new LobbyManager();
 const activeGames = new Map(); // gameId -> Game instance
 const playerToGame = new Map(); // playerId -> gameId
 const playerToLobby = new Map(); // playerId -> lobbyId
-const playerNameToGame = new Map(); // playerName -> gameId (for reconnection)
 const gameToLobby = new Map(); // gameId -> lobbyId (for chat routing)
 
-// Payment tracking: track payments by player wallet and lobby
-const playerPayments = new Map(); // wallet -> { lobbyId, solAmount, signature, timestamp }
 const lobbyToGame = new Map(); // lobbyId -> gameId (to check if game has started)
-let recentWinsCache = null; // Cached recent wins data
-let recentWinsCacheTime = null; // Timestamp when cache was created
-const RECENT_WINS_CACHE_TTL = 30000; // 30 seconds cache TTL
+const gameSpectators = new Map(); // gameId -> Map(socketId -> { name, wallet })
+const spectatorToGame = new Map(); // socketId -> gameId
+const spectatorStreams = new Map(); // gameId -> SpectatorStream (delayed for staked games)
+const heldLobbySeats = new Map(); // wallet -> { lobbyId, playerId, paymentSignature, timer } (paid seats of disconnected players)
+const LOBBY_SEAT_GRACE_PERIOD = 60000; // 60 seconds to reclaim a paid lobby seat before it is refunded
+const botDrivers = new Map(); // gameId -> BotDriver (plays bot seats and stand-ins)
+const BOT_STAND_IN_DIFFICULTY = 'medium'; // Bot that plays for disconnected players in unstaked games
+const PRIVATE_LOBBY_SWEEP_INTERVAL = 30000; // How often private tables are checked for expiry
+const matchmakingQueue = new MatchmakingQueue([2, 3, 4], lobbyManager.solStakes);
+const pendingMatches = new Map(); // lobbyId -> { entries, confirmBy, timer } (found matches waiting for every player to pay)
+const cancelledMatchLobbies = new Set(); // Recently cancelled match lobbies (payments still arriving for them are refunded)
+const MATCHMAKING_INTERVAL = 2000; // How often the queue is matched and queue status sent
+const MATCH_CONFIRM_TIMEOUT = 45000; // 45 seconds for every matched player to pay for their seat
+const CANCELLED_MATCH_MEMORY = 10 * 60 * 1000; // How long a cancelled match still refunds late payments
+let recentWinsCache = null; // First page of recent wins (cleared by every new win and payout)
+let recentWinsVersion = 0; // Bumped by every new win and payout
+const RECENT_WINS_PAGE_SIZE = 10;
+const RECENT_WINS_MAX_PAGE_SIZE = 50;
+const PROFILE_MATCHES_PAGE_SIZE = 20; // Matches per page on a player profile
+const PROFILE_MATCHES_MAX_PAGE_SIZE = 50;
+const PROFILE_RATING_HISTORY_SIZE = 30; // Rating changes shown on a profile
+
+// Close private tables that didn't fill in time
+setInterval(() => {
+    expirePrivateLobbies().catch(error => {
+        console.error('Error expiring private tables:', error);
+    });
+}, PRIVATE_LOBBY_SWEEP_INTERVAL);
+
+// Pair up queued players
+setInterval(runMatchmaking, MATCHMAKING_INTERVAL);
+
+// Resolve session token from the handshake (anonymous sockets can still browse lobbies and chat history)
+io.use(async (socket, next) => {
+    const token = socket.handshake.auth?.token;
+    if (token) {
+        try {
+            socket.data.wallet = await getSessionWallet(token);
+        } catch (error) {
+            console.error('Error resolving socket session:', error);
+        }
+    }
+    next();
+});
 
-    // Socket.io connection handling
-    io.on('connection', (socket) => {
-        console.log(`Player connected: ${socket.id}`);
+// Socket.io connection handling
+io.on('connection', (socket) => {
+    console.log(`Player connected: ${socket.id}`);
+    
+    // Send lobby list to newly connected client
+    socket.emit('lobby_list', lobbyManager.getAllLobbies(socket.data.wallet));
+    
+    // Send online users count to newly connected client
+    socket.emit('online_users_count', { count: io.sockets.sockets.size });
+    
+    // Broadcast updated online users count to all clients
+    io.emit('online_users_count', { count: io.sockets.sockets.size });
+    
+    // Send chat history for 'all' chat (everyone can view)
+    const allChatHistory = getChatHistory('all', null);
+    socket.emit('chat_history', {
+        mode: 'all',
+        messages: allChatHistory
+    });
+    
+    // Tell a signed-in player about refunds issued while they were away
+    if (socket.data.wallet) {
+        deliverPendingRefunds(socket);
+    }
+    
+    // Authenticate an already-connected socket (wallet signed in after the socket connected)
+    socket.on('authenticate', async (data, ack) => {
+        const { token } = data || {};
+        const respond = typeof ack === 'function' ? ack : () => {};
         
-        // Send lobby list to newly connected client
+        try {
+            const wallet = await getSessionWallet(token);
+            if (!wallet) {
+                respond({ success: false, error: 'Invalid or expired session' });
+                return;
+            }
+            
+            socket.data.wallet = wallet;
+            respond({ success: true, wallet: wallet });
+            
+            // Private tables the wallet was invited to
+            socket.emit('lobby_list', lobbyManager.getAllLobbies(wallet));
+            deliverPendingRefunds(socket);
+        } catch (error) {
+            console.error('Error authenticating socket:', error);
+            respond({ success: false, error: 'Authentication failed' });
+        }
+    });
+    
+    // Drop the socket's session (wallet disconnected on the client)
+    socket.on('deauthenticate', () => {
+        leaveMatchmakingQueue(socket);
+        socket.data.wallet = null;
         socket.emit('lobby_list', lobbyManager.getAllLobbies());
-        
-        // Send online users count to newly connected client
-        socket.emit('online_users_count', { count: io.sockets.sockets.size });
-        
-        // Broadcast updated online users count to all clients
-        io.emit('online_users_count', { count: io.sockets.sockets.size });
-        
-        // Send chat history for 'all' chat (everyone can view)
-        const allChatHistory = getChatHistory('all', null);
-        socket.emit('chat_history', {
-            mode: 'all',
-            messages: allChatHistory
-        });
+    });
     
     // Request lobby list
     socket.on('request_lobby_list', () => {
-        socket.emit('lobby_list', lobbyManager.getAllLobbies());
+        socket.emit('lobby_list', lobbyManager.getAllLobbies(socket.data.wallet));
     });
     
     // Request online users count
-        socket.on('get_online_users', () => {
-            socket.emit('online_users_count', { count: io.sockets.sockets.size });
-        });
-        
+    socket.on('get_online_users', () => {
+        socket.emit('online_users_count', { count: io.sockets.sockets.size });
+    });
     
-    // Check for reconnection to active game
-    socket.on('check_reconnection', (data) => {
-        const { playerName, wallet } = data || {};
-        if (!playerName && !wallet) {
+    // Check for reconnection to active game (only the authenticated wallet can reclaim its seat)
+    socket.on('check_reconnection', () => {
+        const wallet = socket.data.wallet;
+        if (!wallet) {
             socket.emit('reconnection_result', { reconnected: false });
             return;
         }
         
-        // Try to find game by wallet first (more reliable), then by playerName
+        // Reclaim a paid lobby seat held after a disconnect
+        if (reclaimLobbySeat(socket)) {
+            return;
+        }
+        
+        // Find game by wallet
         let gameId = null;
-        if (wallet) {
-            // Find game by wallet - we'll need to check game states
-            for (const [gId, game] of activeGames.entries()) {
-                const fullState = game.getFullState();
-                const player = fullState.players.find(p => p.wallet === wallet);
-                if (player) {
-                    gameId = gId;
-                    break;
-                }
+        for (const [gId, game] of activeGames.entries()) {
+            const fullState = game.getFullState();
+            const player = fullState.players.find(p => p.wallet === wallet);
+            if (player) {
+                gameId = gId;
+                break;
             }
         }
         
-        // Fallback to playerName if wallet not found
-        if (!gameId && playerName) {
-            gameId = playerNameToGame.get(playerName);
-        }
         if (gameId && activeGames.has(gameId)) {
             const game = activeGames.get(gameId);
             const fullState = game.getFullState();
             
-            // Don't allow reconnection to finished games
-            if (fullState.status === 'finished') {
-                // Remove from mapping since game is finished
-                playerNameToGame.delete(playerName);
+            // Don't allow reconnection to finished or abandoned games
+            if (fullState.status === 'finished' || fullState.status === 'abandoned') {
                 socket.emit('reconnection_result', { reconnected: false, reason: 'Game has ended' });
                 return;
             }
             
-            const playerIndex = fullState.players.findIndex(p => 
-                (p.originalName || p.name.replace(' (Disconnected)', '')) === playerName
-            );
+            const playerIndex = fullState.players.findIndex(p => p.wallet === wallet);
             
             if (playerIndex !== -1) {
                 const player = fullState.players[playerIndex];
+                const playerName = player.originalName || player.name.replace(' (Disconnected)', '');
                 // Reconnect player
                 const reconnectResult = game.handlePlayerReconnect(player.id, socket.id, playerName);
                 
@@ -580,11 +1003,8 @@ const RECENT_WINS_CACHE_TTL = 30000; // 30 seconds cache TTL
                     player.socketId = socket.id;
                     
                     // Send game state to reconnected player
-                    const publicState = game.getPublicState(socket.id);
                     socket.emit('game_start', {
-                        gameId: gameId,
-                        playerIndex: playerIndex,
-                        gameState: publicState,
+                        ...gameStartPayload(game, gameId, socket.id),
                         reconnected: true
                     });
                     
@@ -597,6 +1017,13 @@ const RECENT_WINS_CACHE_TTL = 30000; // 30 seconds cache TTL
                             });
                         }
                     });
+                    emitToSpectators(gameId, 'player_reconnected', {
+                        playerIndex: playerIndex,
+                        playerName: playerName
+                    });
+                    
+                    // Reconnected player gets the current spectator list
+                    socket.emit('spectators_update', { gameId: gameId, spectators: getSpectatorList(gameId) });
                     
                     // Broadcast updated state
                     broadcastGameState(gameId, game);
@@ -612,44 +1039,68 @@ const RECENT_WINS_CACHE_TTL = 30000; // 30 seconds cache TTL
     
     // Player joins lobby
     socket.on('join_lobby', async (data) => {
-        const { playerName, wallet, lobbyId, paymentSignature } = data || {};
+        const { playerName, lobbyId, paymentSignature, clientSeed } = data || {};
+        const wallet = socket.data.wallet;
         
         if (!lobbyId) {
             socket.emit('lobby_error', { message: 'Lobby ID required' });
             return;
         }
         
-        if (!wallet) {
-            socket.emit('lobby_error', { message: 'Wallet connection required' });
-            return;
-        }
-        
         // Get lobby to check payment
         const lobby = lobbyManager.getLobbyById(lobbyId);
         if (!lobby) {
+            // Paid for a match that was called off while the payment went through
+            if (cancelledMatchLobbies.has(lobbyId) && wallet && paymentSignature) {
+                await refundLateMatchPayment(socket, paymentSignature, lobbyId);
+                return;
+            }
             socket.emit('lobby_error', { message: 'Lobby not found' });
             return;
         }
         
-        // Verify payment was made
-        const payment = playerPayments.get(wallet);
-        if (!payment || payment.lobbyId !== lobbyId || !paymentSignature || payment.signature !== paymentSignature) {
-            socket.emit('lobby_error', { message: 'Payment required. Please complete payment first.' });
+        // Practice lobbies are free - guests can play without a wallet and no payment is taken
+        const practice = lobby.solStake === 0;
+        
+        if (!wallet && !practice) {
+            socket.emit('lobby_error', { message: 'Please sign in with your wallet first' });
             return;
         }
         
-        // Verify payment amount matches
-        if (payment.solAmount !== lobby.solStake) {
-            socket.emit('lobby_error', { message: 'Payment amount mismatch' });
+        if (!lobbyManager.canJoinLobby(lobbyId, wallet)) {
+            socket.emit('lobby_error', { message: 'This table is invite-only' });
             return;
         }
         
+        if (!practice) {
+            // Verify payment was made
+            const payment = paymentSignature ? await getPaymentBySignature(paymentSignature) : null;
+            if (!payment || payment.wallet !== wallet || payment.lobbyId !== lobbyId) {
+                socket.emit('lobby_error', { message: 'Payment required. Please complete payment first.' });
+                return;
+            }
+            
+            if (payment.status !== PAYMENT_STATUS.VERIFIED) {
+                socket.emit('lobby_error', { message: 'This payment has already been used' });
+                return;
+            }
+            
+            // Verify payment amount matches
+            if (payment.solAmount !== lobby.solStake) {
+                socket.emit('lobby_error', { message: 'Payment amount mismatch' });
+                return;
+            }
+        }
+        
         // Get username from database based on wallet (source of truth)
         // If user doesn't exist, create one with the provided username or generate one
-        let dbUser = await getUserByWallet(wallet);
+        let dbUser = wallet ? await getUserByWallet(wallet) : null;
         let username;
         
-        if (!dbUser) {
+        if (!wallet) {
+            // Guest in a practice lobby - never take a client-supplied name for someone without an account
+            username = `guest${Math.floor(Math.random() * 10000)}`;
+        } else if (!dbUser) {
             // User doesn't exist, create with provided username or generate one
             username = playerName || `guest${Math.floor(Math.random() * 10000)}`;
             dbUser = await createOrUpdateUser(username, wallet);
@@ -660,18 +1111,42 @@ const RECENT_WINS_CACHE_TTL = 30000; // 30 seconds cache TTL
             console.log(`Found existing user: ${username} (${wallet})`);
         }
         
+        // Claim the payment for this seat (only one join can move it out of 'verified')
+        if (!practice) {
+            const seatedPayment = await transitionPayment(paymentSignature, PAYMENT_STATUS.VERIFIED, PAYMENT_STATUS.SEATED);
+            if (!seatedPayment) {
+                socket.emit('lobby_error', { message: 'This payment has already been used' });
+                return;
+            }
+        }
+        
         // Add player to lobby using wallet as identifier and username from DB for display
         // Include pfpUrl from database
-        const pfpUrl = dbUser.pfpUrl || '/pfp/default.jpg';
-        const result = lobbyManager.addPlayerToLobby(socket.id, username, lobbyId, wallet, pfpUrl);
+        const pfpUrl = (dbUser && dbUser.pfpUrl) || '/pfp/default.jpg';
+        let result = lobbyManager.addPlayerToLobby(socket.id, username, lobbyId, wallet, pfpUrl, practice ? null : paymentSignature, normalizeClientSeed(clientSeed), dbUser ? ratingOf(dbUser) : null);
         
         if (!result.success) {
+            // Release the payment so it can be used again
+            if (!practice) {
+                await transitionPayment(paymentSignature, PAYMENT_STATUS.SEATED, PAYMENT_STATUS.VERIFIED);
+            }
             socket.emit('lobby_error', { message: result.message });
             return;
         }
         
+        // vs-bot practice lobby - bots take the other seats and the game starts right away
+        const botResult = lobbyManager.fillLobbyWithBots(lobbyId);
+        if (botResult && botResult.success) {
+            result = botResult;
+        }
+        
         playerToLobby.set(socket.id, result.lobby.id);
         
+        // Taking a seat anywhere else takes the player out of the matchmaking queue
+        if (!lobby.matchmaking) {
+            leaveMatchmakingQueue(socket);
+        }
+        
         // Send lobby chat history to the player (everyone can view)
         const lobbyChatHistory = getChatHistory('lobby', result.lobby.id);
         socket.emit('chat_history', {
@@ -684,10 +1159,17 @@ const RECENT_WINS_CACHE_TTL = 30000; // 30 seconds cache TTL
         socket.emit('lobby_joined', result.lobby);
         
         // Broadcast updated lobby list to all clients
-        io.emit('lobby_list', lobbyManager.getAllLobbies());
+        broadcastLobbyList();
         
         // If lobby is full, start countdown then game
         if (result.isFull) {
+            // Every matched player confirmed - the match goes ahead
+            const match = pendingMatches.get(lobbyId);
+            if (match) {
+                clearTimeout(match.timer);
+                pendingMatches.delete(lobbyId);
+            }
+            
             // Get the full lobby object from manager (includes wallet addresses)
             const fullLobby = lobbyManager.getLobbyById(lobbyId);
             if (fullLobby) {
@@ -751,9 +1233,15 @@ const RECENT_WINS_CACHE_TTL = 30000; // 30 seconds cache TTL
     
     // Chat message handler
     socket.on('chat_message', async (data) => {
-        const { message, mode, playerName, wallet } = data || {};
+        const { message, mode } = data || {};
+        const wallet = socket.data.wallet;
+        
+        if (!message || typeof message !== 'string') {
+            return;
+        }
         
-        if (!message || !playerName) {
+        if (!wallet) {
+            socket.emit('chat_error', { message: 'Please sign in with your wallet to chat.' });
             return;
         }
         
@@ -765,8 +1253,8 @@ const RECENT_WINS_CACHE_TTL = 30000; // 30 seconds cache TTL
             return;
         }
         
-        // Rate limiting: use wallet if available, otherwise socket ID
-        const rateLimitKey = wallet || socket.id;
+        // Rate limiting per authenticated wallet
+        const rateLimitKey = wallet;
         const now = Date.now();
         
         // Get or create rate limit tracking for this user
@@ -792,23 +1280,28 @@ const RECENT_WINS_CACHE_TTL = 30000; // 30 seconds cache TTL
         // Record message timestamp
         timestamps.push(now);
         
-        // Get user's pfpUrl from database
+        // Get user's username and pfpUrl from database (never trust client-supplied names)
+        let playerName = null;
         let pfpUrl = '/pfp/default.jpg';
-        if (wallet) {
-            try {
-                const dbUser = await getUserByWallet(wallet);
-                if (dbUser && dbUser.pfpUrl) {
-                    pfpUrl = dbUser.pfpUrl;
-                }
-            } catch (error) {
-                console.error('Error fetching user pfpUrl for chat:', error);
+        try {
+            const dbUser = await getUserByWallet(wallet);
+            if (dbUser) {
+                playerName = dbUser.username;
+                pfpUrl = dbUser.pfpUrl || pfpUrl;
             }
+        } catch (error) {
+            console.error('Error fetching user for chat:', error);
+        }
+        
+        if (!playerName) {
+            socket.emit('chat_error', { message: 'User not found. Please reconnect your wallet.' });
+            return;
         }
         
         const chatData = {
             playerName: playerName,
             message: message,
-            wallet: wallet || null,
+            wallet: wallet,
             pfpUrl: pfpUrl,
             timestamp: Date.now()
         };
@@ -821,6 +1314,7 @@ const RECENT_WINS_CACHE_TTL = 30000; // 30 seconds cache TTL
             if (lobbyId) {
                 // Save to lobby chat history
                 addToChatHistory('lobby', lobbyId, chatData);
+                storeChatMessage('lobby', lobbyId, gameId, chatData);
                 
                 if (gameId) {
                     // Player is in a game - send to all players in that game
@@ -841,6 +1335,15 @@ const RECENT_WINS_CACHE_TTL = 30000; // 30 seconds cache TTL
                     }
                 }
             }
+        } else if (mode === 'spectator') {
+            // Send to the game's spectators only (players never see it)
+            const gameId = spectatorToGame.get(socket.id);
+            
+            if (gameId) {
+                addToChatHistory('spectator', gameId, chatData);
+                storeChatMessage('spectator', gameToLobby.get(gameId), gameId, chatData);
+                io.to(spectatorRoom(gameId)).emit('chat_message', chatData);
+            }
         } else {
             // Save to all chat history
             addToChatHistory('all', null, chatData);
@@ -862,35 +1365,29 @@ const RECENT_WINS_CACHE_TTL = 30000; // 30 seconds cache TTL
             const gameStarted = !!gameId;
             
             // If game hasn't started, refund payment
-            if (!gameStarted && player && player.wallet) {
-                const payment = playerPayments.get(player.wallet);
-                if (payment && payment.lobbyId === lobbyId) {
-                    try {
-                        const refundResult = await refundPayment(player.wallet, payment.solAmount);
-                        if (refundResult.success) {
-                            console.log(`Refunded ${payment.solAmount} SOL to ${player.wallet} (signature: ${refundResult.signature})`);
-                            socket.emit('payment_refunded', {
-                                amount: refundResult.amount,
-                                signature: refundResult.signature
-                            });
-                        } else {
-                            console.error(`Failed to refund payment to ${player.wallet}:`, refundResult.error);
-                            socket.emit('refund_error', { error: refundResult.error });
-                        }
-                        // Remove payment record
-                        playerPayments.delete(player.wallet);
-                    } catch (error) {
-                        console.error('Error processing refund:', error);
-                        socket.emit('refund_error', { error: 'Failed to process refund' });
+            if (!gameStarted && player && player.wallet && player.paymentSignature) {
+                try {
+                    const refundResult = await refundSeatPayment(player.paymentSignature, 'left_lobby', true);
+                    if (refundResult) {
+                        emitRefundResult(socket, refundResult);
                     }
+                } catch (error) {
+                    console.error('Error processing refund:', error);
+                    socket.emit('refund_error', { error: 'Failed to process refund' });
                 }
             }
             
             lobbyManager.removePlayerFromLobby(socket.id);
             playerToLobby.delete(socket.id);
             
+            // Leaving a found match calls it off for everyone
+            if (pendingMatches.has(lobbyId)) {
+                await cancelMatch(lobbyId, `${player ? player.name : 'A player'} left the match`);
+                return;
+            }
+            
             // Broadcast updated lobby list to all clients
-            io.emit('lobby_list', lobbyManager.getAllLobbies());
+            broadcastLobbyList();
             
             // Notify other players
             if (lobby) {
@@ -902,7 +1399,11 @@ const RECENT_WINS_CACHE_TTL = 30000; // 30 seconds cache TTL
                             players: lobby.players.map(p => ({ id: p.id, name: p.name })),
                             playerCount: lobby.players.length,
                             maxPlayers: lobby.gameMode || 2,
-                            solStake: lobby.solStake
+                            solStake: lobby.solStake,
+                            practice: lobby.solStake === 0,
+                            private: !!lobby.private,
+                            inviteCode: lobby.private ? lobby.inviteCode : null,
+                            matchmaking: !!lobby.matchmaking
                         });
                     }
                 });
@@ -910,6 +1411,79 @@ const RECENT_WINS_CACHE_TTL = 30000; // 30 seconds cache TTL
         }
     });
     
+    // Join the matchmaking queue for a player count and stake
+    socket.on('queue_join', async (data) => {
+        const { playerName, gameMode, solStake } = data || {};
+        const wallet = socket.data.wallet;
+        
+        if (!wallet) {
+            socket.emit('queue_error', { message: 'Please sign in with your wallet first' });
+            return;
+        }
+        
+        const gameId = playerToGame.get(socket.id);
+        if (playerToLobby.has(socket.id) || (gameId && activeGames.has(gameId))) {
+            socket.emit('queue_error', { message: 'Leave your lobby or game before joining the queue' });
+            return;
+        }
+        
+        if (findPendingMatch(wallet)) {
+            socket.emit('queue_error', { message: 'You already have a match waiting for confirmation' });
+            return;
+        }
+        
+        if (!matchmakingQueue.isBucket(gameMode, solStake)) {
+            socket.emit('queue_error', { message: 'No matchmaking for that player count and stake' });
+            return;
+        }
+        
+        try {
+            const dbUser = await getUserByWallet(wallet);
+            const rating = ratingOf(dbUser);
+            
+            const result = matchmakingQueue.join({
+                wallet: wallet,
+                socketId: socket.id,
+                username: dbUser ? dbUser.username : (playerName || `guest${Math.floor(Math.random() * 10000)}`),
+                pfpUrl: (dbUser && dbUser.pfpUrl) || '/pfp/default.jpg',
+                rating: rating,
+                gameMode: gameMode,
+                solStake: solStake
+            });
+            
+            if (!result.success) {
+                socket.emit('queue_error', { message: result.message });
+                return;
+            }
+            
+            console.log(`${wallet} joined the ${gameMode}P ${solStake} SOL queue (rating ${rating})`);
+            socket.emit('queue_status', matchmakingQueue.getStatus(result.entry));
+        } catch (error) {
+            console.error('Error joining matchmaking queue:', error);
+            socket.emit('queue_error', { message: 'Failed to join the queue' });
+        }
+    });
+    
+    // Leave the matchmaking queue
+    socket.on('queue_leave', () => {
+        leaveMatchmakingQueue(socket);
+    });
+    
+    // Turn down a found match (calls it off for everyone)
+    socket.on('match_decline', async () => {
+        const lobbyId = findPendingMatch(socket.data.wallet);
+        if (!lobbyId) {
+            return;
+        }
+        
+        const entry = pendingMatches.get(lobbyId).entries.find(e => e.wallet === socket.data.wallet);
+        try {
+            await cancelMatch(lobbyId, `${entry.username} declined the match`);
+        } catch (error) {
+            console.error('Error cancelling declined match:', error);
+        }
+    });
+    
     // Game actions
     socket.on('play_card', (data) => {
         const { cardIndex, chosenColor } = data;
@@ -1016,6 +1590,134 @@ const RECENT_WINS_CACHE_TTL = 30000; // 30 seconds cache TTL
         }
     });
     
+    socket.on('accept_draw4', () => {
+        const gameId = playerToGame.get(socket.id);
+        
+        if (!gameId) {
+            socket.emit('game_error', { message: 'Not in a game' });
+            return;
+        }
+        
+        const game = activeGames.get(gameId);
+        if (!game) {
+            socket.emit('game_error', { message: 'Game not found' });
+            return;
+        }
+        
+        const result = game.acceptDrawFour(socket.id);
+        
+        if (result.success) {
+            // Broadcast immediately so all clients see the penalty drawn
+            broadcastGameState(gameId, game);
+        } else {
+            socket.emit('game_error', { message: result.message });
+        }
+    });
+    
+    socket.on('challenge_draw4', () => {
+        const gameId = playerToGame.get(socket.id);
+        
+        if (!gameId) {
+            socket.emit('game_error', { message: 'Not in a game' });
+            return;
+        }
+        
+        const game = activeGames.get(gameId);
+        if (!game) {
+            socket.emit('game_error', { message: 'Game not found' });
+            return;
+        }
+        
+        const result = game.challengeDrawFour(socket.id);
+        
+        if (result.success) {
+            // Tell everyone how the challenge went, then broadcast the new hands
+            const fullState = game.getFullState();
+            fullState.players.forEach((player) => {
+                io.to(player.id).emit('draw4_challenged', result.challenge);
+            });
+            emitToSpectators(gameId, 'draw4_challenged', result.challenge);
+            broadcastGameState(gameId, game);
+        } else {
+            socket.emit('game_error', { message: result.message });
+        }
+    });
+    
+    // Watch a live game (no wallet needed - spectators never see hand contents)
+    socket.on('spectate_game', async (data) => {
+        const { gameId } = data || {};
+        const game = gameId ? activeGames.get(gameId) : null;
+        
+        if (!game) {
+            socket.emit('spectate_error', { message: 'Game not found' });
+            return;
+        }
+        
+        // Players watch their own game from their seat (a finished game they haven't left yet doesn't count)
+        const playingGame = activeGames.get(playerToGame.get(socket.id));
+        const playingStatus = playingGame ? playingGame.getFullState().status : null;
+        const isPlaying = playingStatus && playingStatus !== 'finished' && playingStatus !== 'abandoned';
+        if (playerToLobby.has(socket.id) || isPlaying) {
+            socket.emit('spectate_error', { message: 'Leave your lobby or game before watching another one' });
+            return;
+        }
+        
+        const status = game.getFullState().status;
+        if (status === 'finished' || status === 'abandoned') {
+            socket.emit('spectate_error', { message: 'Game has ended' });
+            return;
+        }
+        
+        // Delayed games can't be watched until the broadcast has caught up with the start of the game
+        const stream = spectatorStreams.get(gameId);
+        if (!stream || !stream.releasedState) {
+            const delay = stream ? stream.delaySeconds : 0;
+            socket.emit('spectate_error', { message: `This game is broadcast with a ${delay}s delay - try again in a moment` });
+            return;
+        }
+        
+        // Switching tables - leave the previous one first
+        stopSpectating(socket);
+        
+        // Signed-in spectators are listed by username, everyone else as a guest
+        const wallet = socket.data.wallet || null;
+        let name = 'Guest';
+        if (wallet) {
+            try {
+                const dbUser = await getUserByWallet(wallet);
+                if (dbUser && dbUser.username) {
+                    name = dbUser.username;
+                }
+            } catch (error) {
+                console.error('Error fetching user for spectator:', error);
+            }
+        }
+        
+        // Game may have been cleaned up while we were looking up the user
+        if (!activeGames.has(gameId)) {
+            socket.emit('spectate_error', { message: 'Game has ended' });
+            return;
+        }
+        
+        if (!gameSpectators.has(gameId)) {
+            gameSpectators.set(gameId, new Map());
+        }
+        gameSpectators.get(gameId).set(socket.id, { name, wallet });
+        spectatorToGame.set(socket.id, gameId);
+        socket.join(spectatorRoom(gameId));
+        
+        // Start from the last released state - later events arrive through the room as they are released
+        socket.emit('spectate_start', stream.startPayload(gameId, getSpectatorList(gameId)));
+        
+        broadcastSpectators(gameId, game);
+        console.log(`${name} (${socket.id}) is spectating game ${gameId}`);
+    });
+    
+    // Stop watching
+    socket.on('leave_spectate', () => {
+        stopSpectating(socket);
+    });
+    
     
     // Handle disconnect
     socket.on('disconnect', () => {
@@ -1024,30 +1726,33 @@ const RECENT_WINS_CACHE_TTL = 30000; // 30 seconds cache TTL
         // Broadcast updated online users count to all clients
         io.emit('online_users_count', { count: io.sockets.sockets.size });
         
+        // Stop spectating
+        stopSpectating(socket);
+        
+        // Stop searching for a match
+        leaveMatchmakingQueue(socket);
+        
         // Remove from lobby
         const lobbyId = playerToLobby.get(socket.id);
         if (lobbyId) {
-            lobbyManager.removePlayerFromLobby(socket.id);
+            const lobby = lobbyManager.getLobbyByPlayerId(socket.id);
+            const lobbyPlayer = lobby?.players.find(p => p.id === socket.id);
             playerToLobby.delete(socket.id);
             
-            // Broadcast updated lobby list to all clients
-            io.emit('lobby_list', lobbyManager.getAllLobbies());
-            
-            // Notify other players in lobby
-            const lobby = lobbyManager.getLobbyByPlayerId(socket.id);
-            if (lobby) {
-                lobby.players.forEach(player => {
-                    if (player.id !== socket.id) {
-                        io.to(player.id).emit('player_left', {
-                            id: lobby.id,
-                            name: lobby.name,
-                            players: lobby.players.map(p => ({ id: p.id, name: p.name })),
-                            playerCount: lobby.players.length,
-                            maxPlayers: lobby.gameMode || 2,
-                            solStake: lobby.solStake
-                        });
-                    }
-                });
+            if (lobbyPlayer && lobbyPlayer.wallet && lobbyPlayer.paymentSignature) {
+                // Paid seat - hold it so the player can reclaim it by wallet, refund if they don't come back
+                holdLobbySeat(lobby, lobbyPlayer);
+                broadcastLobbyList();
+            } else {
+                lobbyManager.removePlayerFromLobby(socket.id);
+                
+                // Broadcast updated lobby list to all clients
+                broadcastLobbyList();
+                
+                // Notify other players in lobby
+                if (lobby) {
+                    notifyLobbyPlayerLeft(lobby, socket.id);
+                }
             }
         }
         
@@ -1060,21 +1765,23 @@ const RECENT_WINS_CACHE_TTL = 30000; // 30 seconds cache TTL
                 const result = game.handlePlayerDisconnect(socket.id);
                 
                 if (result.success) {
-                    // Notify all players in the game about the disconnect
+                    // Notify all players in the game (and its spectators) about the disconnect
+                    const disconnectData = {
+                        disconnectedPlayerIndex: result.disconnectedPlayerIndex,
+                        disconnectedPlayerName: result.disconnectedPlayerName,
+                        gameEnded: result.gameEnded || false,
+                        winnerIndex: result.winnerIndex || null,
+                        winnerName: result.winnerName || null
+                    };
                     const fullState = game.getFullState();
                     fullState.players.forEach((player) => {
                         if (player.id !== socket.id) {
-                            io.to(player.id).emit('player_disconnected', {
-                                disconnectedPlayerIndex: result.disconnectedPlayerIndex,
-                                disconnectedPlayerName: result.disconnectedPlayerName,
-                                gameEnded: result.gameEnded || false,
-                                winnerIndex: result.winnerIndex || null,
-                                winnerName: result.winnerName || null
-                            });
+                            io.to(player.id).emit('player_disconnected', disconnectData);
                         }
                     });
+                    emitToSpectators(gameId, 'player_disconnected', disconnectData);
                     
-                    // Game continues (never ends due to disconnect), broadcast updated state
+                    // Game continues - the player forfeits if they stay away too long, broadcast updated state
                     broadcastGameState(gameId, game);
                 }
             }
@@ -1086,214 +1793,630 @@ const RECENT_WINS_CACHE_TTL = 30000; // 30 seconds cache TTL
 });
 
 /**
- * Start a new game when lobby is full
+ * Send every client the lobby list (private tables are only listed for their host and invitees)
  */
-async function startGame(lobby) {
-    try {
-        const gameId = `game_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-        console.log(`[startGame] Attempting to start game ${gameId} for lobby ${lobby.id}`);
-        
-        // Debug: Log lobby players with their wallets
-        console.log(`[startGame] Lobby players:`, lobby.players.map(p => ({
-            id: p.id,
-            name: p.name,
-            wallet: p.wallet || 'MISSING WALLET'
-        })));
+function broadcastLobbyList() {
+    for (const socket of io.sockets.sockets.values()) {
+        socket.emit('lobby_list', lobbyManager.getAllLobbies(socket.data.wallet));
+    }
+}
+
+/**
+ * Close private tables that didn't fill in time and refund everyone seated at them
+ */
+async function expirePrivateLobbies() {
+    const expiredLobbies = lobbyManager.getExpiredPrivateLobbies();
+    
+    for (const lobby of expiredLobbies) {
+        // Remove the table first so nobody can join it while the refunds go out
+        lobbyManager.removeLobby(lobby.id);
+        console.log(`Private table ${lobby.id} expired with ${lobby.players.length}/${lobby.gameMode} players, refunding seats`);
         
-        // Ensure all players have wallets and get usernames from database
-        const playerData = await Promise.all(
-            lobby.players.map(async (p) => {
-                if (!p.wallet) {
-                    console.error(`[startGame] Player ${p.name} (${p.id}) has no wallet address!`);
-                    return null;
-                }
+        for (const player of lobby.players) {
+            playerToLobby.delete(player.id);
             
-            try {
-                // Get username from database based on wallet (source of truth)
-                const dbUser = await getUserByWallet(p.wallet);
-                const username = dbUser ? dbUser.username : p.name; // Fallback to stored name if DB lookup fails
-                
-                return {
-                    id: p.id,
-                    name: username,
-                    wallet: p.wallet
-                };
-            } catch (error) {
-                console.error(`[startGame] Error getting user for wallet ${p.wallet}:`, error);
-                // Fallback to stored name if DB lookup fails
-                return {
-                    id: p.id,
-                    name: p.name,
-                    wallet: p.wallet
-                };
+            // Away players hear about the refund when they come back
+            const seat = heldLobbySeats.get(player.wallet);
+            if (seat && seat.playerId === player.id) {
+                clearTimeout(seat.timer);
+                heldLobbySeats.delete(player.wallet);
             }
-        })
-    );
-    
-    // Filter out any null entries (players without wallets)
-    const validPlayers = playerData.filter(p => p !== null);
-    
-    if (validPlayers.length !== lobby.players.length) {
-        console.error(`[startGame] ERROR: Some players missing wallets. Expected ${lobby.players.length}, got ${validPlayers.length}. Cannot start game.`);
-        // Emit error to all players in lobby
-        lobby.players.forEach(player => {
-            const socket = io.sockets.sockets.get(player.id);
+            
+            const socket = player.disconnected ? null : io.sockets.sockets.get(player.id);
             if (socket) {
-                socket.emit('lobby_error', { message: 'Cannot start game: Some players are missing wallet addresses' });
+                socket.emit('lobby_expired', { lobbyId: lobby.id });
             }
-        });
-        return; // Don't start the game
+            
+            if (!player.paymentSignature) {
+                continue;
+            }
+            
+            const refundResult = await refundSeatPayment(player.paymentSignature, 'lobby_expired', !!socket);
+            if (socket && refundResult) {
+                emitRefundResult(socket, refundResult);
+            }
+        }
     }
     
-    const playerIds = validPlayers.map(p => p.id);
-    const playerNames = validPlayers.map(p => p.name);
-    const playerWallets = validPlayers.map(p => p.wallet);
-    
-    console.log(`[startGame] Starting game ${gameId} with ${validPlayers.length} players`);
-    console.log(`[startGame] Players:`, validPlayers.map(p => `${p.name} (${p.wallet})`).join(', '));
+    if (expiredLobbies.length > 0) {
+        broadcastLobbyList();
+    }
+}
+
+/**
+ * Pair up queued players and send everyone still waiting their queue status
+ */
+function runMatchmaking() {
+    const now = Date.now();
     
-    // Final validation before creating game
-    if (playerIds.length === 0 || playerNames.length === 0 || playerWallets.length === 0) {
-        console.error(`[startGame] ERROR: Cannot create game with empty player arrays!`);
-        console.error(`[startGame] playerIds: ${playerIds.length}, playerNames: ${playerNames.length}, playerWallets: ${playerWallets.length}`);
-        lobby.players.forEach(player => {
-            const socket = io.sockets.sockets.get(player.id);
-            if (socket) {
-                socket.emit('lobby_error', { message: 'Failed to start game: Invalid player data' });
-            }
-        });
-        return;
+    for (const entries of matchmakingQueue.findMatches(now)) {
+        openMatch(entries);
     }
     
-    if (playerIds.length !== playerNames.length || playerIds.length !== playerWallets.length) {
-        console.error(`[startGame] ERROR: Player arrays length mismatch!`);
-        console.error(`[startGame] playerIds: ${playerIds.length}, playerNames: ${playerNames.length}, playerWallets: ${playerWallets.length}`);
-        lobby.players.forEach(player => {
-            const socket = io.sockets.sockets.get(player.id);
-            if (socket) {
-                socket.emit('lobby_error', { message: 'Failed to start game: Player data mismatch' });
-            }
-        });
-        return;
+    for (const entry of matchmakingQueue.getEntries()) {
+        io.to(entry.socketId).emit('queue_status', matchmakingQueue.getStatus(entry, now));
     }
+}
+
+/**
+ * Open the lobby for a found match and ask every player to confirm by paying for their seat
+ * @param {Array<Object>} entries - Queue entries of the matched players
+ */
+function openMatch(entries) {
+    const { gameMode, solStake } = entries[0];
+    const lobby = lobbyManager.createMatchLobby(gameMode, solStake, entries.map(e => e.wallet));
+    const confirmBy = Date.now() + MATCH_CONFIRM_TIMEOUT;
     
-    // Create new game
-    const game = new Game(playerIds, playerNames, playerWallets);
+    const timer = setTimeout(() => {
+        cancelMatch(lobby.id, 'Not everyone confirmed in time').catch(error => {
+            console.error('Error cancelling unconfirmed match:', error);
+        });
+    }, MATCH_CONFIRM_TIMEOUT);
+    pendingMatches.set(lobby.id, { entries, confirmBy, timer });
     
-    // Validate game was created correctly
-    const gameState = game.getFullState();
-    if (!gameState.players || gameState.players.length === 0) {
-        console.error(`[startGame] ERROR: Game created with no players!`);
-        lobby.players.forEach(player => {
-            const socket = io.sockets.sockets.get(player.id);
-            if (socket) {
-                socket.emit('lobby_error', { message: 'Failed to start game: Game initialization failed' });
-            }
+    const players = entries.map(e => ({ name: e.username, pfpUrl: e.pfpUrl, rating: e.rating }));
+    for (const entry of entries) {
+        io.to(entry.socketId).emit('match_found', {
+            lobbyId: lobby.id,
+            gameMode: gameMode,
+            solStake: solStake,
+            players: players,
+            confirmBy: confirmBy
         });
+    }
+    
+    console.log(`Matchmaking opened ${lobby.id} (${gameMode}P, ${solStake} SOL) for ${entries.map(e => `${e.username} [${e.rating}]`).join(', ')}`);
+}
+
+/**
+ * Call off a found match - refund the players who paid and put them back in the queue
+ * @param {string} lobbyId - Match lobby ID
+ * @param {string} reason - Why the match was called off (shown to every matched player)
+ */
+async function cancelMatch(lobbyId, reason) {
+    const match = pendingMatches.get(lobbyId);
+    if (!match) {
         return;
     }
+    pendingMatches.delete(lobbyId);
+    clearTimeout(match.timer);
     
-    console.log(`[startGame] Game created successfully with ${gameState.players.length} players`);
+    // Remove the lobby first so nobody can take a seat while the refunds go out
+    const lobby = lobbyManager.getLobbyById(lobbyId);
+    lobbyManager.removeLobby(lobbyId);
+    cancelledMatchLobbies.add(lobbyId);
+    setTimeout(() => cancelledMatchLobbies.delete(lobbyId), CANCELLED_MATCH_MEMORY);
+    console.log(`Match ${lobbyId} cancelled: ${reason}`);
     
-    // Save game to database
-    try {
-        const totalStake = lobby.solStake * lobby.gameMode;
-        await createGame({
-            gameId: gameId,
-            lobbyId: lobby.id,
-            lobbyNumber: lobby.name,
-            players: lobby.players.map((p, index) => ({
-                username: p.name,
-                wallet: p.wallet || null,
-                playerIndex: index
-            })),
-            gameMode: lobby.gameMode,
-            solStake: lobby.solStake,
-            totalStake: totalStake
-        });
-        console.log(`Game ${gameId} saved to database`);
-    } catch (error) {
-        console.error('Error saving game to database:', error);
-        // Continue even if database save fails
+    for (const entry of match.entries) {
+        const player = lobby ? lobby.players.find(p => p.wallet === entry.wallet) : null;
+        if (!player) {
+            io.to(entry.socketId).emit('match_cancelled', { lobbyId, reason, requeued: false });
+            continue;
+        }
+        
+        playerToLobby.delete(player.id);
+        
+        const seat = heldLobbySeats.get(player.wallet);
+        if (seat && seat.playerId === player.id) {
+            clearTimeout(seat.timer);
+            heldLobbySeats.delete(player.wallet);
+        }
+        
+        // Players who confirmed keep their place in the queue (away players hear about the refund when they come back)
+        const socket = player.disconnected ? null : io.sockets.sockets.get(player.id);
+        if (socket) {
+            matchmakingQueue.join({ ...entry, socketId: socket.id });
+            socket.emit('match_cancelled', { lobbyId, reason, requeued: true });
+        }
+        
+        const refundResult = await refundSeatPayment(player.paymentSignature, 'match_cancelled', !!socket);
+        if (socket && refundResult) {
+            emitRefundResult(socket, refundResult);
+        }
+    }
+}
+
+/**
+ * Refund a payment that arrived for a match after it was called off
+ */
+async function refundLateMatchPayment(socket, paymentSignature, lobbyId) {
+    const payment = await getPaymentBySignature(paymentSignature);
+    if (!payment || payment.wallet !== socket.data.wallet || payment.lobbyId !== lobbyId) {
+        socket.emit('lobby_error', { message: 'Lobby not found' });
+        return;
     }
     
-    // Set callback for state changes (e.g., timer expiration)
-    game.setStateChangeCallback(() => {
-        broadcastGameState(gameId, game);
-    });
+    // Claim it as a seat so it is refunded the same way as the payments that made it in
+    if (!await transitionPayment(paymentSignature, PAYMENT_STATUS.VERIFIED, PAYMENT_STATUS.SEATED)) {
+        socket.emit('lobby_error', { message: 'This payment has already been used' });
+        return;
+    }
     
-    // Set callback for turn start events
-    game.setTurnStartCallback((data) => {
-        // Send turn_start event to all players in the game
-        const fullState = game.getFullState();
-        fullState.players.forEach((player) => {
-            io.to(player.id).emit('turn_start', data);
+    const refundResult = await refundSeatPayment(paymentSignature, 'match_cancelled', true);
+    if (refundResult) {
+        emitRefundResult(socket, refundResult);
+    }
+}
+
+/**
+ * Take a socket's wallet out of the matchmaking queue (only the socket that queued it)
+ */
+function leaveMatchmakingQueue(socket) {
+    const entry = matchmakingQueue.getEntry(socket.data.wallet);
+    if (entry && entry.socketId === socket.id) {
+        matchmakingQueue.leave(entry.wallet);
+        socket.emit('queue_left', {});
+    }
+}
+
+/**
+ * Lobby ID of the found match a wallet is waiting on, if any
+ * @returns {string|null}
+ */
+function findPendingMatch(wallet) {
+    for (const [lobbyId, match] of pendingMatches) {
+        if (match.entries.some(e => e.wallet === wallet)) {
+            return lobbyId;
+        }
+    }
+    return null;
+}
+
+/**
+ * Tell a player how their refund went
+ */
+function emitRefundResult(socket, refundResult) {
+    if (refundResult.success) {
+        socket.emit('payment_refunded', {
+            amount: refundResult.amount,
+            signature: refundResult.signature
         });
+    } else {
+        socket.emit('refund_error', { error: refundResult.error, willRetry: !!refundResult.willRetry });
+    }
+}
+
+/**
+ * Notify the remaining players of a lobby that someone left
+ */
+function notifyLobbyPlayerLeft(lobby, leftPlayerId) {
+    lobby.players.forEach(player => {
+        if (player.id !== leftPlayerId) {
+            io.to(player.id).emit('player_left', {
+                id: lobby.id,
+                name: lobby.name,
+                players: lobby.players.map(p => ({ id: p.id, name: p.name })),
+                playerCount: lobby.players.length,
+                maxPlayers: lobby.gameMode || 2,
+                solStake: lobby.solStake,
+                practice: lobby.solStake === 0,
+                private: !!lobby.private,
+                inviteCode: lobby.private ? lobby.inviteCode : null,
+                matchmaking: !!lobby.matchmaking
+            });
+        }
     });
+}
+
+/**
+ * Refund a seated payment (player left before the game started)
+ * The payment is claimed as refunded and its refund is queued, so it can only be paid out once.
+ * A transfer that fails stays queued and is retried by the refund worker - the player hears about
+ * it through the pending refund notifications once it lands.
+ * @param {string} paymentSignature - Deposit signature backing the seat
+ * @param {string} reason - 'left_lobby', 'seat_expired', 'lobby_expired', 'lobby_closed' or 'match_cancelled'
+ * @param {boolean} notified - Whether the player is being told right now (otherwise on next connect)
+ * @returns {Promise<Object|null>} Refund result { success, amount, signature, error, willRetry }, or null if the payment was not seated
+ */
+async function refundSeatPayment(paymentSignature, reason, notified) {
+    const payment = await transitionPayment(paymentSignature, PAYMENT_STATUS.SEATED, PAYMENT_STATUS.REFUNDED, { refundReason: reason });
+    if (!payment) {
+        return null;
+    }
     
-    // Set callback for turn timeout events
-    game.setTurnTimeoutCallback((data) => {
-        // Send turn_timeout event to all players in the game
-        const fullState = game.getFullState();
-        fullState.players.forEach((player) => {
-            io.to(player.id).emit('turn_timeout', data);
+    let refundResult;
+    try {
+        await enqueueRefund({
+            paymentSignature: payment.signature,
+            gameId: null,
+            wallet: payment.wallet,
+            amount: payment.solAmount,
+            reason: reason
         });
-    });
+        refundResult = await processRefund(payment.signature);
+    } catch (error) {
+        console.error('Error processing refund:', error);
+        refundResult = { success: false, error: 'Failed to process refund', willRetry: false };
+    }
     
-    // Draw first card immediately (client will hide it during deal animation)
-    game.drawFirstCard();
+    if (!refundResult.success) {
+        console.error(`Failed to refund payment to ${payment.wallet}${refundResult.willRetry ? ', will retry' : ''}:`, refundResult.error);
+        return { success: false, amount: payment.solAmount, error: refundResult.error, willRetry: refundResult.willRetry };
+    }
     
-    activeGames.set(gameId, game);
+    const signature = refundResult.job.txSignature;
+    console.log(`Refunded ${payment.solAmount} SOL to ${payment.wallet} (signature: ${signature})`);
+    if (notified) {
+        await markRefundNotified(payment.signature);
+    }
     
-    // Map game to lobby for chat routing
-    gameToLobby.set(gameId, lobby.id);
+    return { success: true, amount: payment.solAmount, signature: signature };
+}
+
+/**
+ * Hold a disconnected player's paid lobby seat for the grace period
+ */
+function holdLobbySeat(lobby, player) {
+    lobbyManager.markPlayerDisconnected(player.id);
+    
+    const timer = setTimeout(() => {
+        expireLobbySeat(player.wallet).catch(error => {
+            console.error('Error expiring held lobby seat:', error);
+        });
+    }, LOBBY_SEAT_GRACE_PERIOD);
     
-    // Map players to game
-    playerIds.forEach((playerId, index) => {
-        playerToGame.set(playerId, gameId);
-        // Also map player name to game for reconnection
-        playerNameToGame.set(playerNames[index], gameId);
+    heldLobbySeats.set(player.wallet, {
+        lobbyId: lobby.id,
+        playerId: player.id,
+        paymentSignature: player.paymentSignature,
+        timer: timer
     });
     
-    // Mark lobby as in-game (keep it visible as "game in progress")
-    lobbyManager.setLobbyInGame(lobby.id, gameId);
+    console.log(`Holding seat in ${lobby.name} for ${player.wallet} (${LOBBY_SEAT_GRACE_PERIOD / 1000}s grace period)`);
+}
+
+/**
+ * Give a held lobby seat back to its wallet on a new socket
+ * @returns {boolean} True if a seat was reclaimed
+ */
+function reclaimLobbySeat(socket) {
+    const wallet = socket.data.wallet;
+    const seat = heldLobbySeats.get(wallet);
+    if (!seat) {
+        return false;
+    }
     
-    // Track that game has started for this lobby (for refund logic)
-    lobbyToGame.set(lobby.id, gameId);
+    const lobby = lobbyManager.reclaimSeat(wallet, socket.id);
+    if (!lobby) {
+        return false;
+    }
     
-    // Get the actual lobby object from manager (has gameMode property, not maxPlayers)
-    const actualLobby = lobbyManager.getLobbyById(lobby.id);
+    clearTimeout(seat.timer);
+    heldLobbySeats.delete(wallet);
+    playerToLobby.set(socket.id, lobby.id);
     
-    // Create a new replacement lobby with the same settings (original stays as "in-game")
-    if (actualLobby) {
-        const newLobby = lobbyManager.createReplacementLobby(lobby.id);
-        if (newLobby) {
-            console.log(`Created replacement lobby ${newLobby.id} (original ${lobby.id} is now in-game) with settings: ${actualLobby.gameMode}P, ${actualLobby.solStake} SOL`);
-        } else {
-            console.error(`Could not create replacement lobby for ${lobby.id}`);
-        }
-    } else {
-        console.error(`Could not find lobby ${lobby.id} to create replacement`);
+    socket.emit('chat_history', {
+        mode: 'lobby',
+        lobbyId: lobby.id,
+        messages: getChatHistory('lobby', lobby.id)
+    });
+    socket.emit('lobby_joined', { ...lobby, reconnected: true });
+    broadcastLobbyList();
+    
+    console.log(`${wallet} reclaimed held seat in ${lobby.name}`);
+    return true;
+}
+
+/**
+ * Grace period ran out - free the seat and refund the deposit
+ */
+async function expireLobbySeat(wallet) {
+    const seat = heldLobbySeats.get(wallet);
+    if (!seat) {
+        return;
     }
+    heldLobbySeats.delete(wallet);
     
-    // Broadcast updated lobby list to all clients (original lobby shows as in-game, new replacement lobby available)
-    io.emit('lobby_list', lobbyManager.getAllLobbies());
+    const lobby = lobbyManager.getLobbyByPlayerId(seat.playerId);
+    lobbyManager.removePlayerFromLobby(seat.playerId);
+    broadcastLobbyList();
+    if (lobby) {
+        notifyLobbyPlayerLeft(lobby, seat.playerId);
+    }
     
-    // Remove players from lobby tracking
-    playerIds.forEach(playerId => {
-        playerToLobby.delete(playerId);
-    });
+    console.log(`Held seat for ${wallet} expired, refunding deposit`);
+    const refundResult = await refundSeatPayment(seat.paymentSignature, 'seat_expired', false);
     
-    // Send game start event to all players
-    playerIds.forEach(playerId => {
-        const publicState = game.getPublicState(playerId);
-        io.to(playerId).emit('game_start', {
-            gameId: gameId,
-            playerIndex: playerIds.indexOf(playerId),
-            gameState: publicState
+    // Player may already be back on another socket (e.g. browsing the lobby list)
+    if (refundResult && refundResult.success) {
+        for (const socket of io.sockets.sockets.values()) {
+            if (socket.data.wallet === wallet) {
+                deliverPendingRefunds(socket);
+            }
+        }
+    }
+}
+
+/**
+ * Tell a signed-in socket about refunds issued while the player was away
+ */
+async function deliverPendingRefunds(socket) {
+    try {
+        const refunds = await getUnnotifiedRefunds(socket.data.wallet);
+        for (const refund of refunds) {
+            // Only the socket that marks the refund delivers it (a wallet can have several tabs open)
+            if (await markRefundNotified(refund.signature)) {
+                socket.emit('payment_refunded', {
+                    amount: refund.refundAmount ?? refund.solAmount,
+                    signature: refund.refundSignature,
+                    reason: refund.refundReason,
+                    automatic: true
+                });
+            }
+        }
+    } catch (error) {
+        console.error('Error delivering pending refunds:', error);
+    }
+}
+
+/**
+ * Start a new game when lobby is full
+ */
+async function startGame(lobby) {
+    try {
+        const gameId = `game_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        console.log(`[startGame] Attempting to start game ${gameId} for lobby ${lobby.id} (${lobby.players.length} players)`);
+        
+        // Ensure all players have wallets and get usernames from database
+        const playerData = await Promise.all(
+            lobby.players.map(async (p) => {
+                // Bots and practice-lobby guests play without a wallet
+                if (p.bot || (!p.wallet && lobby.solStake === 0)) {
+                    return { id: p.id, name: p.name, wallet: null };
+                }
+                
+                if (!p.wallet) {
+                    console.error(`[startGame] Player ${p.name} (${p.id}) has no wallet address!`);
+                    return null;
+                }
+                
+                try {
+                    // Get username from database based on wallet (source of truth)
+                    const dbUser = await getUserByWallet(p.wallet);
+                    const username = dbUser ? dbUser.username : p.name; // Fallback to stored name if DB lookup fails
+                    
+                    return {
+                        id: p.id,
+                        name: username,
+                        wallet: p.wallet
+                    };
+                } catch (error) {
+                    console.error(`[startGame] Error getting user for wallet ${p.wallet}:`, error);
+                    // Fallback to stored name if DB lookup fails
+                    return {
+                        id: p.id,
+                        name: p.name,
+                        wallet: p.wallet
+                    };
+                }
+            })
+        );
+        
+        // Filter out any null entries (players without wallets)
+        const validPlayers = playerData.filter(p => p !== null);
+        
+        if (validPlayers.length !== lobby.players.length) {
+            console.error(`[startGame] ERROR: Some players missing wallets. Expected ${lobby.players.length}, got ${validPlayers.length}. Cannot start game.`);
+            // Emit error to all players in lobby
+            lobby.players.forEach(player => {
+                const socket = io.sockets.sockets.get(player.id);
+                if (socket) {
+                    socket.emit('lobby_error', { message: 'Cannot start game: Some players are missing wallet addresses' });
+                }
+            });
+            return; // Don't start the game
+        }
+        
+        const playerIds = validPlayers.map(p => p.id);
+        const playerNames = validPlayers.map(p => p.name);
+        const playerWallets = validPlayers.map(p => p.wallet);
+        
+        console.log(`[startGame] Starting game ${gameId} with ${validPlayers.length} players`);
+        
+        // Final validation before creating game
+        if (playerIds.length === 0 || playerNames.length === 0 || playerWallets.length === 0) {
+            console.error(`[startGame] ERROR: Cannot create game with empty player arrays!`);
+            console.error(`[startGame] playerIds: ${playerIds.length}, playerNames: ${playerNames.length}, playerWallets: ${playerWallets.length}`);
+            lobby.players.forEach(player => {
+                const socket = io.sockets.sockets.get(player.id);
+                if (socket) {
+                    socket.emit('lobby_error', { message: 'Failed to start game: Invalid player data' });
+                }
+            });
+            return;
+        }
+        
+        if (playerIds.length !== playerNames.length || playerIds.length !== playerWallets.length) {
+            console.error(`[startGame] ERROR: Player arrays length mismatch!`);
+            console.error(`[startGame] playerIds: ${playerIds.length}, playerNames: ${playerNames.length}, playerWallets: ${playerWallets.length}`);
+            lobby.players.forEach(player => {
+                const socket = io.sockets.sockets.get(player.id);
+                if (socket) {
+                    socket.emit('lobby_error', { message: 'Failed to start game: Player data mismatch' });
+                }
+            });
+            return;
+        }
+        
+        // Create new game (deck is shuffled from the lobby's committed server seed and every player's client seed)
+        const game = new Game(playerIds, playerNames, playerWallets, RuleSet.fromPreset(lobby.ruleSetId), {
+            serverSeed: lobby.serverSeed,
+            clientSeeds: lobby.players.map(p => p.clientSeed),
+            generatedSeats: lobby.players.map((p, index) => (p.clientSeedGenerated ? index : null)).filter(index => index !== null)
         });
-    });
-    
+        // The game holds its seed now - whatever happens to this attempt, the lobby never deals from it again
+        lobbyManager.rotateSeedCommitment(lobby.id);
+        lobby.players.forEach((p, index) => {
+            if (p.bot) {
+                game.seatBot(index, p.bot);
+            }
+        });
+        
+        // Nothing is at stake - a bot plays for anyone who disconnects instead of them forfeiting
+        if (lobby.solStake === 0) {
+            game.enableBotStandIns(BOT_STAND_IN_DIFFICULTY);
+        }
+        
+        // Validate game was created correctly
+        const gameState = game.getFullState();
+        if (!gameState.players || gameState.players.length === 0) {
+            console.error(`[startGame] ERROR: Game created with no players!`);
+            lobby.players.forEach(player => {
+                const socket = io.sockets.sockets.get(player.id);
+                if (socket) {
+                    socket.emit('lobby_error', { message: 'Failed to start game: Game initialization failed' });
+                }
+            });
+            return;
+        }
+        
+        console.log(`[startGame] Game created successfully with ${gameState.players.length} players`);
+        
+        // Move every seat's payment into the game - a seat whose payment was refunded or released cannot play
+        // (practice games take no payments)
+        const payingPlayers = lobby.solStake > 0 ? lobby.players.filter(p => !p.bot) : [];
+        const stakedPayments = await Promise.all(
+            payingPlayers.map(p => p.paymentSignature
+                ? transitionPayment(p.paymentSignature, PAYMENT_STATUS.SEATED, PAYMENT_STATUS.IN_GAME, { gameId: gameId })
+                : null)
+        );
+        
+        if (stakedPayments.some(payment => !payment)) {
+            console.error(`[startGame] ERROR: Not every player has a seated payment. Cannot start game.`);
+            // Put the payments we did claim back on their seats
+            await Promise.all(
+                stakedPayments.filter(payment => payment).map(payment =>
+                    transitionPayment(payment.signature, PAYMENT_STATUS.IN_GAME, PAYMENT_STATUS.SEATED, { gameId: null }))
+            );
+            lobby.players.forEach(player => {
+                const socket = io.sockets.sockets.get(player.id);
+                if (socket) {
+                    socket.emit('lobby_error', { message: 'Failed to start game: A player\'s payment is no longer available' });
+                }
+            });
+            return;
+        }
+        
+        // Save game to database
+        try {
+            const totalStake = lobby.solStake * lobby.gameMode;
+            await createGame({
+                gameId: gameId,
+                lobbyId: lobby.id,
+                lobbyNumber: lobby.name,
+                players: lobby.players.map((p, index) => ({
+                    username: p.name,
+                    wallet: p.wallet || null,
+                    playerIndex: index,
+                    paymentSignature: p.paymentSignature || null,
+                    bot: p.bot || null
+                })),
+                gameMode: lobby.gameMode,
+                solStake: lobby.solStake,
+                totalStake: totalStake,
+                ruleSet: lobby.ruleSetId,
+                botStandIn: gameState.botStandIn,
+                fairness: {
+                    serverSeedHash: gameState.fairness.serverSeedHash,
+                    clientSeeds: gameState.fairness.clientSeeds,
+                    generatedSeats: gameState.fairness.generatedSeats
+                }
+            });
+            console.log(`Game ${gameId} saved to database`);
+        } catch (error) {
+            console.error('Error saving game to database:', error);
+            // Continue even if database save fails
+        }
+        
+        attachGameCallbacks(gameId, game, lobby.solStake);
+        
+        // Draw first card immediately (client will hide it during deal animation)
+        game.drawFirstCard();
+        
+        activeGames.set(gameId, game);
+        
+        // First snapshot (dealt hands and deck order) so the game survives a restart from the start
+        persistGameSnapshot(gameId, game);
+        
+        // Map game to lobby for chat routing
+        gameToLobby.set(gameId, lobby.id);
+        
+        // Map players to game
+        playerIds.forEach((playerId) => {
+            playerToGame.set(playerId, gameId);
+        });
+        
+        // Held seats start the game disconnected - the player reconnects by wallet like any other game
+        validPlayers.forEach((p) => {
+            const seat = heldLobbySeats.get(p.wallet);
+            if (seat && seat.playerId === p.id) {
+                clearTimeout(seat.timer);
+                heldLobbySeats.delete(p.wallet);
+                game.handlePlayerDisconnect(p.id);
+            }
+        });
+        
+        // Mark lobby as in-game (keep it visible as "game in progress")
+        lobbyManager.setLobbyInGame(lobby.id, gameId);
+        
+        // Track that game has started for this lobby (for refund logic)
+        lobbyToGame.set(lobby.id, gameId);
+        
+        // Get the actual lobby object from manager (has gameMode property, not maxPlayers)
+        const actualLobby = lobbyManager.getLobbyById(lobby.id);
+        
+        // Create a new replacement lobby with the same settings (original stays as "in-game")
+        // Private tables and matchmaking lobbies are one-off and never replaced
+        if (actualLobby && (actualLobby.private || actualLobby.matchmaking)) {
+            console.log(`${actualLobby.name} ${lobby.id} is now in-game (not replaced)`);
+        } else if (actualLobby) {
+            const newLobby = lobbyManager.createReplacementLobby(lobby.id);
+            if (newLobby) {
+                console.log(`Created replacement lobby ${newLobby.id} (original ${lobby.id} is now in-game) with settings: ${actualLobby.gameMode}P, ${actualLobby.solStake} SOL`);
+            } else {
+                console.error(`Could not create replacement lobby for ${lobby.id}`);
+            }
+        } else {
+            console.error(`Could not find lobby ${lobby.id} to create replacement`);
+        }
+        
+        // Broadcast updated lobby list to all clients (original lobby shows as in-game, new replacement lobby available)
+        broadcastLobbyList();
+        
+        // Remove players from lobby tracking
+        playerIds.forEach(playerId => {
+            playerToLobby.delete(playerId);
+        });
+        
+        // Send game start event to all players
+        playerIds.forEach(playerId => {
+            io.to(playerId).emit('game_start', gameStartPayload(game, gameId, playerId));
+        });
+        
+        // Starting state for spectators (released after the spectator delay, if any)
+        emitToSpectators(gameId, 'game_state_update', game.getView(VIEWS.SPECTATOR));
+        
         console.log(`[startGame] Game started: ${gameId} with players: ${playerNames.join(', ')}`);
     } catch (error) {
         console.error(`[startGame] ERROR starting game:`, error);
@@ -1313,17 +2436,384 @@ async function startGame(lobby) {
     }
 }
 
+/**
+ * Wire a game's events to sockets and payout handling (new and restored games)
+ * @param {string} gameId - Game ID
+ * @param {Game} game - Game instance
+ * @param {number} solStake - SOL stake per player (decides the spectator delay)
+ */
+function attachGameCallbacks(gameId, game, solStake) {
+    // Spectators get the game through a stream that holds events back in staked games
+    const stream = new SpectatorStream((event, data) => {
+        io.to(spectatorRoom(gameId)).emit(event, data);
+    }, getSpectatorDelay(solStake));
+    spectatorStreams.set(gameId, stream);
+    
+    // Bot seats and stand-ins move through the same game methods as the socket actions
+    const botDriver = new BotDriver(game, (playerId, move) => {
+        applyBotMove(gameId, game, playerId, move);
+    });
+    botDrivers.set(gameId, botDriver);
+    
+    // Every action goes into the game's event log (replays)
+    game.setEventCallback((event) => {
+        appendGameEvent(gameId, event).catch(error => {
+            console.error(`Error recording event ${event.seq} for game ${gameId}:`, error);
+        });
+    });
+    
+    // Set callback for state changes (e.g., timer expiration)
+    game.setStateChangeCallback(() => {
+        broadcastGameState(gameId, game);
+    });
+    
+    // Set callback for turn start events
+    game.setTurnStartCallback((data) => {
+        // Send turn_start event to all players in the game
+        const fullState = game.getFullState();
+        fullState.players.forEach((player) => {
+            io.to(player.id).emit('turn_start', data);
+        });
+        emitToSpectators(gameId, 'turn_start', data);
+        botDriver.update();
+    });
+    
+    // Set callback for turn timeout events
+    game.setTurnTimeoutCallback((data) => {
+        // Send turn_timeout event to all players in the game
+        const fullState = game.getFullState();
+        fullState.players.forEach((player) => {
+            io.to(player.id).emit('turn_timeout', data);
+        });
+        emitToSpectators(gameId, 'turn_timeout', data);
+    });
+    
+    // Set callback for forfeits (too many timeouts or disconnected too long)
+    game.setPlayerEliminatedCallback((data) => {
+        const fullState = game.getFullState();
+        fullState.players.forEach((player) => {
+            io.to(player.id).emit('player_eliminated', data);
+        });
+        emitToSpectators(gameId, 'player_eliminated', data);
+    });
+    
+    // Last player standing wins through the normal payout
+    game.setGameEndCallback(() => {
+        handleGameEnd(gameId, game);
+    });
+    
+    // Everyone left - refund the pot
+    game.setGameAbandonedCallback((data) => {
+        handleGameAbandoned(gameId, game, data.remainingPlayerIndexes).catch(error => {
+            console.error(`[handleGameAbandoned] ERROR:`, error);
+        });
+    });
+}
+
 /**
  * Broadcast game state to all players in a game
  */
 function broadcastGameState(gameId, game) {
-    const fullState = game.getFullState();
+    // Personalized state for each player, one shared view for spectators
+    emitGameStateUpdates(
+        game,
+        (playerId, event, data) => io.to(playerId).emit(event, data),
+        (event, data) => emitToSpectators(gameId, event, data)
+    );
+    
+    // Every action ends in a broadcast - snapshot the new state
+    persistGameSnapshot(gameId, game);
+    
+    // A bot may be up next
+    const botDriver = botDrivers.get(gameId);
+    if (botDriver) {
+        botDriver.update();
+    }
+}
+
+/**
+ * Apply a bot's move and broadcast it like the matching socket action
+ * @param {string} gameId - Game ID
+ * @param {Game} game - Game instance
+ * @param {string} playerId - Seat the bot plays
+ * @param {Object} move - Move from chooseBotMove()
+ */
+function applyBotMove(gameId, game, playerId, move) {
+    if (activeGames.get(gameId) !== game) {
+        return;
+    }
+    
+    let result;
+    switch (move.type) {
+        case 'play':
+            result = game.playCard(playerId, move.cardIndex, move.chosenColor);
+            break;
+        case 'draw':
+            result = game.drawCard(playerId);
+            break;
+        case 'endTurn':
+            result = game.endTurn(playerId);
+            break;
+        case 'callUno':
+            result = game.callUno(playerId);
+            break;
+        case 'acceptDraw4':
+            result = game.acceptDrawFour(playerId);
+            break;
+        case 'challengeDraw4':
+            result = game.challengeDrawFour(playerId);
+            break;
+        default:
+            return;
+    }
+    
+    if (!result.success) {
+        // The turn timer still runs - the bot's turn times out like a player's would
+        console.error(`[applyBotMove] Bot move ${move.type} failed in game ${gameId}: ${result.message}`);
+        return;
+    }
+    
+    if (move.type === 'challengeDraw4') {
+        const fullState = game.getFullState();
+        fullState.players.forEach((player) => {
+            io.to(player.id).emit('draw4_challenged', result.challenge);
+        });
+        emitToSpectators(gameId, 'draw4_challenged', result.challenge);
+    }
+    
+    broadcastGameState(gameId, game);
     
-    // Send personalized state to each player
-    fullState.players.forEach((player, index) => {
-        const publicState = game.getPublicState(player.id);
-        io.to(player.id).emit('game_state_update', publicState);
+    if (result.gameState && result.gameState.status === 'finished') {
+        handleGameEnd(gameId, game);
+    }
+}
+
+/**
+ * Socket.IO room holding a game's spectators
+ */
+function spectatorRoom(gameId) {
+    return `spectate:${gameId}`;
+}
+
+/**
+ * Send a game event to everyone watching a game (after the game's spectator delay)
+ * Published even while nobody is watching - late spectators start from the last released state.
+ */
+function emitToSpectators(gameId, event, data) {
+    const stream = spectatorStreams.get(gameId);
+    if (stream) {
+        stream.publish(event, data);
+    }
+}
+
+/**
+ * Spectator names for a game (shown in the game UI)
+ * @returns {Array<Object>} [{ name }]
+ */
+function getSpectatorList(gameId) {
+    const spectators = gameSpectators.get(gameId);
+    return spectators ? [...spectators.values()].map(s => ({ name: s.name })) : [];
+}
+
+/**
+ * Send the spectator list to a game's players and spectators
+ */
+function broadcastSpectators(gameId, game) {
+    const data = { gameId: gameId, spectators: getSpectatorList(gameId) };
+    game.getFullState().players.forEach((player) => {
+        io.to(player.id).emit('spectators_update', data);
     });
+    // Who is watching isn't game information - no delay
+    io.to(spectatorRoom(gameId)).emit('spectators_update', data);
+}
+
+/**
+ * Remove a socket from the game it is watching (if any)
+ */
+function stopSpectating(socket) {
+    const gameId = spectatorToGame.get(socket.id);
+    if (!gameId) {
+        return;
+    }
+    
+    spectatorToGame.delete(socket.id);
+    socket.leave(spectatorRoom(gameId));
+    
+    const spectators = gameSpectators.get(gameId);
+    if (spectators) {
+        spectators.delete(socket.id);
+        if (spectators.size === 0) {
+            gameSpectators.delete(gameId);
+        }
+    }
+    
+    const game = activeGames.get(gameId);
+    if (game) {
+        broadcastSpectators(gameId, game);
+    }
+}
+
+/**
+ * Save a game snapshot to MongoDB (fire and forget, older snapshots never overwrite newer ones)
+ */
+function persistGameSnapshot(gameId, game) {
+    saveGameSnapshot(gameId, game.toSnapshot()).catch(error => {
+        console.error(`Error saving snapshot for game ${gameId}:`, error);
+    });
+}
+
+/**
+ * Rehydrate in-progress games after a restart
+ * Players reconnect into them by wallet through check_reconnection.
+ */
+async function restoreActiveGames() {
+    const gameDocs = await getRestorableGames();
+    
+    for (const gameDoc of gameDocs) {
+        const gameId = gameDoc.gameId;
+        try {
+            const game = Game.fromSnapshot(gameDoc.snapshot);
+            // Events recorded after the snapshot never happened in the restored game
+            await deleteGameEventsFrom(gameId, game.gameState.eventCount);
+            attachGameCallbacks(gameId, game, gameDoc.solStake || 0);
+            activeGames.set(gameId, game);
+            gameToLobby.set(gameId, gameDoc.lobbyId);
+            emitToSpectators(gameId, 'game_state_update', game.getView(VIEWS.SPECTATOR));
+            
+            const status = game.gameState.status;
+            if (status === 'finished') {
+                // Game was won right before the restart - payout never ran
+                console.log(`Restored finished game ${gameId}, completing payout`);
+                handleGameEnd(gameId, game);
+            } else if (status === 'abandoned') {
+                const remainingPlayerIndexes = game.gameState.players
+                    .map((p, index) => (p.eliminated ? null : index))
+                    .filter(index => index !== null);
+                console.log(`Restored abandoned game ${gameId}, completing refunds`);
+                await handleGameAbandoned(gameId, game, remainingPlayerIndexes);
+            } else {
+                game.resumeFromSnapshot(gameDoc.snapshot);
+                console.log(`✅ Restored game ${gameId} (${game.gameState.players.length} players, waiting for reconnections)`);
+            }
+        } catch (error) {
+            console.error(`❌ Error restoring game ${gameId}:`, error);
+        }
+    }
+}
+
+/**
+ * Lobbies live in memory, so seats do not survive a restart - refund them
+ * Deposits made for a private table or matchmaking lobby that is gone can never be used for a seat
+ * either, so they are refunded the same way. Refunds that fail stay queued for the refund worker.
+ */
+async function refundOrphanedDeposits() {
+    const [seatedPayments, verifiedPayments] = await Promise.all([
+        getPaymentsByStatus(PAYMENT_STATUS.SEATED),
+        getPaymentsByStatus(PAYMENT_STATUS.VERIFIED)
+    ]);
+    
+    const orphaned = seatedPayments.map(payment => ({ payment, reason: 'seat_expired' }));
+    for (const payment of verifiedPayments) {
+        if (lobbyManager.getLobbyById(payment.lobbyId)) {
+            continue;
+        }
+        
+        // Claim it as a seat so it is refunded the same way as the seats
+        if (await transitionPayment(payment.signature, PAYMENT_STATUS.VERIFIED, PAYMENT_STATUS.SEATED)) {
+            orphaned.push({ payment, reason: 'lobby_closed' });
+        }
+    }
+    
+    if (orphaned.length > 0) {
+        console.log(`Refunding ${orphaned.length} deposit(s) left over from the previous process`);
+    }
+    
+    for (const { payment, reason } of orphaned) {
+        const refundResult = await refundSeatPayment(payment.signature, reason, false);
+        if (refundResult && !refundResult.success) {
+            console.error(`❌ Could not refund orphaned deposit ${payment.signature}${refundResult.willRetry ? ', will retry' : ''}:`, refundResult.error);
+        }
+    }
+}
+
+/**
+ * Every hand of a match, with the hand winners looked up in the record's player list
+ * @param {Object} fullState - Finished game's full state
+ * @param {Array<Object>} players - Players as recorded ({ username, wallet, ... })
+ * @returns {Array<Object>} Hands ({ round, winner: { username, wallet }, points, scores, endedAt }) - empty for single games
+ */
+function summarizeHands(fullState, players) {
+    return (fullState.handResults || []).map(hand => ({
+        round: hand.round,
+        winner: {
+            username: players[hand.winnerIndex]?.username || null,
+            wallet: players[hand.winnerIndex]?.wallet || null
+        },
+        points: hand.points,
+        scores: hand.scores,
+        endedAt: new Date(hand.endedAt)
+    }));
+}
+
+/**
+ * A match history record as a row of the recent wins feed
+ */
+async function formatRecentWin(win) {
+    // Format gameId for display (truncate to show first part)
+    let gameIdDisplay = win.gameId || 'unknown';
+    if (gameIdDisplay.length > 20) {
+        gameIdDisplay = gameIdDisplay.substring(0, 16) + '...';
+    }
+    
+    // Get winner's pfpUrl from database
+    let pfpUrl = '/pfp/default.jpg';
+    if (win.winner?.wallet) {
+        try {
+            const dbUser = await getUserByWallet(win.winner.wallet);
+            if (dbUser && dbUser.pfpUrl) {
+                pfpUrl = dbUser.pfpUrl;
+            }
+        } catch (error) {
+            console.error('Error fetching pfpUrl for recent win:', error);
+        }
+    }
+    
+    return {
+        username: win.winner?.username || 'Unknown',
+        wallet: win.winner?.wallet || null,
+        pfpUrl: pfpUrl,
+        time: win.createdAt,
+        gameMode: win.gameMode || '2p',
+        stake: win.stake || 0,
+        winAmount: win.winAmount || 0,
+        txHash: win.txHash || null,
+        gameId: win.gameId || null,
+        gameIdDisplay: `game_id:${gameIdDisplay}`
+    };
+}
+
+/**
+ * Parse a recent wins cursor ("<createdAt ms>:<gameId>")
+ * @returns {Object|null} { createdAt, gameId } or null if malformed
+ */
+function parseRecentWinsCursor(cursor) {
+    const separator = cursor.indexOf(':');
+    const time = parseInt(cursor.substring(0, separator), 10);
+    const gameId = cursor.substring(separator + 1);
+    if (separator <= 0 || !Number.isFinite(time) || !gameId) {
+        return null;
+    }
+    return { createdAt: new Date(time), gameId: gameId };
+}
+
+/**
+ * Push a win (new, or updated once its payout landed) to every client's recent wins feed
+ * @param {Object} win - Match history record
+ */
+async function broadcastRecentWin(win) {
+    recentWinsCache = null;
+    recentWinsVersion++;
+    io.emit('recent_win', await formatRecentWin(win));
 }
 
 /**
@@ -1336,6 +2826,10 @@ async function handleGameEnd(gameId, game) {
     
     console.log(`Game ${gameId} ended. Winner: ${winnerPlayer ? winnerPlayer.name : 'Unknown'}`);
     
+    // Finishing order and per-player counters, recorded with the match
+    const places = getPlacements(fullState);
+    const playerStats = game.getPlayerStats();
+    
     // Get game data from database (source of truth for lobby configuration)
     let gameData = null;
     try {
@@ -1375,26 +2869,61 @@ async function handleGameEnd(gameId, game) {
                 username: winnerUsername || winnerPlayer?.name || 'Unknown',
                 wallet: winnerWallet,
                 playerIndex: winnerIndex
-            }
+            },
+            fairness: fullState.fairness // Reveal the server seed
         });
         console.log(`Game ${gameId} updated in database with winner: ${winnerUsername} (${winnerWallet})`);
     } catch (error) {
         console.error('Error updating game in database:', error);
     }
     
+    // Practice game - nothing was staked, so it is recorded apart from the staked match history and never paid out
+    const practice = !!gameData && gameData.solStake === 0;
+    if (practice) {
+        try {
+            // Names as seated (the live names carry "(Bot)" / "(Disconnected)" suffixes)
+            const players = fullState.players.map((p, index) => ({
+                username: gameData.players[index]?.username || p.name,
+                wallet: p.wallet || null,
+                bot: p.bot || null,
+                place: places[index],
+                stats: playerStats[index]
+            }));
+            const hands = summarizeHands(fullState, players);
+            
+            await createPracticeMatch({
+                gameId: gameId,
+                players: players,
+                gameMode: `${gameData.gameMode}p`,
+                ruleSet: gameData.ruleSet,
+                winner: players[winnerIndex] || null,
+                scores: hands.length > 0 ? fullState.scores : null,
+                hands: hands
+            });
+            console.log(`✅ [handleGameEnd] Practice match recorded for game ${gameId}`);
+        } catch (error) {
+            console.error('❌ [handleGameEnd] Error recording practice match:', error);
+        }
+    }
+    
     // Create match history record (before winnings distribution, so we have record even if distribution fails)
     try {
-        if (gameData && winnerUsername && winnerWallet) {
-            const players = fullState.players.map(p => ({
+        if (!practice && gameData && winnerUsername && winnerWallet) {
+            const players = fullState.players.map((p, index) => ({
                 username: p.name,
-                wallet: p.wallet || null
+                wallet: p.wallet || null,
+                place: places[index],
+                stats: playerStats[index]
             }));
             
             const gameModeStr = `${gameData.gameMode}p`;
             const totalStake = gameData.totalStake || (gameData.solStake * gameData.gameMode);
             const estimatedWinAmount = totalStake * 0.98; // 98% after 2% fee (will be updated if distribution succeeds)
             
-            await createMatchHistory({
+            // Match mode: every hand that was played before the match was decided
+            const hands = summarizeHands(fullState, players);
+            
+            const matchRecord = await createMatchHistory({
                 gameId: gameId, // Use gameId as unique identifier
                 players: players,
                 gameMode: gameModeStr,
@@ -1404,20 +2933,41 @@ async function handleGameEnd(gameId, game) {
                 },
                 stake: gameData.solStake || 0,
                 winAmount: estimatedWinAmount,
+                scores: hands.length > 0 ? fullState.scores : null,
+                hands: hands,
                 txHash: null // Will be updated after distribution
             });
             console.log(`✅ [handleGameEnd] Match history created for game ${gameId}`);
             
-            // Invalidate recent wins cache
-            recentWinsCache = null;
+            // Live recent wins feed (pushed again with the tx once the payout lands)
+            await broadcastRecentWin(matchRecord);
         }
     } catch (error) {
         console.error('❌ [handleGameEnd] Error creating match history:', error);
     }
     
+    // Update ratings (staked games only)
+    if (!practice && gameData) {
+        try {
+            const ratings = await rateMatch(gameId, fullState);
+            for (const result of ratings) {
+                console.log(`[handleGameEnd] Rating ${result.wallet}: ${result.rating} (${result.change >= 0 ? '+' : ''}${result.change})`);
+                const player = fullState.players.find(p => p.wallet === result.wallet);
+                const playerSocket = player ? io.sockets.sockets.get(player.id) : null;
+                if (playerSocket) {
+                    playerSocket.emit('rating_updated', { gameId: gameId, rating: result.rating, change: result.change, place: result.place });
+                }
+            }
+        } catch (error) {
+            console.error('❌ [handleGameEnd] Error updating ratings:', error);
+        }
+    }
+    
     // Distribute winnings if winner exists and has wallet
     // Use game data from database (source of truth) instead of lobby
-    if (winnerWallet && gameData) {
+    if (practice) {
+        console.log(`[handleGameEnd] Practice game ${gameId} - no winnings to distribute`);
+    } else if (winnerWallet && gameData) {
         const totalStake = gameData.totalStake || (gameData.solStake * gameData.gameMode);
         
         console.log(`[handleGameEnd] Starting winnings distribution for game ${gameId}`);
@@ -1425,91 +2975,33 @@ async function handleGameEnd(gameId, game) {
         console.log(`[handleGameEnd] Total stake: ${totalStake} SOL (${gameData.solStake} SOL per player × ${gameData.gameMode} players)`);
         
         try {
-            const distributionResult = await distributeWinnings(winnerWallet, totalStake);
+            // Queue first so the transfer is retried by the settlement worker if this attempt fails
+            await enqueueSettlement(gameId, winnerWallet, totalStake);
+            const settlementResult = await processSettlement(gameId);
             
-            if (distributionResult.success) {
-                console.log(`✅ [handleGameEnd] Successfully distributed winnings to ${winnerWallet}:`);
-                console.log(`  Total stake: ${distributionResult.totalStake} SOL`);
-                console.log(`  Fee (2%): ${distributionResult.feeAmount} SOL`);
-                console.log(`  Winner amount: ${distributionResult.winnerAmount} SOL`);
-                console.log(`  Transactions:`, distributionResult.transactions);
-                
-                // Extract transaction hashes
-                const winningsTx = distributionResult.transactions.find(t => t.type === 'winnings');
-                const feeTx = distributionResult.transactions.find(t => t.type === 'fee');
-                
-                // Update game with transaction hashes
-                let winningsTxHash = null;
-                try {
-                    winningsTxHash = winningsTx ? winningsTx.signature : null;
-                    await updateGameTransactions(
-                        gameId,
-                        winningsTxHash,
-                        feeTx ? feeTx.signature : null
-                    );
-                    console.log(`✅ [handleGameEnd] Game ${gameId} updated with transaction hashes`);
-                } catch (error) {
-                    console.error('❌ [handleGameEnd] Error updating game transactions:', error);
-                }
-                
-                // Update match history with actual win amount and transaction hash
-                try {
-                    if (gameData && winnerUsername && winnerWallet) {
-                        const gameModeStr = `${gameData.gameMode}p`;
-                        const winAmount = distributionResult.winnerAmount || (totalStake * 0.98);
-                        
-                        // Update match history using gameId (unique identifier)
-                        await updateMatchHistoryTxHash(gameId, winningsTxHash, winAmount);
-                        console.log(`✅ [handleGameEnd] Match history updated with win amount and tx hash`);
-                        
-                        // Invalidate recent wins cache
-                        recentWinsCache = null;
-                    }
-                } catch (error) {
-                    console.error('❌ [handleGameEnd] Error updating match history:', error);
-                }
-                
-                // Notify winner
-                const winnerSocket = io.sockets.sockets.get(winnerPlayer.id);
-                if (winnerSocket) {
-                    winnerSocket.emit('winnings_distributed', {
-                        totalStake: distributionResult.totalStake,
-                        feeAmount: distributionResult.feeAmount,
-                        winnerAmount: distributionResult.winnerAmount,
-                        transactions: distributionResult.transactions
-                    });
-                    console.log(`✅ [handleGameEnd] Notified winner via socket`);
-                } else {
-                    console.warn(`⚠️ [handleGameEnd] Winner socket not found (player may have disconnected)`);
-                }
-            } else {
-                console.error(`❌ [handleGameEnd] Failed to distribute winnings:`, distributionResult.error);
+            if (!settlementResult.success) {
+                console.error(`❌ [handleGameEnd] Failed to distribute winnings:`, settlementResult.error);
                 // Notify winner of error
                 const winnerSocket = io.sockets.sockets.get(winnerPlayer.id);
                 if (winnerSocket) {
                     winnerSocket.emit('winnings_error', {
-                        error: distributionResult.error || 'Failed to distribute winnings'
+                        error: settlementResult.error || 'Failed to distribute winnings',
+                        willRetry: !!settlementResult.willRetry
                     });
                 }
             }
         } catch (error) {
-            console.error('❌ [handleGameEnd] Exception while distributing winnings:', error);
+            console.error('❌ [handleGameEnd] Exception while queueing winnings:', error);
             console.error('❌ [handleGameEnd] Error stack:', error.stack);
             // Notify winner of error
             const winnerSocket = io.sockets.sockets.get(winnerPlayer.id);
             if (winnerSocket) {
                 winnerSocket.emit('winnings_error', {
-                    error: error.message || 'Failed to distribute winnings'
+                    error: error.message || 'Failed to distribute winnings',
+                    willRetry: false
                 });
             }
         }
-        
-        // Clean up payment records for all players in this game
-        fullState.players.forEach(player => {
-            if (player.wallet) {
-                playerPayments.delete(player.wallet);
-            }
-        });
     } else {
         if (!winnerPlayer) {
             console.warn(`⚠️ [handleGameEnd] No winner player found for game ${gameId}`);
@@ -1523,48 +3015,219 @@ async function handleGameEnd(gameId, game) {
     // Get lobby for cleanup (may not exist if it was replaced, but we try)
     const lobby = lobbyManager.getLobbyByGameId(gameId);
     
-    // Remove player names from reconnection mapping (game is finished, no reconnection allowed)
-    fullState.players.forEach(player => {
-        const playerName = player.originalName || player.name.replace(' (Disconnected)', '');
-        playerNameToGame.delete(playerName);
-    });
-    
     // Clean up game after a delay (allow clients to see final state and win message)
     // Players can return to lobby using the button, so we give them time
     setTimeout(() => {
-        // Only clean up if game still exists (players might have already left)
-        if (activeGames.has(gameId)) {
-            const gameToCleanup = activeGames.get(gameId);
-            const stateToCleanup = gameToCleanup.getFullState();
+        cleanupGame(gameId, lobby);
+    }, 30000); // 30 seconds - enough time for players to see win message and return to lobby
+}
+
+/**
+ * A refund landed on a later retry - tell the player wherever they are now
+ */
+async function handleRefundComplete(job) {
+    for (const socket of io.sockets.sockets.values()) {
+        if (socket.data.wallet === job.wallet) {
+            deliverPendingRefunds(socket);
+        }
+    }
+}
+
+/**
+ * Winnings landed (right after the game or on a later retry) - tell the winner wherever they are now
+ * and show the payout tx in everyone's recent wins feed
+ */
+async function handleSettlementComplete(job) {
+    // Match history now has the real tx hash and win amount
+    recentWinsCache = null;
+    recentWinsVersion++;
+    
+    for (const socket of io.sockets.sockets.values()) {
+        if (socket.data.wallet === job.winnerWallet) {
+            socket.emit('winnings_distributed', {
+                gameId: job.gameId,
+                totalStake: job.totalStake,
+                feeAmount: job.feeAmount,
+                winnerAmount: job.winnerAmount,
+                transactions: [
+                    { type: 'fee', signature: job.txSignature, amount: job.feeAmount },
+                    { type: 'winnings', signature: job.txSignature, amount: job.winnerAmount, to: job.winnerWallet }
+                ]
+            });
+        }
+    }
+    
+    // Recent wins feed shows the payout tx
+    try {
+        const matchRecord = await getMatchHistoryByGameId(job.gameId);
+        if (matchRecord) {
+            await broadcastRecentWin(matchRecord);
+        }
+    } catch (error) {
+        console.error('Error pushing settled recent win:', error);
+    }
+}
+
+/**
+ * Handle abandoned game - every remaining player left, so the pot is refunded pro-rata
+ * Players who forfeited earlier lose their stake to the pot, same as losing the game.
+ */
+async function handleGameAbandoned(gameId, game, remainingPlayerIndexes) {
+    const fullState = game.getFullState();
+    const remainingPlayers = remainingPlayerIndexes.map(index => fullState.players[index]).filter(p => p && p.wallet);
+    
+    console.log(`Game ${gameId} abandoned. Refunding pot to ${remainingPlayers.length} remaining player(s)`);
+    
+    let gameData = null;
+    try {
+        gameData = await getGameByGameId(gameId);
+    } catch (error) {
+        console.error(`[handleGameAbandoned] Error fetching game from database:`, error);
+    }
+    
+    const refunds = [];
+    
+    // Practice games have no pot to refund
+    if (gameData && gameData.solStake > 0 && remainingPlayers.length > 0) {
+        const totalStake = gameData.totalStake || (gameData.solStake * gameData.gameMode);
+        // Round down to whole lamports so the shares never add up to more than the pot
+        const share = Math.floor((totalStake / remainingPlayers.length) * 1e9) / 1e9;
+        const payments = await getPaymentsByGameId(gameId);
+        
+        for (const player of remainingPlayers) {
+            const payment = payments.find(p => p.wallet === player.wallet);
             
-            // Remove game from active games
-            activeGames.delete(gameId);
+            // Claim the payment before queueing so a share can only be paid once
+            const claimed = payment
+                ? await transitionPayment(payment.signature, PAYMENT_STATUS.IN_GAME, PAYMENT_STATUS.REFUNDED, {
+                    refundAmount: share,
+                    refundReason: 'game_abandoned'
+                })
+                : null;
+            if (!claimed) {
+                console.warn(`⚠️ [handleGameAbandoned] No in-game payment for ${player.wallet}, skipping refund`);
+                continue;
+            }
             
-            // Clean up game to lobby mapping
-            gameToLobby.delete(gameId);
+            // A failed transfer stays queued and is retried by the refund worker
+            let refundResult;
+            try {
+                await enqueueRefund({
+                    paymentSignature: payment.signature,
+                    gameId: gameId,
+                    wallet: player.wallet,
+                    amount: share,
+                    reason: 'game_abandoned'
+                });
+                refundResult = await processRefund(payment.signature);
+            } catch (error) {
+                refundResult = { success: false, error: error.message, willRetry: false };
+            }
             
-            // Clean up lobby to game mapping
-            if (lobby) {
-                lobbyToGame.delete(lobby.id);
+            if (refundResult.success) {
+                console.log(`✅ [handleGameAbandoned] Refunded ${share} SOL to ${player.wallet} (signature: ${refundResult.job.txSignature})`);
+            } else {
+                console.error(`❌ [handleGameAbandoned] Refund to ${player.wallet} failed${refundResult.willRetry ? ', will retry' : ''}:`, refundResult.error);
             }
             
-            // Clean up player mappings
-            stateToCleanup.players.forEach(player => {
-                playerToGame.delete(player.id);
+            refunds.push({
+                wallet: player.wallet,
+                amount: share,
+                txHash: refundResult.success ? refundResult.job.txSignature : null,
+                error: refundResult.success ? null : (refundResult.error || 'Refund failed')
             });
-            
-            // Remove the "in-game" lobby (replacement lobby was already created when game started)
-            if (lobby) {
-                lobbyManager.removeLobby(lobby.id);
-                console.log(`Removed in-game lobby ${lobby.id} after game ended (replacement lobby already exists)`);
-                
-                // Broadcast updated lobby list (in-game lobby removed, replacement already exists)
-                io.emit('lobby_list', lobbyManager.getAllLobbies());
+        }
+        
+        // Stakes of players who forfeited were paid out as part of the pot
+        const forfeitedWallets = fullState.players.filter(p => p.eliminated).map(p => p.wallet);
+        for (const payment of payments) {
+            if (forfeitedWallets.includes(payment.wallet)) {
+                await transitionPayment(payment.signature, PAYMENT_STATUS.IN_GAME, PAYMENT_STATUS.SETTLED);
             }
-            
-            console.log(`Game ${gameId} cleaned up after normal completion`);
         }
-    }, 30000); // 30 seconds - enough time for players to see win message and return to lobby
+    }
+    
+    try {
+        await updateGameOnAbandon(gameId, refunds, fullState.fairness);
+        console.log(`Game ${gameId} marked as cancelled in database`);
+    } catch (error) {
+        console.error('Error updating abandoned game in database:', error);
+    }
+    
+    // Players already back on the site (e.g. browsing lobbies) hear about it now, the rest on next connect
+    const refundedWallets = refunds.filter(r => r.txHash).map(r => r.wallet);
+    for (const socket of io.sockets.sockets.values()) {
+        if (socket.data.wallet && refundedWallets.includes(socket.data.wallet)) {
+            deliverPendingRefunds(socket);
+        }
+    }
+    
+    // Nobody is left watching - clean up right away
+    cleanupGame(gameId, lobbyManager.getLobbyByGameId(gameId));
+}
+
+/**
+ * Remove a finished or abandoned game and its in-game lobby
+ */
+function cleanupGame(gameId, lobby) {
+    // Only clean up if game still exists (players might have already left)
+    if (!activeGames.has(gameId)) {
+        return;
+    }
+    
+    const gameToCleanup = activeGames.get(gameId);
+    const stateToCleanup = gameToCleanup.getFullState();
+    
+    // Remove game from active games
+    activeGames.delete(gameId);
+    
+    // Stop its bots
+    const botDriver = botDrivers.get(gameId);
+    if (botDriver) {
+        botDriver.stop();
+        botDrivers.delete(gameId);
+    }
+    
+    // Clean up game to lobby mapping
+    gameToLobby.delete(gameId);
+    
+    // Clean up lobby to game mapping
+    if (lobby) {
+        lobbyToGame.delete(lobby.id);
+    }
+    
+    // Clean up player mappings
+    stateToCleanup.players.forEach(player => {
+        playerToGame.delete(player.id);
+    });
+    
+    // Send spectators back to the lobby list once they have seen the end of the game
+    const stream = spectatorStreams.get(gameId);
+    if (stream) {
+        stream.publish('spectate_ended', { gameId: gameId, status: stateToCleanup.status });
+        stream.defer(() => {
+            const spectators = gameSpectators.get(gameId);
+            if (spectators) {
+                spectators.forEach((spectator, socketId) => {
+                    spectatorToGame.delete(socketId);
+                });
+                gameSpectators.delete(gameId);
+            }
+            io.in(spectatorRoom(gameId)).socketsLeave(spectatorRoom(gameId));
+            spectatorStreams.delete(gameId);
+        });
+    }
+    
+    // Remove the "in-game" lobby (replacement lobby was already created when game started)
+    if (lobby) {
+        lobbyManager.removeLobby(lobby.id);
+        console.log(`Removed in-game lobby ${lobby.id} after game ended (replacement lobby already exists)`);
+        
+        // Broadcast updated lobby list (in-game lobby removed, replacement already exists)
+        broadcastLobbyList();
+    }
+    
+    console.log(`Game ${gameId} cleaned up (${stateToCleanup.status})`);
 }
 
 // Start server with MongoDB connection
@@ -1577,6 +3240,14 @@ async function startServer() {
         } else {
             // Initialize database indexes
             await initializeIndexes();
+            
+            // Recover state lost with the previous process
+            await restoreActiveGames();
+            await refundOrphanedDeposits();
+            
+            // Retry winnings transfers and refunds that failed or were interrupted
+            startSettlementWorker(handleSettlementComplete);
+            startRefundWorker(handleRefundComplete);
         }
         
         // Start HTTP server
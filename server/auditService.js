@@ -0,0 +1,128 @@
+import { getGameByGameId } from './models/Game.js';
+import { getMatchHistoryByGameId } from './models/MatchHistory.js';
+import { getPaymentsByGameId, getPaymentBySignature } from './models/Payment.js';
+import { getSettlementJobByGameId } from './models/SettlementJob.js';
+import { getGameEvents } from './models/GameEvent.js';
+import { getLobbyChatMessages, getSpectatorChatMessages } from './models/ChatMessage.js';
+
+/**
+ * Game audit trail
+ * Everything recorded about one game in a single bundle, so support can settle a
+ * dispute ("I lost SOL unfairly") without reading server logs: the game and match
+ * records, every deposit and payout signature, the action log with server
+ * timestamps and the chat from the game's lobby.
+ */
+
+const CONNECTION_EVENTS = ['disconnect', 'reconnect', 'forfeit', 'timeout', 'eliminated', 'abandoned'];
+
+/**
+ * Flatten a logged event for the bundle ({ seq, type, round, at, ...data })
+ */
+function toAction(event) {
+    return {
+        seq: event.seq,
+        type: event.type,
+        round: event.round,
+        at: event.at,
+        ...event.data
+    };
+}
+
+/**
+ * Chat message as it appears in the bundle
+ */
+function toChatEntry(message) {
+    return {
+        at: message.createdAt,
+        mode: message.mode,
+        wallet: message.wallet,
+        playerName: message.playerName,
+        message: message.message
+    };
+}
+
+/**
+ * Build a game's audit bundle
+ * @param {string} gameId - Game ID
+ * @returns {Promise<Object|null>} Bundle { gameId, game, matchHistory, deposits, payouts, actions, connections, chat }, or null if the game doesn't exist
+ */
+export async function buildAuditBundle(gameId) {
+    const game = await getGameByGameId(gameId);
+    if (!game) {
+        return null;
+    }
+    
+    const [matchHistory, payments, settlementJob, events, spectatorChat] = await Promise.all([
+        getMatchHistoryByGameId(gameId),
+        getPaymentsByGameId(gameId),
+        getSettlementJobByGameId(gameId),
+        getGameEvents(gameId),
+        getSpectatorChatMessages(gameId)
+    ]);
+    
+    // Every seat's deposit - a seat whose payment was never moved into the game is looked up by its signature
+    const paymentsBySignature = new Map(payments.map(p => [p.signature, p]));
+    const players = [...game.players].sort((a, b) => a.playerIndex - b.playerIndex);
+    for (const player of players) {
+        if (player.paymentSignature && !paymentsBySignature.has(player.paymentSignature)) {
+            const payment = await getPaymentBySignature(player.paymentSignature);
+            if (payment) {
+                paymentsBySignature.set(payment.signature, payment);
+            }
+        }
+    }
+    
+    const deposits = players.map(player => {
+        const payment = player.paymentSignature ? paymentsBySignature.get(player.paymentSignature) : null;
+        return {
+            playerIndex: player.playerIndex,
+            username: player.username,
+            wallet: player.wallet,
+            signature: player.paymentSignature || null,
+            solAmount: payment ? payment.solAmount : null,
+            status: payment ? payment.status : null,
+            depositedAt: payment ? payment.createdAt : null,
+            refundSignature: payment ? payment.refundSignature || null : null,
+            refundAmount: payment ? payment.refundAmount ?? null : null,
+            refundReason: payment ? payment.refundReason || null : null,
+            found: !!payment
+        };
+    });
+    
+    // Deposits staked in this game that don't belong to any seat (should never happen)
+    const seatSignatures = new Set(players.map(p => p.paymentSignature).filter(Boolean));
+    const unmatchedDeposits = payments.filter(p => !seatSignatures.has(p.signature));
+    
+    const payouts = {
+        winningsTxHash: game.winningsTxHash || null,
+        feeTxHash: game.feeTxHash || null,
+        settlement: settlementJob,
+        refunds: game.refunds || []
+    };
+    
+    const actions = events.map(toAction);
+    
+    // The lobby ID is reused by later games - only take its chat from the first deposit until the game ended
+    const depositTimes = [...paymentsBySignature.values()].map(p => new Date(p.createdAt).getTime());
+    const chatFrom = new Date(Math.min(new Date(game.startedAt).getTime(), ...depositTimes));
+    const chatTo = game.endedAt ? new Date(game.endedAt) : new Date();
+    const lobbyChat = game.lobbyId ? await getLobbyChatMessages(game.lobbyId, chatFrom, chatTo) : [];
+    
+    return {
+        gameId: game.gameId,
+        generatedAt: new Date(),
+        game: game,
+        matchHistory: matchHistory,
+        deposits: deposits,
+        unmatchedDeposits: unmatchedDeposits,
+        payouts: payouts,
+        actions: actions,
+        connections: actions.filter(action => CONNECTION_EVENTS.includes(action.type)),
+        chat: {
+            from: chatFrom,
+            to: chatTo,
+            lobby: lobbyChat.map(toChatEntry),
+            spectators: spectatorChat.map(toChatEntry)
+        }
+    };
+}
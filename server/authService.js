@@ -0,0 +1,254 @@
+import { createPublicKey, verify, randomBytes } from 'crypto';
+import bs58 from 'bs58';
+import { createSession, getSessionByToken, deleteSession } from './models/Session.js';
+
+/**
+ * Sign-In With Solana
+ * Issues a nonce challenge, verifies the wallet's ed25519 signature over it,
+ * and hands out a session token that REST routes and sockets trust instead of
+ * a client-supplied wallet string.
+ */
+
+export const NONCE_TTL = 5 * 60 * 1000; // Challenge must be signed within 5 minutes
+const SESSION_TTL = 7 * 24 * 60 * 60 * 1000; // Sessions last 7 days
+const MAX_NONCES_PER_WALLET = 5; // Open challenges per wallet (e.g. tabs) - the oldest is dropped beyond this
+const MAX_PENDING_NONCES = 10000; // Open challenges overall - the nonce route is unauthenticated
+
+// Pending challenges: nonce -> { wallet, message, expiresAt }, oldest first
+// Keyed by nonce so a wallet can have several open challenges (e.g. tabs) and nobody can replace another's
+const pendingNonces = new Map();
+// Open nonces per wallet, oldest first: wallet -> Array of nonces
+const walletNonces = new Map();
+const NONCE_LINE_PATTERN = /^Nonce: ([0-9a-f]{32})$/m;
+
+/**
+ * Decode a base58 wallet address into an ed25519 public key
+ * @param {string} wallet - Wallet public key (base58)
+ * @returns {KeyObject|null} Public key or null if the address is invalid
+ */
+function walletToPublicKey(wallet) {
+    try {
+        const raw = Buffer.from(bs58.decode(wallet));
+        if (raw.length !== 32) {
+            return null;
+        }
+        return createPublicKey({
+            key: { kty: 'OKP', crv: 'Ed25519', x: raw.toString('base64url') },
+            format: 'jwk'
+        });
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Forget a pending challenge
+ * @param {string} nonce - Challenge nonce
+ */
+function removeChallenge(nonce) {
+    const challenge = pendingNonces.get(nonce);
+    if (!challenge) {
+        return;
+    }
+    pendingNonces.delete(nonce);
+    
+    const nonces = walletNonces.get(challenge.wallet) || [];
+    const remaining = nonces.filter(n => n !== nonce);
+    if (remaining.length === 0) {
+        walletNonces.delete(challenge.wallet);
+    } else {
+        walletNonces.set(challenge.wallet, remaining);
+    }
+}
+
+/**
+ * Build the message the wallet is asked to sign
+ */
+function buildSignInMessage(domain, wallet, nonce, issuedAt, expiresAt) {
+    return [
+        `${domain} wants you to sign in with your Solana account:`,
+        wallet,
+        '',
+        'Sign in to SOL UNO. This request will not trigger a blockchain transaction or cost any fees.',
+        '',
+        `Nonce: ${nonce}`,
+        `Issued At: ${new Date(issuedAt).toISOString()}`,
+        `Expiration Time: ${new Date(expiresAt).toISOString()}`
+    ].join('\n');
+}
+
+/**
+ * Create a sign-in challenge for a wallet
+ * @param {string} wallet - Wallet public key (base58)
+ * @param {string} domain - Host the client is signing in to
+ * @returns {Object} Result with the message to sign
+ */
+export function createSignInChallenge(wallet, domain) {
+    if (!wallet || typeof wallet !== 'string' || !walletToPublicKey(wallet)) {
+        return { success: false, error: 'Invalid wallet address' };
+    }
+    
+    const nonce = randomBytes(16).toString('hex');
+    const issuedAt = Date.now();
+    const expiresAt = issuedAt + NONCE_TTL;
+    const message = buildSignInMessage(domain || 'SOL UNO', wallet, nonce, issuedAt, expiresAt);
+    
+    // Keep the number of open challenges bounded - drop the wallet's oldest, then the oldest overall
+    const walletPending = walletNonces.get(wallet) || [];
+    if (walletPending.length >= MAX_NONCES_PER_WALLET) {
+        removeChallenge(walletPending[0]);
+    }
+    if (pendingNonces.size >= MAX_PENDING_NONCES) {
+        removeChallenge(pendingNonces.keys().next().value);
+    }
+    
+    pendingNonces.set(nonce, { wallet, message, expiresAt });
+    walletNonces.set(wallet, [...(walletNonces.get(wallet) || []), nonce]);
+    
+    return { success: true, message, nonce, expiresAt };
+}
+
+/**
+ * Verify a signed challenge and open a session
+ * @param {string} wallet - Wallet public key (base58)
+ * @param {string} message - Challenge message that was signed (its nonce identifies the challenge)
+ * @param {string} signature - Base64-encoded ed25519 signature over the challenge message
+ * @returns {Promise<Object>} Result with session token
+ */
+export async function verifySignIn(wallet, message, signature) {
+    if (!wallet || typeof wallet !== 'string' || !signature || typeof signature !== 'string' || !message || typeof message !== 'string') {
+        return { success: false, error: 'Wallet, message and signature are required' };
+    }
+    
+    const nonceMatch = message.match(NONCE_LINE_PATTERN);
+    const nonce = nonceMatch ? nonceMatch[1] : null;
+    const challenge = nonce ? pendingNonces.get(nonce) : null;
+    if (!challenge || challenge.wallet !== wallet || challenge.message !== message) {
+        return { success: false, error: 'No sign-in challenge found. Please request a new one.' };
+    }
+    
+    if (Date.now() > challenge.expiresAt) {
+        removeChallenge(nonce);
+        return { success: false, error: 'Sign-in challenge expired. Please try again.' };
+    }
+    
+    const publicKey = walletToPublicKey(wallet);
+    if (!publicKey) {
+        return { success: false, error: 'Invalid wallet address' };
+    }
+    
+    let valid = false;
+    try {
+        const signatureBytes = Buffer.from(signature, 'base64');
+        valid = signatureBytes.length === 64 &&
+            verify(null, Buffer.from(challenge.message, 'utf8'), publicKey, signatureBytes);
+    } catch (error) {
+        console.error('Error verifying sign-in signature:', error);
+        valid = false;
+    }
+    
+    if (!valid) {
+        return { success: false, error: 'Invalid signature' };
+    }
+    
+    // Nonce is single-use
+    removeChallenge(nonce);
+    
+    const token = randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + SESSION_TTL);
+    await createSession(token, wallet, expiresAt);
+    
+    return { success: true, token, wallet, expiresAt };
+}
+
+/**
+ * Resolve a session token to its wallet
+ * @param {string} token - Session token
+ * @returns {Promise<string|null>} Wallet address or null if the session is invalid
+ */
+export async function getSessionWallet(token) {
+    if (!token || typeof token !== 'string') {
+        return null;
+    }
+    
+    const session = await getSessionByToken(token);
+    if (!session || session.expiresAt < new Date()) {
+        return null;
+    }
+    
+    return session.wallet;
+}
+
+/**
+ * End a session
+ * @param {string} token - Session token
+ */
+export async function endSession(token) {
+    if (!token || typeof token !== 'string') {
+        return;
+    }
+    await deleteSession(token);
+}
+
+/**
+ * Read the bearer token from an Express request
+ */
+export function getRequestToken(req) {
+    const header = req.get('Authorization') || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+}
+
+/**
+ * Express middleware: require a valid session and expose its wallet as req.wallet
+ */
+export async function requireAuth(req, res, next) {
+    try {
+        const wallet = await getSessionWallet(getRequestToken(req));
+        if (!wallet) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+        req.wallet = wallet;
+        next();
+    } catch (error) {
+        console.error('Error checking session:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}
+
+/**
+ * Check whether a wallet is listed in ADMIN_WALLETS (comma-separated)
+ * @param {string} wallet - Wallet public key (base58)
+ * @returns {boolean} True if the wallet is an admin
+ */
+export function isAdminWallet(wallet) {
+    const adminWallets = (process.env.ADMIN_WALLETS || '')
+        .split(',')
+        .map(w => w.trim())
+        .filter(Boolean);
+    return !!wallet && adminWallets.includes(wallet);
+}
+
+/**
+ * Express middleware: require a valid session for an admin wallet
+ */
+export async function requireAdmin(req, res, next) {
+    await requireAuth(req, res, () => {
+        if (!isAdminWallet(req.wallet)) {
+            return res.status(403).json({ error: 'Admin access required' });
+        }
+        next();
+    });
+}
+
+/**
+ * Remove expired sign-in challenges
+ */
+export function cleanupExpiredNonces() {
+    const now = Date.now();
+    for (const [nonce, challenge] of pendingNonces.entries()) {
+        if (now > challenge.expiresAt) {
+            removeChallenge(nonce);
+        }
+    }
+}
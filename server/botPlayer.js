@@ -0,0 +1,365 @@
+import { VIEWS } from './gameView.js';
+
+/**
+ * Bot Players
+ * Server-side bots that hold a seat (practice lobbies) or play for a disconnected player
+ * (unstaked games only). A bot only knows what a player at the table knows - its own hand,
+ * the top card and everyone's card count - and plays through the same Game API as a socket.
+ *
+ * - easy: plays a random legal card, picks wild colors at random, sometimes forgets UNO, never challenges
+ * - medium: sheds number cards first, picks the color it holds most of, never bluffs a Wild Draw 4
+ * - hard: holds action cards and wilds until the next player is about to go out, picks wild colors
+ *   by what it holds, stacks penalties back and challenges Wild Draw 4s from big hands
+ */
+
+export const BOT_DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+const COLORS = ['red', 'green', 'blue', 'yellow'];
+
+// Time a bot takes before acting, in milliseconds (always well inside the shortest turn timer)
+const THINK_TIME = {
+    easy: { min: 1500, max: 3000 },
+    medium: { min: 1000, max: 2200 },
+    hard: { min: 800, max: 1600 }
+};
+
+const EASY_UNO_CALL_CHANCE = 0.7; // Easy bots forget to call UNO the rest of the time
+const EASY_STACK_CHANCE = 0.5; // Easy bots only sometimes stack onto a penalty
+const THREAT_HAND_SIZE = 2; // Next player holding this few cards gets hit with action cards (hard)
+
+/**
+ * Check if a difficulty exists
+ * @param {string} difficulty - Difficulty name
+ * @returns {boolean} True for 'easy', 'medium' and 'hard'
+ */
+export function isBotDifficulty(difficulty) {
+    return BOT_DIFFICULTIES.includes(difficulty);
+}
+
+/**
+ * Name for a new bot seat ("Hard Bot", "Hard Bot 2", ...)
+ * @param {string} difficulty - Bot difficulty
+ * @param {Array<string>} takenNames - Names already at the table
+ * @returns {string} Unused bot name
+ */
+export function createBotName(difficulty, takenNames = []) {
+    const baseName = `${difficulty.charAt(0).toUpperCase()}${difficulty.slice(1)} Bot`;
+    let name = baseName;
+    for (let number = 2; takenNames.includes(name); number++) {
+        name = `${baseName} ${number}`;
+    }
+    return name;
+}
+
+/**
+ * Difficulty of the bot playing a seat right now
+ * @param {Object} player - Player from the game state
+ * @returns {string|null} Difficulty, or null if a human is playing the seat
+ */
+export function botDifficulty(player) {
+    if (!player || player.eliminated) {
+        return null;
+    }
+    if (player.bot) {
+        return player.bot;
+    }
+    return player.disconnected && player.standIn ? player.standIn : null;
+}
+
+/**
+ * Pick a random element
+ */
+function randomItem(items) {
+    return items[Math.floor(Math.random() * items.length)];
+}
+
+/**
+ * Index of the seat that plays after fromIndex (eliminated seats are skipped)
+ */
+function nextSeat(view, fromIndex) {
+    let index = fromIndex;
+    for (let i = 0; i < view.players.length; i++) {
+        index = (index + view.direction + view.players.length) % view.players.length;
+        if (!view.players[index].eliminated) {
+            break;
+        }
+    }
+    return index;
+}
+
+/**
+ * Count the colored cards in a hand
+ * @param {Array} hand - Cards
+ * @param {number} [actionWeight] - Weight of skip/reverse/draw2 cards (hard bots value keeping those playable)
+ * @returns {Object} color -> count
+ */
+function colorCounts(hand, actionWeight = 1) {
+    const counts = { red: 0, green: 0, blue: 0, yellow: 0 };
+    hand.forEach(card => {
+        if (card.color !== 'wild') {
+            counts[card.color] += isActionCard(card) ? actionWeight : 1;
+        }
+    });
+    return counts;
+}
+
+/**
+ * Skip, reverse and Draw 2 cards
+ */
+function isActionCard(card) {
+    return card.value === 'skip' || card.value === 'reverse' || card.value === 'draw2';
+}
+
+/**
+ * Check if playing a Wild Draw 4 would be a bluff (the hand still holds the current color)
+ */
+function isBluff(card, hand, currentColor) {
+    return card.value === 'draw4' && hand.some(handCard => handCard !== card && handCard.color === currentColor);
+}
+
+/**
+ * Color to pick for a wild card
+ * @param {Array} hand - Hand without the wild being played
+ * @param {string} difficulty - Bot difficulty
+ * @returns {string} Color
+ */
+function chooseColor(hand, difficulty) {
+    if (difficulty === 'easy') {
+        return randomItem(COLORS);
+    }
+    
+    const counts = colorCounts(hand, difficulty === 'hard' ? 2 : 1);
+    const best = Math.max(...COLORS.map(color => counts[color]));
+    if (best === 0) {
+        return randomItem(COLORS); // Only wilds left
+    }
+    return randomItem(COLORS.filter(color => counts[color] === best));
+}
+
+/**
+ * How much a bot wants to play a card now (highest wins)
+ * Number cards are shed first (high numbers before low ones), action cards and wilds are kept for later.
+ * A hard bot plays its attack cards as soon as the next player is about to go out.
+ */
+function cardScore(card, hand, view, difficulty, nextPlayerThreat) {
+    const bluff = isBluff(card, hand, view.currentColor);
+    
+    if (difficulty === 'hard' && nextPlayerThreat) {
+        if (card.value === 'draw4' && !bluff) return 60;
+        if (card.value === 'draw2') return 55;
+        if (card.value === 'skip') return 50;
+        if (card.value === 'reverse' && view.players.filter(p => !p.eliminated).length === 2) return 50;
+    }
+    
+    if (card.value === 'draw4') {
+        return bluff ? -20 : 3;
+    }
+    if (card.color === 'wild') {
+        return 5;
+    }
+    if (isActionCard(card)) {
+        return difficulty === 'hard' ? 15 : 20;
+    }
+    
+    const value = parseInt(card.value, 10) || 0;
+    if (difficulty === 'hard') {
+        // Prefer numbers whose color it holds plenty of - the color stays playable for the next turn
+        return 30 + value + 2 * colorCounts(hand)[card.color];
+    }
+    return 30 + value;
+}
+
+/**
+ * Pick the card to play from the playable ones
+ * @returns {number} Index into the hand
+ */
+function chooseCard(hand, playable, view, difficulty, nextPlayerThreat) {
+    if (difficulty === 'easy') {
+        return randomItem(playable);
+    }
+    
+    let bestIndex = playable[0];
+    let bestScore = -Infinity;
+    playable.forEach(index => {
+        const score = cardScore(hand[index], hand, view, difficulty, nextPlayerThreat);
+        if (score > bestScore) {
+            bestScore = score;
+            bestIndex = index;
+        }
+    });
+    return bestIndex;
+}
+
+/**
+ * Decide whether to challenge a Wild Draw 4
+ * The more cards the player who played it still holds, the likelier one of them was the old color.
+ */
+function shouldChallenge(view, hand, difficulty) {
+    const challenged = view.players[view.pendingChallenge.playedBy];
+    if (difficulty === 'medium') {
+        return challenged.handSize >= 6;
+    }
+    if (difficulty === 'hard') {
+        // Every card of the old color it holds itself is one the other player can't have
+        const heldPreviousColor = hand.filter(card => card.color === view.pendingChallenge.previousColor).length;
+        return view.pendingDraw === 4 && challenged.handSize >= 4 && heldPreviousColor <= 3;
+    }
+    return false;
+}
+
+/**
+ * Play move for a card in the hand (with a color if it is a wild)
+ */
+function playMove(hand, cardIndex, difficulty) {
+    const card = hand[cardIndex];
+    return {
+        type: 'play',
+        cardIndex: cardIndex,
+        chosenColor: card.color === 'wild' ? chooseColor(hand.filter((_, index) => index !== cardIndex), difficulty) : null
+    };
+}
+
+/**
+ * Choose a bot's move for the current state of the game
+ * @param {Game} game - Game instance
+ * @param {number} playerIndex - Seat the bot plays
+ * @param {string} difficulty - 'easy', 'medium' or 'hard'
+ * @returns {Object|null} { type: 'play', cardIndex, chosenColor } or { type: 'draw' | 'endTurn' | 'callUno' | 'acceptDraw4' | 'challengeDraw4' },
+ *   null if the bot doesn't act (not its turn, or an easy bot forgot to call UNO)
+ */
+export function chooseBotMove(game, playerIndex, difficulty) {
+    const player = game.gameState.players[playerIndex];
+    const view = game.getView(VIEWS.PLAYER, player.id);
+    if (view.status !== 'playing' || view.currentPlayerIndex !== playerIndex) {
+        return null;
+    }
+    
+    const hand = view.players[playerIndex].hand;
+    
+    if (view.waitingForUno) {
+        if (difficulty === 'easy' && Math.random() > EASY_UNO_CALL_CHANCE) {
+            return null; // The turn timer runs out and the UNO penalty applies
+        }
+        return { type: 'callUno' };
+    }
+    
+    const playable = game.getPlayableCardIndexes(playerIndex);
+    const nextPlayerThreat = view.players[nextSeat(view, playerIndex)].handSize <= THREAT_HAND_SIZE;
+    
+    // Answering a Wild Draw 4 - stack it back if possible, otherwise challenge or take it
+    if (view.pendingChallenge) {
+        if (game.ruleSet.stacking && playable.length > 0 && difficulty !== 'easy') {
+            return playMove(hand, chooseCard(hand, playable, view, difficulty, true), difficulty);
+        }
+        return shouldChallenge(view, hand, difficulty) ? { type: 'challengeDraw4' } : { type: 'acceptDraw4' };
+    }
+    
+    // Facing a stacked penalty (the turn only stays here if the bot can stack)
+    if (view.pendingDraw > 0) {
+        if (playable.length > 0 && (difficulty !== 'easy' || Math.random() < EASY_STACK_CHANCE)) {
+            return playMove(hand, chooseCard(hand, playable, view, difficulty, true), difficulty);
+        }
+        return { type: 'draw' };
+    }
+    
+    // Drew a playable card - it is the last card in the hand
+    if (view.hasDrawnPlayableCard) {
+        const drawnIndex = hand.length - 1;
+        const drawnCard = hand[drawnIndex];
+        if (difficulty !== 'easy' && isBluff(drawnCard, hand, view.currentColor)) {
+            return { type: 'endTurn' };
+        }
+        if (difficulty === 'hard' && drawnCard.color === 'wild' && !nextPlayerThreat && hand.length > 3) {
+            return { type: 'endTurn' }; // Keep the wild for later
+        }
+        return playMove(hand, drawnIndex, difficulty);
+    }
+    
+    if (playable.length === 0) {
+        return { type: 'draw' };
+    }
+    
+    return playMove(hand, chooseCard(hand, playable, view, difficulty, nextPlayerThreat), difficulty);
+}
+
+/**
+ * Plays every bot seat and stand-in of one game
+ * The server calls update() after every state change. When a bot is up, the driver waits a
+ * moment like a player would, then hands the bot's move to the server, which applies and
+ * broadcasts it exactly like the matching socket action.
+ */
+export class BotDriver {
+    /**
+     * @param {Game} game - Game instance
+     * @param {Function} applyMove - (playerId, move) => void
+     */
+    constructor(game, applyMove) {
+        this.game = game;
+        this.applyMove = applyMove;
+        this.timer = null;
+        this.scheduledPlayerId = null; // Seat the pending move is for
+    }
+    
+    /**
+     * Schedule a move if a bot is up and its turn is running
+     * Nothing happens during animation delays - the move comes once the turn timer starts.
+     */
+    update() {
+        if (this.timer) {
+            return;
+        }
+        
+        const state = this.game.gameState;
+        if (state.status !== 'playing' || this.game.turnExpiresAt === null) {
+            return;
+        }
+        
+        const player = state.players[state.currentPlayerIndex];
+        const difficulty = botDifficulty(player);
+        if (!difficulty) {
+            return;
+        }
+        
+        const thinkTime = THINK_TIME[difficulty] || THINK_TIME.medium;
+        this.scheduledPlayerId = player.id;
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.act();
+        }, thinkTime.min + Math.random() * (thinkTime.max - thinkTime.min));
+    }
+    
+    /**
+     * Make the scheduled move (the state is checked again - the turn may have moved on meanwhile)
+     */
+    act() {
+        const state = this.game.gameState;
+        const playerIndex = state.currentPlayerIndex;
+        const player = state.players[playerIndex];
+        const difficulty = botDifficulty(player);
+        
+        if (state.status !== 'playing' || !difficulty || this.game.turnExpiresAt === null) {
+            return;
+        }
+        
+        // Someone else is up now - give them their own think time
+        if (player.id !== this.scheduledPlayerId) {
+            this.update();
+            return;
+        }
+        
+        const move = chooseBotMove(this.game, playerIndex, difficulty);
+        if (move) {
+            this.applyMove(player.id, move);
+        }
+    }
+    
+    /**
+     * Cancel any pending move (game over or cleaned up)
+     */
+    stop() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+}
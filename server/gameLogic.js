@@ -3,6 +3,10 @@
  * Authoritative game state management
  */
 
+import { RuleSet } from './ruleSet.js';
+import { generateSeed, createFairness, fairShuffle, fairFirstCardColor, replayShuffles } from './provablyFair.js';
+import { VIEWS, projectGameState } from './gameView.js';
+
 // Card structure: { color: 'red'|'green'|'blue'|'yellow'|'wild', value: '0'-'9'|'skip'|'reverse'|'draw2'|'wild'|'draw4' }
 
 /**
@@ -33,15 +37,29 @@ function createDeck() {
 }
 
 /**
- * Shuffle deck using Fisher-Yates algorithm
+ * Shuffle deck using the game's provably fair seeds (see server/provablyFair.js)
+ * Every shuffle is recorded so it can be recomputed once the server seed is revealed.
+ * @param {Array} deck - Cards to shuffle
+ * @param {Object} gameState - Game state (holds the fairness record)
+ * @param {string} reason - 'deal' (fresh deck) or 'reshuffle' (discard pile)
+ * @returns {Array} Shuffled deck
  */
-function shuffleDeck(deck) {
-    const shuffled = [...deck];
-    for (let i = shuffled.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+function shuffleDeck(deck, gameState, reason) {
+    const fairness = gameState.fairness;
+    const nonce = fairness.shuffles.length;
+    const shuffle = { nonce: nonce, round: gameState.round, reason: reason };
+    
+    if (reason === 'deal') {
+        // Seats dealt into this hand (the verifier rebuilds every hand from the deck)
+        shuffle.seats = gameState.players
+            .map((player, index) => (player.eliminated ? null : index))
+            .filter(index => index !== null);
+    } else {
+        shuffle.cards = deck.map(card => ({ ...card }));
     }
-    return shuffled;
+    
+    fairness.shuffles.push(shuffle);
+    return fairShuffle(deck, fairness.serverSeed, fairness.clientSeeds, nonce);
 }
 
 /**
@@ -49,15 +67,17 @@ function shuffleDeck(deck) {
  * @param {Array} playerHand - Player's hand
  * @param {Object} topCard - Top card on discard pile
  * @param {string} currentColor - Current color in play
+ * @param {RuleSet} [rules] - House rules in play
+ * @param {number} [pendingDraw] - Draw penalty the player is facing
  * @returns {boolean} True if player has at least one playable card
  */
-function hasPlayableCard(playerHand, topCard, currentColor) {
+function hasPlayableCard(playerHand, topCard, currentColor, rules = null, pendingDraw = 0) {
     if (!playerHand || playerHand.length === 0) {
         return false;
     }
     
     return playerHand.some(card => 
-        canPlayCard(card, topCard, currentColor, playerHand)
+        canPlayCard(card, topCard, currentColor, playerHand, rules, pendingDraw)
     );
 }
 
@@ -67,11 +87,23 @@ function hasPlayableCard(playerHand, topCard, currentColor) {
  * @param {Object} topCard - Top card on discard pile
  * @param {string} currentColor - Current color in play
  * @param {Array} playerHand - Player's hand (optional, required for Wild Draw 4 validation)
+ * @param {RuleSet} [rules] - House rules in play
+ * @param {number} [pendingDraw] - Draw penalty the player is facing (stacking only)
  * @returns {boolean} True if card can be played
  */
-function canPlayCard(card, topCard, currentColor, playerHand = null) {
+function canPlayCard(card, topCard, currentColor, playerHand = null, rules = null, pendingDraw = 0) {
+    // A pending Draw 2/4 can only be answered by stacking another draw card on it
+    if (pendingDraw > 0) {
+        return canStackCard(card, topCard);
+    }
+    
     // Special validation for Wild Draw 4
     if (card.color === 'wild' && card.value === 'draw4') {
+        // With challenges on, a Wild Draw 4 may be played as a bluff - legality is checked if challenged
+        if (rules && rules.wildDraw4Challenge) {
+            return true;
+        }
+        
         // Wild Draw 4 can only be played if player has no card matching the current color
         // They can have: matching numbers, matching action cards, ANY wild cards
         // Only color matters
@@ -106,6 +138,38 @@ function canPlayCard(card, topCard, currentColor, playerHand = null) {
     return false;
 }
 
+/**
+ * Check if a card can be stacked onto a pending Draw 2/4
+ * Draw 2 stacks on Draw 2, Wild Draw 4 stacks on either (a Draw 2 never stacks on a Wild Draw 4)
+ */
+function canStackCard(card, topCard) {
+    if (card.value === 'draw4') {
+        return true;
+    }
+    return card.value === 'draw2' && topCard.value === 'draw2';
+}
+
+/**
+ * Check if a card is identical to the top card (same color and value - wild cards never are)
+ */
+function isIdenticalCard(card, topCard) {
+    return !!topCard && card.color !== 'wild' && card.color === topCard.color && card.value === topCard.value;
+}
+
+/**
+ * Points a card left in a hand is worth to the hand winner (match mode)
+ * Numbers at face value, action cards 20, wild cards 50
+ */
+export function cardPoints(card) {
+    if (card.color === 'wild') {
+        return 50;
+    }
+    if (card.value === 'skip' || card.value === 'reverse' || card.value === 'draw2') {
+        return 20;
+    }
+    return parseInt(card.value, 10) || 0;
+}
+
 /**
  * Reshuffle discard pile into deck (except top card)
  */
@@ -117,17 +181,74 @@ function reshuffleDeck(gameState) {
     
     const topCard = gameState.discardPile.pop();
     const cardsToReshuffle = gameState.discardPile.length;
-    gameState.deck = shuffleDeck([...gameState.discardPile]);
+    gameState.deck = shuffleDeck([...gameState.discardPile], gameState, 'reshuffle');
     gameState.discardPile = [topCard];
     
     console.log(`🔄 DECK RESHUFFLED: ${cardsToReshuffle} cards reshuffled from discard pile. New deck size: ${gameState.deck.length}`);
 }
 
 /**
- * Move to next player's turn
+ * Take cards from the deck into a player's hand (reshuffles the discard pile when the deck runs out)
+ * @returns {Array} Cards drawn (fewer than count if every card is already in a hand)
+ */
+function drawCards(gameState, player, count) {
+    const drawn = [];
+    for (let i = 0; i < count; i++) {
+        if (gameState.deck.length === 0) {
+            reshuffleDeck(gameState);
+        }
+        if (gameState.deck.length === 0) {
+            break;
+        }
+        const card = gameState.deck.pop();
+        player.hand.push(card);
+        drawn.push(card);
+    }
+    player.stats.cardsDrawn += drawn.length;
+    return drawn;
+}
+
+/**
+ * Fresh per-player counters (recorded with the match, see Game.getPlayerStats)
+ */
+function createPlayerStats() {
+    return {
+        cardsPlayed: 0,
+        draws: 0, // Times the player drew instead of playing (stacked penalties included)
+        cardsDrawn: 0, // Every card drawn, penalties included
+        unoCalls: 0,
+        unoPenalties: 0,
+        timeouts: 0,
+        disconnectedMs: 0 // Finished disconnects (a disconnect still going on is counted from disconnectedAt)
+    };
+}
+
+/**
+ * Count players still in the game (not eliminated)
+ */
+function activePlayerCount(gameState) {
+    return gameState.players.filter(p => !p.eliminated).length;
+}
+
+/**
+ * Index of the player whose turn comes after fromIndex (eliminated players are skipped)
+ */
+function nextPlayerIndex(gameState, fromIndex = gameState.currentPlayerIndex) {
+    let index = fromIndex;
+    for (let i = 0; i < gameState.players.length; i++) {
+        index = (index + gameState.direction + gameState.players.length) % gameState.players.length;
+        if (!gameState.players[index].eliminated) {
+            break;
+        }
+    }
+    return index;
+}
+
+/**
+ * Move to next player's turn (eliminated players never get a turn)
  */
 function nextTurn(gameState) {
-    gameState.currentPlayerIndex = (gameState.currentPlayerIndex + gameState.direction + gameState.players.length) % gameState.players.length;
+    gameState.currentPlayerIndex = nextPlayerIndex(gameState);
     gameState.hasDrawnPlayableCard = false; // Reset flag when turn changes
     gameState.hasPlayedCardThisTurn = false; // Reset flag when turn changes
     gameState.waitingForUno = false; // Reset UNO waiting flag when turn changes
@@ -143,7 +264,22 @@ function nextTurn(gameState) {
  * Game class - manages a single game instance
  */
 export class Game {
-    constructor(playerIds, playerNames, playerWallets = []) {
+    /**
+     * @param {Array<string>} playerIds - Player socket IDs
+     * @param {Array<string>} playerNames - Player names
+     * @param {Array<string>} [playerWallets] - Player wallet addresses
+     * @param {RuleSet} [ruleSet] - House rules (official rules if omitted)
+     * @param {Object} [seeds] - { serverSeed, clientSeeds, generatedSeats } for the provably fair shuffle (random if omitted)
+     */
+    constructor(playerIds, playerNames, playerWallets = [], ruleSet = null, seeds = {}) {
+        this.ruleSet = ruleSet || RuleSet.fromPreset('official');
+        
+        // Seats without a client seed get one from the server - recorded so the verifier doesn't count them as player input
+        const clientSeeds = playerIds.map((id, index) => (seeds.clientSeeds && seeds.clientSeeds[index]) || null);
+        const generatedSeats = playerIds
+            .map((id, index) => index)
+            .filter(index => !clientSeeds[index] || (seeds.generatedSeats || []).includes(index));
+        
         this.gameState = {
             players: [],
             deck: [],
@@ -151,24 +287,51 @@ export class Game {
             topCard: null,
             currentPlayerIndex: 0,
             direction: 1, // 1 = clockwise, -1 = counterclockwise
-            status: 'dealing', // 'dealing', 'playing', 'finished'
+            status: 'dealing', // 'dealing', 'playing', 'handFinished', 'finished', 'abandoned'
             winner: null,
             currentColor: null,
             hasDrawnPlayableCard: false, // Track if current player has drawn a playable card and is waiting to decide
             hasPlayedCardThisTurn: false, // Track if current player has already played a card this turn
-            waitingForUno: false // Track if current player must call UNO before turn can end
+            waitingForUno: false, // Track if current player must call UNO before turn can end
+            pendingDraw: 0, // Draw 2/4 penalty waiting to be drawn (builds up when stacking)
+            pendingChallenge: null, // Wild Draw 4 the current player may challenge: { playedBy, previousColor, heldPreviousColor }
+            round: 1, // Hand number (match mode deals several hands)
+            scores: [], // Match score per player index
+            handResults: [], // Every finished hand: { round, winnerIndex, points, scores, endedAt }
+            eventCount: 0, // Events recorded so far (next event's seq)
+            loggedShuffles: 0, // Entries of fairness.shuffles already checked for reshuffle events
+            botStandIn: null, // Bot difficulty that takes over a disconnected player's seat (unstaked games only, null = forfeit rules)
+            fairness: createFairness(
+                seeds.serverSeed || generateSeed(),
+                clientSeeds.map(seed => seed || generateSeed(16)),
+                generatedSeats
+            ) // Seeds and shuffle log (server seed stays secret until the game is over)
         };
         
         // Turn timer management
         this.turnTimer = null;
         this.turnStartTime = null;
         this.turnExpiresAt = null; // Timestamp when current turn expires
-        this.turnTimeLimit = 15000; // 15 seconds in milliseconds
+        this.turnTimeLimit = this.ruleSet.turnTimeLimit; // Milliseconds (15 seconds under official rules)
         this.dealingAnimationDelay = 5000; // 5 seconds delay to allow dealing animation to complete
+        this.handBreakDelay = 8000; // Match mode: scores are shown this long before the next hand is dealt
+        this.nextHandTimer = null;
         this.ANIMATION_DURATION = 1200; // Animation duration in ms (must match client)
         this.onStateChangeCallback = null; // Callback to notify server of state changes
         this.onTurnStartCallback = null; // Callback to send turn_start event
         this.onTurnTimeoutCallback = null; // Callback to send turn_timeout event
+        this.onPlayerEliminatedCallback = null; // Callback to send player_eliminated event
+        this.onGameEndCallback = null; // Callback when the game ends outside of playCard (last player standing)
+        this.onGameAbandonedCallback = null; // Callback when every remaining player has left
+        this.onEventCallback = null; // Callback receiving every event for the game's event log
+        this.unsentEvents = []; // Events recorded before the event callback was set (the first deal)
+        
+        // Forfeit rules
+        this.maxConsecutiveTimeouts = 3; // Eliminated after this many timeouts in a row
+        this.disconnectForfeitTime = 60000; // Eliminated after 60 seconds disconnected
+        this.forfeitTimers = new Map(); // playerIndex -> disconnect forfeit timer
+        
+        this.snapshotVersion = 0; // Increases with every snapshot (crash recovery)
         
         // Create players
         playerIds.forEach((id, index) => {
@@ -178,14 +341,21 @@ export class Game {
                 hand: [],
                 name: playerNames[index] || `Player ${index + 1}`,
                 wallet: playerWallets[index] || null,
-                hasUno: false
+                hasUno: false,
+                consecutiveTimeouts: 0,
+                disconnectedAt: null,
+                eliminated: false,
+                bot: null, // Bot difficulty if a bot holds this seat (see server/botPlayer.js)
+                standIn: null, // Bot difficulty playing for this player while they are disconnected
+                stats: createPlayerStats()
             });
+            this.gameState.scores.push(0);
         });
         
         // Create and shuffle deck
-        this.gameState.deck = shuffleDeck(createDeck());
+        this.gameState.deck = shuffleDeck(createDeck(), this.gameState, 'deal');
         
-        // Deal 7 cards to each player
+        // Deal the rule set's hand size to each player
         this.dealCards();
     }
     
@@ -231,7 +401,7 @@ export class Game {
             });
         }
         
-        // Set timer to auto-punish after 15 seconds
+        // Set timer to auto-punish when the turn time runs out
         this.turnTimer = setTimeout(() => {
             this.handleTurnTimeout();
         }, this.turnTimeLimit);
@@ -316,6 +486,8 @@ export class Game {
         const currentPlayer = this.gameState.players[currentPlayerIndex];
         
         console.log(`Turn timeout for player ${currentPlayer.name} (${currentPlayer.id})`);
+        this.recordEvent('timeout', { playerIndex: currentPlayerIndex });
+        currentPlayer.stats.timeouts++;
         
         // Check for UNO penalty: if player has 1 card and didn't call UNO, draw 2 cards
         // Only apply penalty if waitingForUno is true (they played a card and went from 2+ to 1 card)
@@ -323,16 +495,19 @@ export class Game {
         if (this.gameState.waitingForUno && currentPlayer.hand.length === 1 && !currentPlayer.hasUno) {
             console.log(`UNO penalty: Player ${currentPlayer.name} didn't call UNO, drawing 2 cards`);
             // Draw 2 cards as penalty
-            for (let i = 0; i < 2; i++) {
-                if (this.gameState.deck.length === 0) {
-                    reshuffleDeck(this.gameState);
-                }
-                currentPlayer.hand.push(this.gameState.deck.pop());
-            }
+            drawCards(this.gameState, currentPlayer, 2);
+            currentPlayer.stats.unoPenalties++;
             // Reset hasUno since they now have more than 1 card
             currentPlayer.hasUno = false;
             // Clear waitingForUno flag
             this.gameState.waitingForUno = false;
+        } else if (this.gameState.pendingDraw > 0) {
+            // Player was facing a stacked penalty and didn't stack - they draw all of it
+            console.log(`Player ${currentPlayer.name} didn't answer a stack, drawing ${this.gameState.pendingDraw} cards`);
+            drawCards(this.gameState, currentPlayer, this.gameState.pendingDraw);
+            this.gameState.pendingDraw = 0;
+            this.gameState.pendingChallenge = null; // Letting the timer run out accepts a Wild Draw 4
+            currentPlayer.hasUno = false;
         } else if (this.gameState.hasDrawnPlayableCard) {
             // Player drew a playable card but didn't decide - end turn without additional penalty
             console.log(`Player ${currentPlayer.name} drew a playable card but didn't play it - ending turn`);
@@ -340,11 +515,7 @@ export class Game {
             this.gameState.hasDrawnPlayableCard = false;
         } else {
             // Normal timeout: Draw 1 card as punishment
-            if (this.gameState.deck.length === 0) {
-                reshuffleDeck(this.gameState);
-            }
-            const drawnCard = this.gameState.deck.pop();
-            currentPlayer.hand.push(drawnCard);
+            drawCards(this.gameState, currentPlayer, 1);
             // Reset hasUno if hand size is now greater than 1
             if (currentPlayer.hand.length > 1) {
                 currentPlayer.hasUno = false;
@@ -356,23 +527,24 @@ export class Game {
         // End turn automatically
         this.gameState.hasDrawnPlayableCard = false;
         
-        // Move to next player (skip disconnected players)
-        nextTurn(this.gameState);
-        
-        // Skip disconnected players
-        while (this.gameState.players[this.gameState.currentPlayerIndex].disconnected) {
-            const nextIndex = (this.gameState.currentPlayerIndex + this.gameState.direction + this.gameState.players.length) % this.gameState.players.length;
-            
-            // Safety check - if all players are disconnected, pause the game
-            if (nextIndex === currentPlayerIndex) {
-                this.clearTurnTimer();
-                console.log('All players disconnected - pausing game');
+        // Too many timeouts in a row - player forfeits (a disconnected player forfeits on their disconnect timer instead)
+        currentPlayer.consecutiveTimeouts++;
+        if (currentPlayer.consecutiveTimeouts >= this.maxConsecutiveTimeouts && !currentPlayer.disconnected) {
+            const result = this.eliminatePlayer(currentPlayerIndex, 'timeout');
+            if (result.gameEnded) {
                 return;
             }
-            
-            this.gameState.currentPlayerIndex = nextIndex;
         }
         
+        // Move to next player (skip disconnected players)
+        nextTurn(this.gameState);
+        
+        // Player timed out after a Draw 2/4 that was waiting on their UNO call - the next player takes it now
+        this.resolvePendingDraw();
+        
+        // If nobody connected is left the clock keeps running - their disconnect forfeit timers end the game
+        this.skipInactivePlayers();
+        
         // Start timer for next active player
         this.startTurnTimer();
         
@@ -390,6 +562,191 @@ export class Game {
         }
     }
     
+    /**
+     * Move the turn past disconnected and eliminated players (a bot stand-in keeps its player's turns)
+     * @returns {boolean} False if nobody connected is left to take a turn
+     */
+    skipInactivePlayers() {
+        const startIndex = this.gameState.currentPlayerIndex;
+        
+        while ((this.gameState.players[this.gameState.currentPlayerIndex].disconnected &&
+                !this.gameState.players[this.gameState.currentPlayerIndex].standIn) ||
+               this.gameState.players[this.gameState.currentPlayerIndex].eliminated) {
+            this.gameState.currentPlayerIndex = (this.gameState.currentPlayerIndex + this.gameState.direction + this.gameState.players.length) % this.gameState.players.length;
+            
+            if (this.gameState.currentPlayerIndex === startIndex) {
+                return false;
+            }
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Eliminate a player (forfeit) - their hand is discarded and they never get another turn
+     * Ends the game if only one player is left
+     * @param {number} playerIndex - Index of the player to eliminate
+     * @param {string} reason - 'timeout' or 'disconnect'
+     * @returns {Object} Result object
+     */
+    eliminatePlayer(playerIndex, reason) {
+        const player = this.gameState.players[playerIndex];
+        if (!player || player.eliminated || !this.isInProgress()) {
+            return { success: false, gameEnded: false };
+        }
+        
+        player.eliminated = true;
+        player.hasUno = false;
+        
+        // Time away stops counting once they are out
+        if (player.disconnectedAt) {
+            player.stats.disconnectedMs += Date.now() - player.disconnectedAt;
+        }
+        
+        // A stacked penalty aimed at a player who forfeits is dropped
+        if (playerIndex === this.gameState.currentPlayerIndex) {
+            this.gameState.pendingDraw = 0;
+            this.gameState.pendingChallenge = null;
+        }
+        
+        // A Wild Draw 4 can no longer be challenged once the player who played it is out
+        if (this.gameState.pendingChallenge && this.gameState.pendingChallenge.playedBy === playerIndex) {
+            this.gameState.pendingChallenge = null;
+        }
+        
+        // Discard hand under the top card so the cards go back into circulation on the next reshuffle
+        this.gameState.discardPile.unshift(...player.hand);
+        player.hand = [];
+        
+        this.clearForfeitTimer(playerIndex);
+        
+        console.log(`Player ${player.name} eliminated (${reason})`);
+        this.recordEvent('eliminated', { playerIndex: playerIndex, reason: reason });
+        
+        if (this.onPlayerEliminatedCallback) {
+            this.onPlayerEliminatedCallback({
+                playerIndex: playerIndex,
+                playerName: player.originalName || player.name,
+                reason: reason
+            });
+        }
+        
+        // Last player standing wins
+        if (activePlayerCount(this.gameState) === 1) {
+            this.gameState.status = 'finished';
+            this.gameState.winner = this.gameState.players.findIndex(p => !p.eliminated);
+            this.clearTurnTimer();
+            this.clearForfeitTimers();
+            this.clearNextHandTimer();
+            this.recordEvent('gameEnd', { winner: this.gameState.winner });
+            
+            if (this.onStateChangeCallback) {
+                this.onStateChangeCallback();
+            }
+            if (this.onGameEndCallback) {
+                this.onGameEndCallback();
+            }
+            
+            return { success: true, gameEnded: true };
+        }
+        
+        return { success: true, gameEnded: false };
+    }
+    
+    /**
+     * Disconnect forfeit timer fired for a player
+     * @param {number} playerIndex - Index of the disconnected player
+     */
+    handleDisconnectForfeit(playerIndex) {
+        this.forfeitTimers.delete(playerIndex);
+        
+        const player = this.gameState.players[playerIndex];
+        if (!this.isInProgress() || !player || !player.disconnected || player.eliminated || player.standIn) {
+            return;
+        }
+        
+        this.recordEvent('forfeit', { playerIndex: playerIndex });
+        
+        // Nobody left at the table - abandon the game instead of handing the pot to an absent player
+        const anyoneConnected = this.gameState.players.some(p => !p.eliminated && !p.disconnected);
+        if (!anyoneConnected) {
+            this.abandonGame();
+            return;
+        }
+        
+        const wasCurrentPlayer = this.gameState.currentPlayerIndex === playerIndex;
+        const result = this.eliminatePlayer(playerIndex, 'disconnect');
+        if (result.gameEnded) {
+            return;
+        }
+        
+        // Player was holding the turn - pass it on
+        if (wasCurrentPlayer) {
+            this.clearTurnTimer();
+            this.gameState.hasDrawnPlayableCard = false;
+            nextTurn(this.gameState);
+            this.skipInactivePlayers();
+            this.startTurnTimer();
+        }
+        
+        if (this.onStateChangeCallback) {
+            this.onStateChangeCallback();
+        }
+    }
+    
+    /**
+     * Abandon the game (every remaining player left)
+     */
+    abandonGame() {
+        this.gameState.status = 'abandoned';
+        this.clearTurnTimer();
+        this.clearForfeitTimers();
+        this.clearNextHandTimer();
+        
+        console.log('All remaining players left - game abandoned');
+        this.recordEvent('abandoned');
+        
+        if (this.onGameAbandonedCallback) {
+            this.onGameAbandonedCallback({
+                remainingPlayerIndexes: this.gameState.players
+                    .map((p, index) => (p.eliminated ? null : index))
+                    .filter(index => index !== null)
+            });
+        }
+    }
+    
+    /**
+     * Clear a player's disconnect forfeit timer
+     * @param {number} playerIndex - Player index
+     */
+    clearForfeitTimer(playerIndex) {
+        const timer = this.forfeitTimers.get(playerIndex);
+        if (timer) {
+            clearTimeout(timer);
+            this.forfeitTimers.delete(playerIndex);
+        }
+    }
+    
+    /**
+     * Clear all disconnect forfeit timers
+     */
+    clearForfeitTimers() {
+        for (const timer of this.forfeitTimers.values()) {
+            clearTimeout(timer);
+        }
+        this.forfeitTimers.clear();
+    }
+    
+    /**
+     * Cancel a scheduled next hand (match mode)
+     */
+    clearNextHandTimer() {
+        if (this.nextHandTimer) {
+            clearTimeout(this.nextHandTimer);
+            this.nextHandTimer = null;
+        }
+    }
+    
     /**
      * Set callback for state changes (used by server to broadcast updates)
      */
@@ -411,22 +768,92 @@ export class Game {
         this.onTurnTimeoutCallback = callback;
     }
     
+    /**
+     * Set callback for player eliminated events
+     */
+    setPlayerEliminatedCallback(callback) {
+        this.onPlayerEliminatedCallback = callback;
+    }
+    
+    /**
+     * Set callback for game end outside of playCard (last player standing)
+     */
+    setGameEndCallback(callback) {
+        this.onGameEndCallback = callback;
+    }
+    
+    /**
+     * Set callback for abandoned games
+     */
+    setGameAbandonedCallback(callback) {
+        this.onGameAbandonedCallback = callback;
+    }
+    
+    /**
+     * Set callback for event log entries (events recorded before this are delivered straight away)
+     */
+    setEventCallback(callback) {
+        this.onEventCallback = callback;
+        this.unsentEvents.splice(0).forEach(event => callback(event));
+    }
+    
+    /**
+     * Record an event in the game's event log (see server/models/GameEvent.js)
+     * Actions carry what a replay needs on top of the seeds (who acted, card index, chosen color),
+     * outcomes such as reshuffles, eliminations and hand results are recorded for display.
+     * @param {string} type - Event type
+     * @param {Object} [data] - Event details
+     */
+    recordEvent(type, data = {}) {
+        // Reshuffles happen deep inside draws - log any new ones ahead of this event
+        const shuffles = this.gameState.fairness.shuffles;
+        while (this.gameState.loggedShuffles < shuffles.length) {
+            const shuffle = shuffles[this.gameState.loggedShuffles++];
+            if (shuffle.reason === 'reshuffle') {
+                this.recordEvent('reshuffle', { nonce: shuffle.nonce, cardCount: shuffle.cards.length });
+            }
+        }
+        
+        const event = {
+            seq: this.gameState.eventCount++,
+            type: type,
+            round: this.gameState.round,
+            at: Date.now(),
+            ...data
+        };
+        
+        if (this.onEventCallback) {
+            this.onEventCallback(event);
+        } else {
+            this.unsentEvents.push(event);
+        }
+    }
+    
     /**
      * Deal cards to players (server-side, but we'll send them one by one for animation)
      */
     dealCards() {
-        const cardsPerPlayer = 7;
+        const cardsPerPlayer = this.ruleSet.handSize;
         const playerCount = this.gameState.players.length;
         
         // Deal cards in rotation (one card to each player, repeat)
         for (let cardIndex = 0; cardIndex < cardsPerPlayer; cardIndex++) {
             for (let playerIndex = 0; playerIndex < playerCount; playerIndex++) {
+                if (this.gameState.players[playerIndex].eliminated) {
+                    continue; // Forfeited in an earlier hand of the match
+                }
                 if (this.gameState.deck.length > 0) {
                     const card = this.gameState.deck.pop();
                     this.gameState.players[playerIndex].hand.push(card);
                 }
             }
         }
+        
+        this.recordEvent('deal', {
+            seats: this.gameState.players
+                .map((player, index) => (player.eliminated ? null : index))
+                .filter(index => index !== null)
+        });
     }
     
     /**
@@ -438,19 +865,21 @@ export class Game {
         }
         
         let firstCard = this.gameState.deck.pop();
+        const drawnCard = { ...firstCard };
         
         // If first card is a wild, assign random color
         if (firstCard.color === 'wild') {
-            const colors = ['red', 'green', 'blue', 'yellow'];
-            firstCard.color = colors[Math.floor(Math.random() * colors.length)];
+            firstCard.color = this.chooseFirstCardColor();
         }
         
+        this.recordEvent('firstCard', { card: drawnCard, color: firstCard.color });
+        
         // Handle first card special effects
         if (firstCard.value === 'skip') {
-            this.gameState.currentPlayerIndex = (this.gameState.currentPlayerIndex + this.gameState.direction) % this.gameState.players.length;
+            this.gameState.currentPlayerIndex = nextPlayerIndex(this.gameState);
         } else if (firstCard.value === 'reverse') {
-            if (this.gameState.players.length === 2) {
-                this.gameState.currentPlayerIndex = (this.gameState.currentPlayerIndex + this.gameState.direction) % this.gameState.players.length;
+            if (activePlayerCount(this.gameState) === 2) {
+                this.gameState.currentPlayerIndex = nextPlayerIndex(this.gameState);
             } else {
                 this.gameState.direction = -1;
             }
@@ -469,76 +898,335 @@ export class Game {
     }
     
     /**
-     * Play a card (server-authoritative)
-     * @param {string} playerId - Player ID
-     * @param {number} cardIndex - Index of card in player's hand
-     * @param {string} chosenColor - Color chosen for wild card (optional)
-     * @returns {Object} Result object
+     * Color for a wild first card
+     * Drawn from the seeds of this hand's deal and recorded on it, so the fairness verifier can recompute it.
+     * @returns {string} Color
      */
-    playCard(playerId, cardIndex, chosenColor = null) {
-        if (this.gameState.status !== 'playing') {
-            return { success: false, message: 'Game is not in playing state' };
-        }
-        
-        const playerIndex = this.gameState.players.findIndex(p => p.id === playerId);
-        if (playerIndex === -1) {
-            return { success: false, message: 'Player not found' };
-        }
-        
-        if (playerIndex !== this.gameState.currentPlayerIndex) {
-            return { success: false, message: 'Not your turn' };
-        }
-        
-        // If player is waiting to call UNO, they cannot play another card
-        if (this.gameState.waitingForUno) {
-            return { success: false, message: 'You must call UNO first' };
+    chooseFirstCardColor() {
+        const fairness = this.gameState.fairness;
+        const deal = [...fairness.shuffles].reverse().find(shuffle => shuffle.reason === 'deal');
+        if (!deal) {
+            // Restored from a snapshot taken before provably fair shuffling
+            return fairFirstCardColor(fairness.serverSeed, fairness.clientSeeds, fairness.shuffles.length);
         }
+        deal.firstCardColor = fairFirstCardColor(fairness.serverSeed, fairness.clientSeeds, deal.nonce);
+        return deal.firstCardColor;
+    }
+    
+    /**
+     * Check if the game is still being played (including the break between hands of a match)
+     * @returns {boolean} True while playing or between hands
+     */
+    isInProgress() {
+        return this.gameState.status === 'playing' || this.gameState.status === 'handFinished';
+    }
+    
+    /**
+     * Match mode: score a finished hand for its winner
+     * The winner scores the points left in every opponent's hand. If that doesn't reach the
+     * target score, the next hand is dealt after a short break.
+     * @param {number} winnerIndex - Player who emptied their hand
+     * @returns {boolean} True if the winner reached the target score (match over)
+     */
+    scoreHand(winnerIndex) {
+        const points = this.gameState.players.reduce((sum, p, index) => (
+            index === winnerIndex ? sum : sum + p.hand.reduce((handSum, card) => handSum + cardPoints(card), 0)
+        ), 0);
+        
+        this.gameState.scores[winnerIndex] += points;
+        this.gameState.handResults.push({
+            round: this.gameState.round,
+            winnerIndex: winnerIndex,
+            points: points,
+            scores: [...this.gameState.scores],
+            endedAt: Date.now()
+        });
         
-        const player = this.gameState.players[playerIndex];
+        this.recordEvent('handEnd', {
+            winnerIndex: winnerIndex,
+            points: points,
+            scores: [...this.gameState.scores]
+        });
         
-        // Prevent playing another card if:
-        // 1. Player has 1 card and hasn't called UNO
-        // 2. AND they've already played a card this turn (not a new turn from action card)
-        // This allows playing the last card if it's a new turn started by an action card
-        if (player.hand.length === 1 && !player.hasUno && this.gameState.hasPlayedCardThisTurn) {
-            return { success: false, message: 'You must call UNO before playing another card' };
-        }
+        const winner = this.gameState.players[winnerIndex];
+        console.log(`Hand ${this.gameState.round} won by ${winner.name} for ${points} points (${this.gameState.scores[winnerIndex]}/${this.ruleSet.targetScore})`);
         
-        if (cardIndex < 0 || cardIndex >= player.hand.length) {
-            return { success: false, message: 'Invalid card index' };
+        if (this.gameState.scores[winnerIndex] >= this.ruleSet.targetScore) {
+            return true;
         }
         
-        const card = player.hand[cardIndex];
+        this.gameState.status = 'handFinished';
+        this.gameState.pendingDraw = 0;
+        this.gameState.pendingChallenge = null;
+        this.gameState.waitingForUno = false;
+        this.nextHandTimer = setTimeout(() => {
+            this.startNextHand();
+        }, this.handBreakDelay);
         
-        // Check if card can be played (pass player hand for Wild Draw 4 validation)
-        if (!canPlayCard(card, this.gameState.topCard, this.gameState.currentColor, player.hand)) {
-            if (card.color === 'wild' && card.value === 'draw4') {
-                return { success: false, message: 'Cannot play Wild Draw 4: You have a card matching the current color' };
-            }
-            return { success: false, message: 'Cannot play this card' };
+        return false;
+    }
+    
+    /**
+     * Match mode: collect every card, reshuffle and deal the next hand to the same players
+     * The player after the last hand's winner leads.
+     */
+    startNextHand() {
+        this.nextHandTimer = null;
+        if (this.gameState.status !== 'handFinished') {
+            return; // Match ended (forfeit or abandon) during the break
         }
         
-        // Official UNO rules: Stacking is not allowed - you cannot play a Draw 2/4 to avoid drawing cards yourself.
-        // However, if it's your turn again (after opponent drew and skipped), you CAN play draw cards.
-        // Since the code immediately makes the next player draw, there's no "pending penalty" state.
-        // The canPlayCard function already validates if the card can be played based on color/value matching.
-        // No additional stacking validation needed here - if it's your turn and the card matches, you can play it.
+        const lastHand = this.gameState.handResults[this.gameState.handResults.length - 1];
         
-        // Remove card from player's hand
-        player.hand.splice(cardIndex, 1);
+        this.gameState.players.forEach(player => {
+            player.hand = [];
+            player.hasUno = false;
+        });
+        this.gameState.round++;
+        this.gameState.deck = shuffleDeck(createDeck(), this.gameState, 'deal');
+        this.gameState.discardPile = [];
+        this.gameState.topCard = null;
+        this.gameState.currentColor = null;
+        this.gameState.direction = 1;
+        this.gameState.hasDrawnPlayableCard = false;
+        this.gameState.hasPlayedCardThisTurn = false;
+        this.gameState.currentPlayerIndex = nextPlayerIndex(this.gameState, lastHand ? lastHand.winnerIndex : this.gameState.currentPlayerIndex);
         
-        // Mark that player has played a card this turn
-        this.gameState.hasPlayedCardThisTurn = true;
+        this.dealCards();
+        this.drawFirstCard();
+        this.skipInactivePlayers();
         
-        // Add card to discard pile (must be done before win check so winning card is visible)
-        this.gameState.discardPile.push(card);
-        this.gameState.topCard = card;
+        console.log(`Hand ${this.gameState.round} dealt`);
         
-        // Set current color (needed for display, especially for wild cards)
-        // This must be done before win check so the card displays correctly
-        if (card.color === 'wild') {
-            // Wild card - player must choose color
-            if (!chosenColor || !['red', 'green', 'blue', 'yellow'].includes(chosenColor)) {
+        if (this.onStateChangeCallback) {
+            this.onStateChangeCallback();
+        }
+    }
+    
+    /**
+     * Check if a player holds a card they could stack onto the pending penalty
+     * @param {number} playerIndex - Player index
+     * @returns {boolean} True if stacking is on and the player can stack
+     */
+    canPlayerStack(playerIndex) {
+        const player = this.gameState.players[playerIndex];
+        if (!this.ruleSet.stacking || !player) {
+            return false;
+        }
+        return player.hand.some(card => canStackCard(card, this.gameState.topCard));
+    }
+    
+    /**
+     * Cards a player could play right now (bots pick their move from these)
+     * A Wild Draw 4 is listed whenever the rules allow it to be played, bluff or not.
+     * @param {number} playerIndex - Player index
+     * @returns {Array<number>} Indexes into the player's hand
+     */
+    getPlayableCardIndexes(playerIndex) {
+        const player = this.gameState.players[playerIndex];
+        if (!player || !this.gameState.topCard) {
+            return [];
+        }
+        
+        return player.hand
+            .map((card, index) => (
+                canPlayCard(card, this.gameState.topCard, this.gameState.currentColor, player.hand, this.ruleSet, this.gameState.pendingDraw) ? index : null
+            ))
+            .filter(index => index !== null);
+    }
+    
+    /**
+     * Apply the pending Draw 2/4 penalty to the current player and pass their turn
+     * With stacking on, a player who can stack keeps the turn to answer it instead,
+     * and a player facing a challengeable Wild Draw 4 keeps it to accept or challenge.
+     * @returns {number} Cards drawn (0 if nothing was pending or the player gets to answer it)
+     */
+    resolvePendingDraw() {
+        const amount = this.gameState.pendingDraw;
+        if (amount === 0 || this.gameState.pendingChallenge || this.canPlayerStack(this.gameState.currentPlayerIndex)) {
+            return 0;
+        }
+        
+        const player = this.gameState.players[this.gameState.currentPlayerIndex];
+        drawCards(this.gameState, player, amount);
+        this.gameState.pendingDraw = 0;
+        
+        // Drawing the penalty costs them their turn
+        nextTurn(this.gameState);
+        return amount;
+    }
+    
+    /**
+     * Check if a player may jump in out of turn with a card
+     * Only while another player's turn timer is running, so it never races a turn transition.
+     * @param {number} playerIndex - Player index
+     * @param {number} cardIndex - Index of card in player's hand
+     * @returns {boolean} True if the jump-in is allowed
+     */
+    canJumpIn(playerIndex, cardIndex) {
+        const player = this.gameState.players[playerIndex];
+        if (!this.ruleSet.jumpIn || !player || player.eliminated || player.disconnected) {
+            return false;
+        }
+        
+        if (this.turnExpiresAt === null || this.gameState.waitingForUno || this.gameState.pendingDraw > 0) {
+            return false;
+        }
+        
+        const card = player.hand[cardIndex];
+        return !!card && isIdenticalCard(card, this.gameState.topCard);
+    }
+    
+    /**
+     * Hand the turn to a player who jumped in
+     * @param {number} playerIndex - Player index
+     */
+    jumpIn(playerIndex) {
+        console.log(`Player ${this.gameState.players[playerIndex].name} jumped in`);
+        
+        this.clearTurnTimer();
+        this.gameState.currentPlayerIndex = playerIndex;
+        this.gameState.hasDrawnPlayableCard = false;
+        this.gameState.hasPlayedCardThisTurn = false;
+        this.gameState.waitingForUno = false;
+    }
+    
+    /**
+     * 7-0 rule: swap hands with the opponent holding the fewest cards
+     * @param {number} playerIndex - Player who played the 7
+     */
+    swapHands(playerIndex) {
+        let targetIndex = null;
+        
+        // Walk opponents in turn order so ties go to whoever plays next
+        let index = playerIndex;
+        for (let i = 0; i < this.gameState.players.length - 1; i++) {
+            index = nextPlayerIndex(this.gameState, index);
+            if (index === playerIndex) {
+                break;
+            }
+            if (targetIndex === null || this.gameState.players[index].hand.length < this.gameState.players[targetIndex].hand.length) {
+                targetIndex = index;
+            }
+        }
+        
+        if (targetIndex === null) {
+            return;
+        }
+        
+        const player = this.gameState.players[playerIndex];
+        const target = this.gameState.players[targetIndex];
+        [player.hand, target.hand] = [target.hand, player.hand];
+        player.hasUno = false;
+        target.hasUno = false;
+        
+        console.log(`Player ${player.name} swapped hands with ${target.name}`);
+    }
+    
+    /**
+     * 7-0 rule: every player passes their hand to the next player in the direction of play
+     */
+    rotateHands() {
+        const activeIndexes = this.gameState.players
+            .map((p, index) => (p.eliminated ? null : index))
+            .filter(index => index !== null);
+        
+        // Work out every receiver before moving anything
+        const moves = activeIndexes.map(index => ({
+            hand: this.gameState.players[index].hand,
+            to: nextPlayerIndex(this.gameState, index)
+        }));
+        
+        moves.forEach(move => {
+            this.gameState.players[move.to].hand = move.hand;
+            this.gameState.players[move.to].hasUno = false;
+        });
+        
+        console.log('Every hand passed to the next player');
+    }
+    
+    /**
+     * Play a card (server-authoritative)
+     * @param {string} playerId - Player ID
+     * @param {number} cardIndex - Index of card in player's hand
+     * @param {string} chosenColor - Color chosen for wild card (optional)
+     * @returns {Object} Result object
+     */
+    playCard(playerId, cardIndex, chosenColor = null) {
+        if (this.gameState.status !== 'playing') {
+            return { success: false, message: 'Game is not in playing state' };
+        }
+        
+        const playerIndex = this.gameState.players.findIndex(p => p.id === playerId);
+        if (playerIndex === -1) {
+            return { success: false, message: 'Player not found' };
+        }
+        
+        const isJumpIn = playerIndex !== this.gameState.currentPlayerIndex;
+        if (isJumpIn) {
+            // Jump-in: an identical card can be played out of turn, and play continues from that player
+            if (!this.canJumpIn(playerIndex, cardIndex)) {
+                return { success: false, message: 'Not your turn' };
+            }
+            this.jumpIn(playerIndex);
+        }
+        
+        // If player is waiting to call UNO, they cannot play another card
+        if (this.gameState.waitingForUno) {
+            return { success: false, message: 'You must call UNO first' };
+        }
+        
+        const player = this.gameState.players[playerIndex];
+        
+        // Prevent playing another card if:
+        // 1. Player has 1 card and hasn't called UNO
+        // 2. AND they've already played a card this turn (not a new turn from action card)
+        // This allows playing the last card if it's a new turn started by an action card
+        if (player.hand.length === 1 && !player.hasUno && this.gameState.hasPlayedCardThisTurn) {
+            return { success: false, message: 'You must call UNO before playing another card' };
+        }
+        
+        if (cardIndex < 0 || cardIndex >= player.hand.length) {
+            return { success: false, message: 'Invalid card index' };
+        }
+        
+        const card = player.hand[cardIndex];
+        
+        // Check if card can be played (pass player hand for Wild Draw 4 validation)
+        if (!canPlayCard(card, this.gameState.topCard, this.gameState.currentColor, player.hand, this.ruleSet, this.gameState.pendingDraw)) {
+            if (this.gameState.pendingDraw > 0) {
+                return { success: false, message: `Stack a draw card or draw ${this.gameState.pendingDraw} cards` };
+            }
+            if (card.color === 'wild' && card.value === 'draw4') {
+                return { success: false, message: 'Cannot play Wild Draw 4: You have a card matching the current color' };
+            }
+            return { success: false, message: 'Cannot play this card' };
+        }
+        
+        // Draw 2/4 penalties go through gameState.pendingDraw: the next player draws it as soon as
+        // the turn passes, unless stacking is on and they can answer with a draw card of their own.
+        
+        // Stacking onto a Wild Draw 4 gives up the right to challenge it
+        const previousColor = this.gameState.currentColor;
+        const wasAnsweringPenalty = this.gameState.pendingDraw > 0;
+        this.gameState.pendingChallenge = null;
+        
+        // Remove card from player's hand
+        player.hand.splice(cardIndex, 1);
+        player.consecutiveTimeouts = 0;
+        
+        // Mark that player has played a card this turn
+        this.gameState.hasPlayedCardThisTurn = true;
+        
+        // Add card to discard pile (must be done before win check so winning card is visible)
+        this.gameState.discardPile.push(card);
+        this.gameState.topCard = card;
+        
+        // Set current color (needed for display, especially for wild cards)
+        // This must be done before win check so the card displays correctly
+        if (card.color === 'wild') {
+            // Wild card - player must choose color
+            if (!chosenColor || !['red', 'green', 'blue', 'yellow'].includes(chosenColor)) {
                 // Default to red if invalid color
                 this.gameState.currentColor = 'red';
             } else {
@@ -548,24 +1236,67 @@ export class Game {
             this.gameState.currentColor = card.color;
         }
         
+        this.recordEvent('play', {
+            playerIndex: playerIndex,
+            cardIndex: cardIndex,
+            card: { ...card },
+            chosenColor: card.color === 'wild' ? this.gameState.currentColor : null,
+            jumpIn: isJumpIn
+        });
+        player.stats.cardsPlayed++;
+        
         // Check for win (after adding card to discard pile so it's visible)
         if (player.hand.length === 0) {
+            // Clear turn timer since the hand is over
+            this.clearTurnTimer();
+            
+            // Match mode: score the hand and deal another unless the match target was reached
+            if (this.ruleSet.targetScore > 0 && !this.scoreHand(playerIndex)) {
+                return { success: true, message: 'Hand won!', gameState: this.getView(VIEWS.SPECTATOR) };
+            }
+            
             this.gameState.status = 'finished';
             this.gameState.winner = playerIndex;
-            // Clear turn timer since game is over
-            this.clearTurnTimer();
-            return { success: true, message: 'Player wins!', gameState: this.getPublicState() };
+            this.clearForfeitTimers();
+            this.recordEvent('gameEnd', { winner: playerIndex });
+            return { success: true, message: 'Player wins!', gameState: this.getView(VIEWS.SPECTATOR) };
+        }
+        
+        // 7-0 rule: a 7 swaps hands, a 0 passes every hand along
+        if (this.ruleSet.sevenZero) {
+            if (card.value === '7') {
+                this.swapHands(playerIndex);
+            } else if (card.value === '0') {
+                this.rotateHands();
+            }
+        }
+        
+        // Draw 2 / Wild Draw 4 penalty for the next player (adds up when stacked)
+        const isDrawCard = card.value === 'draw2' || card.value === 'draw4';
+        if (isDrawCard) {
+            this.gameState.pendingDraw += card.value === 'draw4' ? 4 : 2;
+        }
+        
+        // Wild Draw 4 challenge: the next player may accept or challenge before drawing.
+        // Remember whether the card was a bluff (player still held a card of the previous color).
+        if (card.value === 'draw4' && this.ruleSet.wildDraw4Challenge && !wasAnsweringPenalty) {
+            this.gameState.pendingChallenge = {
+                playedBy: playerIndex,
+                previousColor: previousColor,
+                heldPreviousColor: player.hand.some(handCard => handCard.color === previousColor && handCard.color !== 'wild')
+            };
         }
         
         // Check if the card played will give this player another turn (in 2-player mode only)
         // In 2-player mode: Skip/Reverse/Draw2/Draw4 all give player another turn
+        // (unless the opponent can stack onto the draw card or challenge it, which passes the turn to them)
         // In 3-4 player mode: These cards affect other players, so player still needs to call UNO
+        const opponentCanStack = isDrawCard && this.canPlayerStack(nextPlayerIndex(this.gameState));
         const isActionCardGivingAnotherTurn = (
-            this.gameState.players.length === 2 && (
+            activePlayerCount(this.gameState) === 2 && (
                 (card.value === 'skip') ||
                 (card.value === 'reverse') ||
-                (card.value === 'draw2') ||
-                (card.value === 'draw4')
+                (isDrawCard && !opponentCanStack && !this.gameState.pendingChallenge)
             )
         );
         
@@ -584,6 +1315,11 @@ export class Game {
             // Clear any transition flag
             this.turnTransitioning = false;
             
+            // A jump-in cleared the previous player's timer - the UNO call gets a turn timer of its own
+            if (isJumpIn) {
+                this.startTurnTimer();
+            }
+            
             // Broadcast state change immediately so all players see the new discard pile card
             if (this.onStateChangeCallback) {
                 this.onStateChangeCallback();
@@ -591,29 +1327,20 @@ export class Game {
             
             // Turn doesn't continue - player can't play/draw, only call UNO
             // Turn will end when they call UNO or when turn times out (penalty will apply)
-            return { success: true, message: 'Card played - call UNO!', gameState: this.getPublicState() };
+            return { success: true, message: 'Card played - call UNO!', gameState: this.getView(VIEWS.SPECTATOR) };
         }
         
         // Handle special card effects (only needed if game continues)
         let skipTurn = false;
-        let drawAmount = 0; // Amount of cards to automatically draw for next player
         
-        if (card.value === 'draw4') {
-            // Official UNO rules: NO STACKING - draw exactly 4 cards
-            drawAmount = 4;
-            skipTurn = true;
-        } else if (card.value === 'skip') {
+        if (card.value === 'skip') {
             skipTurn = true;
         } else if (card.value === 'reverse') {
             this.gameState.direction *= -1;
             // With 2 players, reverse acts like skip
-            if (this.gameState.players.length === 2) {
+            if (activePlayerCount(this.gameState) === 2) {
                 skipTurn = true;
             }
-        } else if (card.value === 'draw2') {
-            // Official UNO rules: NO STACKING - draw exactly 2 cards
-            drawAmount = 2;
-            skipTurn = true;
         }
         
         // Reset the hasDrawnPlayableCard flag since player is playing a card
@@ -622,11 +1349,6 @@ export class Game {
         // Clear timer since player took action
         this.clearTurnTimer();
         
-        // Calculate animation delay: play animation + draw animation delay if draw 2/4
-        const playAnimationDelay = this.ANIMATION_DURATION;
-        const drawAnimationDelay = drawAmount > 0 ? this.ANIMATION_DURATION : 0;
-        const totalDelay = playAnimationDelay + drawAnimationDelay;
-        
         // Broadcast state change immediately so all players see the new discard pile card
         // This allows the play animation to complete and show the new card right away
         if (this.onStateChangeCallback) {
@@ -635,47 +1357,32 @@ export class Game {
         
         // Immediately end current player's turn (prevents them from playing multiple cards)
         // But delay starting the next player's turn timer to allow animations to complete
-        if (!skipTurn) {
-            nextTurn(this.gameState);
-            // Delay starting timer for next player
-            setTimeout(() => {
-                this.startTurnTimer();
-                // Broadcast state change after turn timer starts
-                if (this.onStateChangeCallback) {
-                    this.onStateChangeCallback();
-                }
-            }, playAnimationDelay);
-        } else {
-            // Move to next player (who will draw cards)
-            nextTurn(this.gameState);
-            
-            // If draw2 or draw4 was played, automatically draw cards for the next player
-            if (drawAmount > 0) {
-                const nextPlayerIndex = this.gameState.currentPlayerIndex;
-                const nextPlayer = this.gameState.players[nextPlayerIndex];
-                
-                // Draw the cards automatically
-                for (let i = 0; i < drawAmount; i++) {
-                    if (this.gameState.deck.length === 0) {
-                        reshuffleDeck(this.gameState);
-                    }
-                    nextPlayer.hand.push(this.gameState.deck.pop());
-                }
-            }
-            
+        nextTurn(this.gameState);
+        
+        let drawAmount = 0; // Cards the next player drew automatically (Draw 2/4)
+        if (this.gameState.pendingDraw > 0) {
+            // Next player draws the penalty and loses their turn (or keeps it to stack)
+            drawAmount = this.resolvePendingDraw();
+        } else if (skipTurn) {
             // Skip their turn (move to next player again)
             nextTurn(this.gameState);
-            // Delay starting timer for next player
-            setTimeout(() => {
-                this.startTurnTimer();
-                // Broadcast state change after turn timer starts
-                if (this.onStateChangeCallback) {
-                    this.onStateChangeCallback();
-                }
-            }, totalDelay);
         }
         
-        return { success: true, message: 'Card played', gameState: this.getPublicState() };
+        // Calculate animation delay: play animation + draw animation delay if draw 2/4
+        const playAnimationDelay = this.ANIMATION_DURATION;
+        const drawAnimationDelay = drawAmount > 0 ? this.ANIMATION_DURATION : 0;
+        const totalDelay = playAnimationDelay + drawAnimationDelay;
+        
+        // Delay starting timer for next player
+        setTimeout(() => {
+            this.startTurnTimer();
+            // Broadcast state change after turn timer starts
+            if (this.onStateChangeCallback) {
+                this.onStateChangeCallback();
+            }
+        }, totalDelay);
+        
+        return { success: true, message: 'Card played', gameState: this.getView(VIEWS.SPECTATOR) };
     }
     
     /**
@@ -713,6 +1420,37 @@ export class Game {
         // Clear timer since player took action (but we'll restart it with remaining time if card is playable)
         this.clearTurnTimer();
         
+        // Facing a stacked penalty - drawing takes all of it and ends the turn
+        if (this.gameState.pendingDraw > 0) {
+            const amount = this.gameState.pendingDraw;
+            const drawnCards = drawCards(this.gameState, player, amount);
+            this.gameState.pendingDraw = 0;
+            this.gameState.pendingChallenge = null; // Drawing accepts a Wild Draw 4
+            player.consecutiveTimeouts = 0;
+            player.hasUno = false;
+            player.stats.draws++;
+            this.recordEvent('draw', { playerIndex: playerIndex, count: drawnCards.length, penalty: true });
+            
+            nextTurn(this.gameState);
+            
+            setTimeout(() => {
+                this.startTurnTimer();
+                
+                if (this.onStateChangeCallback) {
+                    this.onStateChangeCallback();
+                }
+            }, this.ANIMATION_DURATION);
+            
+            return {
+                success: true,
+                message: `Drew ${amount} cards`,
+                card: drawnCards[drawnCards.length - 1] || null,
+                cards: drawnCards,
+                canPlayImmediately: false,
+                gameState: this.getView(VIEWS.SPECTATOR)
+            };
+        }
+        
         // Normal draw - check if player has playable cards first
         // Player can only draw if they don't have any playable cards
         if (this.gameState.hasDrawnPlayableCard) {
@@ -721,28 +1459,36 @@ export class Game {
         }
         
         // Check if player has any playable cards in hand (excluding the card they just drew)
-        const hasPlayable = hasPlayableCard(player.hand, this.gameState.topCard, this.gameState.currentColor);
+        const hasPlayable = hasPlayableCard(player.hand, this.gameState.topCard, this.gameState.currentColor, this.ruleSet);
         if (hasPlayable) {
             return { success: false, message: 'You have a playable card. You must play a card before drawing.' };
         }
         
-        // Normal draw
-        if (this.gameState.deck.length === 0) {
-            reshuffleDeck(this.gameState);
-        }
-        
-        const drawnCard = this.gameState.deck.pop();
-        this.gameState.players[playerIndex].hand.push(drawnCard);
+        // Normal draw (draw-until-playable keeps drawing until a playable card comes up)
+        const drawnCards = [];
+        let drawnCard = null;
+        let canPlay = false;
+        do {
+            const [card] = drawCards(this.gameState, player, 1);
+            if (!card) {
+                break; // Every card is in someone's hand
+            }
+            drawnCard = card;
+            drawnCards.push(card);
+            
+            // After drawing, check if card can be played
+            // Pass player hand for Wild Draw 4 validation
+            canPlay = canPlayCard(drawnCard, this.gameState.topCard, this.gameState.currentColor, player.hand, this.ruleSet);
+        } while (!canPlay && this.ruleSet.drawUntilPlayable);
+        player.consecutiveTimeouts = 0;
+        player.stats.draws++;
+        this.recordEvent('draw', { playerIndex: playerIndex, count: drawnCards.length, playable: canPlay });
         
         // Reset hasUno if hand size is now greater than 1 (they had 1 card, called UNO, then drew)
         if (player.hand.length > 1) {
             player.hasUno = false;
         }
         
-        // After drawing, check if card can be played
-        // Pass player hand for Wild Draw 4 validation
-        const canPlay = canPlayCard(drawnCard, this.gameState.topCard, this.gameState.currentColor, player.hand);
-        
         if (canPlay) {
             // Card is playable - player can choose to play it or end turn
             this.gameState.hasDrawnPlayableCard = true;
@@ -754,9 +1500,10 @@ export class Game {
                 success: true, 
                 message: 'Card drawn - you can play it or end your turn', 
                 card: drawnCard,
+                cards: drawnCards,
                 canPlayImmediately: true,
                 mustDecide: true, // Flag to indicate player must decide
-                gameState: this.getPublicState() 
+                gameState: this.getView(VIEWS.SPECTATOR)
             };
         } else {
             // Card is not playable - turn ends automatically (official UNO rule: draw once, if not playable, turn ends)
@@ -776,8 +1523,9 @@ export class Game {
                 success: true, 
                 message: 'Card drawn - not playable, turn ends', 
                 card: drawnCard,
+                cards: drawnCards,
                 canPlayImmediately: false,
-                gameState: this.getPublicState() 
+                gameState: this.getView(VIEWS.SPECTATOR)
             };
         }
     }
@@ -811,6 +1559,8 @@ export class Game {
         
         // Reset flag and move to next player
         this.gameState.hasDrawnPlayableCard = false;
+        this.gameState.players[playerIndex].consecutiveTimeouts = 0;
+        this.recordEvent('endTurn', { playerIndex: playerIndex });
         nextTurn(this.gameState);
         
         // Small delay before starting next turn's timer (to allow animation to complete)
@@ -823,7 +1573,119 @@ export class Game {
             }
         }, this.ANIMATION_DURATION);
         
-        return { success: true, message: 'Turn ended', gameState: this.getPublicState() };
+        return { success: true, message: 'Turn ended', gameState: this.getView(VIEWS.SPECTATOR) };
+    }
+    
+    /**
+     * Accept a Wild Draw 4 without challenging it - draws the penalty and ends the turn
+     * @param {string} playerId - Player ID
+     * @returns {Object} Result object
+     */
+    acceptDrawFour(playerId) {
+        if (this.gameState.status !== 'playing') {
+            return { success: false, message: 'Game is not in playing state' };
+        }
+        
+        const playerIndex = this.gameState.players.findIndex(p => p.id === playerId);
+        if (playerIndex === -1) {
+            return { success: false, message: 'Player not found' };
+        }
+        
+        if (playerIndex !== this.gameState.currentPlayerIndex) {
+            return { success: false, message: 'Not your turn' };
+        }
+        
+        if (!this.gameState.pendingChallenge) {
+            return { success: false, message: 'No Wild Draw 4 to accept' };
+        }
+        
+        // Same as drawing the pending penalty from the deck
+        return this.drawCard(playerId);
+    }
+    
+    /**
+     * Challenge a Wild Draw 4 (server-authoritative)
+     * If the player who played it still held a card of the previous color, they draw the penalty
+     * and the challenger takes their turn as normal. Otherwise the challenger draws the penalty
+     * plus 2 (6 for a single Wild Draw 4) and loses their turn.
+     * @param {string} playerId - Player ID of the challenger
+     * @returns {Object} Result object with the challenge outcome
+     */
+    challengeDrawFour(playerId) {
+        if (this.gameState.status !== 'playing') {
+            return { success: false, message: 'Game is not in playing state' };
+        }
+        
+        const playerIndex = this.gameState.players.findIndex(p => p.id === playerId);
+        if (playerIndex === -1) {
+            return { success: false, message: 'Player not found' };
+        }
+        
+        if (playerIndex !== this.gameState.currentPlayerIndex) {
+            return { success: false, message: 'Not your turn' };
+        }
+        
+        const challenge = this.gameState.pendingChallenge;
+        if (!challenge) {
+            return { success: false, message: 'No Wild Draw 4 to challenge' };
+        }
+        
+        // Clear timer since player took action
+        this.clearTurnTimer();
+        
+        const challenger = this.gameState.players[playerIndex];
+        const challenged = this.gameState.players[challenge.playedBy];
+        const successful = challenge.heldPreviousColor;
+        const penalty = this.gameState.pendingDraw;
+        
+        this.gameState.pendingChallenge = null;
+        this.gameState.pendingDraw = 0;
+        challenger.consecutiveTimeouts = 0;
+        
+        let cardsDrawn;
+        if (successful) {
+            // Bluff caught - the player who played it takes the penalty, the challenger plays on
+            cardsDrawn = drawCards(this.gameState, challenged, penalty).length;
+            challenged.hasUno = false;
+            this.gameState.hasPlayedCardThisTurn = false;
+            this.gameState.hasDrawnPlayableCard = false;
+            console.log(`Player ${challenger.name} challenged ${challenged.name}'s Wild Draw 4 and won - ${challenged.name} draws ${cardsDrawn}`);
+        } else {
+            // Wild Draw 4 was legal - the challenger draws 2 extra and loses their turn
+            cardsDrawn = drawCards(this.gameState, challenger, penalty + 2).length;
+            challenger.hasUno = false;
+            console.log(`Player ${challenger.name} challenged ${challenged.name}'s Wild Draw 4 and lost - drawing ${cardsDrawn}`);
+            nextTurn(this.gameState);
+        }
+        
+        this.recordEvent('challengeDraw4', {
+            playerIndex: playerIndex,
+            challengedIndex: challenge.playedBy,
+            successful: successful,
+            cardsDrawn: cardsDrawn
+        });
+        
+        // Delay starting timer to allow the draw animation to complete
+        setTimeout(() => {
+            this.startTurnTimer();
+            
+            if (this.onStateChangeCallback) {
+                this.onStateChangeCallback();
+            }
+        }, this.ANIMATION_DURATION);
+        
+        return {
+            success: true,
+            message: successful ? 'Challenge successful' : 'Challenge failed',
+            challenge: {
+                challengerIndex: playerIndex,
+                challengedIndex: challenge.playedBy,
+                successful: successful,
+                drawnBy: successful ? challenge.playedBy : playerIndex,
+                cardsDrawn: cardsDrawn
+            },
+            gameState: this.getView(VIEWS.SPECTATOR)
+        };
     }
     
     /**
@@ -848,6 +1710,9 @@ export class Game {
         const player = this.gameState.players[playerIndex];
         if (player.hand.length === 1 && !player.hasUno) {
             player.hasUno = true;
+            player.consecutiveTimeouts = 0;
+            player.stats.unoCalls++;
+            this.recordEvent('callUno', { playerIndex: playerIndex });
             
             // After calling UNO, end the turn and move to next player
             // Reset the hasDrawnPlayableCard flag
@@ -864,6 +1729,9 @@ export class Game {
             // End current player's turn and move to next player
             nextTurn(this.gameState);
             
+            // The card that left them on one was a Draw 2/4 - the next player takes the penalty now
+            const drawAmount = this.resolvePendingDraw();
+            
             // Delay starting timer for next player to allow animations
             setTimeout(() => {
                 this.startTurnTimer();
@@ -871,63 +1739,21 @@ export class Game {
                 if (this.onStateChangeCallback) {
                     this.onStateChangeCallback();
                 }
-            }, this.ANIMATION_DURATION);
+            }, this.ANIMATION_DURATION + (drawAmount > 0 ? this.ANIMATION_DURATION : 0));
             
-            return { success: true, message: 'UNO called', gameState: this.getPublicState() };
+            return { success: true, message: 'UNO called', gameState: this.getView(VIEWS.SPECTATOR) };
         }
         return { success: false, message: 'Cannot call UNO' };
     }
     
     /**
-     * Get public game state (hides opponent hands)
-     * @param {string} playerId - Player ID to get state for
-     * @returns {Object} Public game state
+     * Game state as a viewer may see it (see server/gameView.js)
+     * @param {string} view - VIEWS.PLAYER, VIEWS.SPECTATOR or VIEWS.SERVER
+     * @param {string} [viewerId] - Player socket ID (player view only)
+     * @returns {Object} Projected game state
      */
-    getPublicState(playerId = null) {
-        // Calculate remaining time for current player
-        let turnTimeRemaining = null;
-        if (this.turnStartTime && this.gameState.status === 'playing') {
-            const elapsed = Date.now() - this.turnStartTime;
-            const remaining = Math.max(0, this.turnTimeLimit - elapsed);
-            turnTimeRemaining = Math.ceil(remaining / 1000); // Convert to seconds
-        }
-        
-        const publicState = {
-            waitingForUno: this.gameState.waitingForUno || false, // Include UNO waiting flag
-            players: this.gameState.players.map((player, index) => {
-                // Hide opponent hands, show only card count
-                if (playerId && player.id !== playerId) {
-                    return {
-                        id: player.id,
-                        name: player.name,
-                        hand: [], // Hide hand
-                        handSize: player.hand.length,
-                        hasUno: player.hasUno
-                    };
-                }
-                // Show full hand for the requesting player
-                return {
-                    id: player.id,
-                    name: player.name,
-                    hand: player.hand,
-                    handSize: player.hand.length,
-                    hasUno: player.hasUno
-                };
-            }),
-            deck: {
-                count: this.gameState.deck.length
-            },
-            discardPile: this.gameState.discardPile,
-            topCard: this.gameState.topCard,
-            currentPlayerIndex: this.gameState.currentPlayerIndex,
-            direction: this.gameState.direction,
-            status: this.gameState.status,
-            winner: this.gameState.winner,
-            currentColor: this.gameState.currentColor,
-            hasDrawnPlayableCard: this.gameState.hasDrawnPlayableCard
-        };
-        
-        return publicState;
+    getView(view, viewerId = null) {
+        return projectGameState(this, view, viewerId);
     }
     
     /**
@@ -944,6 +1770,10 @@ export class Game {
         
         const disconnectedPlayer = this.gameState.players[playerIndex];
         
+        if (disconnectedPlayer.bot) {
+            return { success: false, message: 'Bot seats never disconnect' };
+        }
+        
         // If game is already finished, just mark player as disconnected
         if (this.gameState.status === 'finished') {
             return {
@@ -959,9 +1789,26 @@ export class Game {
         disconnectedPlayer.originalName = originalName;
         
         // Mark player as disconnected (keep in players array but mark status)
+        this.recordEvent('disconnect', { playerIndex: playerIndex });
         disconnectedPlayer.disconnected = true;
+        disconnectedPlayer.disconnectedAt = Date.now();
         disconnectedPlayer.name = `${originalName} (Disconnected)`;
         
+        if (!disconnectedPlayer.eliminated && this.gameState.botStandIn && this.hasConnectedHuman()) {
+            // A bot plays their seat until they come back
+            disconnectedPlayer.standIn = this.gameState.botStandIn;
+            disconnectedPlayer.name = `${originalName} (Bot)`;
+        } else if (!disconnectedPlayer.eliminated) {
+            // Forfeit if they don't come back in time
+            this.clearForfeitTimer(playerIndex);
+            this.forfeitTimers.set(playerIndex, setTimeout(() => {
+                this.handleDisconnectForfeit(playerIndex);
+            }, this.disconnectForfeitTime));
+            
+            // Nobody left to play against - stand-ins stop so the game can be abandoned
+            this.releaseStandIns();
+        }
+        
         // Don't end their turn immediately - let the timer continue
         // The turn will end naturally when the timer expires via handleTurnTimeout()
         // This allows the player to reconnect and continue their turn if they come back in time
@@ -1004,12 +1851,17 @@ export class Game {
         } else {
             player.name = playerName;
         }
+        if (player.disconnectedAt && !player.eliminated) {
+            player.stats.disconnectedMs += Date.now() - player.disconnectedAt;
+        }
         player.disconnected = false;
+        player.disconnectedAt = null;
+        player.standIn = null;
+        this.clearForfeitTimer(playerIndex);
+        this.recordEvent('reconnect', { playerIndex: playerIndex });
         
-        // If game was paused (all players disconnected), resume if this is the first reconnection
-        const activePlayers = this.gameState.players.filter(p => !p.disconnected);
-        if (activePlayers.length > 0 && this.gameState.status === 'playing' && !this.turnExpiresAt) {
-            // Game was paused, resume by starting timer for current player
+        // No turn clock running - start one for the current player
+        if (this.gameState.status === 'playing' && !this.turnExpiresAt) {
             this.startTurnTimer();
         }
         
@@ -1021,10 +1873,179 @@ export class Game {
     }
     
     /**
-     * Get full game state (for server use only)
+     * Seat a bot (lobby bots - the seat is never disconnected and never forfeits)
+     * @param {number} playerIndex - Player index
+     * @param {string} difficulty - 'easy', 'medium' or 'hard'
+     */
+    seatBot(playerIndex, difficulty) {
+        const player = this.gameState.players[playerIndex];
+        if (player) {
+            player.bot = difficulty;
+        }
+    }
+    
+    /**
+     * Let bots play for disconnected players instead of them forfeiting (unstaked games only)
+     * @param {string} difficulty - 'easy', 'medium' or 'hard'
+     */
+    enableBotStandIns(difficulty) {
+        this.gameState.botStandIn = difficulty;
+    }
+    
+    /**
+     * Check if a human player is still at the table
+     * @returns {boolean} True if a connected, non-bot player is still in the game
+     */
+    hasConnectedHuman() {
+        return this.gameState.players.some(p => !p.eliminated && !p.disconnected && !p.bot);
+    }
+    
+    /**
+     * Stop every bot stand-in - their players forfeit like any disconnected player unless they come back
+     */
+    releaseStandIns() {
+        this.gameState.players.forEach((player, index) => {
+            if (!player.standIn) {
+                return;
+            }
+            
+            player.standIn = null;
+            player.name = `${player.originalName} (Disconnected)`;
+            if (!player.eliminated) {
+                this.clearForfeitTimer(index);
+                this.forfeitTimers.set(index, setTimeout(() => {
+                    this.handleDisconnectForfeit(index);
+                }, this.disconnectForfeitTime));
+            }
+        });
+    }
+    
+    /**
+     * Serialize the full game state for crash recovery (hands, deck order, turn deadline)
+     * @returns {Object} Snapshot (plain data, safe to store in MongoDB)
+     */
+    toSnapshot() {
+        this.snapshotVersion++;
+        const now = Date.now();
+        
+        return {
+            version: this.snapshotVersion,
+            takenAt: now,
+            gameState: JSON.parse(JSON.stringify(this.gameState)),
+            turnTimeRemaining: this.turnExpiresAt ? Math.max(0, this.turnExpiresAt - now) : null,
+            turnTimeLimit: this.turnTimeLimit,
+            ruleSet: this.ruleSet.toJSON(),
+            maxConsecutiveTimeouts: this.maxConsecutiveTimeouts,
+            disconnectForfeitTime: this.disconnectForfeitTime
+        };
+    }
+    
+    /**
+     * Recompute every shuffle of a finished game from its revealed fairness record
+     * @param {Object} fairness - Fairness record stored with the game (server seed included)
+     * @returns {Object} { commitmentValid, shuffles: [{ nonce, round, reason, deck }] }
+     */
+    static verifyFairness(fairness) {
+        return replayShuffles(fairness, createDeck());
+    }
+    
+    /**
+     * Rebuild a game from a snapshot (timers are not running until resumeFromSnapshot)
+     * @param {Object} snapshot - Snapshot from toSnapshot()
+     * @returns {Game} Restored game
+     */
+    static fromSnapshot(snapshot) {
+        const game = new Game([], [], [], RuleSet.fromJSON(snapshot.ruleSet));
+        game.gameState = snapshot.gameState;
+        game.gameState.pendingDraw = game.gameState.pendingDraw || 0; // Snapshots from before house rules
+        game.gameState.pendingChallenge = game.gameState.pendingChallenge || null;
+        game.gameState.round = game.gameState.round || 1; // Snapshots from before match mode
+        game.gameState.scores = game.gameState.scores || game.gameState.players.map(() => 0);
+        game.gameState.handResults = game.gameState.handResults || [];
+        game.gameState.eventCount = game.gameState.eventCount || 0; // Snapshots from before the event log
+        game.gameState.botStandIn = game.gameState.botStandIn || null; // Snapshots from before bots
+        game.gameState.players.forEach(player => {
+            player.stats = player.stats || createPlayerStats(); // Snapshots from before per-player stats
+        });
+        game.unsentEvents = []; // Deal of the empty placeholder game above
+        if (!game.gameState.fairness) {
+            // Snapshots from before provably fair shuffling - later reshuffles are still recorded
+            game.gameState.fairness = createFairness(generateSeed(), game.gameState.players.map(() => generateSeed(16)), game.gameState.players.map((p, index) => index));
+        }
+        if (game.gameState.loggedShuffles === undefined) {
+            game.gameState.loggedShuffles = game.gameState.fairness.shuffles.length;
+        }
+        game.snapshotVersion = snapshot.version;
+        game.turnTimeLimit = snapshot.turnTimeLimit || game.turnTimeLimit;
+        game.maxConsecutiveTimeouts = snapshot.maxConsecutiveTimeouts || game.maxConsecutiveTimeouts;
+        game.disconnectForfeitTime = snapshot.disconnectForfeitTime || game.disconnectForfeitTime;
+        return game;
+    }
+    
+    /**
+     * Restart timers after a restore
+     * Every player's socket is gone, so everyone starts disconnected and reconnects by wallet.
+     * The turn continues with the time that was left when the snapshot was taken.
+     * @param {Object} snapshot - Snapshot the game was restored from
+     */
+    resumeFromSnapshot(snapshot) {
+        if (!this.isInProgress()) {
+            return;
+        }
+        
+        // Every human is gone after a restart - stand-ins stop and their players get a full forfeit window
+        this.releaseStandIns();
+        
+        this.gameState.players.forEach((player, index) => {
+            if (player.eliminated || player.bot || this.forfeitTimers.has(index)) {
+                return;
+            }
+            
+            if (player.disconnected && player.disconnectedAt) {
+                // Already away before the restart - keep their forfeit deadline
+                const elapsed = Math.max(0, snapshot.takenAt - player.disconnectedAt);
+                const remaining = Math.max(0, this.disconnectForfeitTime - elapsed);
+                player.disconnectedAt = Date.now() - elapsed;
+                this.forfeitTimers.set(index, setTimeout(() => {
+                    this.handleDisconnectForfeit(index);
+                }, remaining));
+            } else {
+                // Lost their connection to the restart - full forfeit window
+                this.handlePlayerDisconnect(player.id);
+            }
+        });
+        
+        if (this.gameState.status === 'handFinished') {
+            // Restarted between hands of a match - deal the next one after the usual break
+            this.nextHandTimer = setTimeout(() => {
+                this.startNextHand();
+            }, this.handBreakDelay);
+        } else if (snapshot.turnTimeRemaining !== null && snapshot.turnTimeRemaining !== undefined) {
+            this.startTurnTimerWithDuration(snapshot.turnTimeRemaining);
+        } else {
+            this.startTurnTimer();
+        }
+    }
+    
+    /**
+     * Per-player counters for the match record (same order as players)
+     * @returns {Array<Object>} { cardsLeft, handPoints, cardsPlayed, draws, cardsDrawn, unoCalls, unoPenalties, timeouts, disconnectedMs }
+     */
+    getPlayerStats() {
+        const now = Date.now();
+        return this.gameState.players.map(player => ({
+            cardsLeft: player.hand.length,
+            handPoints: player.hand.reduce((sum, card) => sum + cardPoints(card), 0),
+            ...player.stats,
+            disconnectedMs: player.stats.disconnectedMs + (player.disconnectedAt && !player.eliminated ? now - player.disconnectedAt : 0)
+        }));
+    }
+    
+    /**
+     * Get full game state (for server use only - same as getView(VIEWS.SERVER), never emit it)
      */
     getFullState() {
-        return JSON.parse(JSON.stringify(this.gameState));
+        return this.getView(VIEWS.SERVER);
     }
 }
 
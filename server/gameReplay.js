@@ -0,0 +1,163 @@
+/**
+ * Game Replay
+ * Re-simulates a finished game from its revealed seeds and event log (see server/models/GameEvent.js).
+ * The deck comes from the seeds, so only the players' actions are replayed - through the same Game
+ * class that ran the live game. Turn timers never run during a replay: a turn only ends on timeout
+ * where the log recorded one.
+ */
+
+import { Game } from './gameLogic.js';
+import { RuleSet } from './ruleSet.js';
+import { VIEWS } from './gameView.js';
+
+/**
+ * Game that takes its clock and first card colors from the event log instead of running timers
+ */
+class ReplayGame extends Game {
+    /**
+     * @param {Object} gameDoc - Finished game document (revealed fairness record)
+     * @param {Array<string>} firstCardColors - Color picked for every wild first card, in order
+     */
+    constructor(gameDoc, firstCardColors) {
+        const players = [...gameDoc.players].sort((a, b) => a.playerIndex - b.playerIndex);
+        const ruleSet = gameDoc.snapshot && gameDoc.snapshot.ruleSet
+            ? RuleSet.fromJSON(gameDoc.snapshot.ruleSet)
+            : RuleSet.fromPreset(gameDoc.ruleSet);
+        
+        super(
+            players.map(p => `replay_${p.playerIndex}`),
+            players.map(p => p.username),
+            players.map(p => p.wallet),
+            ruleSet,
+            { serverSeed: gameDoc.fairness.serverSeed, clientSeeds: gameDoc.fairness.clientSeeds }
+        );
+        
+        players.forEach((p, index) => {
+            if (p.bot) {
+                this.seatBot(index, p.bot);
+            }
+        });
+        if (gameDoc.botStandIn) {
+            this.enableBotStandIns(gameDoc.botStandIn);
+        }
+        
+        this.firstCardColors = [...firstCardColors];
+        this.turnExpiresAt = Infinity; // A turn is always running (jump-ins are only allowed during one)
+    }
+    
+    /**
+     * Turn timers don't run in a replay
+     */
+    startTurnTimer() {}
+    
+    /**
+     * Turn timers don't run in a replay
+     */
+    startTurnTimerWithDuration() {}
+    
+    /**
+     * Turn timers don't run in a replay (the turn stays open for jump-ins)
+     */
+    clearTurnTimer() {}
+    
+    /**
+     * Color the live game picked for this wild first card
+     */
+    chooseFirstCardColor() {
+        return this.firstCardColors.shift() || 'red';
+    }
+    
+    /**
+     * The replay is read from the log, it doesn't add to it
+     */
+    recordEvent() {}
+}
+
+/**
+ * Apply one logged event to the replayed game
+ * Outcome events (reshuffles, eliminations, hand and game end) follow from the actions and change nothing.
+ * @returns {Object|null} Result of the replayed action, null if the event isn't an action
+ */
+function applyEvent(game, event) {
+    const data = event.data || {};
+    const player = game.gameState.players[data.playerIndex];
+    const playerId = player ? player.id : null;
+    
+    switch (event.type) {
+        case 'deal':
+            // The first hand is dealt by the constructor, later hands of a match by startNextHand
+            if (event.round > game.gameState.round) {
+                game.startNextHand();
+            }
+            return null;
+        case 'firstCard':
+            // startNextHand already drew it
+            if (game.gameState.status === 'dealing') {
+                game.drawFirstCard();
+            }
+            return null;
+        case 'play':
+            return game.playCard(playerId, data.cardIndex, data.chosenColor);
+        case 'draw':
+            return game.drawCard(playerId);
+        case 'endTurn':
+            return game.endTurn(playerId);
+        case 'callUno':
+            return game.callUno(playerId);
+        case 'challengeDraw4':
+            return game.challengeDrawFour(playerId);
+        case 'timeout':
+            game.handleTurnTimeout();
+            return null;
+        case 'disconnect':
+            return game.handlePlayerDisconnect(playerId);
+        case 'reconnect':
+            return game.handlePlayerReconnect(playerId, playerId, player ? player.originalName || player.name : null);
+        case 'forfeit':
+            game.handleDisconnectForfeit(data.playerIndex);
+            return null;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Re-simulate a finished game
+ * @param {Object} gameDoc - Finished game document (revealed fairness record)
+ * @param {Array<Object>} events - The game's event log in order
+ * @param {number} [seat] - Seat whose hand is shown (every other hand is a card count)
+ * @returns {Object} { frames: [{ seq, type, round, at, data, state }], error } - error is set if the log stops matching the game
+ */
+export function replayGame(gameDoc, events, seat = 0) {
+    const firstCardColors = events
+        .filter(event => event.type === 'firstCard' && event.data.card.color === 'wild')
+        .map(event => event.data.color);
+    const game = new ReplayGame(gameDoc, firstCardColors);
+    const viewerId = game.gameState.players[seat] ? game.gameState.players[seat].id : null;
+    const frames = [];
+    let error = null;
+    
+    for (const event of events) {
+        const result = applyEvent(game, event);
+        
+        // Timers the replayed actions scheduled would act on their own - nothing may happen between events
+        game.clearNextHandTimer();
+        game.clearForfeitTimers();
+        
+        if (result && result.success === false) {
+            error = `Event ${event.seq} (${event.type}) could not be replayed: ${result.message}`;
+            break;
+        }
+        
+        frames.push({
+            seq: event.seq,
+            type: event.type,
+            round: event.round,
+            at: event.at,
+            data: event.data,
+            state: game.getView(VIEWS.PLAYER, viewerId)
+        });
+    }
+    
+    return { frames, error };
+}
@@ -0,0 +1,120 @@
+import { publicFairness } from './provablyFair.js';
+
+/**
+ * Game state projections
+ * Every copy of the game state that leaves the server goes through one of these views,
+ * so hidden information can't reach a client by accident:
+ * - player: the viewer's own hand, card counts for everyone else
+ * - spectator: card counts only
+ * - server: everything (deck order, every hand, the Wild Draw 4 bluff flag, the server seed) - never emit it
+ *
+ * Only the top of the discard pile is sent - the rest is never shown and only grows the payload.
+ */
+
+export const VIEWS = {
+    PLAYER: 'player',
+    SPECTATOR: 'spectator',
+    SERVER: 'server'
+};
+
+/**
+ * Project a game's state for a viewer
+ * @param {Game} game - Game instance
+ * @param {string} view - One of VIEWS
+ * @param {string} [viewerId] - Player socket ID (player view only)
+ * @returns {Object} Projected game state
+ */
+export function projectGameState(game, view, viewerId = null) {
+    if (view === VIEWS.SERVER) {
+        return JSON.parse(JSON.stringify(game.gameState));
+    }
+    if (view !== VIEWS.PLAYER && view !== VIEWS.SPECTATOR) {
+        throw new Error(`Unknown game view: ${view}`);
+    }
+    
+    const state = game.gameState;
+    // A player view for someone who isn't seated is a spectator view
+    const viewerIndex = view === VIEWS.PLAYER && viewerId
+        ? state.players.findIndex(p => p.id === viewerId)
+        : -1;
+    const isOver = state.status === 'finished' || state.status === 'abandoned';
+    
+    return {
+        waitingForUno: state.waitingForUno || false,
+        players: state.players.map((player, index) => projectPlayer(player, index === viewerIndex, view)),
+        deck: {
+            count: state.deck.length
+        },
+        discardCount: state.discardPile.length,
+        topCard: state.topCard ? { ...state.topCard } : null,
+        currentPlayerIndex: state.currentPlayerIndex,
+        direction: state.direction,
+        status: state.status,
+        winner: state.winner,
+        currentColor: state.currentColor,
+        hasDrawnPlayableCard: state.hasDrawnPlayableCard,
+        pendingDraw: state.pendingDraw || 0,
+        // Whether the Wild Draw 4 was a bluff stays on the server until it is challenged
+        pendingChallenge: state.pendingChallenge ? {
+            playedBy: state.pendingChallenge.playedBy,
+            previousColor: state.pendingChallenge.previousColor
+        } : null,
+        round: state.round,
+        scores: [...state.scores],
+        lastHand: state.handResults[state.handResults.length - 1] || null,
+        // Seed commitment - the server seed itself is revealed once the game is over
+        fairness: publicFairness(state.fairness, isOver),
+        rules: game.ruleSet.toJSON()
+    };
+}
+
+/**
+ * Project one seat (only the viewer's own seat carries cards)
+ */
+function projectPlayer(player, isViewer, view) {
+    const projected = {
+        name: player.name,
+        wallet: player.wallet || null, // Opens the player's profile
+        hand: isViewer ? player.hand.map(card => ({ ...card })) : [],
+        handSize: player.hand.length,
+        hasUno: player.hasUno,
+        eliminated: player.eliminated,
+        bot: player.bot || null, // Bot difficulty for bot seats
+        standIn: !!player.standIn // A bot is playing for this disconnected player
+    };
+    
+    // Socket IDs identify seats to the players at the table, spectators have no use for them
+    if (view === VIEWS.PLAYER) {
+        projected.id = player.id;
+    }
+    
+    return projected;
+}
+
+/**
+ * game_start payload for one seated player (their own hand, card counts for everyone else)
+ * @param {Game} game - Game instance
+ * @param {string} gameId - Game ID
+ * @param {string} playerId - Player socket ID
+ * @returns {Object} { gameId, playerIndex, gameState }
+ */
+export function gameStartPayload(game, gameId, playerId) {
+    return {
+        gameId: gameId,
+        playerIndex: game.gameState.players.findIndex(p => p.id === playerId),
+        gameState: projectGameState(game, VIEWS.PLAYER, playerId)
+    };
+}
+
+/**
+ * Send game_state_update after an action - each seated player gets their own view, spectators share one
+ * @param {Game} game - Game instance
+ * @param {Function} emitToPlayer - emitToPlayer(playerId, event, data)
+ * @param {Function} emitToSpectators - emitToSpectators(event, data)
+ */
+export function emitGameStateUpdates(game, emitToPlayer, emitToSpectators) {
+    game.gameState.players.forEach(player => {
+        emitToPlayer(player.id, 'game_state_update', projectGameState(game, VIEWS.PLAYER, player.id));
+    });
+    emitToSpectators('game_state_update', projectGameState(game, VIEWS.SPECTATOR));
+}
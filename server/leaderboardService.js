@@ -0,0 +1,92 @@
+import { getLeaderboard } from './models/MatchHistory.js';
+import { DEFAULT_RATING } from './rating.js';
+
+/**
+ * Leaderboards
+ * Players ranked from the staked match history by net profit, wins or win rate, over a
+ * time window and optionally one game mode and stake tier. Boards are aggregated in Mongo
+ * and cached for a minute, so opening the leaderboard doesn't rescan the match history.
+ */
+
+export const LEADERBOARD_BOARDS = {
+    profit: { sortBy: 'profit', minGames: 1 },
+    wins: { sortBy: 'wins', minGames: 1 },
+    winrate: { sortBy: 'winRate', minGames: 10 } // Enough games that one lucky win doesn't top the board
+};
+
+export const LEADERBOARD_WINDOWS = {
+    daily: 24 * 60 * 60 * 1000,
+    weekly: 7 * 24 * 60 * 60 * 1000,
+    monthly: 30 * 24 * 60 * 60 * 1000,
+    all: null
+};
+
+// Stake tiers (SOL per player, upper bound exclusive) - private tables can have any stake
+export const LEADERBOARD_STAKE_TIERS = {
+    micro: { minStake: 0, maxStake: 0.05 },
+    low: { minStake: 0.05, maxStake: 0.25 },
+    mid: { minStake: 0.25, maxStake: 1 },
+    high: { minStake: 1, maxStake: null }
+};
+
+export const LEADERBOARD_GAME_MODES = ['2p', '3p', '4p'];
+
+const LEADERBOARD_SIZE = 50;
+const LEADERBOARD_CACHE_TTL = 60000; // 1 minute
+
+const cache = new Map(); // board key -> { board, cachedAt }
+
+/**
+ * Get a leaderboard (cached)
+ * @param {string} board - Key of LEADERBOARD_BOARDS
+ * @param {string} window - Key of LEADERBOARD_WINDOWS
+ * @param {string|null} [gameMode] - One of LEADERBOARD_GAME_MODES (null = every mode)
+ * @param {string|null} [stakeTier] - Key of LEADERBOARD_STAKE_TIERS (null = every stake)
+ * @returns {Promise<Object>} { board, window, gameMode, stakeTier, minGames, entries, updatedAt }
+ */
+export async function getLeaderboardBoard(board, window, gameMode = null, stakeTier = null) {
+    const key = `${board}:${window}:${gameMode || 'all'}:${stakeTier || 'all'}`;
+    const cached = cache.get(key);
+    if (cached && Date.now() - cached.cachedAt < LEADERBOARD_CACHE_TTL) {
+        return cached.board;
+    }
+    
+    const { sortBy, minGames } = LEADERBOARD_BOARDS[board];
+    const windowLength = LEADERBOARD_WINDOWS[window];
+    const tier = stakeTier ? LEADERBOARD_STAKE_TIERS[stakeTier] : {};
+    
+    const entries = await getLeaderboard({
+        sortBy: sortBy,
+        since: windowLength ? new Date(Date.now() - windowLength) : null,
+        gameMode: gameMode,
+        minStake: tier.minStake ?? null,
+        maxStake: tier.maxStake ?? null,
+        minGames: minGames,
+        limit: LEADERBOARD_SIZE
+    });
+    
+    const result = {
+        board: board,
+        window: window,
+        gameMode: gameMode,
+        stakeTier: stakeTier,
+        minGames: minGames,
+        entries: entries.map((entry, index) => ({
+            rank: index + 1,
+            wallet: entry.wallet,
+            username: entry.username,
+            pfpUrl: entry.pfpUrl,
+            rating: entry.rating ?? DEFAULT_RATING,
+            games: entry.games,
+            wins: entry.wins,
+            winRate: Number((entry.winRate * 100).toFixed(2)),
+            wagered: Number(entry.wagered.toFixed(9)),
+            won: Number(entry.won.toFixed(9)),
+            profit: Number(entry.profit.toFixed(9))
+        })),
+        updatedAt: new Date()
+    };
+    
+    cache.set(key, { board: result, cachedAt: Date.now() });
+    return result;
+}
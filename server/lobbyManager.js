@@ -1,15 +1,72 @@
 /**
  * Lobby Manager
  * Handles matchmaking slots (lobbies)
- * Maintains 15 constant lobbies with different configurations
- * Each game mode (2p, 3p, 4p) has 5 lobbies with SOL prices: 0.01, 0.05, 0.25, 0.5, 1.0
+ * Maintains 26 constant lobbies with different configurations
+ * Each game mode (2p, 3p, 4p) has 5 official-rules lobbies with SOL prices: 0.01, 0.05, 0.25, 0.5, 1.0
+ * plus one house-rules lobby per game mode, a match-to-500 lobby and 7 free practice lobbies
+ * Players can also open private invite-only tables, which are only listed for their host and invitees,
+ * and the matchmaking queue opens unlisted lobbies for the players it pairs
  */
 
+import { randomBytes } from 'crypto';
+import { RuleSet, DEFAULT_RULE_SET_ID } from './ruleSet.js';
+import { generateSeed, hashSeed } from './provablyFair.js';
+import { getSpectatorDelay } from './spectatorStream.js';
+import { isBotDifficulty, createBotName } from './botPlayer.js';
+
+const PRIVATE_LOBBY_TTL = 10 * 60 * 1000; // Private tables that don't fill within 10 minutes expire
+const PRIVATE_STAKE_MIN = 0.01; // Private table stakes (SOL per player, in steps of 0.01)
+const PRIVATE_STAKE_MAX = 10;
+const INVITE_CODE_LENGTH = 8;
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I to misread
+
+/**
+ * Random invite code for a private table (32-letter alphabet, so every byte maps without bias)
+ * @returns {string} Invite code
+ */
+function createInviteCode() {
+    return Array.from(randomBytes(INVITE_CODE_LENGTH), byte => INVITE_CODE_ALPHABET[byte % INVITE_CODE_ALPHABET.length]).join('');
+}
+
+/**
+ * Whether a wallet may see and join a lobby (private tables: only the host and invitees, matchmaking lobbies: the matched players)
+ * @param {Object} lobby - Lobby
+ * @param {string|null} wallet - Wallet address
+ * @returns {boolean}
+ */
+function isInvited(lobby, wallet) {
+    return !lobby.invitees || (!!wallet && lobby.invitees.has(wallet));
+}
+
+/**
+ * Rule set summary advertised with a lobby
+ * @param {string} ruleSetId - Rule set preset ID
+ * @returns {Object} { id, name, rules, labels }
+ */
+function describeRuleSet(ruleSetId) {
+    const ruleSet = RuleSet.fromPreset(ruleSetId);
+    return {
+        id: ruleSet.id,
+        name: ruleSet.name,
+        rules: ruleSet.toJSON(),
+        labels: ruleSet.describe()
+    };
+}
+
+/**
+ * Server seed for a new lobby (committed by its hash before anyone joins)
+ * @returns {Object} { serverSeed, serverSeedHash }
+ */
+function createSeedCommitment() {
+    const serverSeed = generateSeed();
+    return { serverSeed, serverSeedHash: hashSeed(serverSeed) };
+}
+
 export class LobbyManager {
     constructor() {
-        // Fixed number of lobby slots - always maintain 15 lobbies
+        // Fixed number of lobby slots - always maintain 26 lobbies
         this.lobbies = [];
-        this.maxLobbies = 15;
+        this.maxLobbies = 26;
         this.lobbyCounter = 0; // For generating unique lobby IDs
         
         // Persistent lobby IDs (will be saved to DB later)
@@ -19,38 +76,65 @@ export class LobbyManager {
         // SOL stake prices for each lobby
         this.solStakes = [0.01, 0.05, 0.25, 0.5, 1.0];
         
-        // Initialize 15 constant lobbies with different configurations
+        // House-rules lobbies (one per game mode plus a 2p match, on top of the official ones)
+        this.houseRuleLobbies = [
+            { gameMode: 2, solStake: 0.05, ruleSetId: 'house' },
+            { gameMode: 3, solStake: 0.05, ruleSetId: 'house' },
+            { gameMode: 4, solStake: 0.05, ruleSetId: 'party' },
+            { gameMode: 2, solStake: 0.25, ruleSetId: 'match' }
+        ];
+        
+        // Free-play practice lobbies (no stake, no wallet needed) - human-only, or one player against bots
+        this.practiceLobbies = [
+            { gameMode: 2, solStake: 0, ruleSetId: DEFAULT_RULE_SET_ID },
+            { gameMode: 3, solStake: 0, ruleSetId: DEFAULT_RULE_SET_ID },
+            { gameMode: 4, solStake: 0, ruleSetId: DEFAULT_RULE_SET_ID },
+            { gameMode: 2, solStake: 0, ruleSetId: DEFAULT_RULE_SET_ID, botDifficulty: 'easy' },
+            { gameMode: 2, solStake: 0, ruleSetId: DEFAULT_RULE_SET_ID, botDifficulty: 'medium' },
+            { gameMode: 2, solStake: 0, ruleSetId: DEFAULT_RULE_SET_ID, botDifficulty: 'hard' },
+            { gameMode: 4, solStake: 0, ruleSetId: DEFAULT_RULE_SET_ID, botDifficulty: 'medium' }
+        ];
+        
+        // Initialize 26 constant lobbies with different configurations
         this.initializeLobbies();
     }
     
     /**
-     * Initialize 15 constant lobbies with different configurations
-     * Each game mode (2p, 3p, 4p) has 5 lobbies with SOL prices: 0.01, 0.05, 0.25, 0.5, 1.0
+     * Initialize 26 constant lobbies with different configurations
+     * Each game mode (2p, 3p, 4p) has 5 official-rules lobbies with SOL prices: 0.01, 0.05, 0.25, 0.5, 1.0
+     * followed by the house-rules lobbies and the practice lobbies
      */
     initializeLobbies() {
         const gameModes = [2, 3, 4];
-        let lobbyIndex = 0;
+        const configs = [];
         
         // Create 5 lobbies for each game mode
         for (const gameMode of gameModes) {
             // Each mode gets all 5 SOL stake prices
             for (const solStake of this.solStakes) {
-                const persistentId = `lobby_${lobbyIndex + 1}`;
-                this.persistentLobbyIds.push(persistentId);
-                
-                this.lobbies.push({
-                    id: persistentId,
-                    name: `Lobby #${lobbyIndex + 1}`,
-                    players: [],
-                    status: 'waiting',
-                    gameMode: gameMode,
-                    solStake: solStake,
-                    gameId: null // Track associated game
-                });
-                
-                lobbyIndex++;
+                configs.push({ gameMode, solStake, ruleSetId: DEFAULT_RULE_SET_ID });
             }
         }
+        configs.push(...this.houseRuleLobbies);
+        configs.push(...this.practiceLobbies);
+        
+        configs.forEach((config, lobbyIndex) => {
+            const persistentId = `lobby_${lobbyIndex + 1}`;
+            this.persistentLobbyIds.push(persistentId);
+            
+            this.lobbies.push({
+                id: persistentId,
+                name: `Lobby #${lobbyIndex + 1}`,
+                players: [],
+                status: 'waiting',
+                gameMode: config.gameMode,
+                solStake: config.solStake,
+                ruleSetId: config.ruleSetId,
+                botDifficulty: config.botDifficulty || null, // Practice lobbies that fill the empty seats with bots
+                ...createSeedCommitment(), // Provably fair shuffle - only the hash is ever sent to clients
+                gameId: null // Track associated game
+            });
+        });
     }
     
     /**
@@ -64,25 +148,143 @@ export class LobbyManager {
     
     /**
      * Get all lobbies (for client display)
-     * @returns {Array} Array of lobby objects
+     * @param {string|null} [viewerWallet] - Wallet of the viewer (private tables are only listed for their host and invitees)
+     * @returns {Array} Array of lobby objects (matchmaking lobbies are never listed)
      */
-    getAllLobbies() {
-        return this.lobbies.map(lobby => ({
+    getAllLobbies(viewerWallet = null) {
+        return this.lobbies.filter(lobby => !lobby.matchmaking && isInvited(lobby, viewerWallet)).map(lobby => ({
             id: lobby.id,
             name: lobby.name,
             players: lobby.players.map(p => ({ 
                 id: p.id, 
                 name: p.name,
                 wallet: p.wallet || null,
-                pfpUrl: p.pfpUrl || '/pfp/default.jpg'
+                pfpUrl: p.pfpUrl || '/pfp/default.jpg',
+                rating: p.rating ?? null,
+                disconnected: !!p.disconnected,
+                bot: p.bot || null
             })),
             playerCount: lobby.players.length,
             maxPlayers: lobby.gameMode,
             solStake: lobby.solStake,
-            status: lobby.status
+            practice: lobby.solStake === 0,
+            botDifficulty: lobby.botDifficulty,
+            ruleSet: describeRuleSet(lobby.ruleSetId),
+            serverSeedHash: lobby.serverSeedHash,
+            status: lobby.status,
+            gameId: lobby.gameId || null, // Set while in-game (lets others spectate)
+            spectatorDelay: getSpectatorDelay(lobby.solStake), // Seconds spectators are kept behind the game (0 = live)
+            private: !!lobby.private,
+            inviteCode: lobby.private ? lobby.inviteCode : null,
+            expiresAt: lobby.private ? lobby.expiresAt : null
         }));
     }
     
+    /**
+     * Open a private invite-only table
+     * @param {string} hostWallet - Wallet of the player opening the table
+     * @param {number} gameMode - Number of players (2, 3, or 4)
+     * @param {number} solStake - SOL stake per player (0.01 to 10, in steps of 0.01)
+     * @param {string} [ruleSetId] - Rule set preset ID
+     * @returns {Object} { success, lobby } or { success: false, message }
+     */
+    createPrivateLobby(hostWallet, gameMode, solStake, ruleSetId = DEFAULT_RULE_SET_ID) {
+        if (![2, 3, 4].includes(gameMode)) {
+            return { success: false, message: 'Tables are for 2, 3 or 4 players' };
+        }
+        
+        if (typeof solStake !== 'number' || !(solStake >= PRIVATE_STAKE_MIN && solStake <= PRIVATE_STAKE_MAX)
+            || Math.round(solStake * 100) / 100 !== solStake) {
+            return { success: false, message: `Stake must be between ${PRIVATE_STAKE_MIN} and ${PRIVATE_STAKE_MAX} SOL, in steps of 0.01` };
+        }
+        
+        if (!RuleSet.isPreset(ruleSetId)) {
+            return { success: false, message: 'Unknown rule set' };
+        }
+        
+        // One open table per host, so the lobby list can't be flooded
+        if (this.lobbies.some(l => l.private && l.hostWallet === hostWallet && l.status !== 'in-game')) {
+            return { success: false, message: 'You already have an open private table' };
+        }
+        
+        let inviteCode = createInviteCode();
+        while (this.getLobbyByInviteCode(inviteCode)) {
+            inviteCode = createInviteCode();
+        }
+        
+        const lobby = this.createLobbyWithSettings(gameMode, solStake, ruleSetId);
+        lobby.name = 'Private Table';
+        lobby.private = true;
+        lobby.inviteCode = inviteCode;
+        lobby.hostWallet = hostWallet;
+        lobby.invitees = new Set([hostWallet]); // Wallets that opened the invite (only they can pay and join)
+        lobby.expiresAt = Date.now() + PRIVATE_LOBBY_TTL;
+        
+        return { success: true, lobby: lobby };
+    }
+    
+    /**
+     * Open the lobby for a match found by the matchmaking queue - only the matched wallets can pay and join
+     * @param {number} gameMode - Number of players (2, 3, or 4)
+     * @param {number} solStake - SOL stake per player
+     * @param {Array<string>} wallets - Wallets of the matched players
+     * @returns {Object} New lobby object
+     */
+    createMatchLobby(gameMode, solStake, wallets) {
+        const lobby = this.createLobbyWithSettings(gameMode, solStake);
+        lobby.name = 'Quick Match';
+        lobby.matchmaking = true;
+        lobby.invitees = new Set(wallets);
+        return lobby;
+    }
+    
+    /**
+     * Get a private table by its invite code
+     * @param {string} inviteCode - Invite code (case-insensitive)
+     * @returns {Object|null} Lobby object or null
+     */
+    getLobbyByInviteCode(inviteCode) {
+        if (typeof inviteCode !== 'string') return null;
+        const code = inviteCode.trim().toUpperCase();
+        return this.lobbies.find(l => l.private && l.inviteCode === code) || null;
+    }
+    
+    /**
+     * Accept an invite - the wallet can now see, pay for and join the table
+     * @param {string} inviteCode - Invite code
+     * @param {string} wallet - Wallet accepting the invite
+     * @returns {Object|null} Lobby object, or null if no open table has this code
+     */
+    acceptInvite(inviteCode, wallet) {
+        const lobby = this.getLobbyByInviteCode(inviteCode);
+        if (!lobby || lobby.status === 'in-game') {
+            return null;
+        }
+        
+        lobby.invitees.add(wallet);
+        return lobby;
+    }
+    
+    /**
+     * Whether a wallet may pay for and join a lobby (public lobbies: anyone)
+     * @param {string} lobbyId - Lobby ID
+     * @param {string|null} wallet - Wallet address
+     * @returns {boolean}
+     */
+    canJoinLobby(lobbyId, wallet) {
+        const lobby = this.getLobbyById(lobbyId);
+        return !!lobby && isInvited(lobby, wallet);
+    }
+    
+    /**
+     * Private tables whose time ran out before they filled
+     * @param {number} [now] - Current time
+     * @returns {Array} Lobby objects
+     */
+    getExpiredPrivateLobbies(now = Date.now()) {
+        return this.lobbies.filter(l => l.private && l.status === 'waiting' && l.expiresAt <= now);
+    }
+    
     /**
      * Create a new replacement lobby when a game starts (keeps original lobby as in-game)
      * @param {string} lobbyId - Lobby ID that started the game
@@ -93,7 +295,7 @@ export class LobbyManager {
         if (!oldLobby) return null;
         
         // Create a new lobby with the same configuration (new ID, new name)
-        return this.createLobbyWithSettings(oldLobby.gameMode, oldLobby.solStake);
+        return this.createLobbyWithSettings(oldLobby.gameMode, oldLobby.solStake, oldLobby.ruleSetId, oldLobby.botDifficulty);
     }
     
     /**
@@ -103,9 +305,12 @@ export class LobbyManager {
      * @param {string} lobbyId - Lobby ID to join
      * @param {string} [wallet] - Player wallet address
      * @param {string} [pfpUrl] - Player profile picture URL
+     * @param {string} [paymentSignature] - Deposit signature backing this seat
+     * @param {string} [clientSeed] - Player's contribution to the provably fair shuffle
+     * @param {number} [rating] - Player rating (shown on the player's slot)
      * @returns {Object} { lobby, playerIndex, isFull }
      */
-    addPlayerToLobby(playerId, playerName, lobbyId, wallet = null, pfpUrl = null) {
+    addPlayerToLobby(playerId, playerName, lobbyId, wallet = null, pfpUrl = null, paymentSignature = null, clientSeed = null, rating = null) {
         const lobby = this.getLobbyById(lobbyId);
         
         if (!lobby) {
@@ -133,6 +338,10 @@ export class LobbyManager {
             name: playerName || `Player ${lobby.players.length + 1}`,
             wallet: wallet || null,
             pfpUrl: pfpUrl || '/pfp/default.jpg',
+            rating: rating,
+            paymentSignature: paymentSignature || null,
+            clientSeed: clientSeed || generateSeed(16), // Clients that send no seed get a random one
+            clientSeedGenerated: !clientSeed, // ...which the fairness record labels as server-generated
             joinedAt: Date.now()
         });
         
@@ -151,18 +360,83 @@ export class LobbyManager {
                     id: p.id, 
                     name: p.name,
                     wallet: p.wallet || null,
-                    pfpUrl: p.pfpUrl || '/pfp/default.jpg'
+                    pfpUrl: p.pfpUrl || '/pfp/default.jpg',
+                    rating: p.rating ?? null,
+                    bot: p.bot || null
                 })),
                 playerCount: lobby.players.length,
                 maxPlayers: lobby.gameMode,
                 solStake: lobby.solStake,
-                status: lobby.status
+                practice: lobby.solStake === 0,
+                botDifficulty: lobby.botDifficulty,
+                ruleSet: describeRuleSet(lobby.ruleSetId),
+                serverSeedHash: lobby.serverSeedHash,
+                status: lobby.status,
+                private: !!lobby.private,
+                inviteCode: lobby.private ? lobby.inviteCode : null,
+                expiresAt: lobby.private ? lobby.expiresAt : null,
+                matchmaking: !!lobby.matchmaking
             },
             playerIndex: lobby.players.length - 1,
             isFull: isFull
         };
     }
     
+    /**
+     * Seat a bot in a lobby (unstaked lobbies only - a bot can't pay a stake)
+     * @param {string} lobbyId - Lobby ID
+     * @param {string} difficulty - 'easy', 'medium' or 'hard'
+     * @returns {Object} Same result as addPlayerToLobby()
+     */
+    addBotToLobby(lobbyId, difficulty) {
+        const lobby = this.getLobbyById(lobbyId);
+        
+        if (!lobby) {
+            return { success: false, message: 'Lobby not found' };
+        }
+        
+        if (lobby.solStake > 0) {
+            return { success: false, message: 'Bots can only play in unstaked lobbies' };
+        }
+        
+        if (!isBotDifficulty(difficulty)) {
+            return { success: false, message: 'Unknown bot difficulty' };
+        }
+        
+        const botId = `bot_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        const botName = createBotName(difficulty, lobby.players.map(p => p.name));
+        const result = this.addPlayerToLobby(botId, botName, lobbyId);
+        
+        if (result.success) {
+            lobby.players[result.playerIndex].bot = difficulty;
+            result.lobby.players[result.playerIndex].bot = difficulty;
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Fill a vs-bot practice lobby's empty seats with its bots
+     * @param {string} lobbyId - Lobby ID
+     * @returns {Object|null} Result of seating the last bot, or null if no bot was seated
+     */
+    fillLobbyWithBots(lobbyId) {
+        const lobby = this.getLobbyById(lobbyId);
+        if (!lobby || !lobby.botDifficulty) {
+            return null;
+        }
+        
+        let result = null;
+        while (lobby.players.length < lobby.gameMode) {
+            result = this.addBotToLobby(lobbyId, lobby.botDifficulty);
+            if (!result.success) {
+                break;
+            }
+        }
+        
+        return result;
+    }
+    
     /**
      * Remove player from lobby
      * @param {string} playerId - Player socket ID
@@ -174,6 +448,11 @@ export class LobbyManager {
             if (playerIndex !== -1) {
                 lobby.players.splice(playerIndex, 1);
                 
+                // Bots only wait for people - drop them once the last human has left
+                if (lobby.players.every(p => p.bot)) {
+                    lobby.players = [];
+                }
+                
                 // Reset lobby status if it was full
                 if (lobby.status === 'full') {
                     lobby.status = 'waiting';
@@ -194,6 +473,61 @@ export class LobbyManager {
         return { success: false, message: 'Player not found in any lobby' };
     }
     
+    /**
+     * Mark a player's seat as held (socket disconnected, seat kept until the player reclaims it)
+     * @param {string} playerId - Player socket ID
+     * @returns {Object|null} Player object or null
+     */
+    markPlayerDisconnected(playerId) {
+        const lobby = this.getLobbyByPlayerId(playerId);
+        if (!lobby) return null;
+        
+        const player = lobby.players.find(p => p.id === playerId);
+        player.disconnected = true;
+        return player;
+    }
+    
+    /**
+     * Reclaim a held seat with a new socket
+     * @param {string} wallet - Wallet that owns the seat
+     * @param {string} newPlayerId - New player socket ID
+     * @returns {Object|null} Lobby (client format) or null if the wallet has no held seat
+     */
+    reclaimSeat(wallet, newPlayerId) {
+        for (const lobby of this.lobbies) {
+            const player = lobby.players.find(p => p.wallet === wallet && p.disconnected);
+            if (player && lobby.status !== 'in-game') {
+                player.id = newPlayerId;
+                player.disconnected = false;
+                
+                return {
+                    id: lobby.id,
+                    name: lobby.name,
+                    players: lobby.players.map(p => ({
+                        id: p.id,
+                        name: p.name,
+                        wallet: p.wallet || null,
+                        pfpUrl: p.pfpUrl || '/pfp/default.jpg',
+                        rating: p.rating ?? null,
+                        disconnected: !!p.disconnected
+                    })),
+                    playerCount: lobby.players.length,
+                    maxPlayers: lobby.gameMode,
+                    solStake: lobby.solStake,
+                    ruleSet: describeRuleSet(lobby.ruleSetId),
+                    serverSeedHash: lobby.serverSeedHash,
+                    status: lobby.status,
+                    private: !!lobby.private,
+                    inviteCode: lobby.private ? lobby.inviteCode : null,
+                    expiresAt: lobby.private ? lobby.expiresAt : null,
+                    matchmaking: !!lobby.matchmaking
+                };
+            }
+        }
+        
+        return null;
+    }
+    
     /**
      * Get lobby by player ID
      * @param {string} playerId - Player socket ID
@@ -205,6 +539,23 @@ export class LobbyManager {
         ) || null;
     }
     
+    /**
+     * Commit a fresh server seed for a lobby (the game just created from it keeps the old one)
+     * Called on every game start attempt, so a seed is never used for two games - not even when the
+     * start fails and the lobby stays open
+     * @param {string} lobbyId - Lobby ID
+     * @returns {string|null} New server seed hash, or null if the lobby doesn't exist
+     */
+    rotateSeedCommitment(lobbyId) {
+        const lobby = this.getLobbyById(lobbyId);
+        if (!lobby) {
+            return null;
+        }
+        
+        Object.assign(lobby, createSeedCommitment());
+        return lobby.serverSeedHash;
+    }
+    
     /**
      * Mark lobby as in-game (game started)
      * @param {string} lobbyId - Lobby ID
@@ -257,6 +608,7 @@ export class LobbyManager {
             status: 'waiting',
             gameMode: gameModes[Math.floor(Math.random() * gameModes.length)],
             solStake: solStakes[Math.floor(Math.random() * solStakes.length)],
+            ...createSeedCommitment(),
             gameId: null
         };
         
@@ -276,19 +628,29 @@ export class LobbyManager {
     /**
      * Create a new lobby with specific settings
      * @param {number} gameMode - Number of players (2, 3, or 4)
-     * @param {number} solStake - SOL stake amount
+     * @param {number} solStake - SOL stake amount (0 for a practice lobby)
+     * @param {string} [ruleSetId] - Rule set preset ID
+     * @param {string|null} [botDifficulty] - Practice lobbies only: fill the empty seats with bots of this difficulty
      * @returns {Object} New lobby object
      */
-    createLobbyWithSettings(gameMode, solStake) {
+    createLobbyWithSettings(gameMode, solStake, ruleSetId = DEFAULT_RULE_SET_ID, botDifficulty = null) {
         // Validate parameters
         if (!gameMode || (gameMode !== 2 && gameMode !== 3 && gameMode !== 4)) {
             console.error(`Invalid gameMode: ${gameMode}, defaulting to 2`);
             gameMode = 2;
         }
-        if (!solStake || typeof solStake !== 'number' || solStake <= 0) {
+        if (typeof solStake !== 'number' || !(solStake >= 0)) {
             console.error(`Invalid solStake: ${solStake}, defaulting to 1.0`);
             solStake = 1.0;
         }
+        if (botDifficulty && (solStake > 0 || !isBotDifficulty(botDifficulty))) {
+            console.error(`Invalid botDifficulty: ${botDifficulty} for a ${solStake} SOL lobby, seating no bots`);
+            botDifficulty = null;
+        }
+        if (!RuleSet.isPreset(ruleSetId)) {
+            console.error(`Invalid ruleSetId: ${ruleSetId}, defaulting to ${DEFAULT_RULE_SET_ID}`);
+            ruleSetId = DEFAULT_RULE_SET_ID;
+        }
         
         // Generate unique lobby ID
         const newLobbyId = `lobby_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
@@ -312,6 +674,9 @@ export class LobbyManager {
             status: 'waiting',
             gameMode: gameMode,
             solStake: solStake,
+            ruleSetId: ruleSetId,
+            botDifficulty: botDifficulty,
+            ...createSeedCommitment(),
             gameId: null
         };
         
@@ -0,0 +1,184 @@
+/**
+ * Matchmaking Queue
+ * Players queue for a (player count, stake) bucket instead of picking a lobby. The queue groups
+ * players whose ratings (see rating.js) are within a search range that widens the longer they wait,
+ * so nobody waits forever for a close match.
+ * Payment is only taken once a match is found (the server opens a lobby that only the matched players can join).
+ */
+
+const BASE_SEARCH_RANGE = 50; // Rating points either side of a player when they join
+const SEARCH_RANGE_GROWTH = 10; // Extra rating points per second waited
+const MAX_SEARCH_RANGE = 1000; // Wide enough to match anyone
+const WAIT_SAMPLES = 20; // Recent waits per bucket used for the estimated wait
+
+/**
+ * Bucket key for a player count and stake
+ */
+function bucketKey(gameMode, solStake) {
+    return `${gameMode}:${solStake}`;
+}
+
+export class MatchmakingQueue {
+    /**
+     * @param {Array<number>} gameModes - Player counts that can be queued for
+     * @param {Array<number>} solStakes - Stakes (SOL per player) that can be queued for
+     */
+    constructor(gameModes, solStakes) {
+        this.gameModes = gameModes;
+        this.solStakes = solStakes;
+        this.entries = new Map(); // wallet -> queue entry
+        this.waitSamples = new Map(); // bucket key -> recent waits (ms) of matched players
+    }
+    
+    /**
+     * Whether players can queue for this player count and stake
+     * @param {number} gameMode - Number of players
+     * @param {number} solStake - SOL stake per player
+     * @returns {boolean}
+     */
+    isBucket(gameMode, solStake) {
+        return this.gameModes.includes(gameMode) && this.solStakes.includes(solStake);
+    }
+    
+    /**
+     * Add a player to the queue
+     * @param {Object} entry - { wallet, socketId, username, pfpUrl, rating, gameMode, solStake, joinedAt? }
+     * @returns {Object} { success, entry } or { success: false, message }
+     */
+    join(entry) {
+        if (!this.isBucket(entry.gameMode, entry.solStake)) {
+            return { success: false, message: 'No matchmaking for that player count and stake' };
+        }
+        
+        if (this.entries.has(entry.wallet)) {
+            return { success: false, message: 'You are already in the queue' };
+        }
+        
+        const queued = { ...entry, joinedAt: entry.joinedAt || Date.now() };
+        this.entries.set(entry.wallet, queued);
+        return { success: true, entry: queued };
+    }
+    
+    /**
+     * Remove a player from the queue
+     * @param {string} wallet - Wallet address
+     * @returns {Object|null} Removed entry, or null if the wallet wasn't queued
+     */
+    leave(wallet) {
+        const entry = this.entries.get(wallet) || null;
+        this.entries.delete(wallet);
+        return entry;
+    }
+    
+    /**
+     * Get a queued player
+     * @param {string} wallet - Wallet address
+     * @returns {Object|null} Queue entry or null
+     */
+    getEntry(wallet) {
+        return this.entries.get(wallet) || null;
+    }
+    
+    /**
+     * Everyone in the queue
+     * @returns {Array<Object>} Queue entries
+     */
+    getEntries() {
+        return Array.from(this.entries.values());
+    }
+    
+    /**
+     * Rating points either side of a player the queue will match them with
+     * @param {Object} entry - Queue entry
+     * @param {number} [now] - Current time
+     * @returns {number}
+     */
+    getSearchRange(entry, now = Date.now()) {
+        const waitedSeconds = Math.max(0, now - entry.joinedAt) / 1000;
+        return Math.min(MAX_SEARCH_RANGE, Math.round(BASE_SEARCH_RANGE + SEARCH_RANGE_GROWTH * waitedSeconds));
+    }
+    
+    /**
+     * Estimated wait for a bucket, from how long recently matched players waited
+     * @param {number} gameMode - Number of players
+     * @param {number} solStake - SOL stake per player
+     * @returns {number|null} Milliseconds, or null if nobody has been matched in this bucket yet
+     */
+    estimateWait(gameMode, solStake) {
+        const samples = this.waitSamples.get(bucketKey(gameMode, solStake));
+        if (!samples || samples.length === 0) {
+            return null;
+        }
+        return Math.round(samples.reduce((sum, wait) => sum + wait, 0) / samples.length);
+    }
+    
+    /**
+     * Queue status shown to a waiting player
+     * @param {Object} entry - Queue entry
+     * @param {number} [now] - Current time
+     * @returns {Object} { gameMode, solStake, rating, waited, searchRange, playersSearching, estimatedWait }
+     */
+    getStatus(entry, now = Date.now()) {
+        const key = bucketKey(entry.gameMode, entry.solStake);
+        return {
+            gameMode: entry.gameMode,
+            solStake: entry.solStake,
+            rating: entry.rating,
+            waited: now - entry.joinedAt,
+            searchRange: this.getSearchRange(entry, now),
+            playersSearching: this.getEntries().filter(e => bucketKey(e.gameMode, e.solStake) === key).length,
+            estimatedWait: this.estimateWait(entry.gameMode, entry.solStake)
+        };
+    }
+    
+    /**
+     * Take every match that can be made out of the queue
+     * Longest-waiting players are served first: each picks the closest-rated players within its search range.
+     * @param {number} [now] - Current time
+     * @returns {Array<Array<Object>>} Matched groups of queue entries (one group per match, longest-waiting first)
+     */
+    findMatches(now = Date.now()) {
+        const matches = [];
+        const buckets = new Map();
+        for (const entry of this.entries.values()) {
+            const key = bucketKey(entry.gameMode, entry.solStake);
+            if (!buckets.has(key)) buckets.set(key, []);
+            buckets.get(key).push(entry);
+        }
+        
+        for (const [key, waiting] of buckets) {
+            waiting.sort((a, b) => a.joinedAt - b.joinedAt);
+            const matched = new Set();
+            
+            for (const anchor of waiting) {
+                if (matched.has(anchor)) continue;
+                
+                const range = this.getSearchRange(anchor, now);
+                const candidates = waiting
+                    .filter(e => e !== anchor && !matched.has(e) && Math.abs(e.rating - anchor.rating) <= range)
+                    .sort((a, b) => Math.abs(a.rating - anchor.rating) - Math.abs(b.rating - anchor.rating));
+                
+                if (candidates.length < anchor.gameMode - 1) continue;
+                
+                const group = [anchor, ...candidates.slice(0, anchor.gameMode - 1)];
+                group.forEach(entry => {
+                    matched.add(entry);
+                    this.entries.delete(entry.wallet);
+                });
+                this.recordWaits(key, group.map(entry => now - entry.joinedAt));
+                matches.push(group);
+            }
+        }
+        
+        return matches;
+    }
+    
+    /**
+     * Remember how long matched players waited (for the estimated wait)
+     */
+    recordWaits(key, waits) {
+        const samples = this.waitSamples.get(key) || [];
+        samples.push(...waits);
+        this.waitSamples.set(key, samples.slice(-WAIT_SAMPLES));
+    }
+}
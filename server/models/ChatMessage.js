@@ -0,0 +1,82 @@
+import { getDatabase } from '../db.js';
+
+const COLLECTION_NAME = 'chatMessages';
+
+/**
+ * Chat Message Model
+ * Lobby and spectator chat, kept for dispute audits (the live chat history is in memory only).
+ * All chat is not stored.
+ *
+ * Schema:
+ * - _id: ObjectId (auto-generated)
+ * - mode: string ('lobby' or 'spectator')
+ * - lobbyId: string (lobby the message was sent in)
+ * - gameId: string (game running when the message was sent, null before the game started)
+ * - wallet: string (sender wallet)
+ * - playerName: string (sender username at the time)
+ * - message: string
+ * - createdAt: Date
+ */
+
+/**
+ * Store a chat message
+ * @param {Object} messageData - Message data
+ * @param {string} messageData.mode - 'lobby' or 'spectator'
+ * @param {string} messageData.lobbyId - Lobby ID
+ * @param {string|null} messageData.gameId - Game ID (null in a lobby that hasn't started)
+ * @param {string} messageData.wallet - Sender wallet
+ * @param {string} messageData.playerName - Sender username
+ * @param {string} messageData.message - Message text
+ * @param {number} messageData.timestamp - When the message was sent
+ * @returns {Promise<Object>} Created chat message document
+ */
+export async function createChatMessage(messageData) {
+    const db = await getDatabase();
+    const collection = db.collection(COLLECTION_NAME);
+    
+    const chatMessage = {
+        mode: messageData.mode,
+        lobbyId: messageData.lobbyId || null,
+        gameId: messageData.gameId || null,
+        wallet: messageData.wallet,
+        playerName: messageData.playerName,
+        message: messageData.message,
+        createdAt: new Date(messageData.timestamp || Date.now())
+    };
+    
+    const result = await collection.insertOne(chatMessage);
+    return { ...chatMessage, _id: result.insertedId };
+}
+
+/**
+ * Get a lobby's chat within a time window
+ * Lobby IDs are reused from game to game, so the window picks out one game's lobby.
+ * @param {string} lobbyId - Lobby ID
+ * @param {Date} from - Start of the window
+ * @param {Date} to - End of the window
+ * @returns {Promise<Array>} Chat messages, oldest first
+ */
+export async function getLobbyChatMessages(lobbyId, from, to) {
+    const db = await getDatabase();
+    const collection = db.collection(COLLECTION_NAME);
+    
+    return await collection
+        .find({ lobbyId: lobbyId, mode: 'lobby', createdAt: { $gte: from, $lte: to } })
+        .sort({ createdAt: 1 })
+        .toArray();
+}
+
+/**
+ * Get a game's spectator chat
+ * @param {string} gameId - Game ID
+ * @returns {Promise<Array>} Chat messages, oldest first
+ */
+export async function getSpectatorChatMessages(gameId) {
+    const db = await getDatabase();
+    const collection = db.collection(COLLECTION_NAME);
+    
+    return await collection
+        .find({ gameId: gameId, mode: 'spectator' })
+        .sort({ createdAt: 1 })
+        .toArray();
+}
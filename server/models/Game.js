@@ -10,16 +10,22 @@ const COLLECTION_NAME = 'games';
  * - gameId: string (unique game identifier)
  * - lobbyId: string (lobby identifier)
  * - lobbyNumber: string (lobby number/name)
- * - players: Array of { username: string, wallet: string, playerIndex: number }
+ * - players: Array of { username: string, wallet: string, playerIndex: number, paymentSignature: string, bot: string } (bot is the difficulty of a bot seat, null for humans)
  * - gameMode: number (2, 3, or 4)
- * - solStake: number (SOL stake per player)
+ * - solStake: number (SOL stake per player, 0 for a free practice game - recorded in practiceMatches, never in matchHistory)
  * - totalStake: number (total SOL in escrow)
+ * - ruleSet: string (rule set preset ID, see server/ruleSet.js)
+ * - botStandIn: string (bot difficulty playing for disconnected players, null if they forfeit as usual)
  * - status: string ('active', 'finished', 'cancelled')
  * - winner: { username: string, wallet: string, playerIndex: number } (null if not finished)
  * - startedAt: Date (game start time)
  * - endedAt: Date (game end time, null if not finished)
  * - winningsTxHash: string (transaction hash for winnings distribution, null if not distributed)
  * - feeTxHash: string (transaction hash for fee payment, null if not paid)
+ * - refunds: Array of { wallet: string, amount: number, txHash: string, error: string } (abandoned games only)
+ * - fairness: { serverSeedHash: string, clientSeeds: Array<string>, generatedSeats: Array<number>, serverSeed: string, shuffles: Array } (provably fair shuffle, serverSeed and shuffles are stored when the game ends)
+ * - snapshot: Object (full in-memory game state for crash recovery, see Game.toSnapshot())
+ * - snapshotVersion: number (increases with every snapshot, older writes are ignored)
  * - createdAt: Date
  * - updatedAt: Date
  */
@@ -41,6 +47,9 @@ export async function createGame(gameData) {
         gameMode: gameData.gameMode,
         solStake: gameData.solStake,
         totalStake: gameData.totalStake,
+        ruleSet: gameData.ruleSet || 'official',
+        botStandIn: gameData.botStandIn || null,
+        fairness: gameData.fairness || null,
         status: 'active',
         winner: null,
         startedAt: new Date(),
@@ -76,6 +85,7 @@ export async function getGameByGameId(gameId) {
  * @param {Object} updateData.winner - Winner object { username: string, wallet: string, playerIndex: number }
  * @param {string} [updateData.winningsTxHash] - Winnings transaction hash
  * @param {string} [updateData.feeTxHash] - Fee transaction hash
+ * @param {Object} [updateData.fairness] - Revealed fairness record (server seed and every shuffle)
  * @returns {Promise<Object|null>} Updated game document or null
  */
 export async function updateGameOnEnd(gameId, updateData) {
@@ -99,6 +109,43 @@ export async function updateGameOnEnd(gameId, updateData) {
         update.$set.feeTxHash = updateData.feeTxHash;
     }
     
+    if (updateData.fairness) {
+        update.$set.fairness = updateData.fairness;
+    }
+    
+    const result = await collection.findOneAndUpdate(
+        { gameId: gameId },
+        update,
+        { returnDocument: 'after' }
+    );
+    
+    return result;
+}
+
+/**
+ * Mark game as cancelled after every remaining player left
+ * @param {string} gameId - Game ID
+ * @param {Array} refunds - Pro-rata refunds [{ wallet, amount, txHash, error }]
+ * @param {Object} [fairness] - Revealed fairness record (server seed and every shuffle)
+ * @returns {Promise<Object|null>} Updated game document or null
+ */
+export async function updateGameOnAbandon(gameId, refunds, fairness = null) {
+    const db = await getDatabase();
+    const collection = db.collection(COLLECTION_NAME);
+    
+    const update = {
+        $set: {
+            status: 'cancelled',
+            refunds: refunds,
+            endedAt: new Date(),
+            updatedAt: new Date()
+        }
+    };
+    
+    if (fairness) {
+        update.$set.fairness = fairness;
+    }
+    
     const result = await collection.findOneAndUpdate(
         { gameId: gameId },
         update,
@@ -142,6 +189,32 @@ export async function updateGameTransactions(gameId, winningsTxHash, feeTxHash)
     return result;
 }
 
+/**
+ * Record a pro-rata refund of an abandoned game that landed after the game was closed
+ * @param {string} gameId - Game ID
+ * @param {string} wallet - Refunded wallet
+ * @param {string} txHash - Refund transaction hash
+ * @returns {Promise<Object|null>} Updated game document or null
+ */
+export async function recordGameRefund(gameId, wallet, txHash) {
+    const db = await getDatabase();
+    const collection = db.collection(COLLECTION_NAME);
+    
+    const result = await collection.findOneAndUpdate(
+        { gameId: gameId, 'refunds.wallet': wallet },
+        {
+            $set: {
+                'refunds.$.txHash': txHash,
+                'refunds.$.error': null,
+                updatedAt: new Date()
+            }
+        },
+        { returnDocument: 'after' }
+    );
+    
+    return result;
+}
+
 /**
  * Get games by wallet address
  * @param {string} wallet - User's wallet address
@@ -178,3 +251,75 @@ export async function getGamesByStatus(status, limit = 100) {
         .toArray();
 }
 
+/**
+ * Save a game state snapshot (written after every action)
+ * Snapshots can be written out of order, so an older version never overwrites a newer one.
+ * @param {string} gameId - Game ID
+ * @param {Object} snapshot - Snapshot from Game.toSnapshot()
+ * @returns {Promise<boolean>} True if the snapshot was stored
+ */
+export async function saveGameSnapshot(gameId, snapshot) {
+    const db = await getDatabase();
+    const collection = db.collection(COLLECTION_NAME);
+    
+    const result = await collection.updateOne(
+        {
+            gameId: gameId,
+            $or: [
+                { snapshotVersion: { $exists: false } },
+                { snapshotVersion: { $lt: snapshot.version } }
+            ]
+        },
+        {
+            $set: {
+                snapshot: snapshot,
+                snapshotVersion: snapshot.version,
+                updatedAt: new Date()
+            }
+        }
+    );
+    
+    return result.modifiedCount > 0;
+}
+
+/**
+ * Get active games that have a snapshot to restore from
+ * @returns {Promise<Array>} Array of game documents
+ */
+export async function getRestorableGames() {
+    const db = await getDatabase();
+    const collection = db.collection(COLLECTION_NAME);
+    
+    return await collection.find({
+        status: 'active',
+        snapshot: { $ne: null }
+    }).toArray();
+}
+
+/**
+ * Get games whose pot is still held in escrow (active, or finished without a payout)
+ * @returns {Promise<Array>} Array of game documents
+ */
+export async function getGamesAwaitingPayout() {
+    const db = await getDatabase();
+    const collection = db.collection(COLLECTION_NAME);
+    
+    return await collection.find({
+        $or: [
+            { status: 'active' },
+            { status: 'finished', winningsTxHash: null }
+        ]
+    }).toArray();
+}
+
+/**
+ * Get several games at once
+ * @param {Array<string>} gameIds - Game IDs
+ * @returns {Promise<Array>} Array of game documents
+ */
+export async function getGamesByGameIds(gameIds) {
+    const db = await getDatabase();
+    const collection = db.collection(COLLECTION_NAME);
+    
+    return await collection.find({ gameId: { $in: gameIds } }).toArray();
+}
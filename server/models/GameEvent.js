@@ -0,0 +1,77 @@
+import { getDatabase } from '../db.js';
+
+const COLLECTION_NAME = 'gameEvents';
+
+/**
+ * Game Event Model
+ * Every action of a game in the order it happened. Together with the game's revealed seeds
+ * this is enough to re-simulate the game move by move (see server/gameReplay.js).
+ *
+ * Schema:
+ * - _id: ObjectId (auto-generated)
+ * - gameId: string (game the event belongs to)
+ * - seq: number (position in the game's log, starts at 0 - unique per game)
+ * - type: string (event type, see Game.recordEvent())
+ * - round: number (hand the event happened in)
+ * - at: Date (when it happened)
+ * - data: Object (event details, e.g. { playerIndex, cardIndex, card, chosenColor } for a play)
+ */
+
+/**
+ * Append an event to a game's log
+ * @param {string} gameId - Game ID
+ * @param {Object} event - Event from Game.recordEvent(): { seq, type, round, at, ...data }
+ * @returns {Promise<boolean>} False if the game already has an event at this position
+ */
+export async function appendGameEvent(gameId, event) {
+    const db = await getDatabase();
+    const collection = db.collection(COLLECTION_NAME);
+    
+    const { seq, type, round, at, ...data } = event;
+    try {
+        await collection.insertOne({
+            gameId: gameId,
+            seq: seq,
+            type: type,
+            round: round,
+            at: new Date(at),
+            data: data
+        });
+        return true;
+    } catch (error) {
+        if (error.code === 11000) { // Duplicate key - unique index on gameId + seq
+            return false;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Get a game's event log
+ * @param {string} gameId - Game ID
+ * @returns {Promise<Array>} Events in the order they happened
+ */
+export async function getGameEvents(gameId) {
+    const db = await getDatabase();
+    const collection = db.collection(COLLECTION_NAME);
+    
+    return await collection
+        .find({ gameId: gameId })
+        .sort({ seq: 1 })
+        .toArray();
+}
+
+/**
+ * Drop a game's events from a position onwards
+ * A restored game continues from its last snapshot - events recorded after it never happened.
+ * @param {string} gameId - Game ID
+ * @param {number} fromSeq - First position to drop
+ * @returns {Promise<number>} Number of events dropped
+ */
+export async function deleteGameEventsFrom(gameId, fromSeq) {
+    const db = await getDatabase();
+    const collection = db.collection(COLLECTION_NAME);
+    
+    const result = await collection.deleteMany({ gameId: gameId, seq: { $gte: fromSeq } });
+    return result.deletedCount;
+}
@@ -8,11 +8,15 @@ const COLLECTION_NAME = 'matchHistory';
  * Schema:
  * - _id: ObjectId (auto-generated)
  * - gameId: string (unique game identifier)
- * - players: Array of { username: string, wallet: string }
+ * - players: Array of { username: string, wallet: string, place: number, stats: Object }
+ *   - place: finishing place (1 = winner, equal places finished level, forfeits share last place)
+ *   - stats: { cardsLeft, handPoints, cardsPlayed, draws, cardsDrawn, unoCalls, unoPenalties, timeouts, disconnectedMs }
  * - gameMode: string ('2p', '3p', '4p')
  * - winner: { username: string, wallet: string }
  * - stake: number (SOL stake per player)
  * - winAmount: number (Total SOL won by winner, after fees)
+ * - scores: Array of number (final match score per player, same order as players - match mode only)
+ * - hands: Array of { round: number, winner: { username, wallet }, points: number, scores: Array of number, endedAt: Date } (every hand of a match)
  * - createdAt: Date (match end time)
  * - txHash: string (Solana transaction hash, optional initially)
  */
@@ -21,11 +25,13 @@ const COLLECTION_NAME = 'matchHistory';
  * Create a new match history record
  * @param {Object} matchData - Match data
  * @param {string} matchData.gameId - Unique game identifier (required)
- * @param {Array<{username: string, wallet: string}>} matchData.players - Array of players
+ * @param {Array<{username: string, wallet: string, place: number, stats: Object}>} matchData.players - Array of players (with finishing place and per-player stats)
  * @param {string} matchData.gameMode - Game mode ('2p', '3p', '4p')
  * @param {Object} matchData.winner - Winner object { username: string, wallet: string }
  * @param {number} matchData.stake - SOL stake per player
  * @param {number} matchData.winAmount - Total SOL won by winner (after fees)
+ * @param {Array<number>} [matchData.scores] - Final match scores (match mode)
+ * @param {Array<Object>} [matchData.hands] - Result of every hand (match mode)
  * @param {string} [matchData.txHash] - Optional transaction hash
  * @returns {Promise<Object>} Created match history document
  */
@@ -44,6 +50,8 @@ export async function createMatchHistory(matchData) {
         winner: matchData.winner,
         stake: matchData.stake || 0,
         winAmount: matchData.winAmount || 0,
+        scores: matchData.scores || null,
+        hands: matchData.hands || [],
         createdAt: new Date(),
         txHash: matchData.txHash || null
     };
@@ -55,17 +63,28 @@ export async function createMatchHistory(matchData) {
 }
 
 /**
- * Get recent wins for display
- * @param {number} limit - Number of recent wins to return (default: 20)
+ * Get recent wins for display, newest first
+ * @param {number} limit - Number of recent wins to return (default: 10)
+ * @param {Object} [before] - Cursor: only wins older than this one { createdAt: Date, gameId: string }
  * @returns {Promise<Array>} Array of recent win documents
  */
-export async function getRecentWins(limit = 10) {
+export async function getRecentWins(limit = 10, before = null) {
     const db = await getDatabase();
     const collection = db.collection(COLLECTION_NAME);
     
+    // gameId breaks ties between matches that ended in the same millisecond
+    const query = before
+        ? {
+            $or: [
+                { createdAt: { $lt: before.createdAt } },
+                { createdAt: before.createdAt, gameId: { $lt: before.gameId } }
+            ]
+        }
+        : {};
+    
     return await collection
-        .find({})
-        .sort({ createdAt: -1 })
+        .find(query)
+        .sort({ createdAt: -1, gameId: -1 })
         .limit(limit)
         .toArray();
 }
@@ -185,7 +204,8 @@ export async function getAllMatchHistory(limit = 100, skip = 0) {
 /**
  * Get match statistics for a user
  * @param {string} wallet - User's wallet address
- * @returns {Promise<Object>} Statistics object
+ * @returns {Promise<Object>} Statistics object { totalMatches, wins, losses, winRate, totalWagered, totalWon, netSol, play }
+ *   play: { matches, averagePlace, cardsPlayed, cardsDrawn, unoCalls, unoPenalties, timeouts, disconnectedMs } over matches with per-player stats (null if none)
  */
 export async function getUserMatchStats(wallet) {
     const db = await getDatabase();
@@ -204,11 +224,124 @@ export async function getUserMatchStats(wallet) {
     
     const losses = totalMatches - wins;
     
+    // SOL staked across every match and paid out for the ones won
+    const [totals] = await collection.aggregate([
+        { $match: { 'players.wallet': wallet } },
+        {
+            $group: {
+                _id: null,
+                totalWagered: { $sum: '$stake' },
+                totalWon: { $sum: { $cond: [{ $eq: ['$winner.wallet', wallet] }, '$winAmount', 0] } }
+            }
+        }
+    ]).toArray();
+    
+    const totalWagered = totals ? totals.totalWagered : 0;
+    const totalWon = totals ? totals.totalWon : 0;
+    
+    // Per-player counters (matches recorded before they were tracked have none)
+    const [play] = await collection.aggregate([
+        { $match: { 'players.wallet': wallet } },
+        { $unwind: '$players' },
+        { $match: { 'players.wallet': wallet, 'players.stats': { $exists: true } } },
+        {
+            $group: {
+                _id: null,
+                matches: { $sum: 1 },
+                averagePlace: { $avg: '$players.place' },
+                cardsPlayed: { $sum: '$players.stats.cardsPlayed' },
+                cardsDrawn: { $sum: '$players.stats.cardsDrawn' },
+                unoCalls: { $sum: '$players.stats.unoCalls' },
+                unoPenalties: { $sum: '$players.stats.unoPenalties' },
+                timeouts: { $sum: '$players.stats.timeouts' },
+                disconnectedMs: { $sum: '$players.stats.disconnectedMs' }
+            }
+        },
+        { $project: { _id: 0 } }
+    ]).toArray();
+    
     return {
         totalMatches,
         wins,
         losses,
-        winRate: totalMatches > 0 ? (wins / totalMatches * 100).toFixed(2) : 0
+        winRate: totalMatches > 0 ? (wins / totalMatches * 100).toFixed(2) : 0,
+        totalWagered: Number(totalWagered.toFixed(9)),
+        totalWon: Number(totalWon.toFixed(9)),
+        netSol: Number((totalWon - totalWagered).toFixed(9)),
+        play: play ? { ...play, averagePlace: Number(play.averagePlace.toFixed(2)) } : null
     };
 }
 
+/**
+ * Rank players by their staked match history
+ * @param {Object} options - Leaderboard options
+ * @param {string} options.sortBy - 'profit' (net SOL), 'wins' or 'winRate'
+ * @param {Date} [options.since] - Only count matches that ended after this
+ * @param {string} [options.gameMode] - Only count this game mode ('2p', '3p', '4p')
+ * @param {number} [options.minStake] - Only count stakes of at least this much SOL
+ * @param {number} [options.maxStake] - Only count stakes below this much SOL
+ * @param {number} [options.minGames] - Leave out players with fewer matches
+ * @param {number} [options.limit] - Number of players to return
+ * @returns {Promise<Array>} Array of { wallet, username, pfpUrl, rating (null if unrated), games, wins, winRate, wagered, won, profit }, best first
+ */
+export async function getLeaderboard({ sortBy, since = null, gameMode = null, minStake = null, maxStake = null, minGames = 1, limit = 50 }) {
+    const db = await getDatabase();
+    const collection = db.collection(COLLECTION_NAME);
+    
+    const match = {};
+    if (since) {
+        match.createdAt = { $gte: since };
+    }
+    if (gameMode) {
+        match.gameMode = gameMode;
+    }
+    if (minStake !== null || maxStake !== null) {
+        match.stake = {};
+        if (minStake !== null) match.stake.$gte = minStake;
+        if (maxStake !== null) match.stake.$lt = maxStake;
+    }
+    
+    const isWinner = { $eq: ['$winner.wallet', '$players.wallet'] };
+    
+    return await collection.aggregate([
+        { $match: match },
+        { $unwind: '$players' },
+        { $match: { 'players.wallet': { $ne: null } } },
+        {
+            $group: {
+                _id: '$players.wallet',
+                username: { $last: '$players.username' },
+                games: { $sum: 1 },
+                wins: { $sum: { $cond: [isWinner, 1, 0] } },
+                wagered: { $sum: '$stake' },
+                won: { $sum: { $cond: [isWinner, '$winAmount', 0] } }
+            }
+        },
+        { $match: { games: { $gte: minGames } } },
+        {
+            $addFields: {
+                profit: { $subtract: ['$won', '$wagered'] },
+                winRate: { $divide: ['$wins', '$games'] }
+            }
+        },
+        { $sort: { [sortBy]: -1, games: -1, _id: 1 } },
+        { $limit: limit },
+        // Current username and profile picture
+        { $lookup: { from: 'users', localField: '_id', foreignField: 'wallet', as: 'user' } },
+        {
+            $project: {
+                _id: 0,
+                wallet: '$_id',
+                username: { $ifNull: [{ $arrayElemAt: ['$user.username', 0] }, '$username'] },
+                pfpUrl: { $ifNull: [{ $arrayElemAt: ['$user.pfpUrl', 0] }, '/pfp/default.jpg'] },
+                rating: { $arrayElemAt: ['$user.rating', 0] },
+                games: 1,
+                wins: 1,
+                winRate: 1,
+                wagered: 1,
+                won: 1,
+                profit: 1
+            }
+        }
+    ]).toArray();
+}
@@ -0,0 +1,202 @@
+import { getDatabase } from '../db.js';
+
+const COLLECTION_NAME = 'payments';
+
+/**
+ * Payment states
+ * verified -> seated -> in_game -> settled
+ *          \         \
+ *           refunded  refunded
+ */
+export const PAYMENT_STATUS = {
+    VERIFIED: 'verified', // Deposit confirmed on-chain, not yet used for a seat
+    SEATED: 'seated', // Player holds a lobby seat with this deposit
+    IN_GAME: 'in_game', // Deposit is part of a running game's pot
+    SETTLED: 'settled', // Game finished and pot was paid out
+    REFUNDED: 'refunded' // Deposit returned to the player
+};
+
+/**
+ * Payment Model
+ *
+ * Schema:
+ * - _id: ObjectId (auto-generated)
+ * - signature: string (unique, deposit transaction signature - prevents replay)
+ * - wallet: string (wallet that made the deposit)
+ * - lobbyId: string (lobby the deposit was made for)
+ * - solAmount: number (SOL amount deposited)
+ * - status: string (see PAYMENT_STATUS)
+ * - gameId: string (game the deposit was staked in, null until in_game)
+ * - refundSignature: string (refund transaction hash, null unless refunded)
+ * - refundAmount: number (SOL refunded - a pro-rata pot share for abandoned games, otherwise solAmount)
+ * - refundReason: string ('left_lobby', 'seat_expired', 'lobby_expired', 'lobby_closed', 'match_cancelled', 'game_abandoned')
+ * - refundNotified: boolean (false until the player has been told about the refund)
+ * - createdAt: Date
+ * - updatedAt: Date
+ */
+
+/**
+ * Record a verified deposit
+ * @param {Object} paymentData - Payment data
+ * @param {string} paymentData.signature - Deposit transaction signature
+ * @param {string} paymentData.wallet - Depositing wallet
+ * @param {string} paymentData.lobbyId - Lobby ID
+ * @param {number} paymentData.solAmount - SOL amount
+ * @returns {Promise<Object|null>} Created payment document, or null if the signature was already used
+ */
+export async function createPayment(paymentData) {
+    const db = await getDatabase();
+    const collection = db.collection(COLLECTION_NAME);
+    
+    const payment = {
+        signature: paymentData.signature,
+        wallet: paymentData.wallet,
+        lobbyId: paymentData.lobbyId,
+        solAmount: paymentData.solAmount,
+        status: PAYMENT_STATUS.VERIFIED,
+        gameId: null,
+        refundSignature: null,
+        refundAmount: null,
+        refundReason: null,
+        refundNotified: false,
+        createdAt: new Date(),
+        updatedAt: new Date()
+    };
+    
+    try {
+        const result = await collection.insertOne(payment);
+        return await collection.findOne({ _id: result.insertedId });
+    } catch (error) {
+        if (error.code === 11000) { // Duplicate key - signature already recorded
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Get payment by deposit signature
+ * @param {string} signature - Deposit transaction signature
+ * @returns {Promise<Object|null>} Payment document or null
+ */
+export async function getPaymentBySignature(signature) {
+    const db = await getDatabase();
+    const collection = db.collection(COLLECTION_NAME);
+    
+    return await collection.findOne({ signature: signature });
+}
+
+/**
+ * Get payments in a given state
+ * @param {string} status - Payment status (see PAYMENT_STATUS)
+ * @returns {Promise<Array>} Array of payment documents
+ */
+export async function getPaymentsByStatus(status) {
+    const db = await getDatabase();
+    const collection = db.collection(COLLECTION_NAME);
+    
+    return await collection.find({ status: status }).toArray();
+}
+
+/**
+ * Get payments staked in a game
+ * @param {string} gameId - Game ID
+ * @returns {Promise<Array>} Array of payment documents
+ */
+export async function getPaymentsByGameId(gameId) {
+    const db = await getDatabase();
+    const collection = db.collection(COLLECTION_NAME);
+    
+    return await collection.find({ gameId: gameId }).toArray();
+}
+
+/**
+ * Atomically move a payment from one state to another
+ * The update only applies if the payment is currently in one of the expected states,
+ * so two concurrent transitions can never both succeed.
+ * @param {string} signature - Deposit transaction signature
+ * @param {string|Array<string>} fromStatus - Expected current status(es)
+ * @param {string} toStatus - New status
+ * @param {Object} [extra] - Extra fields to set
+ * @returns {Promise<Object|null>} Updated payment document, or null if the payment was not in an expected state
+ */
+export async function transitionPayment(signature, fromStatus, toStatus, extra = {}) {
+    const db = await getDatabase();
+    const collection = db.collection(COLLECTION_NAME);
+    
+    const fromStatuses = Array.isArray(fromStatus) ? fromStatus : [fromStatus];
+    
+    const result = await collection.findOneAndUpdate(
+        { signature: signature, status: { $in: fromStatuses } },
+        {
+            $set: {
+                ...extra,
+                status: toStatus,
+                updatedAt: new Date()
+            }
+        },
+        { returnDocument: 'after' }
+    );
+    
+    return result;
+}
+
+/**
+ * Atomically move every payment of a game from one state to another
+ * @param {string} gameId - Game ID
+ * @param {string} fromStatus - Expected current status
+ * @param {string} toStatus - New status
+ * @param {Object} [extra] - Extra fields to set
+ * @returns {Promise<number>} Number of payments updated
+ */
+export async function transitionGamePayments(gameId, fromStatus, toStatus, extra = {}) {
+    const db = await getDatabase();
+    const collection = db.collection(COLLECTION_NAME);
+    
+    const result = await collection.updateMany(
+        { gameId: gameId, status: fromStatus },
+        {
+            $set: {
+                ...extra,
+                status: toStatus,
+                updatedAt: new Date()
+            }
+        }
+    );
+    
+    return result.modifiedCount;
+}
+
+/**
+ * Get refunds the player has not been told about yet
+ * @param {string} wallet - Wallet address
+ * @returns {Promise<Array>} Array of refunded payment documents
+ */
+export async function getUnnotifiedRefunds(wallet) {
+    const db = await getDatabase();
+    const collection = db.collection(COLLECTION_NAME);
+    
+    return await collection.find({
+        wallet: wallet,
+        status: PAYMENT_STATUS.REFUNDED,
+        refundSignature: { $ne: null },
+        refundNotified: false
+    }).toArray();
+}
+
+/**
+ * Mark a refund as delivered to the player
+ * @param {string} signature - Deposit transaction signature
+ * @returns {Promise<boolean>} True if this call marked it (false if already notified)
+ */
+export async function markRefundNotified(signature) {
+    const db = await getDatabase();
+    const collection = db.collection(COLLECTION_NAME);
+    
+    const result = await collection.updateOne(
+        { signature: signature, refundNotified: false },
+        { $set: { refundNotified: true, updatedAt: new Date() } }
+    );
+    
+    return result.modifiedCount > 0;
+}
@@ -0,0 +1,74 @@
+import { getDatabase } from '../db.js';
+
+const COLLECTION_NAME = 'practiceMatches';
+
+/**
+ * Practice Match Model
+ * Results of free-play (zero-stake) games, kept apart from the staked match history
+ * so recent wins and stats only ever count games played for SOL.
+ *
+ * Schema:
+ * - _id: ObjectId (auto-generated)
+ * - gameId: string (unique game identifier)
+ * - players: Array of { username: string, wallet: string|null, bot: string|null, place: number, stats: Object } (guests and bots have no wallet; place and stats as in matchHistory)
+ * - gameMode: string ('2p', '3p', '4p')
+ * - ruleSet: string (rule set preset ID)
+ * - winner: { username: string, wallet: string|null, bot: string|null }
+ * - scores: Array of number (final match score per player, same order as players - match mode only)
+ * - hands: Array of { round: number, winner: { username, wallet }, points: number, scores: Array of number, endedAt: Date } (every hand of a match)
+ * - createdAt: Date (match end time)
+ */
+
+/**
+ * Create a practice match record
+ * @param {Object} matchData - Match data
+ * @param {string} matchData.gameId - Unique game identifier (required)
+ * @param {Array<Object>} matchData.players - Array of { username, wallet, bot, place, stats }
+ * @param {string} matchData.gameMode - Game mode ('2p', '3p', '4p')
+ * @param {string} matchData.ruleSet - Rule set preset ID
+ * @param {Object} matchData.winner - Winner object { username, wallet, bot }
+ * @param {Array<number>} [matchData.scores] - Final match scores (match mode)
+ * @param {Array<Object>} [matchData.hands] - Result of every hand (match mode)
+ * @returns {Promise<Object>} Created practice match document
+ */
+export async function createPracticeMatch(matchData) {
+    const db = await getDatabase();
+    const collection = db.collection(COLLECTION_NAME);
+    
+    if (!matchData.gameId) {
+        throw new Error('gameId is required for a practice match');
+    }
+    
+    const practiceMatch = {
+        gameId: matchData.gameId,
+        players: matchData.players,
+        gameMode: matchData.gameMode,
+        ruleSet: matchData.ruleSet,
+        winner: matchData.winner,
+        scores: matchData.scores || null,
+        hands: matchData.hands || [],
+        createdAt: new Date()
+    };
+    
+    const result = await collection.insertOne(practiceMatch);
+    return { ...practiceMatch, _id: result.insertedId };
+}
+
+/**
+ * Get practice matches by wallet address
+ * @param {string} wallet - User's wallet address
+ * @param {number} limit - Number of matches to return
+ * @param {number} skip - Number of matches to skip
+ * @returns {Promise<Array>} Array of practice match documents, newest first
+ */
+export async function getPracticeMatchesByWallet(wallet, limit = 50, skip = 0) {
+    const db = await getDatabase();
+    const collection = db.collection(COLLECTION_NAME);
+    
+    return await collection
+        .find({ 'players.wallet': wallet })
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .toArray();
+}
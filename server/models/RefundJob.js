@@ -0,0 +1,261 @@
+import { getDatabase } from '../db.js';
+
+const COLLECTION_NAME = 'refundJobs';
+
+/**
+ * Refund Job Model
+ * One job per refunded deposit (a seat given up before its game started, or a share of an abandoned game's pot) - the refund is retried until it lands.
+ *
+ * Schema:
+ * - _id: ObjectId (auto-generated)
+ * - paymentSignature: string (unique, deposit being refunded)
+ * - gameId: string (abandoned game the deposit was staked in, null for seat refunds)
+ * - wallet: string (wallet receiving the refund)
+ * - amount: number (SOL to refund - the deposit, or the player's share of the pot)
+ * - reason: string (refund reason recorded on the payment, e.g. 'left_lobby' or 'game_abandoned')
+ * - status: string ('pending', 'processing', 'completed', 'failed')
+ * - attempts: number (transfer attempts so far)
+ * - lastError: string (error from the last failed attempt)
+ * - nextAttemptAt: Date (backoff - job is not picked up before this time)
+ * - lockedUntil: Date (lease while processing - an expired lease means the worker died mid-attempt)
+ * - pendingSignature: string (signature of the last signed transfer, recorded before it is sent)
+ * - pendingLastValidBlockHeight: number (after this block height the pending transfer can no longer land)
+ * - txSignature: string (confirmed transfer signature, null until completed)
+ * - createdAt: Date
+ * - updatedAt: Date
+ * - completedAt: Date
+ */
+
+/**
+ * Queue a refund for a deposit (no-op if the deposit already has a job)
+ * @param {Object} jobData - Job data
+ * @param {string} jobData.paymentSignature - Deposit transaction signature
+ * @param {string|null} jobData.gameId - Game ID (null for seat refunds)
+ * @param {string} jobData.wallet - Wallet receiving the refund
+ * @param {number} jobData.amount - SOL to refund
+ * @param {string} jobData.reason - Refund reason
+ * @returns {Promise<Object>} Refund job document
+ */
+export async function createRefundJob(jobData) {
+    const db = await getDatabase();
+    const collection = db.collection(COLLECTION_NAME);
+    
+    const result = await collection.findOneAndUpdate(
+        { paymentSignature: jobData.paymentSignature },
+        {
+            $setOnInsert: {
+                paymentSignature: jobData.paymentSignature,
+                gameId: jobData.gameId,
+                wallet: jobData.wallet,
+                amount: jobData.amount,
+                reason: jobData.reason,
+                status: 'pending',
+                attempts: 0,
+                lastError: null,
+                nextAttemptAt: new Date(),
+                lockedUntil: null,
+                pendingSignature: null,
+                pendingLastValidBlockHeight: null,
+                txSignature: null,
+                createdAt: new Date(),
+                updatedAt: new Date(),
+                completedAt: null
+            }
+        },
+        { upsert: true, returnDocument: 'after' }
+    );
+    
+    return result;
+}
+
+/**
+ * Get refund job by deposit signature
+ * @param {string} paymentSignature - Deposit transaction signature
+ * @returns {Promise<Object|null>} Refund job document or null
+ */
+export async function getRefundJobByPaymentSignature(paymentSignature) {
+    const db = await getDatabase();
+    const collection = db.collection(COLLECTION_NAME);
+    
+    return await collection.findOne({ paymentSignature: paymentSignature });
+}
+
+/**
+ * Get refund jobs by status
+ * @param {string|Array<string>} status - Job status (or several)
+ * @returns {Promise<Array>} Array of refund job documents
+ */
+export async function getRefundJobsByStatus(status) {
+    const db = await getDatabase();
+    const collection = db.collection(COLLECTION_NAME);
+    
+    const filter = Array.isArray(status) ? { status: { $in: status } } : { status: status };
+    return await collection.find(filter).sort({ createdAt: 1 }).toArray();
+}
+
+/**
+ * Claim a due job for processing
+ * A job is due when its backoff has passed, or when a previous worker's lease expired.
+ * Only one caller can claim a job at a time.
+ * @param {string|null} paymentSignature - Claim this deposit's job, or any due job if null
+ * @param {number} leaseMs - How long the claim is held
+ * @returns {Promise<Object|null>} Claimed job document or null if nothing is due
+ */
+export async function claimRefundJob(paymentSignature, leaseMs) {
+    const db = await getDatabase();
+    const collection = db.collection(COLLECTION_NAME);
+    
+    const now = new Date();
+    const filter = {
+        $or: [
+            { status: 'pending', nextAttemptAt: { $lte: now } },
+            { status: 'processing', lockedUntil: { $lt: now } }
+        ]
+    };
+    if (paymentSignature) {
+        filter.paymentSignature = paymentSignature;
+    }
+    
+    const result = await collection.findOneAndUpdate(
+        filter,
+        {
+            $set: {
+                status: 'processing',
+                lockedUntil: new Date(now.getTime() + leaseMs),
+                updatedAt: now
+            },
+            $inc: { attempts: 1 }
+        },
+        { sort: { nextAttemptAt: 1 }, returnDocument: 'after' }
+    );
+    
+    return result;
+}
+
+/**
+ * Record the signature of a signed transfer before it is sent
+ * @param {string} paymentSignature - Deposit transaction signature
+ * @param {string} signature - Refund transaction signature
+ * @param {number} lastValidBlockHeight - Last block height the transaction can land in
+ * @returns {Promise<Object|null>} Updated job document or null
+ */
+export async function recordRefundSignature(paymentSignature, signature, lastValidBlockHeight) {
+    const db = await getDatabase();
+    const collection = db.collection(COLLECTION_NAME);
+    
+    const result = await collection.findOneAndUpdate(
+        { paymentSignature: paymentSignature },
+        {
+            $set: {
+                pendingSignature: signature,
+                pendingLastValidBlockHeight: lastValidBlockHeight,
+                updatedAt: new Date()
+            }
+        },
+        { returnDocument: 'after' }
+    );
+    
+    return result;
+}
+
+/**
+ * Forget a pending transfer that can no longer land (expired blockhash or failed on-chain)
+ * @param {string} paymentSignature - Deposit transaction signature
+ * @returns {Promise<Object|null>} Updated job document or null
+ */
+export async function clearRefundSignature(paymentSignature) {
+    const db = await getDatabase();
+    const collection = db.collection(COLLECTION_NAME);
+    
+    const result = await collection.findOneAndUpdate(
+        { paymentSignature: paymentSignature },
+        {
+            $set: {
+                pendingSignature: null,
+                pendingLastValidBlockHeight: null,
+                updatedAt: new Date()
+            }
+        },
+        { returnDocument: 'after' }
+    );
+    
+    return result;
+}
+
+/**
+ * Mark a job as completed
+ * @param {string} paymentSignature - Deposit transaction signature
+ * @param {string} txSignature - Confirmed refund transaction signature
+ * @returns {Promise<Object|null>} Updated job document or null
+ */
+export async function completeRefundJob(paymentSignature, txSignature) {
+    const db = await getDatabase();
+    const collection = db.collection(COLLECTION_NAME);
+    
+    return await collection.findOneAndUpdate(
+        { paymentSignature: paymentSignature },
+        {
+            $set: {
+                status: 'completed',
+                txSignature: txSignature,
+                pendingSignature: null,
+                pendingLastValidBlockHeight: null,
+                lockedUntil: null,
+                lastError: null,
+                completedAt: new Date(),
+                updatedAt: new Date()
+            }
+        },
+        { returnDocument: 'after' }
+    );
+}
+
+/**
+ * Put a job back in the queue after a failed attempt
+ * @param {string} paymentSignature - Deposit transaction signature
+ * @param {string} error - Error message
+ * @param {Date} nextAttemptAt - When to try again
+ * @returns {Promise<Object|null>} Updated job document or null
+ */
+export async function rescheduleRefundJob(paymentSignature, error, nextAttemptAt) {
+    const db = await getDatabase();
+    const collection = db.collection(COLLECTION_NAME);
+    
+    return await collection.findOneAndUpdate(
+        { paymentSignature: paymentSignature },
+        {
+            $set: {
+                status: 'pending',
+                lastError: error,
+                nextAttemptAt: nextAttemptAt,
+                lockedUntil: null,
+                updatedAt: new Date()
+            }
+        },
+        { returnDocument: 'after' }
+    );
+}
+
+/**
+ * Give up on a job (needs manual attention)
+ * @param {string} paymentSignature - Deposit transaction signature
+ * @param {string} error - Error message
+ * @returns {Promise<Object|null>} Updated job document or null
+ */
+export async function failRefundJob(paymentSignature, error) {
+    const db = await getDatabase();
+    const collection = db.collection(COLLECTION_NAME);
+    
+    return await collection.findOneAndUpdate(
+        { paymentSignature: paymentSignature },
+        {
+            $set: {
+                status: 'failed',
+                lastError: error,
+                lockedUntil: null,
+                updatedAt: new Date()
+            }
+        },
+        { returnDocument: 'after' }
+    );
+}
@@ -0,0 +1,62 @@
+import { getDatabase } from '../db.js';
+
+const COLLECTION_NAME = 'sessions';
+
+/**
+ * Session Model
+ *
+ * Schema:
+ * - _id: ObjectId (auto-generated)
+ * - token: string (unique, opaque session token)
+ * - wallet: string (wallet that proved ownership by signing the sign-in challenge)
+ * - expiresAt: Date (TTL index removes the document after this time)
+ * - createdAt: Date
+ */
+
+/**
+ * Create a new session
+ * @param {string} token - Session token
+ * @param {string} wallet - Authenticated wallet address
+ * @param {Date} expiresAt - Session expiry
+ * @returns {Promise<Object>} Created session document
+ */
+export async function createSession(token, wallet, expiresAt) {
+    const db = await getDatabase();
+    const collection = db.collection(COLLECTION_NAME);
+    
+    const session = {
+        token,
+        wallet,
+        expiresAt,
+        createdAt: new Date()
+    };
+    
+    const result = await collection.insertOne(session);
+    
+    return await collection.findOne({ _id: result.insertedId });
+}
+
+/**
+ * Get session by token
+ * @param {string} token - Session token
+ * @returns {Promise<Object|null>} Session document or null
+ */
+export async function getSessionByToken(token) {
+    const db = await getDatabase();
+    const collection = db.collection(COLLECTION_NAME);
+    
+    return await collection.findOne({ token: token });
+}
+
+/**
+ * Delete a session (sign out)
+ * @param {string} token - Session token
+ * @returns {Promise<boolean>} True if a session was deleted
+ */
+export async function deleteSession(token) {
+    const db = await getDatabase();
+    const collection = db.collection(COLLECTION_NAME);
+    
+    const result = await collection.deleteOne({ token: token });
+    return result.deletedCount > 0;
+}
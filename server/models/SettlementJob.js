@@ -0,0 +1,263 @@
+import { getDatabase } from '../db.js';
+
+const COLLECTION_NAME = 'settlementJobs';
+
+/**
+ * Settlement Job Model
+ * One job per finished game - the winnings transfer is retried until it lands.
+ *
+ * Schema:
+ * - _id: ObjectId (auto-generated)
+ * - gameId: string (unique, one job per game)
+ * - winnerWallet: string (wallet receiving the winnings)
+ * - totalStake: number (total SOL in the pot)
+ * - status: string ('pending', 'processing', 'completed', 'failed')
+ * - attempts: number (transfer attempts so far)
+ * - lastError: string (error from the last failed attempt)
+ * - nextAttemptAt: Date (backoff - job is not picked up before this time)
+ * - lockedUntil: Date (lease while processing - an expired lease means the worker died mid-attempt)
+ * - pendingSignature: string (signature of the last signed transfer, recorded before it is sent)
+ * - pendingLastValidBlockHeight: number (after this block height the pending transfer can no longer land)
+ * - txSignature: string (confirmed transfer signature, null until completed)
+ * - feeAmount: number (SOL sent to the fee wallet)
+ * - winnerAmount: number (SOL sent to the winner)
+ * - createdAt: Date
+ * - updatedAt: Date
+ * - completedAt: Date
+ */
+
+/**
+ * Queue a settlement for a game (no-op if the game already has a job)
+ * @param {Object} jobData - Job data
+ * @param {string} jobData.gameId - Game ID
+ * @param {string} jobData.winnerWallet - Winner wallet
+ * @param {number} jobData.totalStake - Total SOL in the pot
+ * @returns {Promise<Object>} Settlement job document
+ */
+export async function createSettlementJob(jobData) {
+    const db = await getDatabase();
+    const collection = db.collection(COLLECTION_NAME);
+    
+    const result = await collection.findOneAndUpdate(
+        { gameId: jobData.gameId },
+        {
+            $setOnInsert: {
+                gameId: jobData.gameId,
+                winnerWallet: jobData.winnerWallet,
+                totalStake: jobData.totalStake,
+                status: 'pending',
+                attempts: 0,
+                lastError: null,
+                nextAttemptAt: new Date(),
+                lockedUntil: null,
+                pendingSignature: null,
+                pendingLastValidBlockHeight: null,
+                txSignature: null,
+                feeAmount: null,
+                winnerAmount: null,
+                createdAt: new Date(),
+                updatedAt: new Date(),
+                completedAt: null
+            }
+        },
+        { upsert: true, returnDocument: 'after' }
+    );
+    
+    return result;
+}
+
+/**
+ * Get settlement job by game ID
+ * @param {string} gameId - Game ID
+ * @returns {Promise<Object|null>} Settlement job document or null
+ */
+export async function getSettlementJobByGameId(gameId) {
+    const db = await getDatabase();
+    const collection = db.collection(COLLECTION_NAME);
+    
+    return await collection.findOne({ gameId: gameId });
+}
+
+/**
+ * Get settlement jobs by status
+ * @param {string} status - Job status
+ * @returns {Promise<Array>} Array of settlement job documents
+ */
+export async function getSettlementJobsByStatus(status) {
+    const db = await getDatabase();
+    const collection = db.collection(COLLECTION_NAME);
+    
+    return await collection.find({ status: status }).sort({ createdAt: 1 }).toArray();
+}
+
+/**
+ * Claim a due job for processing
+ * A job is due when its backoff has passed, or when a previous worker's lease expired.
+ * Only one caller can claim a job at a time.
+ * @param {string|null} gameId - Claim this game's job, or any due job if null
+ * @param {number} leaseMs - How long the claim is held
+ * @returns {Promise<Object|null>} Claimed job document or null if nothing is due
+ */
+export async function claimSettlementJob(gameId, leaseMs) {
+    const db = await getDatabase();
+    const collection = db.collection(COLLECTION_NAME);
+    
+    const now = new Date();
+    const filter = {
+        $or: [
+            { status: 'pending', nextAttemptAt: { $lte: now } },
+            { status: 'processing', lockedUntil: { $lt: now } }
+        ]
+    };
+    if (gameId) {
+        filter.gameId = gameId;
+    }
+    
+    const result = await collection.findOneAndUpdate(
+        filter,
+        {
+            $set: {
+                status: 'processing',
+                lockedUntil: new Date(now.getTime() + leaseMs),
+                updatedAt: now
+            },
+            $inc: { attempts: 1 }
+        },
+        { sort: { nextAttemptAt: 1 }, returnDocument: 'after' }
+    );
+    
+    return result;
+}
+
+/**
+ * Record the signature of a signed transfer before it is sent
+ * @param {string} gameId - Game ID
+ * @param {string} signature - Transaction signature
+ * @param {number} lastValidBlockHeight - Last block height the transaction can land in
+ * @returns {Promise<Object|null>} Updated job document or null
+ */
+export async function recordSettlementSignature(gameId, signature, lastValidBlockHeight) {
+    const db = await getDatabase();
+    const collection = db.collection(COLLECTION_NAME);
+    
+    const result = await collection.findOneAndUpdate(
+        { gameId: gameId },
+        {
+            $set: {
+                pendingSignature: signature,
+                pendingLastValidBlockHeight: lastValidBlockHeight,
+                updatedAt: new Date()
+            }
+        },
+        { returnDocument: 'after' }
+    );
+    
+    return result;
+}
+
+/**
+ * Forget a pending transfer that can no longer land (expired blockhash or failed on-chain)
+ * @param {string} gameId - Game ID
+ * @returns {Promise<Object|null>} Updated job document or null
+ */
+export async function clearSettlementSignature(gameId) {
+    const db = await getDatabase();
+    const collection = db.collection(COLLECTION_NAME);
+    
+    const result = await collection.findOneAndUpdate(
+        { gameId: gameId },
+        {
+            $set: {
+                pendingSignature: null,
+                pendingLastValidBlockHeight: null,
+                updatedAt: new Date()
+            }
+        },
+        { returnDocument: 'after' }
+    );
+    
+    return result;
+}
+
+/**
+ * Mark a job as completed
+ * @param {string} gameId - Game ID
+ * @param {Object} result - Transfer result
+ * @param {string} result.txSignature - Confirmed transaction signature
+ * @param {number} result.feeAmount - SOL sent to the fee wallet
+ * @param {number} result.winnerAmount - SOL sent to the winner
+ * @returns {Promise<Object|null>} Updated job document or null
+ */
+export async function completeSettlementJob(gameId, result) {
+    const db = await getDatabase();
+    const collection = db.collection(COLLECTION_NAME);
+    
+    return await collection.findOneAndUpdate(
+        { gameId: gameId },
+        {
+            $set: {
+                status: 'completed',
+                txSignature: result.txSignature,
+                feeAmount: result.feeAmount,
+                winnerAmount: result.winnerAmount,
+                pendingSignature: null,
+                pendingLastValidBlockHeight: null,
+                lockedUntil: null,
+                lastError: null,
+                completedAt: new Date(),
+                updatedAt: new Date()
+            }
+        },
+        { returnDocument: 'after' }
+    );
+}
+
+/**
+ * Put a job back in the queue after a failed attempt
+ * @param {string} gameId - Game ID
+ * @param {string} error - Error message
+ * @param {Date} nextAttemptAt - When to try again
+ * @returns {Promise<Object|null>} Updated job document or null
+ */
+export async function rescheduleSettlementJob(gameId, error, nextAttemptAt) {
+    const db = await getDatabase();
+    const collection = db.collection(COLLECTION_NAME);
+    
+    return await collection.findOneAndUpdate(
+        { gameId: gameId },
+        {
+            $set: {
+                status: 'pending',
+                lastError: error,
+                nextAttemptAt: nextAttemptAt,
+                lockedUntil: null,
+                updatedAt: new Date()
+            }
+        },
+        { returnDocument: 'after' }
+    );
+}
+
+/**
+ * Give up on a job (needs manual attention)
+ * @param {string} gameId - Game ID
+ * @param {string} error - Error message
+ * @returns {Promise<Object|null>} Updated job document or null
+ */
+export async function failSettlementJob(gameId, error) {
+    const db = await getDatabase();
+    const collection = db.collection(COLLECTION_NAME);
+    
+    return await collection.findOneAndUpdate(
+        { gameId: gameId },
+        {
+            $set: {
+                status: 'failed',
+                lastError: error,
+                lockedUntil: null,
+                updatedAt: new Date()
+            }
+        },
+        { returnDocument: 'after' }
+    );
+}
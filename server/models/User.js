@@ -1,6 +1,7 @@
 import { getDatabase } from '../db.js';
 
 const COLLECTION_NAME = 'users';
+const RATING_HISTORY_SIZE = 100; // Rating changes kept on each user
 
 /**
  * User Model
@@ -10,6 +11,9 @@ const COLLECTION_NAME = 'users';
  * - username: string (unique)
  * - wallet: string (unique, public wallet address)
  * - pfpUrl: string (profile picture URL, e.g., "/pfp/{userId}.webp")
+ * - rating: number (Elo rating from staked matches, unset until the first rated match)
+ * - ratedGames: number (staked matches that changed the rating)
+ * - ratingHistory: Array of { gameId, rating, change, place, players, createdAt } (most recent RATING_HISTORY_SIZE)
  * - createdAt: Date
  * - updatedAt: Date
  */
@@ -136,3 +140,39 @@ export async function getAllUsers(limit = 100, skip = 0) {
         .toArray();
 }
 
+
+/**
+ * Record a rating change after a rated match
+ * A match that is already in the user's rating history is not applied again.
+ * @param {string} wallet - User's public wallet address
+ * @param {Object} change - Rating change
+ * @param {string} change.gameId - Rated game
+ * @param {number} change.rating - New rating
+ * @param {number} change.change - Rating points gained (negative if lost)
+ * @param {number} change.place - Finishing place (1 = winner)
+ * @param {number} change.players - Rated players in the match
+ * @returns {Promise<boolean>} True if the change was recorded
+ */
+export async function recordRatingChange(wallet, { gameId, rating, change, place, players }) {
+    const db = await getDatabase();
+    const collection = db.collection(COLLECTION_NAME);
+    
+    const result = await collection.updateOne(
+        { wallet: wallet, 'ratingHistory.gameId': { $ne: gameId } },
+        {
+            $set: {
+                rating: rating,
+                updatedAt: new Date()
+            },
+            $inc: { ratedGames: 1 },
+            $push: {
+                ratingHistory: {
+                    $each: [{ gameId, rating, change, place, players, createdAt: new Date() }],
+                    $slice: -RATING_HISTORY_SIZE
+                }
+            }
+        }
+    );
+    
+    return result.modifiedCount > 0;
+}
@@ -2,4 +2,11 @@
 export * from './User.js';
 export * from './MatchHistory.js';
 export * from './Game.js';
+export * from './Session.js';
+export * from './Payment.js';
+export * from './GameEvent.js';
+export * from './ChatMessage.js';
+export * from './PracticeMatch.js';
 
+export * from './SettlementJob.js';
+export * from './RefundJob.js';
@@ -45,6 +45,13 @@ export async function initializeIndexes() {
         await matchHistoryCollection.createIndex({ gameId: 1 }, { unique: true });
         await matchHistoryCollection.createIndex({ createdAt: -1 });
         await matchHistoryCollection.createIndex({ gameMode: 1 });
+        // Per-player stats of a wallet's matches, newest first (profile stats and abuse checks)
+        await matchHistoryCollection.createIndex({ 'players.wallet': 1, createdAt: -1 });
+        
+        // Practice matches collection indexes (free-play games, kept apart from match history)
+        const practiceMatchesCollection = db.collection('practiceMatches');
+        await practiceMatchesCollection.createIndex({ gameId: 1 }, { unique: true });
+        await practiceMatchesCollection.createIndex({ 'players.wallet': 1, createdAt: -1 });
         
         // Games collection indexes
         const gamesCollection = db.collection('games');
@@ -56,6 +63,38 @@ export async function initializeIndexes() {
         await gamesCollection.createIndex({ startedAt: -1 });
         await gamesCollection.createIndex({ endedAt: -1 });
         
+        // Game events collection indexes (unique seq keeps every game's log in one order)
+        const gameEventsCollection = db.collection('gameEvents');
+        await gameEventsCollection.createIndex({ gameId: 1, seq: 1 }, { unique: true });
+        
+        // Chat messages collection indexes
+        const chatMessagesCollection = db.collection('chatMessages');
+        await chatMessagesCollection.createIndex({ lobbyId: 1, createdAt: 1 });
+        await chatMessagesCollection.createIndex({ gameId: 1 });
+        
+        // Payments collection indexes (unique signature prevents deposit replay)
+        const paymentsCollection = db.collection('payments');
+        await paymentsCollection.createIndex({ signature: 1 }, { unique: true });
+        await paymentsCollection.createIndex({ wallet: 1, status: 1 });
+        await paymentsCollection.createIndex({ gameId: 1 });
+        await paymentsCollection.createIndex({ status: 1 });
+        
+        // Settlement jobs collection indexes (unique gameId prevents paying a game twice)
+        const settlementJobsCollection = db.collection('settlementJobs');
+        await settlementJobsCollection.createIndex({ gameId: 1 }, { unique: true });
+        await settlementJobsCollection.createIndex({ status: 1, nextAttemptAt: 1 });
+        
+        // Refund jobs collection indexes (unique paymentSignature prevents refunding a deposit twice)
+        const refundJobsCollection = db.collection('refundJobs');
+        await refundJobsCollection.createIndex({ paymentSignature: 1 }, { unique: true });
+        await refundJobsCollection.createIndex({ status: 1, nextAttemptAt: 1 });
+        
+        // Sessions collection indexes (TTL index expires sessions automatically)
+        const sessionsCollection = db.collection('sessions');
+        await sessionsCollection.createIndex({ token: 1 }, { unique: true });
+        await sessionsCollection.createIndex({ wallet: 1 });
+        await sessionsCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+        
         console.log('✅ Database indexes initialized successfully');
     } catch (error) {
         console.error('❌ Error initializing database indexes:', error);
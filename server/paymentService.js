@@ -1,4 +1,4 @@
-import { Connection, Keypair, PublicKey, SystemProgram, Transaction, sendAndConfirmTransaction, LAMPORTS_PER_SOL } from '@solana/web3.js';
+import { Connection, Keypair, PublicKey, SystemProgram, Transaction, sendAndConfirmRawTransaction, LAMPORTS_PER_SOL } from '@solana/web3.js';
 import bs58 from 'bs58';
 import dotenv from 'dotenv';
 
@@ -20,7 +20,7 @@ const connection = new Connection(
 );
 
 // Get wallets from environment variables
-const ESCROW_WALLET = process.env.ESCROW_WALLET;
+export const ESCROW_WALLET = process.env.ESCROW_WALLET;
 const FEE_WALLET = process.env.FEE_WALLET;
 const ESCROW_SECRET = process.env.ESCROW_SECRET;
 const FEE_SECRET = process.env.FEE_SECRET;
@@ -75,6 +75,10 @@ if (!ESCROW_WALLET || !FEE_WALLET || !ESCROW_SECRET || !FEE_SECRET) {
     }
 }
 
+// Solana rent exemption minimum is approximately 0.00089 SOL
+// Escrow must always keep this much to stay alive, so it can never be paid out
+export const RENT_EXEMPTION_MINIMUM = 0.00089;
+
 /**
  * Convert SOL amount to lamports
  */
@@ -187,9 +191,12 @@ export async function verifyPayment(signature, userWallet, solAmount) {
  * Refund payment from escrow to user
  * @param {string} userWallet - User's wallet public key
  * @param {number} solAmount - Amount in SOL to refund
+ * @param {Object} [options] - Options
+ * @param {Function} [options.onSigned] - async (signature, lastValidBlockHeight) called after signing, before sending
+ *   (see distributeWinnings)
  * @returns {Object} Result with transaction signature
  */
-export async function refundPayment(userWallet, solAmount) {
+export async function refundPayment(userWallet, solAmount, options = {}) {
     try {
         if (!escrowKeypair) {
             throw new Error('Escrow wallet not configured');
@@ -208,15 +215,22 @@ export async function refundPayment(userWallet, solAmount) {
         );
 
         // Get recent blockhash
-        const { blockhash } = await connection.getLatestBlockhash();
+        const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash('confirmed');
         transaction.recentBlockhash = blockhash;
         transaction.feePayer = escrowPublicKey;
 
-        // Sign and send transaction
-        const signature = await sendAndConfirmTransaction(
+        // Sign locally so the signature is known before anything is sent
+        transaction.sign(escrowKeypair);
+        const signature = bs58.encode(transaction.signature);
+
+        if (options.onSigned) {
+            await options.onSigned(signature, lastValidBlockHeight);
+        }
+
+        await sendAndConfirmRawTransaction(
             connection,
-            transaction,
-            [escrowKeypair],
+            transaction.serialize(),
+            { signature, blockhash, lastValidBlockHeight },
             { commitment: 'confirmed' }
         );
 
@@ -234,13 +248,29 @@ export async function refundPayment(userWallet, solAmount) {
     }
 }
 
+/**
+ * Split a pot into the 2% fee and the winner's share
+ * @param {number} totalStake - Total stake amount in SOL
+ * @returns {Object} { feeAmount, winnerAmount } in SOL
+ */
+export function calculatePayout(totalStake) {
+    const feeAmount = totalStake * 0.02; // 2% fee
+    return {
+        feeAmount: feeAmount,
+        winnerAmount: totalStake - feeAmount
+    };
+}
+
 /**
  * Distribute winnings to winner (minus 2% fee to fee wallet)
  * @param {string} winnerWallet - Winner's wallet public key
  * @param {number} totalStake - Total stake amount in SOL
+ * @param {Object} [options] - Options
+ * @param {Function} [options.onSigned] - async (signature, lastValidBlockHeight) called after signing, before sending.
+ *   Lets the caller record the signature so a retry can check whether this transfer landed instead of paying twice.
  * @returns {Object} Result with transaction signatures
  */
-export async function distributeWinnings(winnerWallet, totalStake) {
+export async function distributeWinnings(winnerWallet, totalStake, options = {}) {
     try {
         console.log(`[distributeWinnings] Starting distribution for winner: ${winnerWallet}, totalStake: ${totalStake} SOL`);
         
@@ -260,12 +290,9 @@ export async function distributeWinnings(winnerWallet, totalStake) {
         console.log(`[distributeWinnings] Escrow wallet balance: ${escrowBalanceSol} SOL (${escrowPublicKey.toString()})`);
 
         // Calculate amounts
-        const feeAmount = totalStake * 0.02; // 2% fee
-        const winnerAmount = totalStake - feeAmount;
+        const { feeAmount, winnerAmount } = calculatePayout(totalStake);
         
-        // Solana rent exemption minimum is approximately 0.00089 SOL
         // We need to leave enough in escrow for rent exemption + transaction fees
-        const RENT_EXEMPTION_MINIMUM = 0.00089; // Minimum balance to keep account alive
         const TRANSACTION_FEE_ESTIMATE = 0.00001; // Estimated transaction fee
         const MINIMUM_BALANCE = RENT_EXEMPTION_MINIMUM + TRANSACTION_FEE_ESTIMATE;
         
@@ -319,11 +346,19 @@ export async function distributeWinnings(winnerWallet, totalStake) {
             combinedTransaction.recentBlockhash = blockhash;
             combinedTransaction.feePayer = escrowPublicKey;
 
-            console.log(`[distributeWinnings] Combined transaction prepared, sending...`);
-            const signature = await sendAndConfirmTransaction(
+            // Sign locally so the signature is known before anything is sent
+            combinedTransaction.sign(escrowKeypair);
+            const signature = bs58.encode(combinedTransaction.signature);
+
+            if (options.onSigned) {
+                await options.onSigned(signature, lastValidBlockHeight);
+            }
+
+            console.log(`[distributeWinnings] Combined transaction prepared, sending ${signature}...`);
+            await sendAndConfirmRawTransaction(
                 connection,
-                combinedTransaction,
-                [escrowKeypair],
+                combinedTransaction.serialize(),
+                { signature, blockhash, lastValidBlockHeight },
                 { 
                     commitment: 'confirmed',
                     skipPreflight: false
@@ -373,6 +408,41 @@ export async function distributeWinnings(winnerWallet, totalStake) {
     }
 }
 
+/**
+ * Check what happened to a previously sent transaction
+ * @param {string} signature - Transaction signature
+ * @param {number} lastValidBlockHeight - Last block height the transaction could land in
+ * @returns {Object} { status: 'confirmed' | 'failed' | 'pending' | 'expired' | 'unknown', error }
+ *   'expired' means the transaction never landed and can no longer land, so it is safe to send a new one.
+ */
+export async function getTransactionOutcome(signature, lastValidBlockHeight) {
+    try {
+        // Read the block height first - if the signature is still unknown after that,
+        // the transaction cannot have landed in a block we already looked past
+        const blockHeight = await connection.getBlockHeight('confirmed');
+        const { value } = await connection.getSignatureStatuses([signature], { searchTransactionHistory: true });
+        const status = value[0];
+
+        if (status) {
+            if (status.err) {
+                return { status: 'failed', error: JSON.stringify(status.err) };
+            }
+            if (status.confirmationStatus === 'confirmed' || status.confirmationStatus === 'finalized') {
+                return { status: 'confirmed' };
+            }
+            return { status: 'pending' };
+        }
+
+        if (lastValidBlockHeight && blockHeight > lastValidBlockHeight) {
+            return { status: 'expired' };
+        }
+        return { status: 'pending' };
+    } catch (error) {
+        console.error('Error checking transaction outcome:', error);
+        return { status: 'unknown', error: error.message };
+    }
+}
+
 /**
  * Get wallet balance
  * @param {string} walletAddress - Wallet public key
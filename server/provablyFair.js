@@ -0,0 +1,170 @@
+import crypto from 'crypto';
+
+/**
+ * Provably fair shuffling (commit-reveal)
+ * Every lobby picks a secret server seed and publishes its SHA-256 hash before anyone joins.
+ * Each player adds a client seed when they take a seat, so neither side controls the deck alone.
+ *
+ * Every shuffle in a game (the deal, reshuffles of the discard pile, each hand of a match) is a
+ * Fisher-Yates driven by HMAC-SHA256(serverSeed, "<clientSeeds joined by ':'>:<nonce>:<counter>"),
+ * where nonce is the shuffle's position in the game. The server seed is revealed when the game ends,
+ * so anyone can recompute every deck - public/verify/verify.js implements the same algorithm.
+ *
+ * A wild first card gets its color from the same HMAC under the dedicated nonce "<deal nonce>:firstCard",
+ * so the color is fixed by the seeds as well.
+ *
+ * A seat whose client sent no seed (bots, older clients) is given one by the server. Those seats are
+ * listed in generatedSeats - they add nothing the server doesn't already know, and the verifier says so.
+ * A lobby commits a fresh server seed for every game it starts, so no seed is ever used twice.
+ */
+
+const CLIENT_SEED_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const UINT32_RANGE = 0x100000000;
+const FIRST_CARD_COLORS = ['red', 'green', 'blue', 'yellow'];
+
+/**
+ * Generate a random hex seed
+ * @param {number} [bytes] - Seed length in bytes
+ * @returns {string} Hex seed
+ */
+export function generateSeed(bytes = 32) {
+    return crypto.randomBytes(bytes).toString('hex');
+}
+
+/**
+ * Commitment published for a server seed
+ * @param {string} serverSeed - Server seed
+ * @returns {string} SHA-256 hash (hex)
+ */
+export function hashSeed(serverSeed) {
+    return crypto.createHash('sha256').update(serverSeed).digest('hex');
+}
+
+/**
+ * Validate a client seed sent by a player
+ * @param {*} clientSeed - Seed from the client
+ * @returns {string|null} Seed, or null if it is missing or malformed
+ */
+export function normalizeClientSeed(clientSeed) {
+    if (typeof clientSeed !== 'string') {
+        return null;
+    }
+    const seed = clientSeed.trim();
+    return CLIENT_SEED_PATTERN.test(seed) ? seed : null;
+}
+
+/**
+ * Fresh fairness record for a game
+ * @param {string} serverSeed - Server seed committed by the lobby
+ * @param {Array<string>} clientSeeds - Client seed per player index
+ * @param {Array<number>} [generatedSeats] - Player indexes whose client seed was generated by the server
+ * @returns {Object} { serverSeed, serverSeedHash, clientSeeds, generatedSeats, shuffles }
+ */
+export function createFairness(serverSeed, clientSeeds, generatedSeats = []) {
+    return {
+        serverSeed: serverSeed,
+        serverSeedHash: hashSeed(serverSeed),
+        clientSeeds: clientSeeds,
+        generatedSeats: generatedSeats,
+        shuffles: [] // { nonce, round, reason: 'deal'|'reshuffle', seats (deal), cards (reshuffle input), firstCardColor (deal with a wild first card) }
+    };
+}
+
+/**
+ * Deterministic random integers for one shuffle
+ * @returns {Function} randomInt(max) - uniform integer in [0, max)
+ */
+function createSeededRandom(serverSeed, clientSeeds, nonce) {
+    const message = `${clientSeeds.join(':')}:${nonce}`;
+    let counter = 0;
+    let block = null;
+    let offset = 0;
+    
+    const nextUint32 = () => {
+        if (!block || offset >= block.length) {
+            block = crypto.createHmac('sha256', serverSeed).update(`${message}:${counter}`).digest();
+            counter++;
+            offset = 0;
+        }
+        const value = block.readUInt32BE(offset);
+        offset += 4;
+        return value;
+    };
+    
+    return (max) => {
+        // Rejection sampling keeps every index equally likely
+        const limit = UINT32_RANGE - (UINT32_RANGE % max);
+        let value = nextUint32();
+        while (value >= limit) {
+            value = nextUint32();
+        }
+        return value % max;
+    };
+}
+
+/**
+ * Shuffle a deck with the game's seeds (Fisher-Yates, same loop as the old Math.random shuffle)
+ * @param {Array} deck - Cards to shuffle (not modified)
+ * @param {string} serverSeed - Server seed
+ * @param {Array<string>} clientSeeds - Client seed per player index
+ * @param {number} nonce - Shuffle number within the game
+ * @returns {Array} Shuffled copy
+ */
+export function fairShuffle(deck, serverSeed, clientSeeds, nonce) {
+    const randomInt = createSeededRandom(serverSeed, clientSeeds, nonce);
+    const shuffled = [...deck];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = randomInt(i + 1);
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+/**
+ * Color for a wild first card, picked with the seeds of the deal it was turned up from
+ * @param {string} serverSeed - Server seed
+ * @param {Array<string>} clientSeeds - Client seed per player index
+ * @param {number} dealNonce - Nonce of the hand's deal shuffle
+ * @returns {string} 'red', 'green', 'blue' or 'yellow'
+ */
+export function fairFirstCardColor(serverSeed, clientSeeds, dealNonce) {
+    const randomInt = createSeededRandom(serverSeed, clientSeeds, `${dealNonce}:firstCard`);
+    return FIRST_CARD_COLORS[randomInt(FIRST_CARD_COLORS.length)];
+}
+
+/**
+ * Fairness data players may see during the game
+ * @param {Object} fairness - Fairness record
+ * @param {boolean} reveal - Include the server seed (only once the game is over)
+ * @returns {Object|null} { serverSeedHash, clientSeeds, generatedSeats, serverSeed }
+ */
+export function publicFairness(fairness, reveal) {
+    if (!fairness) {
+        return null;
+    }
+    return {
+        serverSeedHash: fairness.serverSeedHash,
+        clientSeeds: fairness.clientSeeds,
+        generatedSeats: fairness.generatedSeats || [],
+        serverSeed: reveal ? fairness.serverSeed : null
+    };
+}
+
+/**
+ * Recompute every shuffle of a finished game from its revealed seeds
+ * @param {Object} fairness - Revealed fairness record
+ * @param {Array} standardDeck - Unshuffled deck every deal starts from
+ * @returns {Object} { commitmentValid, shuffles: [{ nonce, round, reason, deck, firstCardColor }] }
+ *   firstCardColor (deals only) is the color the seeds give a wild first card of that hand.
+ */
+export function replayShuffles(fairness, standardDeck) {
+    const commitmentValid = hashSeed(fairness.serverSeed) === fairness.serverSeedHash;
+    const shuffles = (fairness.shuffles || []).map(shuffle => ({
+        nonce: shuffle.nonce,
+        round: shuffle.round,
+        reason: shuffle.reason,
+        deck: fairShuffle(shuffle.reason === 'deal' ? standardDeck : shuffle.cards, fairness.serverSeed, fairness.clientSeeds, shuffle.nonce),
+        firstCardColor: shuffle.reason === 'deal' ? fairFirstCardColor(fairness.serverSeed, fairness.clientSeeds, shuffle.nonce) : null
+    }));
+    return { commitmentValid, shuffles };
+}
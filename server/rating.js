@@ -0,0 +1,121 @@
+/**
+ * Player Ratings
+ * Multiplayer Elo: an N-player match is scored as every pair of players playing each other, the
+ * better-placed player winning the pair (players who finish level draw it). Each player's pair results
+ * are averaged, so a 4-player match moves a rating about as far as a 2-player one. Only staked
+ * matches are rated - practice games can be farmed against bots.
+ */
+
+import { cardPoints } from './gameLogic.js';
+import { getUserByWallet, recordRatingChange } from './models/User.js';
+
+export const DEFAULT_RATING = 1500;
+const PROVISIONAL_GAMES = 20; // New players' ratings move faster until they have played this many rated matches
+const PROVISIONAL_K = 48;
+const ESTABLISHED_K = 24;
+
+/**
+ * A user's current rating
+ * @param {Object|null} user - User document
+ * @returns {number}
+ */
+export function ratingOf(user) {
+    return user && typeof user.rating === 'number' ? user.rating : DEFAULT_RATING;
+}
+
+/**
+ * Finishing place of every player in a finished game (1 = winner, equal places are a draw)
+ * Behind the winner, players are ordered by match score (match mode), then by the fewest card
+ * points left in hand. Players who forfeited share last place.
+ * @param {Object} fullState - Server view of the game state
+ * @returns {Array<number>} Place per player index
+ */
+export function getPlacements(fullState) {
+    const matchMode = (fullState.handResults || []).length > 0;
+    
+    const standing = fullState.players.map((player, index) => {
+        if (index === fullState.winner) {
+            return [0];
+        }
+        if (player.eliminated) {
+            return [2];
+        }
+        const handPoints = (player.hand || []).reduce((sum, card) => sum + cardPoints(card), 0);
+        return [1, matchMode ? -(fullState.scores[index] || 0) : 0, handPoints];
+    });
+    
+    const compare = (a, b) => {
+        for (let i = 0; i < Math.max(a.length, b.length); i++) {
+            if ((a[i] || 0) !== (b[i] || 0)) {
+                return (a[i] || 0) - (b[i] || 0);
+            }
+        }
+        return 0;
+    };
+    
+    return standing.map(own => 1 + standing.filter(other => compare(other, own) < 0).length);
+}
+
+/**
+ * Rating changes for one match
+ * @param {Array<Object>} players - { rating, ratedGames, place } per rated player
+ * @returns {Array<number>} Rating change per player (rounded)
+ */
+export function computeRatingChanges(players) {
+    return players.map((player, index) => {
+        let score = 0;
+        let expected = 0;
+        players.forEach((opponent, opponentIndex) => {
+            if (opponentIndex === index) return;
+            score += player.place < opponent.place ? 1 : (player.place === opponent.place ? 0.5 : 0);
+            expected += 1 / (1 + Math.pow(10, (opponent.rating - player.rating) / 400));
+        });
+        
+        const k = (player.ratedGames || 0) < PROVISIONAL_GAMES ? PROVISIONAL_K : ESTABLISHED_K;
+        return Math.round(k * (score - expected) / (players.length - 1));
+    });
+}
+
+/**
+ * Rate a finished staked game and store the new ratings
+ * @param {string} gameId - Game ID
+ * @param {Object} fullState - Server view of the finished game state
+ * @returns {Promise<Array<Object>>} { wallet, rating, change, place } per rated player (empty if fewer than two could be rated)
+ */
+export async function rateMatch(gameId, fullState) {
+    const places = getPlacements(fullState);
+    const seats = fullState.players
+        .map((player, index) => ({ wallet: player.wallet, place: places[index] }))
+        .filter(seat => seat.wallet);
+    
+    const users = await Promise.all(seats.map(seat => getUserByWallet(seat.wallet)));
+    const rated = seats
+        .map((seat, index) => ({ ...seat, user: users[index] }))
+        .filter(seat => seat.user);
+    if (rated.length < 2) {
+        return [];
+    }
+    
+    const changes = computeRatingChanges(rated.map(seat => ({
+        rating: ratingOf(seat.user),
+        ratedGames: seat.user.ratedGames,
+        place: seat.place
+    })));
+    
+    const results = [];
+    for (let i = 0; i < rated.length; i++) {
+        const rating = ratingOf(rated[i].user) + changes[i];
+        const recorded = await recordRatingChange(rated[i].wallet, {
+            gameId: gameId,
+            rating: rating,
+            change: changes[i],
+            place: rated[i].place,
+            players: rated.length
+        });
+        if (recorded) {
+            results.push({ wallet: rated[i].wallet, rating: rating, change: changes[i], place: rated[i].place });
+        }
+    }
+    
+    return results;
+}
@@ -0,0 +1,206 @@
+import { LAMPORTS_PER_SOL } from '@solana/web3.js';
+import { ESCROW_WALLET, RENT_EXEMPTION_MINIMUM, getWalletBalance } from './paymentService.js';
+import { getGamesAwaitingPayout, getGamesByGameIds } from './models/Game.js';
+import { PAYMENT_STATUS, getPaymentsByStatus } from './models/Payment.js';
+import { getSettlementJobsByStatus } from './models/SettlementJob.js';
+import { getRefundJobsByStatus } from './models/RefundJob.js';
+
+/**
+ * Escrow reconciliation
+ * Adds up everything the escrow wallet still owes players and compares it with the
+ * on-chain balance. Flags deposits nobody is tracking, pots that were paid out twice
+ * and any shortfall.
+ *
+ * Owed:
+ * - verified and seated deposits (refundable until the game starts)
+ * - the pot of every game that is running or finished without a payout
+ * - seat and abandoned-game refunds still queued for retry
+ */
+
+const STALE_DEPOSIT_AGE = 60 * 60 * 1000; // Verified deposit never used for a seat after 1 hour
+
+/**
+ * Convert SOL to whole lamports so sums don't drift
+ */
+function toLamports(sol) {
+    return Math.round((sol || 0) * LAMPORTS_PER_SOL);
+}
+
+/**
+ * Convert lamports back to SOL for the report
+ */
+function toSol(lamports) {
+    return lamports / LAMPORTS_PER_SOL;
+}
+
+/**
+ * Build the reconciliation report
+ * @returns {Promise<Object>} Report { ok, escrowBalance, liabilities, difference, orphanedDeposits, doublePayouts, shortfall, ... }
+ */
+export async function runReconciliation() {
+    const generatedAt = new Date();
+    
+    const [verifiedPayments, seatedPayments, inGamePayments, refundedPayments, openGames, failedJobs, queuedRefundJobs, failedRefundJobs] = await Promise.all([
+        getPaymentsByStatus(PAYMENT_STATUS.VERIFIED),
+        getPaymentsByStatus(PAYMENT_STATUS.SEATED),
+        getPaymentsByStatus(PAYMENT_STATUS.IN_GAME),
+        getPaymentsByStatus(PAYMENT_STATUS.REFUNDED),
+        getGamesAwaitingPayout(),
+        getSettlementJobsByStatus('failed'),
+        getRefundJobsByStatus(['pending', 'processing']),
+        getRefundJobsByStatus('failed')
+    ]);
+    
+    // Games referenced by in-game and refunded deposits, to check them against their game
+    const referencedGameIds = [...new Set(
+        [...inGamePayments, ...refundedPayments].map(p => p.gameId).filter(Boolean)
+    )];
+    const referencedGames = referencedGameIds.length > 0 ? await getGamesByGameIds(referencedGameIds) : [];
+    const gamesById = new Map(referencedGames.map(g => [g.gameId, g]));
+    
+    // What escrow owes
+    const unseatedLamports = verifiedPayments.reduce((sum, p) => sum + toLamports(p.solAmount), 0);
+    const seatedLamports = seatedPayments.reduce((sum, p) => sum + toLamports(p.solAmount), 0);
+    const activePotLamports = openGames
+        .filter(g => g.status === 'active')
+        .reduce((sum, g) => sum + toLamports(g.totalStake || (g.solStake * g.gameMode)), 0);
+    const unpaidPotLamports = openGames
+        .filter(g => g.status === 'finished')
+        .reduce((sum, g) => sum + toLamports(g.totalStake || (g.solStake * g.gameMode)), 0);
+    // Refunded deposits leave the counts above as soon as their refunds are queued - what is still in escrow is owed here
+    const queuedRefundLamports = [...queuedRefundJobs, ...failedRefundJobs].reduce((sum, job) => sum + toLamports(job.amount), 0);
+    const totalLamports = unseatedLamports + seatedLamports + activePotLamports + unpaidPotLamports + queuedRefundLamports;
+    
+    // Deposits the escrow holds but no lobby or game will ever pay out or refund
+    const orphanedDeposits = [];
+    
+    for (const payment of verifiedPayments) {
+        if (generatedAt - new Date(payment.createdAt) > STALE_DEPOSIT_AGE) {
+            orphanedDeposits.push({
+                signature: payment.signature,
+                wallet: payment.wallet,
+                solAmount: payment.solAmount,
+                status: payment.status,
+                reason: 'Verified deposit was never used for a seat or refunded'
+            });
+        }
+    }
+    
+    for (const payment of inGamePayments) {
+        const game = gamesById.get(payment.gameId);
+        let reason = null;
+        
+        if (!game) {
+            reason = 'Deposit is staked in a game that does not exist';
+        } else if (game.status === 'cancelled') {
+            reason = 'Game was cancelled but the deposit was neither refunded nor settled';
+        } else if (game.status === 'finished' && game.winningsTxHash) {
+            reason = 'Game was paid out but the deposit was never marked settled';
+        }
+        
+        if (reason) {
+            orphanedDeposits.push({
+                signature: payment.signature,
+                wallet: payment.wallet,
+                solAmount: payment.solAmount,
+                status: payment.status,
+                gameId: payment.gameId,
+                reason: reason
+            });
+        }
+    }
+    
+    // Refunded deposits whose refund is neither confirmed nor queued - nothing will ever pay them out
+    const queuedRefundSignatures = new Set([...queuedRefundJobs, ...failedRefundJobs].map(job => job.paymentSignature));
+    for (const payment of refundedPayments) {
+        if (!payment.refundSignature && !queuedRefundSignatures.has(payment.signature)) {
+            orphanedDeposits.push({
+                signature: payment.signature,
+                wallet: payment.wallet,
+                solAmount: payment.solAmount,
+                status: payment.status,
+                gameId: payment.gameId || null,
+                reason: 'Deposit was marked refunded but no refund is queued'
+            });
+        }
+    }
+    
+    // Money that left escrow twice for the same stake
+    const doublePayouts = [];
+    
+    for (const payment of refundedPayments) {
+        const game = payment.gameId ? gamesById.get(payment.gameId) : null;
+        if (payment.refundSignature && game && game.winningsTxHash) {
+            doublePayouts.push({
+                gameId: game.gameId,
+                wallet: payment.wallet,
+                depositSignature: payment.signature,
+                refundSignature: payment.refundSignature,
+                refundAmount: payment.refundAmount ?? payment.solAmount,
+                winningsTxHash: game.winningsTxHash,
+                reason: 'Deposit was refunded although the game pot was paid out'
+            });
+        }
+    }
+    
+    // Refunds claimed but never confirmed - the transfer may or may not have been sent
+    const unconfirmedRefunds = refundedPayments
+        .filter(p => !p.refundSignature)
+        .map(p => ({
+            signature: p.signature,
+            wallet: p.wallet,
+            solAmount: p.solAmount,
+            gameId: p.gameId || null,
+            updatedAt: p.updatedAt
+        }));
+    
+    const failedSettlements = failedJobs.map(job => ({
+        gameId: job.gameId,
+        winnerWallet: job.winnerWallet,
+        totalStake: job.totalStake,
+        attempts: job.attempts,
+        lastError: job.lastError,
+        pendingSignature: job.pendingSignature
+    }));
+    
+    const failedRefunds = failedRefundJobs.map(job => ({
+        gameId: job.gameId,
+        wallet: job.wallet,
+        amount: job.amount,
+        depositSignature: job.paymentSignature,
+        attempts: job.attempts,
+        lastError: job.lastError,
+        pendingSignature: job.pendingSignature
+    }));
+    
+    // Escrow must cover everything owed plus the rent-exempt minimum it can never pay out
+    const escrowBalance = ESCROW_WALLET ? await getWalletBalance(ESCROW_WALLET) : 0;
+    const balanceLamports = toLamports(escrowBalance);
+    const requiredLamports = totalLamports + toLamports(RENT_EXEMPTION_MINIMUM);
+    const shortfall = balanceLamports < requiredLamports
+        ? { amount: toSol(requiredLamports - balanceLamports), required: toSol(requiredLamports) }
+        : null;
+    
+    return {
+        ok: !shortfall && orphanedDeposits.length === 0 && doublePayouts.length === 0,
+        generatedAt: generatedAt,
+        escrowWallet: ESCROW_WALLET || null,
+        escrowBalance: escrowBalance,
+        liabilities: {
+            unseatedDeposits: toSol(unseatedLamports),
+            seatedDeposits: toSol(seatedLamports),
+            activeGamePots: toSol(activePotLamports),
+            unpaidGamePots: toSol(unpaidPotLamports),
+            queuedRefunds: toSol(queuedRefundLamports),
+            total: toSol(totalLamports)
+        },
+        rentReserve: RENT_EXEMPTION_MINIMUM,
+        difference: toSol(balanceLamports - requiredLamports),
+        shortfall: shortfall,
+        orphanedDeposits: orphanedDeposits,
+        doublePayouts: doublePayouts,
+        unconfirmedRefunds: unconfirmedRefunds,
+        failedSettlements: failedSettlements,
+        failedRefunds: failedRefunds
+    };
+}
@@ -0,0 +1,217 @@
+import { refundPayment, getTransactionOutcome } from './paymentService.js';
+import { createRefundJob, getRefundJobByPaymentSignature, claimRefundJob, recordRefundSignature, clearRefundSignature, completeRefundJob, rescheduleRefundJob, failRefundJob } from './models/RefundJob.js';
+import { recordGameRefund } from './models/Game.js';
+import { PAYMENT_STATUS, transitionPayment } from './models/Payment.js';
+
+/**
+ * Refund queue
+ * Every refunded deposit gets one refund job - a seat given up before its game started, or a
+ * share of an abandoned game's pot. A transfer that
+ * fails is retried with exponential backoff by a background worker, and a signed transfer
+ * is recorded before it is sent so a retry never refunds the same deposit twice.
+ *
+ * The deposit is moved to refunded when the job is queued, so it can no longer be settled or
+ * refunded again. Its refund signature is only recorded once the transfer has landed - until
+ * then reconciliation lists it as an unconfirmed refund.
+ */
+
+const LEASE_MS = 3 * 60 * 1000; // Longer than a transfer can take to confirm or expire
+const BASE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 30 * 60 * 1000;
+const MAX_ATTEMPTS = 12; // Roughly 3.5 hours of retries before a job needs manual attention
+const WORKER_INTERVAL_MS = 15 * 1000;
+const WORKER_BATCH_SIZE = 10; // Jobs handled per worker tick
+
+let onRefundedCallback = null;
+let workerInterval = null;
+let workerRunning = false;
+
+/**
+ * Queue the refund of a deposit (no-op if it was already queued)
+ * @param {Object} refund - Refund data
+ * @param {string} refund.paymentSignature - Deposit transaction signature
+ * @param {string|null} refund.gameId - Game ID (null for a seat refunded before its game started)
+ * @param {string} refund.wallet - Wallet receiving the refund
+ * @param {number} refund.amount - SOL to refund
+ * @param {string} refund.reason - Refund reason
+ * @returns {Promise<Object>} Refund job document
+ */
+export async function enqueueRefund(refund) {
+    return await createRefundJob(refund);
+}
+
+/**
+ * Try to refund a deposit right away (the worker picks up anything left)
+ * @param {string} paymentSignature - Deposit transaction signature
+ * @returns {Promise<Object>} { success, job, error, willRetry }
+ */
+export async function processRefund(paymentSignature) {
+    try {
+        const job = await claimRefundJob(paymentSignature, LEASE_MS);
+        if (!job) {
+            const existing = await getRefundJobByPaymentSignature(paymentSignature);
+            if (existing && existing.status === 'completed') {
+                return { success: true, job: existing };
+            }
+            return {
+                success: false,
+                error: existing ? `Refund is ${existing.status}` : 'No refund queued for this deposit',
+                willRetry: !!existing && existing.status !== 'failed'
+            };
+        }
+        
+        return await runRefundJob(job);
+    } catch (error) {
+        console.error(`[processRefund] Error refunding deposit ${paymentSignature}:`, error);
+        return { success: false, error: error.message, willRetry: true };
+    }
+}
+
+/**
+ * Start retrying due refunds in the background
+ * @param {Function} [onRefunded] - Called with the completed job after every successful refund
+ */
+export function startRefundWorker(onRefunded = null) {
+    onRefundedCallback = onRefunded;
+    
+    if (workerInterval) {
+        return;
+    }
+    
+    workerInterval = setInterval(runWorkerTick, WORKER_INTERVAL_MS);
+    runWorkerTick();
+    console.log('✅ Refund worker started');
+}
+
+/**
+ * Stop the background worker
+ */
+export function stopRefundWorker() {
+    if (workerInterval) {
+        clearInterval(workerInterval);
+        workerInterval = null;
+    }
+}
+
+/**
+ * Process due jobs (skips the tick if the previous one is still running)
+ */
+async function runWorkerTick() {
+    if (workerRunning) {
+        return;
+    }
+    workerRunning = true;
+    
+    try {
+        for (let i = 0; i < WORKER_BATCH_SIZE; i++) {
+            const job = await claimRefundJob(null, LEASE_MS);
+            if (!job) {
+                break;
+            }
+            
+            console.log(`[refundWorker] Retrying refund of ${job.amount} SOL to ${job.wallet} (${job.reason}, attempt ${job.attempts})`);
+            const result = await runRefundJob(job);
+            if (result.success && onRefundedCallback) {
+                try {
+                    onRefundedCallback(result.job);
+                } catch (error) {
+                    console.error('❌ [refundWorker] Error in refunded callback:', error);
+                }
+            }
+        }
+    } catch (error) {
+        console.error('[refundWorker] Error processing refund queue:', error);
+    } finally {
+        workerRunning = false;
+    }
+}
+
+/**
+ * Run one attempt of a claimed job
+ * @param {Object} job - Claimed refund job
+ * @returns {Promise<Object>} { success, job, error, willRetry }
+ */
+async function runRefundJob(job) {
+    const paymentSignature = job.paymentSignature;
+    
+    // A previous attempt signed a transfer - find out what happened to it before signing another one
+    if (job.pendingSignature) {
+        const outcome = await getTransactionOutcome(job.pendingSignature, job.pendingLastValidBlockHeight);
+        
+        if (outcome.status === 'confirmed') {
+            console.log(`[runRefundJob] Earlier refund ${job.pendingSignature} to ${job.wallet} landed`);
+            return await finishRefund(job, job.pendingSignature);
+        }
+        
+        if (outcome.status === 'pending' || outcome.status === 'unknown') {
+            // Transfer may still land - sending another one now could refund twice
+            return await scheduleRetry(job, outcome.error || `Refund ${job.pendingSignature} not confirmed yet`);
+        }
+        
+        // Failed on-chain or expired - it will never land, safe to send a new one
+        console.warn(`[runRefundJob] Earlier refund ${job.pendingSignature} to ${job.wallet} ${outcome.status}, sending a new one`);
+        await clearRefundSignature(paymentSignature);
+    }
+    
+    const refundResult = await refundPayment(job.wallet, job.amount, {
+        onSigned: (signature, lastValidBlockHeight) => recordRefundSignature(paymentSignature, signature, lastValidBlockHeight)
+    });
+    
+    if (!refundResult.success) {
+        return await scheduleRetry(job, refundResult.error || 'Refund failed');
+    }
+    
+    return await finishRefund(job, refundResult.signature);
+}
+
+/**
+ * Mark a job completed and record the refund on the deposit and the game
+ * @param {Object} job - Refund job
+ * @param {string} signature - Confirmed refund signature
+ * @returns {Promise<Object>} { success, job }
+ */
+async function finishRefund(job, signature) {
+    const completedJob = await completeRefundJob(job.paymentSignature, signature);
+    console.log(`✅ [finishRefund] Refunded ${job.amount} SOL to ${job.wallet} (${job.reason}, ${signature})`);
+    
+    // The player hears about it through the pending refund notifications
+    try {
+        await transitionPayment(job.paymentSignature, PAYMENT_STATUS.REFUNDED, PAYMENT_STATUS.REFUNDED, {
+            refundSignature: signature,
+            refundAmount: job.amount,
+            refundReason: job.reason,
+            refundNotified: false
+        });
+    } catch (error) {
+        console.error('❌ [finishRefund] Error recording refund on payment:', error);
+    }
+    
+    if (job.gameId) {
+        try {
+            await recordGameRefund(job.gameId, job.wallet, signature);
+        } catch (error) {
+            console.error('❌ [finishRefund] Error recording refund on game:', error);
+        }
+    }
+    
+    return { success: true, job: completedJob };
+}
+
+/**
+ * Put a job back in the queue with exponential backoff, or give up after MAX_ATTEMPTS
+ * @param {Object} job - Refund job
+ * @param {string} error - Why this attempt failed
+ * @returns {Promise<Object>} { success, job, error, willRetry }
+ */
+async function scheduleRetry(job, error) {
+    if (job.attempts >= MAX_ATTEMPTS) {
+        console.error(`❌ [scheduleRetry] Refund to ${job.wallet} (${job.reason}) failed after ${job.attempts} attempts: ${error}`);
+        const failedJob = await failRefundJob(job.paymentSignature, error);
+        return { success: false, job: failedJob, error: error, willRetry: false };
+    }
+    
+    const delay = Math.min(BASE_BACKOFF_MS * Math.pow(2, job.attempts - 1), MAX_BACKOFF_MS);
+    console.warn(`⚠️ [scheduleRetry] Refund to ${job.wallet} (${job.reason}) failed (attempt ${job.attempts}), retrying in ${Math.round(delay / 1000)}s: ${error}`);
+    const pendingJob = await rescheduleRefundJob(job.paymentSignature, error, new Date(Date.now() + delay));
+    return { success: false, job: pendingJob, error: error, willRetry: true };
+}
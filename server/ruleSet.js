@@ -0,0 +1,144 @@
+/**
+ * House Rules
+ * A RuleSet toggles house rules on top of the official UNO rules.
+ * Every Game reads its rules from a RuleSet, and each lobby advertises the preset it uses.
+ */
+
+// Official UNO rules - every preset starts from these
+const OFFICIAL_RULES = {
+    stacking: false, // Draw 2 / Wild Draw 4 can be stacked onto a pending penalty
+    drawUntilPlayable: false, // Keep drawing until a playable card comes up (official: draw once)
+    sevenZero: false, // A 7 swaps hands with the opponent holding the fewest cards, a 0 passes every hand along
+    jumpIn: false, // A card identical to the top card can be played out of turn
+    wildDraw4Challenge: true, // Wild Draw 4 can be played as a bluff and challenged by the next player
+    handSize: 7, // Cards dealt to each player
+    turnTimeLimit: 15000, // Turn timer in milliseconds
+    targetScore: 0 // Match mode: hands are scored until someone reaches this (0 = a single hand wins)
+};
+
+const HAND_SIZE_RANGE = { min: 5, max: 10 };
+const TURN_TIME_RANGE = { min: 5000, max: 60000 };
+const TARGET_SCORE_RANGE = { min: 100, max: 1000 };
+
+export const RULE_SET_PRESETS = {
+    official: {
+        name: 'Official',
+        rules: {}
+    },
+    house: {
+        name: 'House Rules',
+        rules: { stacking: true, drawUntilPlayable: true, jumpIn: true }
+    },
+    party: {
+        name: 'Party',
+        rules: { stacking: true, drawUntilPlayable: true, sevenZero: true, jumpIn: true, handSize: 10, turnTimeLimit: 20000 }
+    },
+    match: {
+        name: 'Match to 500',
+        rules: { targetScore: 500 }
+    }
+};
+
+export const DEFAULT_RULE_SET_ID = 'official';
+
+/**
+ * Clamp a numeric rule into its allowed range (falls back to the official value)
+ */
+function clampRule(value, range, fallback) {
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+        return fallback;
+    }
+    return Math.min(range.max, Math.max(range.min, Math.round(number)));
+}
+
+export class RuleSet {
+    /**
+     * @param {Object} [rules] - Rule overrides (anything missing uses the official rule)
+     * @param {string} [id] - Preset ID this rule set came from
+     * @param {string} [name] - Display name
+     */
+    constructor(rules = {}, id = DEFAULT_RULE_SET_ID, name = RULE_SET_PRESETS[DEFAULT_RULE_SET_ID].name) {
+        const merged = { ...OFFICIAL_RULES, ...rules };
+        
+        this.id = id;
+        this.name = name;
+        this.stacking = !!merged.stacking;
+        this.drawUntilPlayable = !!merged.drawUntilPlayable;
+        this.sevenZero = !!merged.sevenZero;
+        this.jumpIn = !!merged.jumpIn;
+        this.wildDraw4Challenge = !!merged.wildDraw4Challenge;
+        this.handSize = clampRule(merged.handSize, HAND_SIZE_RANGE, OFFICIAL_RULES.handSize);
+        this.turnTimeLimit = clampRule(merged.turnTimeLimit, TURN_TIME_RANGE, OFFICIAL_RULES.turnTimeLimit);
+        this.targetScore = merged.targetScore ? clampRule(merged.targetScore, TARGET_SCORE_RANGE, OFFICIAL_RULES.targetScore) : 0;
+    }
+    
+    /**
+     * Build a rule set from a preset (unknown IDs fall back to official rules)
+     * @param {string} presetId - Key of RULE_SET_PRESETS
+     * @returns {RuleSet} Rule set
+     */
+    static fromPreset(presetId) {
+        const id = RULE_SET_PRESETS[presetId] ? presetId : DEFAULT_RULE_SET_ID;
+        const preset = RULE_SET_PRESETS[id];
+        return new RuleSet(preset.rules, id, preset.name);
+    }
+    
+    /**
+     * Rebuild a rule set from toJSON() output (e.g. a game snapshot)
+     * @param {Object} [data] - Serialized rule set
+     * @returns {RuleSet} Rule set (official rules if data is missing)
+     */
+    static fromJSON(data) {
+        if (!data) {
+            return RuleSet.fromPreset(DEFAULT_RULE_SET_ID);
+        }
+        const { id, name, ...rules } = data;
+        return new RuleSet(rules, id, name);
+    }
+    
+    /**
+     * Check whether a preset ID exists
+     * @param {string} presetId - Preset ID
+     * @returns {boolean} True if the preset exists
+     */
+    static isPreset(presetId) {
+        return !!RULE_SET_PRESETS[presetId];
+    }
+    
+    /**
+     * Short labels for every rule that differs from the official rules (for lobby display)
+     * @returns {Array<string>} Labels
+     */
+    describe() {
+        const labels = [];
+        if (this.stacking) labels.push('Stacking');
+        if (this.drawUntilPlayable) labels.push('Draw until playable');
+        if (this.sevenZero) labels.push('7-0 swaps');
+        if (this.jumpIn) labels.push('Jump-in');
+        if (!this.wildDraw4Challenge) labels.push('No Draw 4 challenges');
+        if (this.handSize !== OFFICIAL_RULES.handSize) labels.push(`${this.handSize} card hands`);
+        if (this.turnTimeLimit !== OFFICIAL_RULES.turnTimeLimit) labels.push(`${this.turnTimeLimit / 1000}s turns`);
+        if (this.targetScore > 0) labels.push(`First to ${this.targetScore} points`);
+        return labels;
+    }
+    
+    /**
+     * Plain object for snapshots and clients
+     * @returns {Object} Serialized rule set
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            stacking: this.stacking,
+            drawUntilPlayable: this.drawUntilPlayable,
+            sevenZero: this.sevenZero,
+            jumpIn: this.jumpIn,
+            wildDraw4Challenge: this.wildDraw4Challenge,
+            handSize: this.handSize,
+            turnTimeLimit: this.turnTimeLimit,
+            targetScore: this.targetScore
+        };
+    }
+}
@@ -0,0 +1,223 @@
+import { distributeWinnings, getTransactionOutcome, calculatePayout } from './paymentService.js';
+import { createSettlementJob, getSettlementJobByGameId, claimSettlementJob, recordSettlementSignature, clearSettlementSignature, completeSettlementJob, rescheduleSettlementJob, failSettlementJob } from './models/SettlementJob.js';
+import { updateGameTransactions } from './models/Game.js';
+import { updateMatchHistoryTxHash } from './models/MatchHistory.js';
+import { PAYMENT_STATUS, transitionGamePayments } from './models/Payment.js';
+
+/**
+ * Settlement queue
+ * Every finished game gets one settlement job. A transfer that fails is retried with
+ * exponential backoff by a background worker, so a flaky RPC never loses a payout.
+ *
+ * Idempotency: the transfer's signature is stored before it is sent. A retry first asks
+ * the chain what happened to that signature and only signs a new transfer once the old
+ * one has failed or its blockhash has expired.
+ */
+
+const LEASE_MS = 3 * 60 * 1000; // Longer than a transfer can take to confirm or expire
+const BASE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 30 * 60 * 1000;
+const MAX_ATTEMPTS = 12; // Roughly 3.5 hours of retries before a job needs manual attention
+const WORKER_INTERVAL_MS = 15 * 1000;
+const WORKER_BATCH_SIZE = 10; // Jobs handled per worker tick
+
+let onSettledCallback = null;
+let workerInterval = null;
+let workerRunning = false;
+
+/**
+ * Queue the winnings transfer for a finished game (no-op if it was already queued)
+ * @param {string} gameId - Game ID
+ * @param {string} winnerWallet - Winner's wallet
+ * @param {number} totalStake - Total SOL in the pot
+ * @returns {Promise<Object>} Settlement job document
+ */
+export async function enqueueSettlement(gameId, winnerWallet, totalStake) {
+    return await createSettlementJob({ gameId, winnerWallet, totalStake });
+}
+
+/**
+ * Try to settle a game right away (used when the game ends, the worker picks up anything left)
+ * @param {string} gameId - Game ID
+ * @returns {Promise<Object>} { success, job, error, willRetry }
+ */
+export async function processSettlement(gameId) {
+    try {
+        const job = await claimSettlementJob(gameId, LEASE_MS);
+        if (!job) {
+            const existing = await getSettlementJobByGameId(gameId);
+            if (existing && existing.status === 'completed') {
+                return { success: true, job: existing };
+            }
+            return {
+                success: false,
+                error: existing ? `Settlement is ${existing.status}` : 'No settlement queued for this game',
+                willRetry: !!existing && existing.status !== 'failed'
+            };
+        }
+        
+        return await runSettlementJob(job);
+    } catch (error) {
+        console.error(`[processSettlement] Error settling game ${gameId}:`, error);
+        return { success: false, error: error.message, willRetry: true };
+    }
+}
+
+/**
+ * Start retrying due settlements in the background
+ * @param {Function} [onSettled] - Called with the completed job after every successful settlement
+ */
+export function startSettlementWorker(onSettled = null) {
+    onSettledCallback = onSettled;
+    
+    if (workerInterval) {
+        return;
+    }
+    
+    workerInterval = setInterval(runWorkerTick, WORKER_INTERVAL_MS);
+    runWorkerTick();
+    console.log('✅ Settlement worker started');
+}
+
+/**
+ * Stop the background worker
+ */
+export function stopSettlementWorker() {
+    if (workerInterval) {
+        clearInterval(workerInterval);
+        workerInterval = null;
+    }
+}
+
+/**
+ * Process due jobs (skips the tick if the previous one is still running)
+ */
+async function runWorkerTick() {
+    if (workerRunning) {
+        return;
+    }
+    workerRunning = true;
+    
+    try {
+        for (let i = 0; i < WORKER_BATCH_SIZE; i++) {
+            const job = await claimSettlementJob(null, LEASE_MS);
+            if (!job) {
+                break;
+            }
+            
+            console.log(`[settlementWorker] Retrying settlement for game ${job.gameId} (attempt ${job.attempts})`);
+            await runSettlementJob(job);
+        }
+    } catch (error) {
+        console.error('[settlementWorker] Error processing settlement queue:', error);
+    } finally {
+        workerRunning = false;
+    }
+}
+
+/**
+ * Run one attempt of a claimed job
+ * @param {Object} job - Claimed settlement job
+ * @returns {Promise<Object>} { success, job, error, willRetry }
+ */
+async function runSettlementJob(job) {
+    const gameId = job.gameId;
+    
+    // A previous attempt signed a transfer - find out what happened to it before signing another one
+    if (job.pendingSignature) {
+        const outcome = await getTransactionOutcome(job.pendingSignature, job.pendingLastValidBlockHeight);
+        
+        if (outcome.status === 'confirmed') {
+            console.log(`[runSettlementJob] Earlier transfer ${job.pendingSignature} for game ${gameId} landed`);
+            return await finishSettlement(job, job.pendingSignature, calculatePayout(job.totalStake));
+        }
+        
+        if (outcome.status === 'pending' || outcome.status === 'unknown') {
+            // Transfer may still land - sending another one now could pay twice
+            return await scheduleRetry(job, outcome.error || `Transfer ${job.pendingSignature} not confirmed yet`);
+        }
+        
+        // Failed on-chain or expired - it will never land, safe to send a new one
+        console.warn(`[runSettlementJob] Earlier transfer ${job.pendingSignature} for game ${gameId} ${outcome.status}, sending a new one`);
+        await clearSettlementSignature(gameId);
+    }
+    
+    const distributionResult = await distributeWinnings(job.winnerWallet, job.totalStake, {
+        onSigned: (signature, lastValidBlockHeight) => recordSettlementSignature(gameId, signature, lastValidBlockHeight)
+    });
+    
+    if (!distributionResult.success) {
+        return await scheduleRetry(job, distributionResult.error || 'Failed to distribute winnings');
+    }
+    
+    const signature = distributionResult.transactions[0]?.signature || null;
+    return await finishSettlement(job, signature, distributionResult);
+}
+
+/**
+ * Mark a job completed and record the payout on the game, match history and deposits
+ * @param {Object} job - Settlement job
+ * @param {string} signature - Confirmed transfer signature
+ * @param {Object} payout - { feeAmount, winnerAmount }
+ * @returns {Promise<Object>} { success, job }
+ */
+async function finishSettlement(job, signature, payout) {
+    const gameId = job.gameId;
+    
+    const completedJob = await completeSettlementJob(gameId, {
+        txSignature: signature,
+        feeAmount: payout.feeAmount,
+        winnerAmount: payout.winnerAmount
+    });
+    console.log(`✅ [finishSettlement] Game ${gameId} settled: ${payout.winnerAmount} SOL to ${job.winnerWallet} (${signature})`);
+    
+    // Fee and winnings go out in one combined transaction, so both hashes are the same
+    try {
+        await updateGameTransactions(gameId, signature, signature);
+    } catch (error) {
+        console.error('❌ [finishSettlement] Error updating game transactions:', error);
+    }
+    
+    try {
+        await updateMatchHistoryTxHash(gameId, signature, payout.winnerAmount);
+    } catch (error) {
+        console.error('❌ [finishSettlement] Error updating match history:', error);
+    }
+    
+    // Pot has been paid out - settle every deposit staked in this game
+    try {
+        const settledCount = await transitionGamePayments(gameId, PAYMENT_STATUS.IN_GAME, PAYMENT_STATUS.SETTLED);
+        console.log(`✅ [finishSettlement] Settled ${settledCount} payment(s) for game ${gameId}`);
+    } catch (error) {
+        console.error('❌ [finishSettlement] Error settling payments:', error);
+    }
+    
+    if (onSettledCallback) {
+        try {
+            onSettledCallback(completedJob);
+        } catch (error) {
+            console.error('❌ [finishSettlement] Error in settled callback:', error);
+        }
+    }
+    
+    return { success: true, job: completedJob };
+}
+
+/**
+ * Put a job back in the queue with exponential backoff, or give up after MAX_ATTEMPTS
+ * @param {Object} job - Settlement job
+ * @param {string} error - Why this attempt failed
+ * @returns {Promise<Object>} { success, job, error, willRetry }
+ */
+async function scheduleRetry(job, error) {
+    if (job.attempts >= MAX_ATTEMPTS) {
+        console.error(`❌ [scheduleRetry] Settlement for game ${job.gameId} failed after ${job.attempts} attempts: ${error}`);
+        const failedJob = await failSettlementJob(job.gameId, error);
+        return { success: false, job: failedJob, error: error, willRetry: false };
+    }
+    
+    const delay = Math.min(BASE_BACKOFF_MS * Math.pow(2, job.attempts - 1), MAX_BACKOFF_MS);
+    console.warn(`⚠️ [scheduleRetry] Settlement for game ${job.gameId} failed (attempt ${job.attempts}), retrying in ${Math.round(delay / 1000)}s: ${error}`);
+    const pendingJob = await rescheduleSettlementJob(job.gameId, error, new Date(Date.now() + delay));
+    return { success: false, job: pendingJob, error: error, willRetry: true };
+}
@@ -0,0 +1,104 @@
+/**
+ * Spectator Stream
+ * Everything a game's spectators receive goes through its stream. Games above a stake threshold
+ * hold events server-side for a delay before releasing them, so a spectator can't relay a live
+ * game to someone sitting at the table (ghosting). Players are never delayed - they don't use the stream.
+ *
+ * Configuration (environment):
+ * - SPECTATOR_DELAY_SECONDS: delay for staked games (default 30, 0 disables)
+ * - SPECTATOR_DELAY_MIN_STAKE: lowest SOL stake that gets the delay (default 0.25)
+ */
+
+const SPECTATOR_DELAY_SECONDS = parseDelaySetting(process.env.SPECTATOR_DELAY_SECONDS, 30);
+const SPECTATOR_DELAY_MIN_STAKE = parseDelaySetting(process.env.SPECTATOR_DELAY_MIN_STAKE, 0.25);
+
+/**
+ * Read a non-negative number from the environment
+ */
+function parseDelaySetting(value, fallback) {
+    const parsed = Number(value);
+    return value !== undefined && value !== '' && Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+/**
+ * Spectator delay for a game at this stake
+ * @param {number} solStake - SOL stake per player
+ * @returns {number} Delay in seconds (0 = live)
+ */
+export function getSpectatorDelay(solStake) {
+    return solStake >= SPECTATOR_DELAY_MIN_STAKE ? SPECTATOR_DELAY_SECONDS : 0;
+}
+
+/**
+ * Move a held event's turn clock (turn_start expiresAt/serverTime) forward by the time it was held,
+ * so delayed spectators count down the turn as it looked when it started instead of one already run out
+ * @param {Object} data - Event payload
+ * @param {number} heldMs - How long the event was held
+ * @returns {Object} Payload to release
+ */
+function rebaseTurnClock(data, heldMs) {
+    if (heldMs <= 0 || !data || typeof data.expiresAt !== 'number') {
+        return data;
+    }
+    return {
+        ...data,
+        expiresAt: data.expiresAt + heldMs,
+        serverTime: typeof data.serverTime === 'number' ? data.serverTime + heldMs : data.serverTime
+    };
+}
+
+export class SpectatorStream {
+    /**
+     * @param {Function} emit - emit(event, data) to the game's spectators
+     * @param {number} delaySeconds - How long events are held before release (0 = live)
+     */
+    constructor(emit, delaySeconds = 0) {
+        this.emit = emit;
+        this.delaySeconds = delaySeconds;
+        this.releasedState = null; // Latest state spectators have been shown (sent to new spectators)
+    }
+    
+    /**
+     * Queue an event for the game's spectators
+     * @param {string} event - Socket event name
+     * @param {Object} data - Event payload
+     */
+    publish(event, data) {
+        const publishedAt = Date.now();
+        this.defer(() => {
+            const released = rebaseTurnClock(data, Date.now() - publishedAt);
+            if (event === 'game_state_update') {
+                this.releasedState = released;
+            }
+            this.emit(event, released);
+        });
+    }
+    
+    /**
+     * spectate_start payload for someone who starts watching - the last released state, later events follow live
+     * @param {string} gameId - Game ID
+     * @param {Array} spectators - Current spectator list
+     * @returns {Object} { gameId, gameState, delay, spectators }
+     */
+    startPayload(gameId, spectators) {
+        return {
+            gameId: gameId,
+            gameState: this.releasedState,
+            delay: this.delaySeconds,
+            spectators: spectators
+        };
+    }
+    
+    /**
+     * Run a callback once everything published so far has been released
+     * @param {Function} callback - Called after the delay
+     */
+    defer(callback) {
+        if (this.delaySeconds === 0) {
+            callback();
+            return;
+        }
+        
+        setTimeout(callback, this.delaySeconds * 1000);
+    }
+}
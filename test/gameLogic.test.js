@@ -0,0 +1,112 @@
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Game } from '../server/gameLogic.js';
+import { RuleSet } from '../server/ruleSet.js';
+import { fairFirstCardColor } from '../server/provablyFair.js';
+
+let game = null;
+
+beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout'] });
+});
+
+afterEach(() => {
+    if (game) {
+        game.clearTurnTimer();
+        game.clearForfeitTimers();
+        game = null;
+    }
+    mock.timers.reset();
+});
+
+describe('first card', () => {
+    test('a wild first card takes its color from the seeds and records it on the deal', () => {
+        const seeds = { serverSeed: 'a'.repeat(64), clientSeeds: ['alice', 'bob'] };
+        game = new Game(['socket-a', 'socket-b'], ['Alice', 'Bob'], [], null, seeds);
+        game.gameState.deck.push({ color: 'wild', value: 'wild' });
+        game.drawFirstCard();
+        
+        const expected = fairFirstCardColor(seeds.serverSeed, seeds.clientSeeds, 0);
+        assert.equal(game.gameState.currentColor, expected);
+        assert.equal(game.gameState.fairness.shuffles[0].firstCardColor, expected);
+        assert.equal(Game.verifyFairness(game.gameState.fairness).shuffles[0].firstCardColor, expected);
+    });
+});
+
+describe('seeds', () => {
+    test('seats without a client seed are recorded as server-generated', () => {
+        const seeds = { serverSeed: 'a'.repeat(64), clientSeeds: ['alice', 'filled-in', null], generatedSeats: [1] };
+        game = new Game(['socket-a', 'socket-b', 'socket-c'], ['Alice', 'Bob', 'Carol'], [], null, seeds);
+        
+        const fairness = game.gameState.fairness;
+        assert.deepEqual(fairness.generatedSeats, [1, 2]);
+        assert.equal(fairness.clientSeeds[0], 'alice');
+        assert.equal(fairness.clientSeeds[1], 'filled-in');
+        assert.match(fairness.clientSeeds[2], /^[0-9a-f]{32}$/);
+    });
+});
+
+describe('jump-in', () => {
+    function createJumpInGame() {
+        const created = new Game(['socket-a', 'socket-b', 'socket-c'], ['Alice', 'Bob', 'Carol'], [], RuleSet.fromPreset('house'));
+        created.drawFirstCard();
+        mock.timers.tick(created.dealingAnimationDelay);
+        
+        // Alice is on turn with red 5 on top, Bob holds the identical red 5 and one other card
+        const state = created.gameState;
+        state.topCard = { color: 'red', value: '5' };
+        state.discardPile.push(state.topCard);
+        state.currentColor = 'red';
+        state.currentPlayerIndex = 0;
+        state.direction = 1;
+        state.pendingDraw = 0;
+        state.pendingChallenge = null;
+        state.players[1].hand = [{ color: 'red', value: '5' }, { color: 'blue', value: '2' }];
+        return created;
+    }
+    
+    test('jumping in down to one card keeps a turn timer running', () => {
+        game = createJumpInGame();
+        
+        const result = game.playCard('socket-b', 0);
+        assert.equal(result.success, true);
+        assert.equal(result.message, 'Card played - call UNO!');
+        assert.equal(game.gameState.currentPlayerIndex, 1);
+        assert.equal(game.gameState.waitingForUno, true);
+        assert.notEqual(game.turnExpiresAt, null);
+    });
+    
+    test('a jump-in player who never calls UNO times out with the penalty', () => {
+        game = createJumpInGame();
+        game.playCard('socket-b', 0);
+        
+        mock.timers.tick(game.turnTimeLimit);
+        assert.equal(game.gameState.players[1].hand.length, 3);
+        assert.equal(game.gameState.waitingForUno, false);
+        assert.equal(game.gameState.currentPlayerIndex, 2);
+    });
+});
+
+describe('disconnect forfeit', () => {
+    test('a table everyone left keeps its turn clock and is abandoned by the forfeit timer', () => {
+        game = new Game(['socket-a', 'socket-b'], ['Alice', 'Bob'], [], new RuleSet({ turnTimeLimit: 5000 }));
+        game.drawFirstCard();
+        mock.timers.tick(game.dealingAnimationDelay);
+        let abandoned = null;
+        game.setGameAbandonedCallback(data => { abandoned = data; });
+        
+        game.handlePlayerDisconnect('socket-a');
+        game.handlePlayerDisconnect('socket-b');
+        
+        // Turns keep timing out, but nobody is eliminated for it while they are away
+        mock.timers.tick(game.disconnectForfeitTime - 1);
+        assert.notEqual(game.turnExpiresAt, null);
+        assert.equal(game.gameState.status, 'playing');
+        assert.equal(game.gameState.players.some(p => p.eliminated), false);
+        
+        mock.timers.tick(1);
+        assert.equal(game.gameState.status, 'abandoned');
+        assert.deepEqual(abandoned.remainingPlayerIndexes, [0, 1]);
+    });
+});
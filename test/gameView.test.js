@@ -0,0 +1,182 @@
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Game } from '../server/gameLogic.js';
+import { RuleSet } from '../server/ruleSet.js';
+import { VIEWS, projectGameState, gameStartPayload, emitGameStateUpdates } from '../server/gameView.js';
+import { SpectatorStream } from '../server/spectatorStream.js';
+
+/**
+ * Opponent cards must never leave the server: every projection a client can receive
+ * carries the viewer's own hand at most, and only card counts for everyone else.
+ */
+
+const PLAYER_IDS = ['socket-a', 'socket-b', 'socket-c'];
+
+function createGame(preset = 'official') {
+    const game = new Game(PLAYER_IDS, ['Alice', 'Bob', 'Carol'], [], RuleSet.fromPreset(preset));
+    game.drawFirstCard();
+    mock.timers.tick(game.dealingAnimationDelay);
+    
+    // Known table: red 5 on top, the first player to act holds a red 7 and a blue 2
+    const state = game.gameState;
+    state.topCard = { color: 'red', value: '5' };
+    state.discardPile.push(state.topCard);
+    state.currentColor = 'red';
+    state.currentPlayerIndex = 0;
+    state.direction = 1;
+    state.players[0].hand = [{ color: 'red', value: '7' }, { color: 'blue', value: '2' }];
+    return game;
+}
+
+/**
+ * Assert a projected state holds no cards except (optionally) the viewer's own
+ */
+function assertOnlyOwnHand(game, projected, viewerId = null) {
+    projected.players.forEach((player, index) => {
+        const seat = game.gameState.players[index];
+        assert.equal(player.handSize, seat.hand.length);
+        if (seat.id === viewerId) {
+            assert.deepEqual(player.hand, seat.hand);
+        } else {
+            assert.deepEqual(player.hand, [], `${seat.name}'s cards leaked`);
+        }
+    });
+    
+    // Hidden piles only travel as counts
+    assert.deepEqual(Object.keys(projected.deck), ['count']);
+    assert.equal(projected.discardPile, undefined);
+    assert.equal(projected.fairness.serverSeed, null);
+}
+
+let game = null;
+
+beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout'] });
+});
+
+afterEach(() => {
+    if (game) {
+        game.clearTurnTimer();
+        game.clearForfeitTimers();
+        game = null;
+    }
+    mock.timers.reset();
+});
+
+describe('projectGameState', () => {
+    test('player view shows the viewer their own hand only', () => {
+        game = createGame();
+        PLAYER_IDS.forEach(playerId => {
+            assertOnlyOwnHand(game, projectGameState(game, VIEWS.PLAYER, playerId), playerId);
+        });
+    });
+    
+    test('spectator view shows no hands', () => {
+        game = createGame();
+        const projected = projectGameState(game, VIEWS.SPECTATOR);
+        assertOnlyOwnHand(game, projected);
+        projected.players.forEach(player => assert.equal(player.id, undefined));
+    });
+    
+    test('player view for someone not seated is a spectator view', () => {
+        game = createGame();
+        assertOnlyOwnHand(game, projectGameState(game, VIEWS.PLAYER, 'not-seated'));
+    });
+    
+    test('server view keeps every hand and is a copy', () => {
+        game = createGame();
+        const projected = projectGameState(game, VIEWS.SERVER);
+        assert.deepEqual(projected.players[1].hand, game.gameState.players[1].hand);
+        projected.players[1].hand.pop();
+        assert.notEqual(projected.players[1].hand.length, game.gameState.players[1].hand.length);
+    });
+    
+    test('unknown views are rejected', () => {
+        game = createGame();
+        assert.throws(() => projectGameState(game, 'admin'), /Unknown game view/);
+    });
+});
+
+describe('action results', () => {
+    test('playCard returns a state without hands', () => {
+        game = createGame();
+        game.gameState.players[0].hand.push({ color: 'green', value: '9' });
+        const result = game.playCard('socket-a', 0);
+        assert.equal(result.success, true);
+        assertOnlyOwnHand(game, result.gameState);
+    });
+    
+    test('drawCard returns a state without hands', () => {
+        game = createGame();
+        game.gameState.players[0].hand = [{ color: 'blue', value: '2' }];
+        const result = game.drawCard('socket-a');
+        assert.equal(result.success, true);
+        assertOnlyOwnHand(game, result.gameState);
+    });
+    
+    test('callUno returns a state without hands', () => {
+        game = createGame();
+        assert.equal(game.playCard('socket-a', 0).message, 'Card played - call UNO!');
+        const result = game.callUno('socket-a');
+        assert.equal(result.success, true);
+        assertOnlyOwnHand(game, result.gameState);
+    });
+});
+
+describe('socket payloads', () => {
+    test('game_start carries the receiving player\'s hand only', () => {
+        game = createGame();
+        PLAYER_IDS.forEach((playerId, index) => {
+            const payload = gameStartPayload(game, 'game-1', playerId);
+            assert.equal(payload.gameId, 'game-1');
+            assert.equal(payload.playerIndex, index);
+            assertOnlyOwnHand(game, payload.gameState, playerId);
+        });
+    });
+    
+    test('game_state_update carries each player\'s own hand and no hands for spectators', () => {
+        game = createGame();
+        game.playCard('socket-a', 0);
+        
+        const toPlayers = [];
+        const toSpectators = [];
+        emitGameStateUpdates(
+            game,
+            (playerId, event, data) => toPlayers.push({ playerId, event, data }),
+            (event, data) => toSpectators.push({ event, data })
+        );
+        
+        assert.deepEqual(toPlayers.map(sent => sent.playerId), PLAYER_IDS);
+        toPlayers.forEach(sent => {
+            assert.equal(sent.event, 'game_state_update');
+            assertOnlyOwnHand(game, sent.data, sent.playerId);
+        });
+        assert.equal(toSpectators.length, 1);
+        assert.equal(toSpectators[0].event, 'game_state_update');
+        assertOnlyOwnHand(game, toSpectators[0].data);
+    });
+    
+    test('spectate_start carries the released spectator state without hands', () => {
+        game = createGame();
+        const stream = new SpectatorStream(() => {}, 30);
+        const publish = (event, data) => stream.publish(event, data);
+        
+        emitGameStateUpdates(game, () => {}, publish);
+        game.playCard('socket-a', 0);
+        emitGameStateUpdates(game, () => {}, publish);
+        
+        // Nothing is released before the delay - a new spectator gets no state yet
+        assert.equal(stream.startPayload('game-1', []).gameState, null);
+        
+        // Keep the table still while the delay runs out
+        game.clearTurnTimer();
+        mock.timers.tick(30000);
+        const payload = stream.startPayload('game-1', [{ name: 'Guest' }]);
+        assert.equal(payload.gameId, 'game-1');
+        assert.equal(payload.delay, 30);
+        assert.deepEqual(payload.spectators, [{ name: 'Guest' }]);
+        assert.equal(payload.gameState.discardCount, game.gameState.discardPile.length);
+        assertOnlyOwnHand(game, payload.gameState);
+    });
+});
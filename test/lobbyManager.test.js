@@ -0,0 +1,27 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { LobbyManager } from '../server/lobbyManager.js';
+import { hashSeed } from '../server/provablyFair.js';
+
+describe('seed commitment', () => {
+    test('a lobby commits a new server seed after every game start attempt', () => {
+        const lobbyManager = new LobbyManager();
+        const lobby = lobbyManager.createLobbyWithSettings(2, 0);
+        const usedSeed = lobby.serverSeed;
+        
+        const newHash = lobbyManager.rotateSeedCommitment(lobby.id);
+        assert.notEqual(lobby.serverSeed, usedSeed);
+        assert.equal(newHash, hashSeed(lobby.serverSeed));
+        assert.equal(lobbyManager.rotateSeedCommitment('missing'), null);
+    });
+    
+    test('seats that sent no client seed are marked as server-generated', () => {
+        const lobbyManager = new LobbyManager();
+        const lobby = lobbyManager.createLobbyWithSettings(2, 0);
+        
+        lobbyManager.addPlayerToLobby('socket-a', 'Alice', lobby.id, null, null, null, 'alice-seed');
+        lobbyManager.addPlayerToLobby('socket-b', 'Bob', lobby.id);
+        assert.deepEqual(lobby.players.map(p => p.clientSeedGenerated), [false, true]);
+    });
+});
@@ -0,0 +1,49 @@
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SpectatorStream } from '../server/spectatorStream.js';
+
+beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 1000000 });
+});
+
+afterEach(() => {
+    mock.timers.reset();
+});
+
+describe('SpectatorStream', () => {
+    test('live streams release events unchanged', () => {
+        const emitted = [];
+        const stream = new SpectatorStream((event, data) => emitted.push({ event, data }), 0);
+        const turn = { playerIndex: 0, expiresAt: 1015000, serverTime: 1000000 };
+        
+        stream.publish('turn_start', turn);
+        assert.deepEqual(emitted, [{ event: 'turn_start', data: turn }]);
+    });
+    
+    test('delayed turn_start events keep the full turn clock', () => {
+        const emitted = [];
+        const stream = new SpectatorStream((event, data) => emitted.push({ event, data }), 30);
+        
+        stream.publish('turn_start', { playerIndex: 1, expiresAt: 1015000, serverTime: 1000000 });
+        mock.timers.tick(29999);
+        assert.equal(emitted.length, 0);
+        
+        mock.timers.tick(1);
+        const released = emitted[0].data;
+        assert.equal(released.playerIndex, 1);
+        assert.equal(released.serverTime, Date.now());
+        assert.equal(released.expiresAt - Date.now(), 15000);
+    });
+    
+    test('delayed events without a turn clock are released as published', () => {
+        const emitted = [];
+        const stream = new SpectatorStream((event, data) => emitted.push({ event, data }), 30);
+        const state = { currentPlayerIndex: 0 };
+        
+        stream.publish('game_state_update', state);
+        mock.timers.tick(30000);
+        assert.equal(emitted[0].data, state);
+        assert.equal(stream.releasedState, state);
+    });
+});